@@ -0,0 +1,228 @@
+/**
+ * Accordion.js
+ * Accessible FAQ accordion, used as <nzbi-accordion>. Follows the WAI-ARIA
+ * accordion pattern: each question is a button that opens its answer, the up and
+ * down arrow keys move between questions, and Home and End go to the first and last.
+ * An open item is kept in the URL hash (e.g. moonsighting.html#faq-hanafi), so items can
+ * be linked to, and a link to an item opens it. Answers open to their full height.
+ *
+ * Markup: .faq-item elements with an id, each holding a .faq-toggle button whose
+ * aria-controls names its .faq-content panel. data-former-ids on an item lists ids
+ * it was linked to by before (e.g. faq-3), so old links still open it. data-multiple on <nzbi-accordion> lets
+ * more than one item be open at a time. The FAQ pages' items are rendered from
+ * data/faqs.json by scripts/build-faqs.js.
+ */
+
+/**
+ * Accordion - Expands and collapses questions and answers
+ * @param {Object} options - Configuration options
+ */
+function Accordion(options) {
+  // Merge options with defaults
+  const settings = Object.assign({
+    element: null,
+    // Allow more than one item open at a time
+    multiple: false,
+    // Keep the open item in the URL hash
+    hash: true,
+    // Length of the open and close animation in milliseconds
+    duration: 300
+  }, options);
+
+  if (!settings.element) return console.error('Accordion: No element specified');
+
+  const items = Array.from(settings.element.querySelectorAll('.faq-item'));
+  const buttons = items.map(item => item.querySelector('.faq-toggle'));
+  const panels = items.map(item => item.querySelector('.faq-content'));
+  const timers = [];
+
+  const reducedMotion = () => typeof window.matchMedia !== 'function' ||
+    window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+  const isOpen = index => buttons[index].getAttribute('aria-expanded') === 'true';
+
+  /**
+   * Show an item as open or closed. The answer animates to its own height, then
+   * the height limit is removed so long answers and resized text are never cut off.
+   * Closed answers are hidden, so links in them are not in the tab order.
+   * @param {number} index - Item index
+   * @param {boolean} open - Open or close
+   * @param {boolean} immediate - Skip the animation
+   */
+  const setItem = (index, open, immediate) => {
+    const item = items[index];
+    const button = buttons[index];
+    const panel = panels[index];
+    const icon = item.querySelector('.faq-icon svg');
+    const animate = !immediate && settings.duration > 0 && !reducedMotion();
+
+    button.setAttribute('aria-expanded', open ? 'true' : 'false');
+    item.classList.toggle('shadow', !open);
+    item.classList.toggle('border-transparent', !open);
+    item.classList.toggle('shadow-lg', open);
+    item.classList.toggle('border-primary-color', open);
+    item.style.transform = open ? 'scale(1.02)' : 'scale(1)';
+    // The open marker is on the side the text starts from, the right in Arabic and Urdu
+    item.style.borderInlineStart = open ? '4px solid var(--primary-color)' : '4px solid transparent';
+    if (icon) {
+      icon.classList.toggle('rotate-45', open);
+      icon.classList.toggle('rotate-0', !open);
+    }
+
+    clearTimeout(timers[index]);
+    if (open) {
+      panel.hidden = false;
+      if (!animate) {
+        panel.style.opacity = '1';
+        panel.style.maxHeight = 'none';
+        return;
+      }
+      // Lay out the shown panel first, so the height animates from 0
+      void panel.offsetHeight;
+      panel.style.opacity = '1';
+      panel.style.maxHeight = `${panel.scrollHeight}px`;
+      timers[index] = setTimeout(() => {
+        panel.style.maxHeight = 'none';
+      }, settings.duration);
+    } else {
+      panel.style.opacity = '0';
+      if (!animate) {
+        panel.style.maxHeight = '0';
+        panel.hidden = true;
+        return;
+      }
+      // Start from the current height, as "none" cannot be animated
+      panel.style.maxHeight = `${panel.scrollHeight}px`;
+      void panel.offsetHeight;
+      panel.style.maxHeight = '0';
+      timers[index] = setTimeout(() => {
+        panel.hidden = true;
+      }, settings.duration);
+    }
+  };
+
+  /**
+   * Open or close an item, closing the others unless several may be open
+   * @param {number} index - Item index
+   * @param {boolean} open - Open or close
+   * @param {Object} options - updateHash to record the change in the URL
+   */
+  const toggle = (index, open, { updateHash = false } = {}) => {
+    if (!items[index]) return;
+
+    items.forEach((item, position) => {
+      if (position === index) {
+        if (isOpen(position) !== open) setItem(position, open);
+      } else if (open && !settings.multiple && isOpen(position)) {
+        setItem(position, false);
+      }
+    });
+
+    if (updateHash && settings.hash) {
+      const url = `${window.location.pathname}${window.location.search}`;
+      if (open && items[index].id) window.history.replaceState(null, '', `${url}#${items[index].id}`);
+      else if (!open && window.location.hash === `#${items[index].id}`) window.history.replaceState(null, '', url);
+    }
+  };
+
+  /**
+   * Open the item named in the URL hash and scroll it into view. A hash with one of
+   * an item's former ids opens that item and is replaced with its current id.
+   */
+  const openFromHash = () => {
+    const id = decodeURIComponent(window.location.hash.slice(1));
+    if (!id) return;
+
+    let index = items.findIndex(item => item.id === id);
+    if (index < 0) {
+      index = items.findIndex(item => (item.dataset.formerIds || '').split(' ').includes(id));
+      if (index < 0) return;
+      toggle(index, true, { updateHash: true });
+    } else {
+      toggle(index, true);
+    }
+    items[index].scrollIntoView({ behavior: reducedMotion() ? 'auto' : 'smooth', block: 'start' });
+    buttons[index].focus({ preventScroll: true });
+  };
+
+  const onClick = event => {
+    const index = buttons.indexOf(event.target.closest('.faq-toggle'));
+    if (index >= 0) toggle(index, !isOpen(index), { updateHash: true });
+  };
+
+  const onKeydown = event => {
+    const current = buttons.indexOf(event.target);
+    if (current < 0) return;
+
+    const moves = {
+      ArrowDown: (current + 1) % buttons.length,
+      ArrowUp: (current - 1 + buttons.length) % buttons.length,
+      Home: 0,
+      End: buttons.length - 1
+    };
+    if (!(event.key in moves)) return;
+
+    event.preventDefault();
+    buttons[moves[event.key]].focus();
+  };
+
+  // Set up the items: every question names its answer, and every answer its question.
+  // Items marked data-open in the markup start open.
+  items.forEach((item, index) => {
+    const button = buttons[index];
+    const panel = panels[index];
+    if (!panel.id) panel.id = `faq-content-${index}`;
+    if (!button.id) button.id = `${panel.id}-toggle`;
+    button.type = 'button';
+    button.setAttribute('aria-controls', panel.id);
+    panel.setAttribute('role', 'region');
+    panel.setAttribute('aria-labelledby', button.id);
+    setItem(index, item.hasAttribute('data-open') && (settings.multiple || !items.slice(0, index).some(other => other.hasAttribute('data-open'))), true);
+  });
+
+  settings.element.addEventListener('click', onClick);
+  settings.element.addEventListener('keydown', onKeydown);
+  if (settings.hash) {
+    window.addEventListener('hashchange', openFromHash);
+    openFromHash();
+  }
+
+  // Return public methods
+  return {
+    open: index => toggle(index, true, { updateHash: true }),
+    close: index => toggle(index, false, { updateHash: true }),
+    isOpen,
+    openFromHash,
+    destroy: () => {
+      settings.element.removeEventListener('click', onClick);
+      settings.element.removeEventListener('keydown', onKeydown);
+      window.removeEventListener('hashchange', openFromHash);
+      timers.forEach(timer => clearTimeout(timer));
+    }
+  };
+}
+
+/**
+ * Register <nzbi-accordion>; elements already in the page are set up straight away
+ */
+function initAccordion() {
+  if (!('customElements' in window) || customElements.get('nzbi-accordion')) return;
+
+  customElements.define('nzbi-accordion', class extends HTMLElement {
+    connectedCallback() {
+      if (this.accordion) return;
+      this.accordion = new Accordion({
+        element: this,
+        multiple: this.hasAttribute('data-multiple'),
+        hash: !this.hasAttribute('data-no-hash')
+      });
+    }
+
+    disconnectedCallback() {
+      if (this.accordion && this.accordion.destroy) this.accordion.destroy();
+      this.accordion = null;
+    }
+  });
+}
+
+document.addEventListener('DOMContentLoaded', initAccordion);
@@ -0,0 +1,385 @@
+/**
+ * AdminPanel.js
+ * Lets the Board sign in and publish, correct or withdraw a month decision.
+ * Decisions are written to /data/month-starts.json through the admin API
+ * (see scripts/mock-server.js), which the status blocks and announcements read.
+ * Requires /js/Html.js, /js/Lunar.js, /js/HijriCalendar.js and /js/MonthDecision.js
+ */
+
+/**
+ * AdminPanel - Sign in, decision editor with a live preview, and the list of published decisions
+ * @param {Object} options - Configuration options
+ */
+function AdminPanel(options) {
+  // Merge options with defaults
+  const settings = Object.assign({
+    element: null,
+    api: '/api/admin',
+    tokenKey: 'nzbi-admin-token'
+  }, options);
+
+  if (!settings.element) return console.error('AdminPanel: No element specified');
+
+  const find = name => settings.element.querySelector(`[data-admin-${name}]`);
+  const loginForm = find('login');
+  const editor = find('editor');
+  const form = settings.element.querySelector('#admin-decision-form');
+  const preview = find('preview');
+  const list = find('decisions');
+  const statusElement = find('status');
+  const submitButton = find('submit');
+
+  let records = [];
+
+  const getToken = () => sessionStorage.getItem(settings.tokenKey);
+
+  /**
+   * Call the admin API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the API root
+   * @param {Object} body - JSON body
+   * @returns {Promise<Object>} Resolves with {ok, status, data}
+   */
+  const request = (method, path, body) => fetch(`${settings.api}${path}`, {
+    method,
+    headers: Object.assign(
+      { 'Accept': 'application/json' },
+      body ? { 'Content-Type': 'application/json' } : {},
+      getToken() ? { 'Authorization': `Bearer ${getToken()}` } : {}
+    ),
+    body: body ? JSON.stringify(body) : undefined
+  }).then(response => response.json()
+    .catch(() => ({}))
+    .then(data => {
+      // The session has expired - go back to the sign in form
+      if (response.status === 401 && path !== '/login') showLogin('Your session has expired. Please sign in again.');
+      return { ok: response.ok, status: response.status, data };
+    }));
+
+  /**
+   * Show a success or error message above the panel
+   * @param {string} type - "success" or "error"
+   * @param {string} message - Message text
+   */
+  const showStatus = (type, message) => {
+    const classes = {
+      success: 'bg-green-50 border-green-200 text-green-800',
+      error: 'bg-red-50 border-red-200 text-red-800'
+    };
+    statusElement.className = `rounded-lg border p-4 text-sm mb-8 ${classes[type]}`;
+    statusElement.setAttribute('role', type === 'error' ? 'alert' : 'status');
+    statusElement.textContent = message;
+    statusElement.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  };
+
+  const clearStatus = () => {
+    statusElement.className = 'hidden';
+    statusElement.textContent = '';
+  };
+
+  /**
+   * Show or clear the inline error for a field
+   * @param {string} id - Field id
+   * @param {string} message - Error message, or empty to clear
+   */
+  const setFieldError = (id, message) => {
+    const field = settings.element.querySelector(`#${id}`);
+    const errorElement = settings.element.querySelector(`#${id}-error`);
+    if (field) {
+      field.setAttribute('aria-invalid', message ? 'true' : 'false');
+      field.classList.toggle('border-red-500', !!message);
+    }
+    if (errorElement) {
+      errorElement.textContent = message || '';
+      errorElement.classList.toggle('hidden', !message);
+    }
+  };
+
+  // Record fields and the ids of the inputs that show their errors
+  const fieldIds = {
+    year: 'decision-year',
+    month: 'decision-month',
+    decision: 'decision-decision',
+    sightingEvening: 'decision-sighting-evening',
+    start: 'decision-start'
+  };
+
+  const showErrors = (errors) => {
+    Object.keys(fieldIds).forEach(name => setFieldError(fieldIds[name], errors[name]));
+  };
+
+  /**
+   * Read the decision from the form
+   * @returns {Object} Decision record
+   */
+  const getRecord = () => ({
+    year: parseInt(form.elements.year.value, 10),
+    month: parseInt(form.elements.month.value, 10),
+    decision: form.elements.decision.value,
+    sightingEvening: form.elements.sightingEvening.value,
+    start: form.elements.start.value,
+    message: form.elements.message.value.trim()
+  });
+
+  /**
+   * Fill in the first day from the decision and the sighting evening
+   * A completed month starts 30 days after the previous month began
+   */
+  const fillStart = () => {
+    const record = getRecord();
+    let start = null;
+
+    if (record.decision === 'completed-30' && record.year && record.month) {
+      const previous = record.month === 1 ? { year: record.year - 1, month: 12 } : { year: record.year, month: record.month - 1 };
+      start = HijriCalendar.addDays(HijriCalendar.monthStart(previous.year, previous.month).start, 30);
+    } else if (record.decision && record.sightingEvening) {
+      start = HijriCalendar.addDays(HijriCalendar.parseDate(record.sightingEvening), record.decision === 'sighted' ? 1 : 2);
+    }
+
+    if (start) form.elements.start.value = HijriCalendar.formatDate(start);
+  };
+
+  /**
+   * Show the decision as the status block will show it
+   */
+  const renderPreview = () => {
+    const record = getRecord();
+    const errors = MonthDecision.validate(record);
+
+    if (Object.keys(errors).length) {
+      preview.innerHTML = '<p class="text-white/70">Fill in the form to see how the decision will appear on the site.</p>';
+      return;
+    }
+
+    const text = MonthDecision.describe(record);
+    preview.innerHTML = `
+      <p class="text-sm uppercase tracking-wide text-white/70 mb-1">${Html.escape(text.monthArabic)}</p>
+      <h4 class="text-2xl font-bold mb-2">${Html.escape(text.month)}</h4>
+      <p class="font-medium mb-2">${Html.escape(text.headline)}</p>
+      <p class="text-white/80 mb-4">${Html.escape(text.detail)}</p>
+      <p class="font-semibold mb-4">${Html.escape(text.firstDayLabel)}: ${Html.escape(text.firstDay)}</p>
+      <h5 class="font-bold mb-2">${Html.escape(text.title)}</h5>
+      ${text.paragraphs.map(paragraph => `<p class="mb-3 text-white/90">${Html.escape(paragraph)}</p>`).join('')}
+      ${text.greeting ? `<p class="font-arabic text-2xl text-right" lang="ar">${Html.escape(text.greeting.arabic)}</p>` : ''}
+    `;
+  };
+
+  /**
+   * Start a new decision for the month whose crescent is looked for next
+   */
+  const resetForm = () => {
+    const next = HijriCalendar.upcomingMonths(1)[0];
+    form.reset();
+    form.elements.year.value = next.year;
+    form.elements.month.value = next.month;
+    form.elements.sightingEvening.value = HijriCalendar.formatDate(next.sightingEvening);
+    form.elements.start.value = '';
+    form.elements.year.readOnly = false;
+    form.elements.month.disabled = false;
+    submitButton.textContent = 'Publish Decision';
+    showErrors({});
+    renderPreview();
+  };
+
+  /**
+   * Load a published decision into the form to correct it
+   * @param {Object} record - Decision record
+   */
+  const editRecord = (record) => {
+    form.elements.year.value = record.year;
+    form.elements.month.value = record.month;
+    form.elements.year.readOnly = true;
+    form.elements.month.disabled = true;
+    form.querySelectorAll('[name="decision"]').forEach(input => {
+      input.checked = input.value === record.decision;
+    });
+    form.elements.sightingEvening.value = record.sightingEvening || '';
+    form.elements.start.value = record.start;
+    form.elements.message.value = record.message || '';
+    submitButton.textContent = 'Save Correction';
+    showErrors({});
+    renderPreview();
+    form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  /**
+   * Show the published decisions, newest first
+   */
+  const renderList = () => {
+    const sorted = records.slice().sort((a, b) => b.start.localeCompare(a.start));
+    list.innerHTML = sorted.length ? sorted.map(record => {
+      const key = `${record.year}-${record.month}`;
+      const published = record.publishedAt ? new Date(record.publishedAt).toLocaleString('en-NZ', { dateStyle: 'medium', timeStyle: 'short' }) : '';
+      return `
+        <tr class="border-b border-gray-100">
+          <td class="py-3 px-4 font-medium">${Html.escape(HijriCalendar.MONTHS[record.month - 1])} ${Html.escape(record.year)}</td>
+          <td class="py-3 px-4">${Html.escape(MonthDecision.DECISIONS[record.decision] || 'Confirmed start')}</td>
+          <td class="py-3 px-4">${Html.escape(record.start)}</td>
+          <td class="py-3 px-4 text-gray-500">${Html.escape(published)}${record.updatedAt ? ' (corrected)' : ''}</td>
+          <td class="py-3 px-4 text-right whitespace-nowrap">
+            <button type="button" class="text-primary-color hover:underline mr-3" data-edit="${key}">Edit</button>
+            <button type="button" class="text-red-600 hover:underline" data-withdraw="${key}">Withdraw</button>
+          </td>
+        </tr>
+      `;
+    }).join('') : '<tr><td colspan="5" class="py-6 px-4 text-center text-gray-500">No decisions have been published yet.</td></tr>';
+  };
+
+  const findRecord = key => records.find(record => `${record.year}-${record.month}` === key);
+
+  /**
+   * Load the decisions from the store
+   * @returns {Promise} Resolves once listed
+   */
+  const load = () => request('GET', '/month-starts').then(result => {
+    if (!result.ok) {
+      if (result.status !== 401) showStatus('error', result.data.error || 'The decisions could not be loaded.');
+      return;
+    }
+    records = result.data.monthStarts || [];
+    HijriCalendar.setConfirmed(records);
+    renderList();
+  });
+
+  /**
+   * Publish or correct the decision in the form
+   * @param {Event} event - Submit event
+   */
+  const publish = (event) => {
+    event.preventDefault();
+    clearStatus();
+
+    const record = getRecord();
+    const errors = MonthDecision.validate(record);
+    showErrors(errors);
+    if (Object.keys(errors).length) return;
+
+    const text = MonthDecision.describe(record);
+    const existing = findRecord(`${record.year}-${record.month}`);
+    if (!window.confirm(`${existing ? 'Correct' : 'Publish'} the decision for ${text.month}?\n\n${text.headline}. ${text.firstDayLabel}: ${text.firstDay}.`)) return;
+
+    submitButton.disabled = true;
+    request('PUT', `/month-starts/${record.year}-${record.month}`, record)
+      .then(result => {
+        if (result.ok) {
+          showStatus('success', `The decision for ${text.month} has been ${existing ? 'corrected' : 'published'}.`);
+          return load().then(resetForm);
+        }
+        if (result.data.errors) {
+          showErrors(result.data.errors);
+          showStatus('error', 'Please correct the highlighted fields and try again.');
+        } else if (result.status !== 401) {
+          showStatus('error', result.data.error || 'The decision could not be published. Please try again.');
+        }
+      })
+      .catch(() => showStatus('error', 'The server could not be reached. Please check your connection and try again.'))
+      .then(() => {
+        submitButton.disabled = false;
+      });
+  };
+
+  /**
+   * Withdraw a published decision
+   * @param {string} key - "<year>-<month>"
+   */
+  const withdraw = (key) => {
+    const record = findRecord(key);
+    if (!record) return;
+
+    const name = `${HijriCalendar.MONTHS[record.month - 1]} ${record.year}`;
+    if (!window.confirm(`Withdraw the decision for ${name}? The site will show the predicted date again.`)) return;
+
+    request('DELETE', `/month-starts/${key}`)
+      .then(result => {
+        if (result.ok) {
+          showStatus('success', `The decision for ${name} has been withdrawn.`);
+          return load();
+        }
+        if (result.status !== 401) showStatus('error', result.data.error || 'The decision could not be withdrawn.');
+      })
+      .catch(() => showStatus('error', 'The server could not be reached. Please check your connection and try again.'));
+  };
+
+  /**
+   * Show the sign in form
+   * @param {string} message - Optional reason, shown under the password
+   */
+  const showLogin = (message) => {
+    sessionStorage.removeItem(settings.tokenKey);
+    editor.classList.add('hidden');
+    loginForm.classList.remove('hidden');
+    setFieldError('admin-password', message || '');
+  };
+
+  const showEditor = () => {
+    loginForm.classList.add('hidden');
+    editor.classList.remove('hidden');
+    resetForm();
+    load();
+  };
+
+  /**
+   * Sign in with the Board's password
+   * @param {Event} event - Submit event
+   */
+  const login = (event) => {
+    event.preventDefault();
+    const password = loginForm.elements.password.value;
+    if (!password) return setFieldError('admin-password', 'Please enter the password.');
+
+    request('POST', '/login', { password })
+      .then(result => {
+        if (!result.ok) return setFieldError('admin-password', result.data.error || 'Signing in failed. Please try again.');
+        sessionStorage.setItem(settings.tokenKey, result.data.token);
+        loginForm.reset();
+        setFieldError('admin-password', '');
+        showEditor();
+      })
+      .catch(() => setFieldError('admin-password', 'The server could not be reached. Please try again.'));
+  };
+
+  // Month options
+  form.elements.month.innerHTML = HijriCalendar.MONTHS
+    .map((name, index) => `<option value="${index + 1}">${index + 1}. ${name}</option>`).join('');
+
+  loginForm.addEventListener('submit', login);
+  form.addEventListener('submit', publish);
+  form.addEventListener('input', renderPreview);
+  form.addEventListener('change', event => {
+    if (['decision', 'sightingEvening', 'year', 'month'].includes(event.target.name)) fillStart();
+    renderPreview();
+  });
+  find('reset').addEventListener('click', resetForm);
+  find('logout').addEventListener('click', () => showLogin());
+  list.addEventListener('click', event => {
+    const edit = event.target.closest('[data-edit]');
+    const remove = event.target.closest('[data-withdraw]');
+    if (edit) editRecord(findRecord(edit.dataset.edit));
+    if (remove) withdraw(remove.dataset.withdraw);
+  });
+
+  if (getToken()) showEditor();
+
+  // Return public methods
+  return {
+    load,
+    publish,
+    withdraw,
+    resetForm
+  };
+}
+
+/**
+ * Initialize the admin panel
+ */
+function initAdminPanel() {
+  const element = document.getElementById('admin-panel');
+  if (!element) return;
+
+  new AdminPanel({
+    element,
+    api: element.dataset.api || '/api/admin'
+  });
+}
+
+document.addEventListener('DOMContentLoaded', initAdminPanel);
@@ -0,0 +1,257 @@
+/**
+ * CalendarFeed.js
+ * Builds iCalendar (.ics) feeds of Islamic key dates and Board events
+ * Used in the browser for downloads and by scripts/build-calendar-ics.js for the published feed
+ */
+
+const CalendarFeed = (function() {
+  const DOMAIN = 'nzbi.com';
+
+  // New Zealand time zone rules, so Outlook and other strict clients can place timed events
+  const NZ_TIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    'TZID:Pacific/Auckland',
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:+1200',
+    'TZOFFSETTO:+1300',
+    'TZNAME:NZDT',
+    'DTSTART:19700927T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=9;BYDAY=-1SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:+1300',
+    'TZOFFSETTO:+1200',
+    'TZNAME:NZST',
+    'DTSTART:19700405T030000',
+    'RRULE:FREQ=YEARLY;BYMONTH=4;BYDAY=1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ];
+
+  const pad = value => String(value).padStart(2, '0');
+
+  /**
+   * Escape text for an iCalendar property value
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  function escapeText(text) {
+    return String(text || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line to 75 octets as required by RFC 5545
+   * @param {string} line - Unfolded line
+   * @returns {string} Folded line
+   */
+  function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let length = 0;
+
+    for (const character of line) {
+      const size = new TextEncoder().encode(character).length;
+      if (length + size > (parts.length ? 74 : 75)) {
+        parts.push(current);
+        current = '';
+        length = 0;
+      }
+      current += character;
+      length += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+
+  /**
+   * Parse a YYYY-MM-DD string
+   * @param {string} value - ISO date
+   * @returns {Object} {year, month, day}
+   */
+  function parseDate(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return { year, month, day };
+  }
+
+  /**
+   * The day after a calendar date
+   * @param {Object} date - {year, month, day}
+   * @returns {Object} {year, month, day}
+   */
+  function nextDay(date) {
+    const value = new Date(Date.UTC(date.year, date.month - 1, date.day + 1));
+    return { year: value.getUTCFullYear(), month: value.getUTCMonth() + 1, day: value.getUTCDate() };
+  }
+
+  /**
+   * Format a calendar date as an iCalendar DATE
+   * @param {Object} date - {year, month, day}
+   * @returns {string} e.g. 20250331
+   */
+  function formatDate(date) {
+    return `${date.year}${pad(date.month)}${pad(date.day)}`;
+  }
+
+  /**
+   * Format a local New Zealand date-time string as an iCalendar DATE-TIME
+   * @param {string} value - Local time as YYYY-MM-DDTHH:MM
+   * @returns {string} e.g. 20250411T083000
+   */
+  function formatLocalDateTime(value) {
+    const [date, time = '00:00'] = value.split('T');
+    return `${date.replace(/-/g, '')}T${time.replace(/:/g, '').padEnd(6, '0')}`;
+  }
+
+  /**
+   * Format an instant as a UTC DATE-TIME
+   * @param {Date} date - The instant
+   * @returns {string} e.g. 20251018T000000Z
+   */
+  function formatUTC(date) {
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T` +
+      `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+  }
+
+  /**
+   * Convert key dates from HijriCalendar.keyDates() into feed entries
+   * @param {Array} keyDates - Key dates
+   * @param {Function} describe - Returns the Hijri date label for a key date
+   * @param {number} revision - The revision of data/month-starts.json. It goes up whenever a
+   *   month start changes, so calendars replace a date that has moved or been confirmed
+   * @returns {Array} Feed entries
+   */
+  function fromKeyDates(keyDates, describe, revision = 0) {
+    return keyDates.map(keyDate => {
+      const confirmed = keyDate.status === 'confirmed';
+      const notes = [
+        describe ? describe(keyDate) : '',
+        keyDate.evening ? 'Observed on the night before this date.' : '',
+        confirmed
+          ? 'Confirmed by the New Zealand Board of Imams.'
+          : 'Expected date - subject to the sighting of the crescent moon in New Zealand.'
+      ];
+
+      return {
+        uid: `hijri-${keyDate.id}@${DOMAIN}`,
+        summary: confirmed ? keyDate.name : `${keyDate.name} (expected)`,
+        description: notes.filter(Boolean).join('\n'),
+        allDay: true,
+        start: keyDate.date,
+        end: keyDate.end,
+        status: confirmed ? 'CONFIRMED' : 'TENTATIVE',
+        sequence: revision,
+        categories: ['Islamic Calendar'],
+        url: `https://${DOMAIN}/calendar.html`
+      };
+    });
+  }
+
+  /**
+   * Convert Board events from /data/events.json into feed entries
+   * @param {Array} events - Events with id, title, start, end, location and description
+   * @returns {Array} Feed entries
+   */
+  function fromEvents(events) {
+    return events.map(event => {
+      const allDay = !event.start.includes('T');
+      return {
+        uid: `event-${event.id}@${DOMAIN}`,
+        summary: event.title,
+        description: event.description,
+        location: event.location,
+        allDay,
+        // All-day events list their last day; iCalendar wants the day after
+        start: allDay ? parseDate(event.start) : event.start,
+        end: allDay ? nextDay(parseDate(event.end || event.start)) : event.end || event.start,
+        status: event.cancelled ? 'CANCELLED' : 'CONFIRMED',
+        sequence: event.sequence || 0,
+        categories: ['Board Events', event.category].filter(Boolean),
+        url: event.url || `https://${DOMAIN}/calendar.html`
+      };
+    });
+  }
+
+  /**
+   * Lines for the start and end of an entry
+   * @param {Object} entry - Feed entry
+   * @returns {Array} Content lines
+   */
+  function dateLines(entry) {
+    if (entry.allDay) {
+      return [`DTSTART;VALUE=DATE:${formatDate(entry.start)}`, `DTEND;VALUE=DATE:${formatDate(entry.end)}`];
+    }
+
+    return [
+      `DTSTART;TZID=Pacific/Auckland:${formatLocalDateTime(entry.start)}`,
+      `DTEND;TZID=Pacific/Auckland:${formatLocalDateTime(entry.end)}`
+    ];
+  }
+
+  /**
+   * Build an iCalendar document
+   * @param {Array} entries - Feed entries
+   * @param {Object} options - name, description and now (for DTSTAMP)
+   * @returns {string} iCalendar text with CRLF line endings
+   */
+  function toICS(entries, options) {
+    const { name = 'NZBI Islamic Calendar', description = '', now = new Date() } = options || {};
+    const stamp = formatUTC(now);
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//New Zealand Board of Imams//Islamic Calendar//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeText(name)}`,
+      `X-WR-CALDESC:${escapeText(description)}`,
+      'X-WR-TIMEZONE:Pacific/Auckland',
+      'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+      'X-PUBLISHED-TTL:PT12H',
+      ...NZ_TIMEZONE
+    ];
+
+    entries.forEach(entry => {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${entry.uid}`,
+        `DTSTAMP:${stamp}`,
+        ...dateLines(entry),
+        `SUMMARY:${escapeText(entry.summary)}`
+      );
+      if (entry.description) lines.push(`DESCRIPTION:${escapeText(entry.description)}`);
+      if (entry.location) lines.push(`LOCATION:${escapeText(entry.location)}`);
+      if (entry.categories && entry.categories.length) {
+        lines.push(`CATEGORIES:${entry.categories.map(escapeText).join(',')}`);
+      }
+      if (entry.url) lines.push(`URL:${entry.url}`);
+      lines.push(
+        `STATUS:${entry.status || 'CONFIRMED'}`,
+        `SEQUENCE:${entry.sequence || 0}`,
+        entry.allDay ? 'TRANSP:TRANSPARENT' : 'TRANSP:OPAQUE',
+        'END:VEVENT'
+      );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  // Return public methods
+  return {
+    escapeText,
+    foldLine,
+    fromKeyDates,
+    fromEvents,
+    toICS
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CalendarFeed;
+}
@@ -0,0 +1,355 @@
+/**
+ * ContactForm.js
+ * Validates and submits the contact form to a configurable endpoint,
+ * queueing messages while offline and retrying when the connection returns.
+ * Other enquiry forms (such as "Ask an Imam") reuse it with extra rules and fields.
+ * Requires /js/Html.js and /js/I18n.js
+ */
+
+/**
+ * ContactForm - Inline validation, spam checks and submission for an enquiry form
+ * @param {Object} options - Configuration options
+ */
+function ContactForm(options) {
+  // Merge options with defaults
+  const settings = Object.assign({
+    element: null,
+    endpoint: '/api/contact',
+    minimumSeconds: 3,
+    queueKey: 'nzbi-contact-queue',
+    fallbackEmail: 'moonsightingnz@gmail.com',
+    // Extra or replacement validation rules, by field name
+    rules: {},
+    // Extra values to send, payload key to field name
+    fields: {}
+  }, options);
+
+  if (!settings.element) return console.error('ContactForm: No element specified');
+
+  const form = settings.element;
+  const find = name => form.querySelector(`[data-contact-${name}]`);
+  const statusElement = find('status');
+  const submitButton = find('submit');
+  const honeypot = form.querySelector('[name="website"]');
+
+  const submitLabel = submitButton ? submitButton.textContent.trim() : '';
+
+  let startedAt = Date.now();
+  let sending = false;
+
+  // Validation rules for each field, returning an error message or an empty string
+  // Fields the form does not have are skipped
+  const rules = Object.assign({
+    name: value => {
+      if (!value) return I18n.t('contact.nameRequired');
+      if (value.length < 2) return I18n.t('contact.nameShort');
+      return value.length > 100 ? I18n.t('contact.nameLong', { max: 100 }) : '';
+    },
+    email: value => {
+      if (!value) return I18n.t('contact.emailRequired');
+      return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value) ? '' : I18n.t('contact.emailInvalid');
+    },
+    subject: value => {
+      if (!value) return I18n.t('contact.subjectRequired');
+      return value.length > 150 ? I18n.t('contact.subjectLong', { max: 150 }) : '';
+    },
+    message: value => {
+      if (!value) return I18n.t('contact.messageRequired');
+      if (value.length < 20) return I18n.t('contact.messageShort', { min: 20 });
+      return value.length > 5000 ? I18n.t('contact.messageLong', { max: 5000 }) : '';
+    },
+    'inquiry-type': value => ContactForm.INQUIRY_TYPES.includes(value) ? '' : I18n.t('contact.inquiryType'),
+    'privacy-policy': (value, field) => field.checked ? '' : I18n.t('contact.privacy')
+  }, settings.rules);
+
+  const getField = name => form.elements[name];
+  const getValue = name => (getField(name)?.value || '').trim();
+
+  /**
+   * Show or clear the inline error for a field
+   * @param {string} name - Field name
+   * @param {string} message - Error message, or empty to clear
+   */
+  const setFieldError = (name, message) => {
+    const field = getField(name);
+    if (!field) return;
+
+    const errorElement = form.querySelector(`#${field.id}-error`);
+    field.setAttribute('aria-invalid', message ? 'true' : 'false');
+    field.classList.toggle('border-red-500', !!message);
+    field.classList.toggle('border-gray-300', !message);
+    if (errorElement) {
+      errorElement.textContent = message;
+      errorElement.classList.toggle('hidden', !message);
+    }
+  };
+
+  /**
+   * Validate one field and update its error
+   * @param {string} name - Field name
+   * @returns {boolean} True if valid
+   */
+  const validateField = (name) => {
+    const field = getField(name);
+    if (!field) return true;
+
+    const message = rules[name](getValue(name), field);
+    setFieldError(name, message);
+    return !message;
+  };
+
+  /**
+   * Validate every field, focusing the first invalid one
+   * @returns {boolean} True if the form is valid
+   */
+  const validate = () => {
+    const invalid = Object.keys(rules).filter(name => !validateField(name));
+    if (invalid.length) getField(invalid[0]).focus();
+    return !invalid.length;
+  };
+
+  /**
+   * A message with a bold lead-in, e.g. "<strong>You are offline.</strong> Your message..."
+   * @param {string} key - Key of the message; the lead-in is "<key>Title"
+   * @param {Object} params - Values for the message's placeholders
+   * @returns {string} HTML
+   */
+  const strongMessage = (key, params) => `<strong>${Html.escape(I18n.t(`${key}Title`))}</strong> ${Html.escape(I18n.t(key, params))}`;
+
+  /**
+   * Show the success, error or offline message
+   * @param {string} type - "success", "error" or "queued"
+   * @param {string} message - HTML message
+   */
+  const showStatus = (type, message) => {
+    if (!statusElement) return;
+
+    const classes = {
+      success: 'bg-green-50 border-green-200 text-green-800',
+      error: 'bg-red-50 border-red-200 text-red-800',
+      queued: 'bg-yellow-50 border-yellow-200 text-yellow-800'
+    };
+
+    statusElement.className = `rounded-lg border p-4 text-sm ${classes[type]}`;
+    statusElement.setAttribute('role', type === 'error' ? 'alert' : 'status');
+    statusElement.innerHTML = message;
+    statusElement.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  };
+
+  const clearStatus = () => {
+    if (!statusElement) return;
+    statusElement.className = 'hidden';
+    statusElement.textContent = '';
+  };
+
+  const setSending = (value) => {
+    sending = value;
+    if (!submitButton) return;
+    submitButton.disabled = value;
+    submitButton.classList.toggle('opacity-60', value);
+    submitButton.textContent = value ? I18n.t('contact.sending') : submitLabel;
+  };
+
+  /**
+   * Collect the values sent to the endpoint
+   * The endpoint routes the message to the right recipients from inquiryType
+   * @returns {Object} Payload
+   */
+  const getPayload = () => {
+    const payload = {
+      name: getValue('name'),
+      email: getValue('email'),
+      subject: getValue('subject'),
+      message: getValue('message'),
+      inquiryType: getValue('inquiry-type'),
+      elapsedSeconds: Math.round((Date.now() - startedAt) / 1000),
+      page: window.location.pathname,
+      submittedAt: new Date().toISOString()
+    };
+    Object.keys(settings.fields).forEach(key => {
+      payload[key] = getValue(settings.fields[key]);
+    });
+    return payload;
+  };
+
+  /**
+   * POST a message to the endpoint
+   * Rejects with a TypeError when the network is unavailable
+   * @param {Object} payload - Message
+   * @returns {Promise<Object>} Resolves with {ok, status, data}
+   */
+  const send = payload => fetch(settings.endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+    body: JSON.stringify(payload)
+  }).then(response => response.json()
+    .catch(() => ({}))
+    .then(data => ({ ok: response.ok, status: response.status, data })));
+
+  const readQueue = () => {
+    try {
+      return JSON.parse(localStorage.getItem(settings.queueKey)) || [];
+    } catch (error) {
+      return [];
+    }
+  };
+
+  const writeQueue = (queue) => {
+    if (queue.length) localStorage.setItem(settings.queueKey, JSON.stringify(queue));
+    else localStorage.removeItem(settings.queueKey);
+  };
+
+  /**
+   * Keep a message to send once the connection returns
+   * @param {Object} payload - Message
+   */
+  const queueMessage = (payload) => {
+    writeQueue(readQueue().concat(Object.assign({}, payload, { queuedAt: new Date().toISOString() })));
+  };
+
+  /**
+   * Send queued messages in order, stopping at the first network failure
+   * @returns {Promise<number>} Number of messages sent
+   */
+  const flushQueue = () => {
+    const queue = readQueue();
+    if (!queue.length || !navigator.onLine) return Promise.resolve(0);
+
+    let sent = 0;
+    const next = () => {
+      if (!queue.length) return Promise.resolve();
+      return send(queue[0]).then(result => {
+        // Rejected messages are dropped - retrying will not make them valid
+        if (!result.ok && result.status < 500) console.error('ContactForm: Queued message was rejected', result.data);
+        if (result.ok || result.status < 500) {
+          if (result.ok) sent++;
+          queue.shift();
+          writeQueue(queue);
+          return next();
+        }
+      });
+    };
+
+    return next()
+      .catch(() => {
+        // Still offline - try again on the next "online" event
+      })
+      .then(() => {
+        if (sent) {
+          showStatus('success', strongMessage(sent > 1 ? 'contact.queuedSentMany' : 'contact.queuedSent', { count: I18n.formatNumber(sent) }));
+        }
+        return sent;
+      });
+  };
+
+  const reset = () => {
+    form.reset();
+    Object.keys(rules).forEach(name => setFieldError(name, ''));
+    startedAt = Date.now();
+  };
+
+  /**
+   * Validate, run the spam checks and send the form
+   * @param {Event} event - Submit event
+   */
+  const submit = (event) => {
+    event.preventDefault();
+    if (sending) return;
+    clearStatus();
+
+    if (!validate()) return;
+
+    // Bots fill in the hidden field - pretend it worked and send nothing
+    if (honeypot && honeypot.value) {
+      reset();
+      showStatus('success', strongMessage('contact.thanks'));
+      return;
+    }
+
+    if (Date.now() - startedAt < settings.minimumSeconds * 1000) {
+      showStatus('error', Html.escape(I18n.t('contact.tooQuick')));
+      startedAt = Date.now() - settings.minimumSeconds * 1000;
+      return;
+    }
+
+    const payload = getPayload();
+
+    if (!navigator.onLine) {
+      queueMessage(payload);
+      reset();
+      showStatus('queued', strongMessage('contact.offline'));
+      return;
+    }
+
+    setSending(true);
+    send(payload)
+      .then(result => {
+        if (result.ok) {
+          reset();
+          showStatus('success', strongMessage('contact.received'));
+          return;
+        }
+
+        const errors = result.data && result.data.errors;
+        if (errors) {
+          Object.keys(errors).forEach(name => setFieldError(name, errors[name]));
+          showStatus('error', Html.escape(I18n.t('contact.fixFields')));
+          return;
+        }
+
+        const email = `<a href="mailto:${Html.escape(settings.fallbackEmail)}" class="underline">${Html.escape(settings.fallbackEmail)}</a>`;
+        showStatus('error', strongMessage('contact.failed').replace('{email}', email));
+      })
+      .catch(() => {
+        // The request never reached the server - keep the message and retry later
+        queueMessage(payload);
+        reset();
+        showStatus('queued', strongMessage('contact.unreachable'));
+      })
+      .then(() => setSending(false));
+  };
+
+  // Validate fields as people leave them, and clear errors as they are fixed
+  Object.keys(rules).forEach(name => {
+    const field = getField(name);
+    if (!field) return;
+    field.addEventListener('blur', () => {
+      if (field.value) validateField(name);
+    });
+    field.addEventListener(field.type === 'checkbox' ? 'change' : 'input', () => {
+      if (field.getAttribute('aria-invalid') === 'true') validateField(name);
+    });
+  });
+
+  form.setAttribute('novalidate', '');
+  form.addEventListener('submit', submit);
+  window.addEventListener('online', flushQueue);
+  // Messages sent from the queue are reported in the page language
+  I18n.ready.then(flushQueue);
+
+  // Return public methods
+  return {
+    validate,
+    submit,
+    flushQueue,
+    reset
+  };
+}
+
+// Inquiry types the form offers; the endpoint uses these to route messages
+ContactForm.INQUIRY_TYPES = ['general', 'moonsighting', 'religious', 'events', 'other'];
+
+/**
+ * Initialize the contact form
+ */
+function initContactForm() {
+  const element = document.getElementById('contact-form');
+  if (!element) return;
+
+  new ContactForm({
+    element,
+    endpoint: element.dataset.endpoint || '/api/contact'
+  });
+}
+
+document.addEventListener('DOMContentLoaded', initContactForm);
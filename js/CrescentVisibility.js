@@ -0,0 +1,195 @@
+/**
+ * CrescentVisibility.js
+ * Crescent visibility table for the evenings after each new moon
+ * Requires /js/Html.js, /js/I18n.js, /js/Lunar.js and /js/PrayerTimes.js (for the city list
+ * and time formatting)
+ */
+
+/**
+ * CrescentVisibility - Shows moon age, altitude, elongation, lag and
+ * Yallop/Odeh visibility at sunset for a chosen city
+ * @param {Object} options - Configuration options
+ */
+function CrescentVisibility(options) {
+  // Merge options with defaults
+  const settings = Object.assign({
+    element: null,
+    city: 'auckland',
+    date: new Date(),
+    evenings: 3,
+    timeZone: PrayerTimes.DEFAULTS.timeZone,
+    locale: I18n.intlLocale()
+  }, options);
+
+  if (!settings.element) return console.error('CrescentVisibility: No element specified');
+
+  const find = name => settings.element.querySelector(`[data-visibility-${name}]`);
+  const citySelect = find('city');
+  const conjunctionElement = find('conjunction');
+  const bodyElement = find('body');
+
+  // Start from the latest new moon if its crescent could still be in question
+  let newMoon = Lunar.nextNewMoon(new Date(settings.date.getTime() - 3 * 86400000));
+
+  // Badge colours for each visibility code
+  const badgeClasses = {
+    A: 'bg-green-100 text-green-800',
+    B: 'bg-lime-100 text-lime-800',
+    C: 'bg-yellow-100 text-yellow-800',
+    D: 'bg-orange-100 text-orange-800',
+    E: 'bg-red-100 text-red-800',
+    F: 'bg-gray-200 text-gray-700'
+  };
+
+  const formatDate = (date, extra) => date.toLocaleDateString(settings.locale, Object.assign({
+    timeZone: settings.timeZone,
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short'
+  }, extra));
+
+  const formatTime = date => PrayerTimes.formatTime(date, settings.timeZone, settings.locale);
+  const decimal = (value, digits) => I18n.formatNumber(value, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  const degrees = value => `${decimal(value, 1)}°`;
+
+  /**
+   * Format a duration in hours, e.g. "19 h 20 m" in English
+   * @param {number} hours - Duration in hours
+   * @returns {string} Formatted duration
+   */
+  const formatHours = (hours) => {
+    const minutes = Math.round(hours * 60);
+    return I18n.t('visibility.duration', { hours: I18n.formatNumber(Math.floor(minutes / 60)), minutes: I18n.formatNumber(minutes % 60) });
+  };
+
+  const populateControls = () => {
+    if (!citySelect) return;
+    citySelect.innerHTML = Object.entries(PrayerTimes.CITIES)
+      .map(([id, city]) => `<option value="${id}">${city.name}</option>`)
+      .join('');
+    citySelect.value = settings.city;
+  };
+
+  /**
+   * Badge for a Yallop or Odeh result
+   * @param {string} test - "yallop" or "odeh"
+   * @param {string} value - Test value (q or V)
+   * @param {Object} result - Category with code and label
+   * @returns {string} HTML
+   */
+  const badge = (test, value, result) => `
+    <span class="inline-block px-2 py-1 rounded-full text-xs font-semibold ${badgeClasses[result.code]}" title="${Html.escape(I18n.t(`visibility.${test}.${result.code}`))}">
+      ${result.code}
+    </span>
+    <span class="text-xs text-gray-500 ml-1">${value}</span>
+  `;
+
+  /**
+   * Calculate the evenings following the current new moon
+   * @returns {Array} Visibility results
+   */
+  const calculate = () => {
+    const city = PrayerTimes.CITIES[settings.city];
+    const start = PrayerTimes.getLocalDate(newMoon, settings.timeZone);
+    const results = [];
+
+    // Skip the evening of the conjunction day if the sun sets before the new moon
+    for (let day = 0; results.length < settings.evenings && day <= settings.evenings; day++) {
+      const date = new Date(Date.UTC(start.year, start.month - 1, start.day + day));
+      const result = Lunar.crescentVisibility({
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate()
+      }, city);
+      if (result && result.sunset > newMoon) results.push(result);
+    }
+
+    return results;
+  };
+
+  const render = () => {
+    const city = PrayerTimes.CITIES[settings.city];
+    const results = calculate();
+
+    if (conjunctionElement) {
+      conjunctionElement.textContent = I18n.t('visibility.conjunction', {
+        date: formatDate(newMoon, { year: 'numeric' }),
+        time: formatTime(newMoon),
+        zone: PrayerTimes.getTimeZoneName(newMoon, settings.timeZone),
+        city: city.name
+      });
+    }
+
+    if (bodyElement) {
+      bodyElement.innerHTML = results.map(result => {
+        const moonsetsFirst = result.lagMinutes === null || result.lagMinutes <= 0;
+
+        return `
+          <tr>
+            <td class="py-3 px-4 font-medium whitespace-nowrap">${formatDate(result.sunset)}</td>
+            <td class="py-3 px-4 whitespace-nowrap">${formatTime(result.sunset)}</td>
+            <td class="py-3 px-4 whitespace-nowrap">${result.moonset ? formatTime(result.moonset) : '--:--'}</td>
+            <td class="py-3 px-4 whitespace-nowrap">${moonsetsFirst ? I18n.t('visibility.setsFirst') : I18n.t('visibility.minutes', { minutes: I18n.formatNumber(Math.round(result.lagMinutes)) })}</td>
+            <td class="py-3 px-4 whitespace-nowrap">${formatHours(result.ageHours)}</td>
+            <td class="py-3 px-4">${degrees(result.moonAltitude)}</td>
+            <td class="py-3 px-4">${degrees(result.elongation)}</td>
+            <td class="py-3 px-4">${decimal(result.width, 2)}′</td>
+            <td class="py-3 px-4 whitespace-nowrap">${badge('yallop', `q = ${decimal(result.yallop.q, 3)}`, result.yallop)}</td>
+            <td class="py-3 px-4 whitespace-nowrap">${badge('odeh', `V = ${decimal(result.odeh.v, 2)}`, result.odeh)}</td>
+          </tr>
+        `;
+      }).join('');
+    }
+  };
+
+  /**
+   * Move to an earlier or later new moon
+   * @param {number} offset - Number of lunations to move
+   */
+  const changeLunation = (offset) => {
+    const step = offset > 0 ? Lunar.nextNewMoon : Lunar.previousNewMoon;
+    for (let i = 0; i < Math.abs(offset); i++) {
+      newMoon = step(new Date(newMoon.getTime() + (offset > 0 ? 60000 : -60000)));
+    }
+    render();
+  };
+
+  // Set up control listeners
+  citySelect?.addEventListener('change', () => {
+    settings.city = citySelect.value;
+    render();
+  });
+  find('prev')?.addEventListener('click', () => changeLunation(-1));
+  find('next')?.addEventListener('click', () => changeLunation(1));
+
+  populateControls();
+  render();
+
+  // Return public methods
+  return {
+    render,
+    changeLunation,
+    setCity: (city) => {
+      if (!PrayerTimes.CITIES[city]) return;
+      settings.city = city;
+      if (citySelect) citySelect.value = city;
+      render();
+    }
+  };
+}
+
+/**
+ * Initialize the crescent visibility calculator
+ */
+function initCrescentVisibility() {
+  const element = document.getElementById('crescent-visibility');
+  if (!element) return;
+
+  // The table is drawn in the page language
+  I18n.ready.then(() => new CrescentVisibility({
+    element,
+    city: element.dataset.city || 'auckland'
+  }));
+}
+
+document.addEventListener('DOMContentLoaded', initCrescentVisibility);
@@ -0,0 +1,433 @@
+/**
+ * DonationPage.js
+ * The donate page: campaign cards with live progress from /api/donations/campaigns
+ * (or /data/campaigns.json when the API cannot be reached), and the donation form for
+ * one-off and recurring gifts with a downloadable tax receipt.
+ * Requires /js/Html.js, /js/I18n.js and /js/Donations.js
+ */
+
+/**
+ * DonationPage - Campaign progress and the donation form
+ * @param {Object} options - Configuration options
+ */
+function DonationPage(options) {
+  // Merge options with defaults
+  const settings = Object.assign({
+    element: null,
+    endpoint: '/api/donations',
+    dataUrl: '/data/campaigns.json',
+    // Seconds between progress updates while the page is visible
+    refreshSeconds: 30
+  }, options);
+
+  if (!settings.element) return console.error('DonationPage: No element specified');
+
+  const find = name => settings.element.querySelector(`[data-donate-${name}]`);
+  const listElement = find('campaigns');
+  const form = find('form');
+  const presetsElement = find('presets');
+  const creditElement = find('credit');
+  const statusElement = find('status');
+  const submitButton = find('submit');
+  const resultElement = find('result');
+  const receiptButton = find('receipt');
+  const sampleNotice = find('sample');
+
+  const submitLabel = submitButton ? submitButton.textContent.trim() : '';
+
+  let charity = null;
+  // The charity details are placeholders, so receipts are marked as samples
+  let sample = false;
+  let campaigns = [];
+  let receipt = null;
+  const startedAt = Date.now();
+  let sending = false;
+
+  const setText = (name, text) => {
+    const element = find(name);
+    if (element) element.textContent = text;
+  };
+
+  const getField = name => form && form.elements[name];
+  const getValue = name => {
+    const field = getField(name);
+    return field ? (field.value || '').trim() : '';
+  };
+
+  // Campaigns close at the end of the day in New Zealand
+  const today = () => new Date().toLocaleDateString('en-CA', { timeZone: 'Pacific/Auckland' });
+
+  const formatDate = value => I18n.formatDate(new Date(`${value}T12:00:00Z`), { timeZone: 'UTC', day: 'numeric', month: 'long', year: 'numeric' });
+  const formatAmount = amount => Donations.formatAmount(amount, I18n.intlLocale());
+  const language = { t: I18n.t, locale: I18n.intlLocale() };
+
+  /**
+   * Name of a campaign type or frequency in the page language
+   * @param {string} group - "types" or "frequencies"
+   * @param {string} key - Key in Donations.CAMPAIGN_TYPES or Donations.FREQUENCIES
+   * @returns {string} Label
+   */
+  const label = (group, key) => {
+    const translated = `donate.${group}.${key}`;
+    const english = group === 'types' ? Donations.CAMPAIGN_TYPES[key] : Donations.FREQUENCIES[key];
+    return I18n.has(translated) ? I18n.t(translated) : english || key;
+  };
+
+  /**
+   * A message with a bold title, e.g. "<strong>Sorry…</strong> Please try again."
+   * @param {string} key - Message key; its title is under the same key plus "Title"
+   * @param {Object} params - Values for the message's placeholders
+   * @returns {string} HTML
+   */
+  const strongMessage = (key, params) => `<strong>${Html.escape(I18n.t(`${key}Title`))}</strong> ${Html.escape(I18n.t(key, params))}`;
+
+  /**
+   * Show a success or error message under the form
+   * @param {string} type - "success" or "error"
+   * @param {string} message - HTML message
+   */
+  const showStatus = (type, message) => {
+    if (!statusElement) return;
+    const classes = {
+      success: 'bg-green-50 border-green-200 text-green-800',
+      error: 'bg-red-50 border-red-200 text-red-800'
+    };
+    statusElement.className = `rounded-lg border p-4 text-sm ${classes[type]}`;
+    statusElement.setAttribute('role', type === 'error' ? 'alert' : 'status');
+    statusElement.innerHTML = message;
+  };
+
+  const clearStatus = () => {
+    if (!statusElement) return;
+    statusElement.className = 'hidden';
+    statusElement.textContent = '';
+  };
+
+  /**
+   * Show or clear the inline error for a field
+   * @param {string} name - Field name
+   * @param {string} message - Error message, or empty to clear
+   */
+  const setFieldError = (name, message) => {
+    const field = getField(name);
+    if (!field) return;
+    // Radio groups have their error after the group
+    const id = field.id || (field[0] && field[0].name);
+    const errorElement = form.querySelector(`#${id}-error`);
+    if (field.setAttribute) field.setAttribute('aria-invalid', message ? 'true' : 'false');
+    if (errorElement) {
+      errorElement.textContent = message;
+      errorElement.classList.toggle('hidden', !message);
+    }
+  };
+
+  /**
+   * HTML for one campaign card; the figures are filled in by updateCampaigns()
+   * @param {Object} campaign - Campaign
+   * @returns {string} HTML
+   */
+  const renderCampaign = (campaign) => `
+    <article id="${Html.escape(campaign.id)}" class="scroll-mt-24 bg-white p-6 rounded-xl shadow-md border border-gray-100 flex flex-col" data-campaign="${Html.escape(campaign.id)}">
+      <span class="self-start px-3 py-1 rounded-full text-xs font-semibold bg-indigo-50 text-primary-dark mb-3">${Html.escape(label('types', campaign.type))}</span>
+      <h3 class="text-xl font-bold mb-2">${Html.escape(campaign.name)}</h3>
+      <p class="text-gray-700 mb-4 flex-grow">${Html.escape(campaign.summary)}</p>
+      <div class="h-3 rounded-full bg-gray-100 overflow-hidden mb-2" role="progressbar" aria-label="${Html.escape(I18n.t('donate.progress', { name: campaign.name }))}" aria-valuemin="0" aria-valuemax="100" data-campaign-bar>
+        <div class="h-full rounded-full transition-all duration-1000" style="width: 0; background: var(--gradient-primary);"></div>
+      </div>
+      <p class="text-sm text-gray-700">${Html.escape(I18n.t('donate.raisedOf', { goal: formatAmount(campaign.goal) })).replace('{raised}', '<strong data-campaign-raised></strong>')}</p>
+      <p class="text-sm text-gray-500 mb-4"><span data-campaign-donors></span>${campaign.closes ? ` &middot; ${Html.escape(I18n.t('donate.closes', { date: formatDate(campaign.closes) }))}` : ''}</p>
+      ${Donations.isOpen(campaign, today())
+        ? `<button type="button" class="btn-primary text-sm" data-donate-choose="${Html.escape(campaign.id)}">${Html.escape(I18n.t('donate.give'))}</button>`
+        : `<p class="text-sm font-medium text-gray-500">${Html.escape(I18n.t('donate.closed'))}</p>`}
+    </article>
+  `;
+
+  /**
+   * Update the totals and each campaign's progress
+   */
+  const updateCampaigns = () => {
+    const totals = Donations.totals(campaigns);
+    setText('total', formatAmount(totals.raised));
+    setText('donors', I18n.formatNumber(totals.donors));
+
+    campaigns.forEach(campaign => {
+      const card = listElement && listElement.querySelector(`[data-campaign="${campaign.id}"]`);
+      if (!card) return;
+      const percent = Donations.progress(campaign);
+      const bar = card.querySelector('[data-campaign-bar]');
+      bar.setAttribute('aria-valuenow', percent);
+      bar.firstElementChild.style.width = `${percent}%`;
+      card.querySelector('[data-campaign-raised]').textContent = formatAmount(campaign.raised);
+      card.querySelector('[data-campaign-donors]').textContent = campaign.donors === 1
+        ? I18n.t('donate.donorOne')
+        : I18n.t('donate.donors', { count: I18n.formatNumber(campaign.donors) });
+    });
+  };
+
+  /**
+   * Show the suggested amounts for the chosen frequency
+   */
+  const renderPresets = () => {
+    if (!presetsElement) return;
+    const frequency = getValue('frequency') || 'once';
+    presetsElement.innerHTML = Donations.PRESET_AMOUNTS[frequency].map(amount => `
+      <button type="button" class="px-4 py-2 rounded-lg border-2 border-primary-color text-primary-color font-medium hover:bg-gray-50 transition-colors" data-donate-amount="${amount}">${formatAmount(amount)}</button>
+    `).join('');
+  };
+
+  /**
+   * Show the tax credit for the amount entered
+   */
+  const updateCredit = () => {
+    if (!creditElement) return;
+    const amount = Donations.parseAmount(getValue('amount'));
+    creditElement.textContent = amount >= Donations.MIN_AMOUNT
+      ? I18n.t('donate.taxCredit', { amount: formatAmount(Donations.taxCredit(amount)) })
+      : '';
+  };
+
+  /**
+   * Offer recurring gifts only for campaigns that take them
+   */
+  const updateFrequencies = () => {
+    const campaign = campaigns.find(item => item.id === getValue('campaign'));
+    const recurring = !campaign || campaign.recurring;
+    form.querySelectorAll('[name="frequency"]').forEach(radio => {
+      radio.disabled = radio.value !== 'once' && !recurring;
+      if (radio.disabled && radio.checked) {
+        form.querySelector('[name="frequency"][value="once"]').checked = true;
+        renderPresets();
+      }
+    });
+  };
+
+  /**
+   * Choose a campaign in the form
+   * @param {string} id - Campaign id
+   */
+  const chooseCampaign = (id) => {
+    const select = getField('campaign');
+    if (!select || !Array.from(select.options).some(option => option.value === id)) return;
+    select.value = id;
+    updateFrequencies();
+    setFieldError('campaign', '');
+  };
+
+  /**
+   * Load the campaigns, live from the donations API where it is available
+   * @returns {Promise} Resolves once updated
+   */
+  const load = () => {
+    const getJSON = url => fetch(url, { cache: 'no-store' }).then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    });
+
+    return getJSON(`${settings.endpoint}/campaigns`)
+      .catch(() => getJSON(settings.dataUrl))
+      .then(data => {
+        const firstLoad = !campaigns.length;
+        charity = data.charity;
+        sample = Boolean(data.sample);
+        if (sampleNotice) sampleNotice.classList.toggle('hidden', !sample);
+        campaigns = data.campaigns;
+
+        if (firstLoad) {
+          if (listElement) listElement.innerHTML = campaigns.map(renderCampaign).join('');
+          const select = getField('campaign');
+          if (select) {
+            select.innerHTML = `<option value="">${Html.escape(I18n.t('donate.choose'))}</option>` + campaigns
+              .filter(campaign => Donations.isOpen(campaign, today()))
+              .map(campaign => `<option value="${Html.escape(campaign.id)}">${Html.escape(campaign.name)}</option>`).join('');
+            // ?campaign= takes a campaign id, or a type such as "zakat" for its open campaign
+            const params = new URLSearchParams(window.location.search);
+            const requested = params.get('campaign');
+            const chosen = campaigns.find(campaign => Donations.isOpen(campaign, today()) && (campaign.id === requested || campaign.type === requested)) ||
+              campaigns.find(campaign => campaign.featured && Donations.isOpen(campaign, today()));
+            chooseCampaign(chosen ? chosen.id : '');
+
+            // ?amount= comes from the Zakat calculator
+            const amount = Donations.parseAmount(params.get('amount'));
+            if (!isNaN(amount) && getField('amount')) {
+              getField('amount').value = amount;
+              updateCredit();
+            }
+          }
+        }
+        // Let the bars grow from zero on the first load
+        requestAnimationFrame(updateCampaigns);
+        setText('updated', I18n.t('donate.updated', { time: I18n.formatTime(new Date(), { hour: 'numeric', minute: '2-digit' }) }));
+      })
+      .catch(error => {
+        console.error('DonationPage: Could not load the campaigns', error);
+        if (!campaigns.length && listElement) {
+          listElement.innerHTML = `<p class="text-gray-600">${Html.escape(I18n.t('donate.loadError'))}</p>`;
+        }
+      });
+  };
+
+  /**
+   * Thank the donor and offer their receipt
+   * @param {Object} donation - Paid donation
+   */
+  const showReceipt = (donation) => {
+    receipt = donation;
+    if (form) form.classList.add('hidden');
+    if (resultElement) resultElement.classList.remove('hidden');
+    setText('result-text', I18n.t(`donate.received.${donation.frequency}`, {
+      amount: formatAmount(donation.amount),
+      campaign: donation.campaignName,
+      receipt: donation.receiptNumber
+    }));
+    resultElement?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    load();
+  };
+
+  /**
+   * Save the receipt as a page the donor can print or keep for their tax credit claim
+   */
+  const downloadReceipt = () => {
+    if (!receipt || !charity) return;
+    const blob = new Blob([Donations.receiptHTML(receipt, charity, sample)], { type: 'text/html' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `nzbi-receipt-${receipt.receiptNumber}.html`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  };
+
+  /**
+   * Show the donation a donor has returned with from a hosted payment page
+   * @param {string} id - Donation id
+   */
+  const showReturnedDonation = (id) => fetch(`${settings.endpoint}/${encodeURIComponent(id)}`)
+    .then(response => (response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`))))
+    .then(data => {
+      if (data.donation.status === 'paid') return showReceipt(data.donation);
+      showStatus('error', Html.escape(I18n.t('donate.pending')));
+    })
+    .catch(() => showStatus('error', Html.escape(I18n.t('donate.notFound'))));
+
+  const setSending = (value) => {
+    sending = value;
+    if (!submitButton) return;
+    submitButton.disabled = value;
+    submitButton.classList.toggle('opacity-60', value);
+    submitButton.textContent = value ? I18n.t('donate.processing') : submitLabel;
+  };
+
+  /**
+   * Check the form and start the payment
+   * @param {Event} event - Submit event
+   */
+  const submit = (event) => {
+    event.preventDefault();
+    if (sending) return;
+    clearStatus();
+
+    const donation = {
+      campaign: getValue('campaign'),
+      frequency: (form.querySelector('[name="frequency"]:checked') || {}).value,
+      amount: getValue('amount'),
+      name: getValue('name'),
+      email: getValue('email')
+    };
+
+    const errors = Donations.validate(donation, campaigns, today(), language);
+    ['campaign', 'frequency', 'amount', 'name', 'email'].forEach(name => setFieldError(name, errors[name] || ''));
+    const invalid = Object.keys(errors);
+    if (invalid.length) {
+      const field = getField(invalid[0]);
+      (field.focus ? field : field[0]).focus();
+      return;
+    }
+
+    setSending(true);
+    fetch(settings.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body: JSON.stringify(Object.assign(donation, {
+        website: getValue('website'),
+        elapsedSeconds: Math.round((Date.now() - startedAt) / 1000)
+      }))
+    })
+      .then(response => response.json().catch(() => ({})).then(data => ({ ok: response.ok, status: response.status, data })))
+      .then(({ ok, status, data }) => {
+        if (ok && data.redirectUrl) {
+          window.location.assign(data.redirectUrl);
+          return;
+        }
+        if (ok && data.donation) return showReceipt(data.donation);
+        if (ok) return showStatus('success', `<strong>${Html.escape(I18n.t('donate.thanks'))}</strong>`);
+
+        if (data.errors) {
+          Object.keys(data.errors).forEach(name => setFieldError(name, data.errors[name]));
+          return showStatus('error', Html.escape(I18n.t('donate.fixFields')));
+        }
+        if (status === 402) return showStatus('error', `<strong>${Html.escape(I18n.t('donate.declinedTitle'))}</strong> ${Html.escape(data.error)}`);
+        const email = charity ? `<a href="mailto:${Html.escape(charity.email)}" class="underline">${Html.escape(charity.email)}</a>` : '';
+        showStatus('error', strongMessage('donate.failed').replace('{email}', email));
+      })
+      .catch(() => showStatus('error', strongMessage('donate.unreachable')))
+      .then(() => setSending(false));
+  };
+
+  // Set up the form
+  if (form) {
+    renderPresets();
+    form.setAttribute('novalidate', '');
+    form.addEventListener('submit', submit);
+    form.addEventListener('change', event => {
+      if (event.target.name === 'frequency') renderPresets();
+      if (event.target.name === 'campaign') updateFrequencies();
+    });
+    getField('amount')?.addEventListener('input', updateCredit);
+    presetsElement?.addEventListener('click', event => {
+      const button = event.target.closest('[data-donate-amount]');
+      if (!button) return;
+      getField('amount').value = button.dataset.donateAmount;
+      setFieldError('amount', '');
+      updateCredit();
+    });
+  }
+  listElement?.addEventListener('click', event => {
+    const button = event.target.closest('[data-donate-choose]');
+    if (!button) return;
+    chooseCampaign(button.dataset.donateChoose);
+    form?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  });
+  receiptButton?.addEventListener('click', downloadReceipt);
+
+  load().then(() => {
+    const returned = new URLSearchParams(window.location.search).get('donation');
+    if (returned) showReturnedDonation(returned);
+  });
+
+  // Keep the progress live while the page is open
+  setInterval(() => {
+    if (document.visibilityState === 'visible') load();
+  }, settings.refreshSeconds * 1000);
+
+  // Return public methods
+  return {
+    load,
+    chooseCampaign,
+    submit,
+    downloadReceipt
+  };
+}
+
+/**
+ * Initialize the donate page
+ */
+function initDonationPage() {
+  const element = document.getElementById('donate');
+  if (!element) return;
+
+  // Amounts, dates and messages are shown in the page language
+  I18n.ready.then(() => new DonationPage({ element, endpoint: element.dataset.endpoint || '/api/donations' }));
+}
+
+document.addEventListener('DOMContentLoaded', initDonationPage);
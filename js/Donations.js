@@ -0,0 +1,242 @@
+/**
+ * Donations.js
+ * Shared rules for donations to the campaigns in /data/campaigns.json: campaign and
+ * frequency labels, amount checks, progress and totals, and the donation receipt
+ * with the New Zealand donation tax credit wording.
+ * Used by the donate page, the home page counters and the mock donations endpoint.
+ *
+ * Messages and amounts are in English. The donate page passes
+ * { t: I18n.t, locale: I18n.intlLocale() } to validate() and the locale to formatAmount()
+ * to show them in the page language, from the "donations" keys in locales/*.json.
+ * The receipt stays in English, the language of the tax credit claim.
+ */
+
+const Donations = (function() {
+  /** Kinds of campaign */
+  const CAMPAIGN_TYPES = {
+    zakat: 'Zakat',
+    sadaqah: 'Sadaqah',
+    building: 'Mosque building',
+    eid: 'Eid appeal'
+  };
+
+  /** How often a donation is taken */
+  const FREQUENCIES = {
+    once: 'One-off',
+    weekly: 'Weekly',
+    monthly: 'Monthly'
+  };
+
+  /** Suggested amounts in dollars for each frequency */
+  const PRESET_AMOUNTS = {
+    once: [25, 50, 100, 250],
+    weekly: [5, 10, 20, 50],
+    monthly: [10, 20, 50, 100]
+  };
+
+  // Donations of $5 or more qualify for the donation tax credit
+  const MIN_AMOUNT = 5;
+  const MAX_AMOUNT = 50000;
+
+  /** Share of a donation that can be claimed back from Inland Revenue */
+  const TAX_CREDIT_RATE = 1 / 3;
+
+  const Markup = typeof Html !== 'undefined' ? Html : require('./Html.js');
+
+  /** English field errors, under the "donations" key of locales/en.json */
+  const MESSAGES = {
+    chooseCampaign: 'Please choose a campaign.',
+    campaignClosed: 'This appeal has closed. Please choose another campaign.',
+    chooseFrequency: 'Please choose how often to give.',
+    onceOnly: 'This appeal only takes one-off donations.',
+    amountInvalid: 'Please enter an amount in dollars, e.g. 50.',
+    amountSmall: 'The smallest donation we can take online is {amount}.',
+    amountLarge: 'For gifts over {amount}, please contact us for bank transfer details.',
+    nameInvalid: 'Please enter your full name for the receipt.',
+    emailInvalid: 'Please enter a valid email address, e.g. name@example.com.'
+  };
+
+  /**
+   * The English text, as a translate function like I18n.t
+   * @param {string} key - "donations.<message>"
+   * @param {Object} params - Values for {name} placeholders
+   * @returns {string} Text
+   */
+  function english(key, params) {
+    return MESSAGES[key.split('.')[1]].replace(/\{(\w+)\}/g, (match, param) => (params && param in params ? String(params[param]) : match));
+  }
+
+  /**
+   * Read an amount typed by a donor
+   * @param {string|number} value - e.g. "50", "$1,000" or 12.5
+   * @returns {number} Dollars, or NaN if it is not an amount in dollars and cents
+   */
+  function parseAmount(value) {
+    const text = String(value ?? '').replace(/[$,\s]/g, '');
+    return /^\d+(\.\d{1,2})?$/.test(text) ? Number(text) : NaN;
+  }
+
+  /**
+   * Format dollars, with cents only when there are some
+   * @param {number} amount - Dollars
+   * @param {string} locale - Locale for Intl (default "en-NZ")
+   * @returns {string} e.g. "$1,250" or "$12.50"
+   */
+  function formatAmount(amount, locale) {
+    return amount.toLocaleString(locale || 'en-NZ', {
+      style: 'currency',
+      currency: 'NZD',
+      minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+      maximumFractionDigits: 2
+    });
+  }
+
+  /**
+   * Whether a campaign still takes donations
+   * @param {Object} campaign - Campaign
+   * @param {string} today - Today as YYYY-MM-DD
+   * @returns {boolean} True until the day after it closes
+   */
+  function isOpen(campaign, today) {
+    return !campaign.closes || today <= campaign.closes;
+  }
+
+  /**
+   * Progress towards a campaign's goal
+   * @param {Object} campaign - Campaign
+   * @returns {number} Percentage, 0-100
+   */
+  function progress(campaign) {
+    if (!campaign.goal) return 0;
+    return Math.min(100, Math.floor((campaign.raised / campaign.goal) * 100));
+  }
+
+  /**
+   * Totals across every campaign
+   * @param {Array} campaigns - Campaigns
+   * @returns {Object} raised, donors and goal
+   */
+  function totals(campaigns) {
+    return campaigns.reduce((sum, campaign) => ({
+      raised: sum.raised + (campaign.raised || 0),
+      donors: sum.donors + (campaign.donors || 0),
+      goal: sum.goal + (campaign.goal || 0)
+    }), { raised: 0, donors: 0, goal: 0 });
+  }
+
+  /**
+   * Tax credit a donor can claim for an amount
+   * @param {number} amount - Dollars
+   * @returns {number} Dollars, rounded down to the cent
+   */
+  function taxCredit(amount) {
+    return amount >= MIN_AMOUNT ? Math.floor(amount * TAX_CREDIT_RATE * 100) / 100 : 0;
+  }
+
+  /**
+   * Check a donation
+   * @param {Object} donation - campaign, frequency, amount, name and email
+   * @param {Array} campaigns - Campaigns
+   * @param {string} today - Today as YYYY-MM-DD
+   * @param {Object} language - t (like I18n.t) and locale (for Intl), both optional; English by default
+   * @returns {Object} Field errors, empty if valid
+   */
+  function validate(donation, campaigns, today, language) {
+    const errors = {};
+    const t = (language && language.t) || english;
+    const message = (key, params) => t(`donations.${key}`, params);
+    const amountText = value => formatAmount(value, language && language.locale);
+    const text = name => (typeof donation[name] === 'string' ? donation[name].trim() : '');
+    const campaign = campaigns.find(item => item.id === donation.campaign);
+    const amount = parseAmount(donation.amount);
+
+    if (!campaign) errors.campaign = message('chooseCampaign');
+    else if (!isOpen(campaign, today)) errors.campaign = message('campaignClosed');
+
+    if (!(donation.frequency in FREQUENCIES)) errors.frequency = message('chooseFrequency');
+    else if (donation.frequency !== 'once' && campaign && !campaign.recurring) errors.frequency = message('onceOnly');
+
+    if (isNaN(amount)) errors.amount = message('amountInvalid');
+    else if (amount < MIN_AMOUNT) errors.amount = message('amountSmall', { amount: amountText(MIN_AMOUNT) });
+    else if (amount > MAX_AMOUNT) errors.amount = message('amountLarge', { amount: amountText(MAX_AMOUNT) });
+
+    if (text('name').length < 2 || text('name').length > 100) errors.name = message('nameInvalid');
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(text('email'))) errors.email = message('emailInvalid');
+
+    return errors;
+  }
+
+  /**
+   * Donation receipt, as a printable page the donor can save
+   * @param {Object} donation - Paid donation with receiptNumber, name, amount, frequency, campaignName, paidAt and reference
+   * @param {Object} charity - name, registrationNumber, address and email from /data/campaigns.json
+   * @param {boolean} sample - The charity details are placeholders ("sample": true in the data), so the
+   *   receipt says it cannot be used for a tax credit
+   * @returns {string} HTML document
+   */
+  function receiptHTML(donation, charity, sample = false) {
+    const date = new Date(donation.paidAt).toLocaleDateString('en-NZ', {
+      timeZone: 'Pacific/Auckland', day: 'numeric', month: 'long', year: 'numeric'
+    });
+    const credit = taxCredit(donation.amount);
+    const rows = [
+      ['Receipt number', donation.receiptNumber],
+      ['Date received', date],
+      ['Received from', donation.name],
+      ['Donation', formatAmount(donation.amount)],
+      ['Campaign', donation.campaignName],
+      ['Payment reference', donation.reference]
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${sample ? 'Sample - ' : ''}Donation receipt ${Markup.escape(donation.receiptNumber)} - ${Markup.escape(charity.name)}</title>
+<style>
+  body { font-family: Poppins, Arial, sans-serif; color: #111827; max-width: 640px; margin: 40px auto; padding: 0 24px; line-height: 1.5; }
+  h1 { font-size: 24px; margin-bottom: 4px; }
+  table { width: 100%; border-collapse: collapse; margin: 24px 0; }
+  th, td { text-align: left; padding: 8px 0; border-bottom: 1px solid #e5e7eb; }
+  th { width: 40%; color: #4b5563; font-weight: 500; }
+  .note { font-size: 14px; color: #374151; }
+  .sample { padding: 12px 16px; border: 2px solid #b91c1c; border-radius: 8px; color: #b91c1c; font-weight: 600; }
+</style>
+</head>
+<body>
+${sample ? '<p class="sample">Sample receipt: the charity details below are placeholders, so this is not a valid receipt and cannot be used to claim a donation tax credit.</p>\n' : ''}<h1>${Markup.escape(charity.name)}</h1>
+<p>Registered charity ${Markup.escape(charity.registrationNumber)} &middot; ${Markup.escape(charity.address)} &middot; ${Markup.escape(charity.email)}</p>
+<h2>Donation receipt</h2>
+<table>
+${rows.map(([label, value]) => `  <tr><th>${label}</th><td>${Markup.escape(value)}</td></tr>`).join('\n')}
+</table>
+<p class="note">${Markup.escape(charity.name)} is a registered charity in New Zealand (registration number ${Markup.escape(charity.registrationNumber)}). This receipt is for a donation: no goods or services were provided in return.</p>
+<p class="note">Donations of ${formatAmount(MIN_AMOUNT)} or more are eligible for a donation tax credit. You can claim back 33⅓% of this donation (${formatAmount(credit)}) from Inland Revenue through myIR or with an IR526 form after the tax year ends on 31 March. Please keep this receipt for your claim.</p>
+${donation.frequency === 'once' ? '' : `<p class="note">This receipt is for one payment of your ${Markup.escape(FREQUENCIES[donation.frequency].toLowerCase())} donation. You will receive a receipt for each payment.</p>\n`}<p class="note">Jazakum Allahu khayran for your generosity.</p>
+</body>
+</html>
+`;
+  }
+
+  // Return public methods
+  return {
+    CAMPAIGN_TYPES,
+    FREQUENCIES,
+    PRESET_AMOUNTS,
+    MIN_AMOUNT,
+    MAX_AMOUNT,
+    MESSAGES,
+    parseAmount,
+    formatAmount,
+    isOpen,
+    progress,
+    totals,
+    taxCredit,
+    validate,
+    receiptHTML
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Donations;
+}
@@ -0,0 +1,414 @@
+/**
+ * HijriCalendar.js
+ * Hijri/Gregorian conversion for New Zealand
+ *
+ * Month starts come from three sources, in order of preference:
+ * 1. Confirmed starts announced by the Board (see /data/month-starts.json)
+ * 2. The sighting rule applied to the previous month: if the crescent is
+ *    predicted to be visible on the evening of the 29th the next month begins
+ *    the following day, otherwise the month is completed as 30 days
+ * 3. A direct astronomical prediction: the day after the first evening on
+ *    which the crescent is predicted to be visible after the new moon
+ * The arithmetic (tabular) calendar is used to estimate where to look.
+ *
+ * Requires /js/Lunar.js
+ */
+
+const HijriCalendar = (function() {
+  const LunarEngine = typeof Lunar !== 'undefined' ? Lunar : require('./Lunar.js');
+
+  const MONTHS = [
+    'Muharram', 'Safar', "Rabi' al-Awwal", "Rabi' al-Thani", 'Jumada al-Ula', 'Jumada al-Thani',
+    'Rajab', "Sha'ban", 'Ramadan', 'Shawwal', "Dhul Qa'dah", 'Dhul Hijjah'
+  ];
+
+  const MONTHS_ARABIC = [
+    'محرم', 'صفر', 'ربيع الأول', 'ربيع الآخر', 'جمادى الأولى', 'جمادى الآخرة',
+    'رجب', 'شعبان', 'رمضان', 'شوال', 'ذو القعدة', 'ذو الحجة'
+  ];
+
+  /**
+   * Key dates in the Hijri year. Entries with `wholeMonth` span the month.
+   */
+  const KEY_DATES = [
+    { id: 'new-year', month: 1, day: 1, name: 'Islamic New Year', type: 'key' },
+    { id: 'ashura', month: 1, day: 10, name: 'Day of Ashura', type: 'key' },
+    { id: 'isra-miraj', month: 7, day: 27, name: "Isra' and Mi'raj", type: 'key' },
+    { id: 'ramadan', month: 9, day: 1, name: 'Ramadan', type: 'ramadan', wholeMonth: true },
+    { id: 'laylat-al-qadr', month: 9, day: 27, name: 'Laylat al-Qadr (27th night)', type: 'key', evening: true },
+    { id: 'eid-al-fitr', month: 10, day: 1, name: 'Eid al-Fitr', type: 'eid' },
+    { id: 'arafah', month: 12, day: 9, name: 'Day of Arafah', type: 'key' },
+    { id: 'eid-al-adha', month: 12, day: 10, name: 'Eid al-Adha', type: 'eid' }
+  ];
+
+  // Months are chained from a confirmed start for at most this many months
+  const MAX_CHAIN = 12;
+
+  const DEFAULTS = {
+    // Auckland, home to the Board and the country's largest Muslim community, and the default city for prayer times
+    location: { latitude: -36.8485, longitude: 174.7633 },
+    criterion: 'yallop',
+    timeZone: 'Pacific/Auckland'
+  };
+
+  // Naked-eye visibility codes for each criterion
+  const CRITERIA = {
+    yallop: result => ['A', 'B'].includes(result.yallop.code),
+    odeh: result => result.odeh.code === 'A'
+  };
+
+  let settings = Object.assign({}, DEFAULTS);
+  let confirmed = {};
+  let cache = {};
+
+  const monthIndex = (year, month) => year * 12 + month - 1;
+  const fromMonthIndex = index => ({ year: Math.floor(index / 12), month: (index % 12) + 1 });
+
+  /**
+   * Convert a Gregorian date to a Julian day number
+   * @param {Object} date - {year, month, day}
+   * @returns {number} Julian day at midnight
+   */
+  function gregorianToJulianDay(date) {
+    return Date.UTC(date.year, date.month - 1, date.day) / 86400000 + 2440587.5;
+  }
+
+  /**
+   * Convert a Julian day number to a Gregorian date
+   * @param {number} jd - Julian day
+   * @returns {Object} {year, month, day}
+   */
+  function julianDayToGregorian(jd) {
+    const date = new Date(Math.round((jd - 2440587.5) * 86400000));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+  }
+
+  /**
+   * Add days to a Gregorian date
+   * @param {Object} date - {year, month, day}
+   * @param {number} days - Days to add
+   * @returns {Object} {year, month, day}
+   */
+  function addDays(date, days) {
+    return julianDayToGregorian(gregorianToJulianDay(date) + days);
+  }
+
+  /**
+   * Days between two Gregorian dates
+   * @param {Object} from - {year, month, day}
+   * @param {Object} to - {year, month, day}
+   * @returns {number} Whole days from `from` to `to`
+   */
+  function daysBetween(from, to) {
+    return Math.round(gregorianToJulianDay(to) - gregorianToJulianDay(from));
+  }
+
+  /**
+   * Parse an ISO date string
+   * @param {string} value - Date as YYYY-MM-DD
+   * @returns {Object} {year, month, day}
+   */
+  function parseDate(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return { year, month, day };
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD
+   * @param {Object} date - {year, month, day}
+   * @returns {string} ISO date
+   */
+  function formatDate(date) {
+    return `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+  }
+
+  /**
+   * Tabular (arithmetic) Hijri date to Julian day
+   * @param {number} year - Hijri year
+   * @param {number} month - Hijri month (1-12)
+   * @param {number} day - Hijri day
+   * @returns {number} Julian day
+   */
+  function tabularToJulianDay(year, month, day) {
+    return day + Math.ceil(29.5 * (month - 1)) + (year - 1) * 354 +
+      Math.floor((3 + 11 * year) / 30) + 1948439.5 - 1;
+  }
+
+  /**
+   * Gregorian date to tabular Hijri date
+   * @param {Object} date - {year, month, day}
+   * @returns {Object} {year, month, day} in the Hijri calendar
+   */
+  function tabularFromGregorian(date) {
+    const jd = gregorianToJulianDay(date);
+    const year = Math.floor((30 * (jd - 1948439.5) + 10646) / 10631);
+    const month = Math.min(12, Math.ceil((jd - (29 + tabularToJulianDay(year, 1, 1))) / 29.5) + 1);
+    const day = jd - tabularToJulianDay(year, month, 1) + 1;
+    return { year, month, day };
+  }
+
+  /**
+   * Tabular Hijri date to Gregorian date
+   * @param {number} year - Hijri year
+   * @param {number} month - Hijri month (1-12)
+   * @param {number} day - Hijri day
+   * @returns {Object} {year, month, day}
+   */
+  function tabularToGregorian(year, month, day) {
+    return julianDayToGregorian(tabularToJulianDay(year, month, day));
+  }
+
+  /**
+   * Whether the crescent is predicted to be visible on an evening
+   * @param {Object} date - {year, month, day} of the evening
+   * @returns {boolean} True if visible under the configured criterion
+   */
+  function isCrescentVisible(date) {
+    const result = LunarEngine.crescentVisibility(date, settings.location);
+    return Boolean(result && result.ageHours > 0 && CRITERIA[settings.criterion](result));
+  }
+
+  /**
+   * Predict a month start directly from the new moon
+   * @param {number} year - Hijri year
+   * @param {number} month - Hijri month
+   * @returns {Object} Month start record
+   */
+  function predictFromNewMoon(year, month) {
+    const estimate = tabularToGregorian(year, month, 1);
+    const midnight = new Date(Date.UTC(estimate.year, estimate.month - 1, estimate.day));
+    const previous = LunarEngine.previousNewMoon(midnight);
+    const next = LunarEngine.nextNewMoon(midnight);
+    const newMoon = midnight - previous < next - midnight ? previous : next;
+
+    const localDate = new Intl.DateTimeFormat('en-CA', {
+      timeZone: settings.timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+    }).format(newMoon);
+
+    let evening = parseDate(localDate);
+    for (let i = 0; i < 3 && !isCrescentVisible(evening); i++) {
+      evening = addDays(evening, 1);
+    }
+
+    return { start: addDays(evening, 1), sightingEvening: evening, status: 'expected' };
+  }
+
+  /**
+   * Predict a month start from the start of the previous month
+   * @param {Object} previousStart - {year, month, day} the previous month began
+   * @returns {Object} Month start record
+   */
+  function predictFromPreviousMonth(previousStart) {
+    const evening = addDays(previousStart, 28);
+    const start = addDays(evening, isCrescentVisible(evening) ? 1 : 2);
+    return { start, sightingEvening: evening, status: 'expected' };
+  }
+
+  /**
+   * Find the most recent confirmed month at or before a month
+   * @param {number} index - Month index
+   * @returns {number|null} Month index of the confirmed start
+   */
+  function latestConfirmedBefore(index) {
+    const indexes = Object.keys(confirmed).map(Number).filter(i => i <= index);
+    return indexes.length ? Math.max(...indexes) : null;
+  }
+
+  /**
+   * Start of a Hijri month in New Zealand
+   * @param {number} year - Hijri year
+   * @param {number} month - Hijri month (1-12)
+   * @returns {Object} year, month, name, start, sightingEvening and status ('confirmed' or 'expected')
+   */
+  function monthStart(year, month) {
+    const index = monthIndex(year, month);
+    if (cache[index]) return cache[index];
+
+    let record;
+    const anchor = latestConfirmedBefore(index);
+
+    if (confirmed[index]) {
+      record = confirmed[index];
+    } else if (anchor !== null && index - anchor <= MAX_CHAIN) {
+      const previous = fromMonthIndex(index - 1);
+      record = predictFromPreviousMonth(monthStart(previous.year, previous.month).start);
+    } else {
+      record = predictFromNewMoon(year, month);
+    }
+
+    cache[index] = Object.assign({ year, month, name: MONTHS[month - 1], nameArabic: MONTHS_ARABIC[month - 1] }, record);
+    return cache[index];
+  }
+
+  /**
+   * Number of days in a Hijri month (29 or 30)
+   * @param {number} year - Hijri year
+   * @param {number} month - Hijri month
+   * @returns {number} Days in the month
+   */
+  function monthLength(year, month) {
+    const next = fromMonthIndex(monthIndex(year, month) + 1);
+    return daysBetween(monthStart(year, month).start, monthStart(next.year, next.month).start);
+  }
+
+  /**
+   * Convert a Gregorian date to a Hijri date
+   * @param {Object} date - {year, month, day}
+   * @returns {Object} year, month, day, name and status of the month start
+   */
+  function fromGregorian(date) {
+    const estimate = tabularFromGregorian(date);
+    let index = monthIndex(estimate.year, estimate.month);
+
+    // The tabular estimate can be a day or two out either side of a month boundary
+    let current = fromMonthIndex(index);
+    while (daysBetween(monthStart(current.year, current.month).start, date) < 0) {
+      current = fromMonthIndex(--index);
+    }
+    let next = fromMonthIndex(index + 1);
+    while (daysBetween(monthStart(next.year, next.month).start, date) >= 0) {
+      current = next;
+      next = fromMonthIndex(++index + 1);
+    }
+
+    const record = monthStart(current.year, current.month);
+    return {
+      year: current.year,
+      month: current.month,
+      day: daysBetween(record.start, date) + 1,
+      name: record.name,
+      nameArabic: record.nameArabic,
+      status: record.status
+    };
+  }
+
+  /**
+   * Convert a Hijri date to a Gregorian date
+   * @param {number} year - Hijri year
+   * @param {number} month - Hijri month (1-12)
+   * @param {number} day - Hijri day (1-30)
+   * @returns {Object} {year, month, day}
+   */
+  function toGregorian(year, month, day) {
+    return addDays(monthStart(year, month).start, day - 1);
+  }
+
+  /**
+   * Hijri date for the current day in New Zealand
+   * @param {Date} now - Current instant (defaults to now)
+   * @returns {Object} Hijri date
+   */
+  function today(now) {
+    const localDate = new Intl.DateTimeFormat('en-CA', {
+      timeZone: settings.timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+    }).format(now || new Date());
+    return fromGregorian(parseDate(localDate));
+  }
+
+  /**
+   * List the months following the current one
+   * @param {number} count - Number of months
+   * @param {Date} now - Current instant (defaults to now)
+   * @returns {Array} Month start records
+   */
+  function upcomingMonths(count, now) {
+    const current = today(now);
+    const index = monthIndex(current.year, current.month);
+    return Array.from({ length: count }, (_, i) => {
+      const { year, month } = fromMonthIndex(index + 1 + i);
+      return monthStart(year, month);
+    });
+  }
+
+  /**
+   * Key dates falling within a Gregorian date range
+   * @param {Object} from - First {year, month, day} (inclusive)
+   * @param {Object} to - Last {year, month, day} (inclusive)
+   * @returns {Array} Key dates with id, key (the id in KEY_DATES), name, type, hijri date,
+   *   Gregorian date, end (exclusive) and status
+   */
+  function keyDates(from, to) {
+    const firstYear = tabularFromGregorian(from).year;
+    const lastYear = tabularFromGregorian(to).year;
+    const results = [];
+
+    for (let year = firstYear; year <= lastYear; year++) {
+      KEY_DATES.forEach(keyDate => {
+        const record = monthStart(year, keyDate.month);
+        const date = addDays(record.start, keyDate.day - 1);
+        const next = fromMonthIndex(monthIndex(year, keyDate.month) + 1);
+        const end = keyDate.wholeMonth ? monthStart(next.year, next.month).start : addDays(date, 1);
+
+        if (daysBetween(from, end) <= 0 || daysBetween(date, to) < 0) return;
+
+        results.push({
+          id: `${year}-${keyDate.id}`,
+          key: keyDate.id,
+          name: keyDate.wholeMonth ? `${keyDate.name} ${year}` : keyDate.name,
+          type: keyDate.type,
+          hijri: { year, month: keyDate.month, day: keyDate.day },
+          date,
+          end,
+          evening: Boolean(keyDate.evening),
+          status: record.status
+        });
+      });
+    }
+
+    return results.sort((a, b) => daysBetween(b.date, a.date));
+  }
+
+  /**
+   * Set the confirmed month starts announced by the Board
+   * @param {Array} list - Records with year, month, start (YYYY-MM-DD) and optional sightingEvening and note
+   */
+  function setConfirmed(list) {
+    confirmed = {};
+    (list || []).forEach(item => {
+      const start = parseDate(item.start);
+      confirmed[monthIndex(item.year, item.month)] = {
+        start,
+        sightingEvening: item.sightingEvening ? parseDate(item.sightingEvening) : addDays(start, -1),
+        status: 'confirmed',
+        note: item.note || ''
+      };
+    });
+    cache = {};
+  }
+
+  /**
+   * Change the location or visibility criterion used for predictions
+   * @param {Object} options - location, criterion and timeZone
+   */
+  function configure(options) {
+    settings = Object.assign({}, settings, options);
+    cache = {};
+  }
+
+  // Return public methods
+  return {
+    MONTHS,
+    MONTHS_ARABIC,
+    KEY_DATES,
+    DEFAULTS,
+    configure,
+    setConfirmed,
+    monthStart,
+    monthLength,
+    fromGregorian,
+    toGregorian,
+    today,
+    upcomingMonths,
+    keyDates,
+    tabularFromGregorian,
+    tabularToGregorian,
+    addDays,
+    daysBetween,
+    formatDate,
+    parseDate
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HijriCalendar;
+}
@@ -0,0 +1,94 @@
+/**
+ * HijriMonthsTable.js
+ * Fills the "Upcoming Islamic Months" table from the Hijri calendar engine
+ * Requires /js/I18n.js, /js/Lunar.js and /js/HijriCalendar.js
+ */
+
+/**
+ * HijriMonthsTable - Lists upcoming month starts, marking each as expected or confirmed
+ * @param {Object} options - Configuration options
+ */
+function HijriMonthsTable(options) {
+  // Merge options with defaults
+  const settings = Object.assign({
+    element: null,
+    count: 4,
+    dataUrl: '/data/month-starts.json',
+    locale: I18n.intlLocale()
+  }, options);
+
+  if (!settings.element) return console.error('HijriMonthsTable: No element specified');
+
+  const bodyElement = settings.element.querySelector('[data-hijri-months-body]');
+
+  /**
+   * Format a calendar date as "Tuesday, 1 April 2025"
+   * @param {Object} date - {year, month, day}
+   * @returns {string} Formatted date
+   */
+  const formatDate = date => new Date(Date.UTC(date.year, date.month - 1, date.day))
+    .toLocaleDateString(settings.locale, {
+      timeZone: 'UTC',
+      weekday: 'long',
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric'
+    });
+
+  const statusBadge = status => status === 'confirmed'
+    ? `<span class="inline-block px-2 py-1 rounded-full text-xs font-semibold bg-green-100 text-green-800">${I18n.t('hijri.confirmed')}</span>`
+    : `<span class="inline-block px-2 py-1 rounded-full text-xs font-semibold bg-gray-200 text-gray-700">${I18n.t('hijri.expected')}</span>`;
+
+  const render = () => {
+    if (!bodyElement) return;
+
+    bodyElement.innerHTML = HijriCalendar.upcomingMonths(settings.count).map(month => {
+      const name = I18n.t(`hijri.months.${month.month}`);
+      return `
+      <tr>
+        <td class="py-3 px-4">
+          <span class="font-medium">${name} ${month.year}</span>
+          ${name === month.nameArabic ? '' : `<span class="font-arabic text-gray-500 ml-2" lang="ar">${month.nameArabic}</span>`}
+        </td>
+        <td class="py-3 px-4">${formatDate(month.start)}</td>
+        <td class="py-3 px-4">${formatDate(month.sightingEvening)}</td>
+        <td class="py-3 px-4">${statusBadge(month.status)}</td>
+      </tr>
+    `;
+    }).join('');
+  };
+
+  /**
+   * Load the confirmed month starts, falling back to predictions alone
+   * @returns {Promise} Resolves once the table is rendered
+   */
+  const load = () => fetch(settings.dataUrl)
+    .then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    })
+    .then(data => HijriCalendar.setConfirmed(data.monthStarts))
+    .catch(error => console.error('HijriMonthsTable: Could not load confirmed month starts', error))
+    .then(render);
+
+  load();
+
+  // Return public methods
+  return {
+    render,
+    load
+  };
+}
+
+/**
+ * Initialize the upcoming months table
+ */
+function initHijriMonthsTable() {
+  const element = document.getElementById('hijri-months');
+  if (!element) return;
+
+  // Month names and dates are shown in the page language
+  I18n.ready.then(() => new HijriMonthsTable({ element }));
+}
+
+document.addEventListener('DOMContentLoaded', initHijriMonthsTable);
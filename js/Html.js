@@ -0,0 +1,27 @@
+/**
+ * Html.js
+ * Helpers for building HTML from text, shared by the page scripts and the build
+ * scripts so every page escapes text the same way
+ */
+
+const Html = (function() {
+  /**
+   * Escape text for safe use in HTML, in element content and in quoted attributes
+   * @param {*} value - Text to escape; null and undefined give an empty string
+   * @returns {string} Escaped text
+   */
+  function escape(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  return { escape };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Html;
+}
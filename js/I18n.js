@@ -0,0 +1,221 @@
+/**
+ * I18n.js
+ * Translations from the locale files in /locales/, for the navigation, the footer and the
+ * site's JavaScript components. Sets the page language and text direction, and formats
+ * numbers and dates for the chosen language.
+ * Loaded in the <head> of every page so right-to-left pages are laid out from the start.
+ */
+
+const I18n = (function() {
+  /** Languages the site is translated into, by language code */
+  const LOCALES = {
+    en: { name: 'English', dir: 'ltr', intl: 'en-NZ' },
+    mi: { name: 'Te Reo Māori', dir: 'ltr', intl: 'mi-NZ' },
+    ar: { name: 'العربية', dir: 'rtl', intl: 'ar' },
+    ur: { name: 'اردو', dir: 'rtl', intl: 'ur' },
+    so: { name: 'Soomaali', dir: 'ltr', intl: 'so' }
+  };
+
+  // English is complete, and fills in any string another language does not have yet
+  const DEFAULT_LOCALE = 'en';
+  const STORAGE_KEY = 'nzbi-locale';
+  const BASE_URL = '/locales';
+
+  let locale = DEFAULT_LOCALE;
+  let messages = {};
+  let fallback = {};
+
+  /**
+   * Choose a language: ?lang= in the URL, then the visitor's saved choice, then their
+   * browser languages
+   * @returns {string} Key in LOCALES
+   */
+  function detect() {
+    const requested = new URLSearchParams(window.location.search).get('lang');
+    if (LOCALES[requested]) return requested;
+
+    let saved = null;
+    try {
+      saved = localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+      // Storage can be blocked; the browser languages still apply
+    }
+    if (LOCALES[saved]) return saved;
+
+    const preferred = (navigator.languages || [navigator.language || ''])
+      .map(language => language.toLowerCase().split('-')[0])
+      .find(language => LOCALES[language]);
+    return preferred || DEFAULT_LOCALE;
+  }
+
+  /**
+   * Look up a dotted key such as "nav.home"
+   * @param {Object} catalog - Messages
+   * @param {string} key - Key
+   * @returns {string|undefined} Message
+   */
+  function lookup(catalog, key) {
+    const value = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+    return typeof value === 'string' ? value : undefined;
+  }
+
+  /**
+   * Translate a message
+   * @param {string} key - Dotted key in the locale files
+   * @param {Object} params - Values for {name} placeholders
+   * @returns {string} Message in the current language, in English if it has not been
+   *   translated yet, or the key itself if it is missing
+   */
+  function t(key, params) {
+    const message = lookup(messages, key) ?? lookup(fallback, key) ?? key;
+    if (!params) return message;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+
+  /**
+   * Whether a message exists in the current language or in English
+   * @param {string} key - Dotted key
+   * @returns {boolean} True if it can be translated
+   */
+  function has(key) {
+    return lookup(messages, key) !== undefined || lookup(fallback, key) !== undefined;
+  }
+
+  /**
+   * Locale for Intl formatting
+   * @returns {string} e.g. "en-NZ" or "ar"
+   */
+  function intlLocale() {
+    return LOCALES[locale].intl;
+  }
+
+  /**
+   * Format a number for the current language
+   * @param {number} value - Number
+   * @param {Object} options - Intl.NumberFormat options
+   * @returns {string} Formatted number
+   */
+  function formatNumber(value, options) {
+    return value.toLocaleString(intlLocale(), options);
+  }
+
+  /**
+   * Format a date for the current language
+   * @param {Date} date - Date
+   * @param {Object} options - Intl.DateTimeFormat options
+   * @returns {string} Formatted date
+   */
+  function formatDate(date, options) {
+    return date.toLocaleDateString(intlLocale(), options);
+  }
+
+  /**
+   * Format a time of day for the current language
+   * @param {Date} date - Time
+   * @param {Object} options - Intl.DateTimeFormat options
+   * @returns {string} Formatted time
+   */
+  function formatTime(date, options) {
+    return date.toLocaleTimeString(intlLocale(), options);
+  }
+
+  /**
+   * Translate the marked-up text inside an element:
+   * data-i18n="key" replaces the text, and data-i18n-attr="aria-label:key; title:key"
+   * replaces attributes
+   * @param {Element} root - Element to translate, usually the document
+   */
+  function apply(root) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      if (has(element.dataset.i18n)) element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+      element.dataset.i18nAttr.split(';').forEach(pair => {
+        const [attribute, key] = pair.split(':').map(part => part.trim());
+        if (attribute && key && has(key)) element.setAttribute(attribute, t(key));
+      });
+    });
+  }
+
+  /**
+   * Set the language and direction of the page
+   */
+  function setDocumentLanguage() {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = LOCALES[locale].dir;
+  }
+
+  /**
+   * Load the messages for a language, with English to fill the gaps
+   * @param {string} code - Key in LOCALES
+   * @returns {Promise} Resolves once loaded; a missing file leaves the English messages
+   */
+  function load(code) {
+    const getJSON = name => fetch(`${BASE_URL}/${name}.json`).then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status} loading ${name}.json`);
+      return response.json();
+    });
+
+    locale = LOCALES[code] ? code : DEFAULT_LOCALE;
+    return Promise.all([
+      getJSON(DEFAULT_LOCALE).catch(() => ({})),
+      locale === DEFAULT_LOCALE ? null : getJSON(locale).catch(() => ({}))
+    ]).then(([english, translated]) => {
+      fallback = english;
+      messages = translated || english;
+    }).catch(error => {
+      console.error('I18n: Could not load the translations', error);
+    });
+  }
+
+  /**
+   * Switch language. The page reloads so every component is drawn in the new language.
+   * @param {string} code - Key in LOCALES
+   */
+  function setLocale(code) {
+    if (!LOCALES[code] || code === locale) return;
+    try {
+      localStorage.setItem(STORAGE_KEY, code);
+    } catch (error) {
+      // Without storage the choice only lasts for this page, through ?lang=
+    }
+    const url = new URL(window.location.href);
+    if (!url.searchParams.has('lang')) return window.location.reload();
+    url.searchParams.set('lang', code);
+    window.location.assign(url.toString());
+  }
+
+  // Components wait for this before drawing any text
+  let ready = Promise.resolve();
+  if (typeof document !== 'undefined') {
+    locale = detect();
+    setDocumentLanguage();
+    ready = load(locale);
+  }
+
+  // Return public methods
+  return {
+    LOCALES,
+    DEFAULT_LOCALE,
+    get locale() {
+      return locale;
+    },
+    get ready() {
+      return ready;
+    },
+    isRTL: () => LOCALES[locale].dir === 'rtl',
+    t,
+    has,
+    intlLocale,
+    formatNumber,
+    formatDate,
+    formatTime,
+    apply,
+    load,
+    setLocale
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = I18n;
+}
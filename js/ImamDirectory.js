@@ -0,0 +1,236 @@
+/**
+ * ImamDirectory.js
+ * Renders the imam profiles from /data/imams.json on the imams page, with search and
+ * language and specialty filters, and sets up the "Ask an Imam" request form
+ * Requires /js/Html.js, /js/I18n.js, /js/ImamProfiles.js and /js/ContactForm.js
+ */
+
+/**
+ * ImamDirectory - Lists imams with filters and links to their profiles
+ * @param {Object} options - Configuration options
+ */
+function ImamDirectory(options) {
+  // Merge options with defaults
+  const settings = Object.assign({
+    element: null,
+    dataUrl: '/data/imams.json',
+    mosquesUrl: '/data/mosques.json',
+    // "Ask an Imam" form whose imam select lists the profiles
+    requestForm: null
+  }, options);
+
+  if (!settings.element) return console.error('ImamDirectory: No element specified');
+
+  const find = name => settings.element.querySelector(`[data-imams-${name}]`);
+  const featuredElement = find('featured');
+  const listElement = find('list');
+  const searchInput = find('search');
+  const languageSelect = find('language');
+  const specialtySelect = find('specialty');
+  const countElement = find('count');
+  const requestSelect = settings.requestForm ? settings.requestForm.querySelector('[name="imam"]') : null;
+
+  let imams = [];
+  let mosques = {};
+
+  /**
+   * Name of a specialty in the page language
+   * @param {string} key - Key in ImamProfiles.SPECIALTIES
+   * @returns {string} Label
+   */
+  const specialtyLabel = key => {
+    const translated = `imams.specialties.${key}`;
+    return I18n.has(translated) ? I18n.t(translated) : ImamProfiles.SPECIALTIES[key] || key;
+  };
+
+  /**
+   * Photo, or initials when the imam has no photo
+   * @param {Object} imam - Imam
+   * @param {string} imageClass - Classes for the image
+   * @returns {string} HTML
+   */
+  const renderPhoto = (imam, imageClass) => imam.photo
+    ? `<img src="${Html.escape(imam.photo)}" alt="${Html.escape(imam.name)}" class="${imageClass}" loading="lazy">`
+    : `<div class="w-full h-full flex items-center justify-center text-5xl font-bold text-white" style="background: var(--gradient-primary);" aria-hidden="true">${Html.escape(ImamProfiles.initials(imam.name))}</div>`;
+
+  const renderMosque = (imam) => {
+    const mosque = mosques[imam.mosque];
+    if (!mosque) return '';
+    return `
+      <div class="flex items-center text-sm text-gray-500">
+        <span class="inline-block mr-2 text-primary-color">🕌</span>
+        <span>${Html.escape(mosque.name)}</span>
+      </div>
+    `;
+  };
+
+  const renderSpecialties = (imam) => `
+    <ul class="flex flex-wrap gap-2 mt-4" aria-label="${Html.escape(I18n.t('imams.specialtiesLabel'))}">
+      ${imam.specialties.map(key => `<li class="px-2 py-1 rounded-full text-xs bg-indigo-50 text-primary-dark">${Html.escape(specialtyLabel(key))}</li>`).join('')}
+    </ul>
+  `;
+
+  const renderFeatured = (imam) => `
+    <a href="${ImamProfiles.profileUrl(imam)}" class="block bg-white rounded-xl shadow-lg overflow-hidden hover:shadow-xl transition-all group">
+      <div class="flex flex-col h-full">
+        <div class="relative overflow-hidden h-64">
+          ${renderPhoto(imam, 'w-full h-full object-cover object-top transition-transform duration-700 group-hover:scale-105')}
+          <div class="absolute inset-0 bg-gradient-to-t from-black/80 to-transparent"></div>
+          <div class="absolute bottom-0 left-0 right-0 p-6 text-white">
+            <h3 class="text-2xl font-bold mb-1 group-hover:text-primary-light transition-colors">${Html.escape(imam.name)}</h3>
+            <p class="text-white/80">${Html.escape(imam.title)}</p>
+          </div>
+        </div>
+        <div class="p-6 flex-grow">
+          <p class="text-gray-700 mb-4">${Html.escape(imam.bio[0])}</p>
+          <div class="flex items-center text-sm text-gray-500 mb-4">
+            <span class="inline-block mr-2 text-primary-color">🎓</span>
+            <span>${Html.escape(imam.education)}</span>
+          </div>
+          ${renderMosque(imam)}
+          ${renderSpecialties(imam)}
+        </div>
+      </div>
+    </a>
+  `;
+
+  const renderCard = (imam) => `
+    <a id="${Html.escape(imam.id)}" href="${ImamProfiles.profileUrl(imam)}" class="scroll-mt-24 block bg-white rounded-xl shadow-md overflow-hidden hover:shadow-lg transition-all group border border-gray-100">
+      <div class="flex flex-col">
+        <div class="relative overflow-hidden h-56">
+          ${renderPhoto(imam, 'w-full h-full object-cover object-top transition-transform duration-700 group-hover:scale-105')}
+        </div>
+        <div class="p-6">
+          <h3 class="text-xl font-bold mb-1 group-hover:text-primary-color transition-colors">${Html.escape(imam.name)}</h3>
+          <p class="text-gray-500 text-sm mb-3">${Html.escape(imam.title)}</p>
+          <div class="flex items-center text-sm text-gray-500 mb-2">
+            <span class="inline-block mr-2 text-primary-color">🗣️</span>
+            <span>${imam.languages.map(Html.escape).join(', ')}</span>
+          </div>
+          ${renderMosque(imam)}
+          ${renderSpecialties(imam)}
+        </div>
+      </div>
+    </a>
+  `;
+
+  /**
+   * Show the imams matching the filters
+   */
+  const render = () => {
+    const results = ImamProfiles.filter(imams, {
+      query: searchInput ? searchInput.value : '',
+      language: languageSelect ? languageSelect.value : '',
+      specialty: specialtySelect ? specialtySelect.value : ''
+    });
+
+    if (countElement) {
+      countElement.textContent = results.length === 1 ? I18n.t('imams.countOne') : I18n.t('imams.count', { count: I18n.formatNumber(results.length) });
+    }
+    if (listElement) {
+      listElement.innerHTML = results.length
+        ? results.map(renderCard).join('')
+        : `<p class="text-gray-600 md:col-span-2 lg:col-span-3">${Html.escape(I18n.t('imams.noResults'))}</p>`;
+    }
+  };
+
+  const populateControls = () => {
+    if (languageSelect) {
+      languageSelect.innerHTML = `<option value="">${Html.escape(I18n.t('imams.anyLanguage'))}</option>` +
+        ImamProfiles.languages(imams).map(language => `<option value="${Html.escape(language)}">${Html.escape(language)}</option>`).join('');
+    }
+    if (specialtySelect) {
+      const used = new Set(imams.flatMap(imam => imam.specialties));
+      specialtySelect.innerHTML = `<option value="">${Html.escape(I18n.t('imams.anySpecialty'))}</option>` +
+        Object.keys(ImamProfiles.SPECIALTIES)
+          .filter(key => used.has(key))
+          .map(key => `<option value="${key}">${Html.escape(specialtyLabel(key))}</option>`).join('');
+    }
+
+    // Profile pages link here with ?imam=<id> to preselect the imam in the request form
+    if (requestSelect) {
+      requestSelect.innerHTML = `<option value="">${Html.escape(I18n.t('imams.anyImam'))}</option>` +
+        imams.map(imam => `<option value="${Html.escape(imam.id)}">${Html.escape(imam.name)}</option>`).join('');
+      const requested = new URLSearchParams(window.location.search).get('imam');
+      if (requested && imams.some(imam => imam.id === requested)) requestSelect.value = requested;
+    }
+  };
+
+  /**
+   * Load the profiles and the mosques they belong to
+   * @returns {Promise} Resolves once rendered
+   */
+  const load = () => {
+    const getJSON = url => fetch(url).then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    });
+
+    return Promise.all([
+      getJSON(settings.dataUrl),
+      // The list still works without the mosque names
+      getJSON(settings.mosquesUrl).catch(() => ({ mosques: [] }))
+    ])
+      .then(([imamData, mosqueData]) => {
+        imams = imamData.imams;
+        mosques = Object.fromEntries(mosqueData.mosques.map(mosque => [mosque.id, mosque]));
+        populateControls();
+        if (featuredElement) featuredElement.innerHTML = imams.filter(imam => imam.featured).map(renderFeatured).join('');
+        render();
+      })
+      .catch(error => {
+        console.error('ImamDirectory: Could not load the imam profiles', error);
+        if (listElement) listElement.innerHTML = `<p class="text-gray-600 md:col-span-2 lg:col-span-3">${Html.escape(I18n.t('imams.loadError'))}</p>`;
+      });
+  };
+
+  // Set up control listeners
+  searchInput?.addEventListener('input', render);
+  languageSelect?.addEventListener('change', render);
+  specialtySelect?.addEventListener('change', render);
+
+  load();
+
+  // Return public methods
+  return {
+    render,
+    load
+  };
+}
+
+/**
+ * Initialize the imam directory and the "Ask an Imam" form
+ */
+function initImamDirectory() {
+  const element = document.getElementById('imam-directory');
+  const form = document.getElementById('imam-request-form');
+  // The profiles are listed in the page language
+  if (element) I18n.ready.then(() => new ImamDirectory({ element, requestForm: form }));
+  if (!form) return;
+
+  // The contact form's rules for name, email, message and privacy, plus the request details
+  new ContactForm({
+    element: form,
+    endpoint: form.dataset.endpoint || '/api/imam-request',
+    queueKey: 'nzbi-imam-request-queue',
+    rules: {
+      phone: value => !value || value.replace(/\D/g, '').length >= 7 ? '' : I18n.t('imams.phoneInvalid'),
+      imam: () => '',
+      'request-type': value => value in ImamProfiles.REQUEST_TYPES ? '' : I18n.t('imams.requestType'),
+      'preferred-date': (value) => {
+        if (!value) return '';
+        const today = new Date();
+        const local = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+        return value >= local ? '' : I18n.t('imams.datePast');
+      }
+    },
+    fields: {
+      phone: 'phone',
+      imam: 'imam',
+      requestType: 'request-type',
+      preferredDate: 'preferred-date'
+    }
+  });
+}
+
+document.addEventListener('DOMContentLoaded', initImamDirectory);
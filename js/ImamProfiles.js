@@ -0,0 +1,135 @@
+/**
+ * ImamProfiles.js
+ * Shared rules for the imam profiles in /data/imams.json: specialty and request type
+ * labels, searching and filtering, profile URLs and the Person JSON-LD for each imam.
+ * Used by the imams page, scripts/build-imam-pages.js and the mock request endpoint.
+ */
+
+const ImamProfiles = (function() {
+  const SITE_URL = 'https://nzbi.com';
+
+  /** Areas an imam can help with */
+  const SPECIALTIES = {
+    marriage: 'Marriage and nikah',
+    counselling: 'Counselling',
+    fiqh: 'Fiqh (Islamic law)',
+    finance: 'Islamic finance',
+    youth: 'Youth',
+    education: 'Teaching',
+    quran: 'Quran and tajweed',
+    'new-muslims': 'New Muslims',
+    chaplaincy: 'Hospital chaplaincy',
+    funerals: 'Funerals',
+    interfaith: 'Interfaith',
+    moonsighting: 'Moonsighting'
+  };
+
+  /** What the "Ask an Imam" form can request */
+  const REQUEST_TYPES = {
+    nikah: 'Nikah (marriage) officiation',
+    counselling: 'Counselling appointment',
+    question: 'Religious question (fiqh)',
+    'new-muslim': 'Meeting for someone new to Islam',
+    funeral: 'Funeral arrangements',
+    visit: 'School or community visit',
+    other: 'Something else'
+  };
+
+  /**
+   * URL of an imam's profile page
+   * @param {Object} imam - Imam
+   * @returns {string} Site-relative URL
+   */
+  function profileUrl(imam) {
+    return `/imams/${imam.id}.html`;
+  }
+
+  /**
+   * Initials for an imam without a photo
+   * @param {string} name - Full name
+   * @returns {string} e.g. "IB" for "Imam Bilal"
+   */
+  function initials(name) {
+    return name.split(/\s+/).map(part => part[0]).join('').slice(0, 2).toUpperCase();
+  }
+
+  /**
+   * Every language spoken by the imams
+   * @param {Array} imams - Imams
+   * @returns {Array} Languages, English first then alphabetical
+   */
+  function languages(imams) {
+    return Array.from(new Set(imams.flatMap(imam => imam.languages)))
+      .sort((a, b) => (a === 'English' ? -1 : b === 'English' ? 1 : a.localeCompare(b)));
+  }
+
+  /**
+   * Imams matching a search, language and specialty
+   * @param {Array} imams - Imams
+   * @param {Object} filters - Optional query, language and specialty
+   * @returns {Array} Matching imams, featured first
+   */
+  function filter(imams, filters) {
+    const query = ((filters && filters.query) || '').trim().toLowerCase();
+    const language = filters && filters.language;
+    const specialty = filters && filters.specialty;
+
+    return imams
+      .filter(imam => !language || imam.languages.includes(language))
+      .filter(imam => !specialty || imam.specialties.includes(specialty))
+      .filter(imam => !query || [imam.name, imam.title, imam.education]
+        .concat(imam.bio, imam.languages, imam.specialties.map(key => SPECIALTIES[key] || key))
+        .some(text => text && text.toLowerCase().includes(query)))
+      .sort((a, b) => Number(Boolean(b.featured)) - Number(Boolean(a.featured)));
+  }
+
+  /**
+   * schema.org Person for an imam
+   * @param {Object} imam - Imam
+   * @param {Object} mosque - The imam's mosque from /data/mosques.json, if known
+   * @returns {Object} JSON-LD
+   */
+  function toJsonLd(imam, mosque) {
+    // "Islamic Law, Medina University" - only named institutions, not countries
+    const institution = (imam.education || '').split(',').slice(1).join(',').trim();
+    const person = {
+      '@context': 'https://schema.org',
+      '@type': 'Person',
+      name: imam.name,
+      jobTitle: imam.title,
+      description: imam.bio[0],
+      url: `${SITE_URL}${profileUrl(imam)}`,
+      knowsLanguage: imam.languages,
+      knowsAbout: imam.specialties.map(key => SPECIALTIES[key] || key),
+      memberOf: { '@type': 'Organization', name: 'New Zealand Board of Imams', url: SITE_URL }
+    };
+
+    if (imam.photo) person.image = `${SITE_URL}${imam.photo}`;
+    if (/University|College|Institute|Academy|Seminary/.test(institution)) person.alumniOf = { '@type': 'EducationalOrganization', name: institution };
+    if (mosque) {
+      person.workLocation = {
+        '@type': 'Mosque',
+        name: mosque.name,
+        address: mosque.address,
+        url: `${SITE_URL}/mosques.html#${mosque.id}`
+      };
+    }
+
+    return person;
+  }
+
+  // Return public methods
+  return {
+    SPECIALTIES,
+    REQUEST_TYPES,
+    profileUrl,
+    initials,
+    languages,
+    filter,
+    toJsonLd
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImamProfiles;
+}
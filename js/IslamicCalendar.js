@@ -0,0 +1,307 @@
+/**
+ * IslamicCalendar.js
+ * Dual Hijri/Gregorian month view with key dates, Board events and an .ics download
+ * Requires /js/Html.js, /js/I18n.js, /js/Lunar.js, /js/HijriCalendar.js and /js/CalendarFeed.js
+ */
+
+/**
+ * IslamicCalendar - Month-view calendar marking Ramadan, the Eids and other key dates
+ * @param {Object} options - Configuration options
+ */
+function IslamicCalendar(options) {
+  const now = new Date();
+  const today = HijriCalendar.parseDate(new Intl.DateTimeFormat('en-CA', {
+    timeZone: HijriCalendar.DEFAULTS.timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+  }).format(now));
+
+  // Merge options with defaults
+  const settings = Object.assign({
+    element: null,
+    year: today.year,
+    month: today.month,
+    monthStartsUrl: '/data/month-starts.json',
+    eventsUrl: '/data/events.json',
+    upcomingMonths: 12,
+    locale: I18n.intlLocale(),
+    updateUrl: true
+  }, options);
+
+  if (!settings.element) return console.error('IslamicCalendar: No element specified');
+
+  const find = name => settings.element.querySelector(`[data-calendar-${name}]`);
+  const titleElement = find('title');
+  const hijriTitleElement = find('hijri-title');
+  const gridElement = find('grid');
+  const listElement = find('list');
+  const upcomingElement = find('upcoming');
+
+  let events = [];
+  // Revision of the month starts, the SEQUENCE of the key dates in the .ics file
+  let revision = 0;
+
+  // Styles for each kind of marker
+  const markerClasses = {
+    ramadan: 'bg-indigo-100 text-indigo-800',
+    eid: 'bg-amber-100 text-amber-800',
+    key: 'bg-emerald-100 text-emerald-800',
+    event: 'bg-sky-100 text-sky-800'
+  };
+
+  const sameDay = (a, b) => a.year === b.year && a.month === b.month && a.day === b.day;
+
+  const formatDate = (date, extra) => new Date(Date.UTC(date.year, date.month - 1, date.day))
+    .toLocaleDateString(settings.locale, Object.assign({ timeZone: 'UTC', day: 'numeric', month: 'long' }, extra));
+
+  const formatTime = time => new Date(`1970-01-01T${time}:00Z`)
+    .toLocaleTimeString(settings.locale, { timeZone: 'UTC', hour: 'numeric', minute: '2-digit' });
+
+  const monthName = month => I18n.t(`hijri.months.${month}`);
+  const hijriLabel = hijri => I18n.t('hijri.date', { day: hijri.day, month: monthName(hijri.month), year: hijri.year });
+  const keyDateName = keyDate => I18n.t(`hijri.keyDates.${keyDate.key}`, { year: keyDate.hijri.year });
+  const expectedNote = status => (status === 'expected' ? ` ${I18n.t('calendar.expectedNote')}` : '');
+
+  /**
+   * Markers (key dates and events) for each day of the visible month
+   * @param {Object} first - First day of the month
+   * @param {Object} last - Last day of the month
+   * @returns {Object} Markers keyed by YYYY-MM-DD
+   */
+  const getMarkers = (first, last) => {
+    const markers = {};
+    const add = (date, marker) => {
+      const key = HijriCalendar.formatDate(date);
+      (markers[key] = markers[key] || []).push(marker);
+    };
+
+    HijriCalendar.keyDates(first, last).forEach(keyDate => {
+      // Ramadan is shown as a tint across the month rather than a label on each day
+      if (keyDate.type === 'ramadan') return;
+      add(keyDate.date, { type: keyDate.type, label: keyDateName(keyDate), status: keyDate.status, evening: keyDate.evening });
+    });
+
+    events.forEach(event => {
+      const date = HijriCalendar.parseDate(event.start.slice(0, 10));
+      if (HijriCalendar.daysBetween(first, date) >= 0 && HijriCalendar.daysBetween(date, last) >= 0) {
+        add(date, { type: 'event', label: event.title, status: 'confirmed', time: event.start.slice(11, 16) });
+      }
+    });
+
+    return markers;
+  };
+
+  /**
+   * Render one marker as a small label
+   * @param {Object} marker - Marker
+   * @returns {string} HTML
+   */
+  const renderMarker = marker => `
+    <span class="block truncate rounded px-1 text-[11px] leading-5 ${markerClasses[marker.type]} ${marker.status === 'expected' ? 'border border-dashed border-current' : ''}"
+          title="${Html.escape(marker.label + expectedNote(marker.status))}">${Html.escape(marker.label)}</span>
+  `;
+
+  const render = () => {
+    const first = { year: settings.year, month: settings.month, day: 1 };
+    const daysInMonth = new Date(Date.UTC(settings.year, settings.month, 0)).getUTCDate();
+    const last = { year: settings.year, month: settings.month, day: daysInMonth };
+    const markers = getMarkers(first, last);
+    const firstHijri = HijriCalendar.fromGregorian(first);
+    const lastHijri = HijriCalendar.fromGregorian(last);
+
+    if (titleElement) titleElement.textContent = formatDate(first, { day: undefined, year: 'numeric' });
+
+    if (hijriTitleElement) {
+      const months = firstHijri.month === lastHijri.month
+        ? monthName(firstHijri.month)
+        : `${monthName(firstHijri.month)}${firstHijri.year !== lastHijri.year ? ` ${firstHijri.year}` : ''} – ${monthName(lastHijri.month)}`;
+      hijriTitleElement.textContent = `${months} ${I18n.t('hijri.year', { year: lastHijri.year })}`;
+    }
+
+    if (gridElement) {
+      // Weeks start on Monday in New Zealand
+      const offset = (new Date(Date.UTC(settings.year, settings.month - 1, 1)).getUTCDay() + 6) % 7;
+      const cells = Array.from({ length: offset }, () => '<div class="min-h-24 bg-gray-50" aria-hidden="true"></div>');
+
+      for (let day = 1; day <= daysInMonth; day++) {
+        const date = { year: settings.year, month: settings.month, day };
+        const hijri = HijriCalendar.fromGregorian(date);
+        const dayMarkers = markers[HijriCalendar.formatDate(date)] || [];
+        const isToday = sameDay(date, today);
+        const isRamadan = hijri.month === 9;
+        const startsMonth = hijri.day === 1;
+
+        cells.push(`
+          <div class="min-h-24 p-1 sm:p-2 flex flex-col gap-1 ${isRamadan ? 'bg-indigo-50' : 'bg-white'} ${isToday ? 'ring-2 ring-inset ring-primary-color' : ''}"
+               ${isToday ? 'aria-current="date"' : ''} aria-label="${formatDate(date, { weekday: 'long' })}, ${hijriLabel(hijri)}">
+            <div class="flex items-baseline justify-between gap-1">
+              <span class="text-sm font-semibold ${isToday ? 'text-primary-color' : 'text-gray-800'}">${day}</span>
+              <span class="text-[11px] ${startsMonth ? 'font-semibold text-primary-dark' : 'text-gray-500'}"
+                    title="${hijriLabel(hijri)}${expectedNote(hijri.status)}">
+                ${startsMonth ? `1 ${monthName(hijri.month)}` : hijri.day}
+              </span>
+            </div>
+            <div class="hidden sm:flex flex-col gap-1">${dayMarkers.map(renderMarker).join('')}</div>
+            ${dayMarkers.length ? `<span class="sm:hidden flex gap-1" aria-hidden="true">${dayMarkers.map(marker => `<span class="w-2 h-2 rounded-full ${markerClasses[marker.type]} border border-current"></span>`).join('')}</span>` : ''}
+          </div>
+        `);
+      }
+
+      gridElement.innerHTML = cells.join('');
+    }
+
+    if (listElement) {
+      const entries = Object.entries(markers).sort(([a], [b]) => a.localeCompare(b));
+      listElement.innerHTML = entries.length
+        ? entries.map(([key, dayMarkers]) => dayMarkers.map(marker => `
+            <li class="flex items-start gap-3 py-2">
+              <span class="w-28 shrink-0 text-sm font-medium text-gray-700">${formatDate(HijriCalendar.parseDate(key), { weekday: 'short' })}</span>
+              <span class="text-sm">
+                <span class="inline-block w-2 h-2 rounded-full mr-1 ${markerClasses[marker.type]} border border-current" aria-hidden="true"></span>
+                ${Html.escape(marker.label)}${marker.time ? ` <span class="text-gray-500">· ${formatTime(marker.time)}</span>` : ''}
+                ${marker.evening ? ` <span class="text-gray-500">· ${I18n.t('calendar.nightBefore')}</span>` : ''}
+                ${marker.status === 'expected' ? ` <span class="text-gray-500">${I18n.t('calendar.expectedNote')}</span>` : ''}
+              </span>
+            </li>
+          `).join('')).join('')
+        : `<li class="py-2 text-sm text-gray-500">${I18n.t('calendar.none')}</li>`;
+    }
+
+    if (settings.updateUrl) updateUrl();
+  };
+
+  /**
+   * List key dates for the coming months
+   */
+  const renderUpcoming = () => {
+    if (!upcomingElement) return;
+
+    const end = HijriCalendar.addDays(today, settings.upcomingMonths * 30);
+    upcomingElement.innerHTML = HijriCalendar.keyDates(today, end).map(keyDate => `
+      <tr>
+        <td class="py-3 px-4 font-medium">${Html.escape(keyDateName(keyDate))}</td>
+        <td class="py-3 px-4">${hijriLabel(keyDate.hijri)}</td>
+        <td class="py-3 px-4">${formatDate(keyDate.date, { weekday: 'long', year: 'numeric' })}${keyDate.evening ? `<span class="block text-xs text-gray-500">${I18n.t('calendar.observedNightBefore')}</span>` : ''}</td>
+        <td class="py-3 px-4">
+          ${keyDate.status === 'confirmed'
+            ? `<span class="inline-block px-2 py-1 rounded-full text-xs font-semibold bg-green-100 text-green-800">${I18n.t('hijri.confirmed')}</span>`
+            : `<span class="inline-block px-2 py-1 rounded-full text-xs font-semibold bg-gray-200 text-gray-700">${I18n.t('hijri.expected')}</span>`}
+        </td>
+      </tr>
+    `).join('');
+  };
+
+  /**
+   * Keep the current month in the address bar so it can be shared
+   */
+  const updateUrl = () => {
+    const params = new URLSearchParams(window.location.search);
+    params.set('month', `${settings.year}-${String(settings.month).padStart(2, '0')}`);
+    window.history.replaceState(null, '', `${window.location.pathname}?${params}`);
+  };
+
+  /**
+   * Move by a number of months
+   * @param {number} offset - Months to move (negative for earlier)
+   */
+  const changeMonth = (offset) => {
+    const date = new Date(Date.UTC(settings.year, settings.month - 1 + offset, 1));
+    settings.year = date.getUTCFullYear();
+    settings.month = date.getUTCMonth() + 1;
+    render();
+  };
+
+  /**
+   * Build an .ics file covering the past year and the next two years, in English like /calendar.ics
+   * @returns {string} iCalendar text
+   */
+  const toICS = () => {
+    const from = { year: today.year - 1, month: today.month, day: 1 };
+    const to = { year: today.year + 2, month: today.month, day: 1 };
+    const describe = ({ hijri }) => `${hijri.day} ${HijriCalendar.MONTHS[hijri.month - 1]} ${hijri.year} AH`;
+
+    return CalendarFeed.toICS([
+      ...CalendarFeed.fromKeyDates(HijriCalendar.keyDates(from, to), describe, revision),
+      ...CalendarFeed.fromEvents(events)
+    ], {
+      name: 'NZBI Islamic Calendar',
+      description: 'Islamic key dates for New Zealand and events from the New Zealand Board of Imams'
+    });
+  };
+
+  const downloadICS = () => {
+    const blob = new Blob([toICS()], { type: 'text/calendar;charset=utf-8' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'nzbi-islamic-calendar.ics';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  };
+
+  /**
+   * Fetch a JSON data file
+   * @param {string} url - File URL
+   * @returns {Promise<Object|null>} Parsed JSON, or null if it could not be loaded
+   */
+  const fetchJSON = url => fetch(url)
+    .then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    })
+    .catch(error => {
+      console.error(`IslamicCalendar: Could not load ${url}`, error);
+      return null;
+    });
+
+  const load = () => Promise.all([fetchJSON(settings.monthStartsUrl), fetchJSON(settings.eventsUrl)])
+    .then(([monthStarts, eventData]) => {
+      if (monthStarts) {
+        HijriCalendar.setConfirmed(monthStarts.monthStarts);
+        revision = monthStarts.revision || 0;
+      }
+      events = eventData ? eventData.events : [];
+      render();
+      renderUpcoming();
+    });
+
+  // Set up control listeners
+  find('prev')?.addEventListener('click', () => changeMonth(-1));
+  find('next')?.addEventListener('click', () => changeMonth(1));
+  find('today')?.addEventListener('click', () => {
+    settings.year = today.year;
+    settings.month = today.month;
+    render();
+  });
+  find('download')?.addEventListener('click', downloadICS);
+
+  load();
+
+  // Return public methods
+  return {
+    render,
+    load,
+    toICS,
+    downloadICS,
+    changeMonth
+  };
+}
+
+/**
+ * Initialize the calendar, reading the month from the URL if present
+ */
+function initIslamicCalendar() {
+  const element = document.getElementById('islamic-calendar');
+  if (!element) return;
+
+  const options = { element };
+  const month = /^(\d{4})-(\d{2})$/.exec(new URLSearchParams(window.location.search).get('month') || '');
+  if (month && +month[2] >= 1 && +month[2] <= 12) {
+    options.year = parseInt(month[1], 10);
+    options.month = parseInt(month[2], 10);
+  }
+
+  // Month names, key dates and dates are shown in the page language
+  I18n.ready.then(() => new IslamicCalendar(options));
+}
+
+document.addEventListener('DOMContentLoaded', initIslamicCalendar);
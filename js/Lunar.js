@@ -0,0 +1,606 @@
+/**
+ * Lunar.js
+ * Astronomical calculations for the crescent moon
+ *
+ * Computes new moons, the positions of the sun and moon, sunset and moonset,
+ * and classifies crescent visibility with the Yallop (1997) and Odeh (2004)
+ * criteria. Formulas follow Jean Meeus, "Astronomical Algorithms" (2nd ed.),
+ * truncated to the largest terms - accurate to well under a minute of time
+ * for new moons and a few arcminutes for positions.
+ */
+
+const Lunar = (function() {
+  const SYNODIC_MONTH = 29.530588861;
+  const MINUTE = 60000;
+
+  // Degree-based trigonometry
+  const dtr = d => (d * Math.PI) / 180;
+  const rtd = r => (r * 180) / Math.PI;
+  const sin = d => Math.sin(dtr(d));
+  const cos = d => Math.cos(dtr(d));
+  const tan = d => Math.tan(dtr(d));
+  const arcsin = x => rtd(Math.asin(Math.max(-1, Math.min(1, x))));
+  const arccos = x => rtd(Math.acos(Math.max(-1, Math.min(1, x))));
+  const arctan2 = (y, x) => rtd(Math.atan2(y, x));
+  const fixAngle = a => ((a % 360) + 360) % 360;
+
+  /**
+   * Periodic terms for the moon's longitude and distance (Meeus table 47.A)
+   * [D, M, M', F, longitude (1e-6 deg), distance (m)]
+   */
+  const MOON_LR_TERMS = [
+    [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111],
+    [2, 0, 0, 0, 658314, -2955968], [0, 0, 2, 0, 213618, -569925],
+    [0, 1, 0, 0, -185116, 48888], [0, 0, 0, 2, -114332, -3149],
+    [2, 0, -2, 0, 58793, 246158], [2, -1, -1, 0, 57066, -152138],
+    [2, 0, 1, 0, 53322, -170733], [2, -1, 0, 0, 45758, -204586],
+    [0, 1, -1, 0, -40923, -129620], [1, 0, 0, 0, -34720, 108743],
+    [0, 1, 1, 0, -30383, 104755], [2, 0, 0, -2, 15327, 10321],
+    [0, 0, 1, 2, -12528, 0], [0, 0, 1, -2, 10980, 79661],
+    [4, 0, -1, 0, 10675, -34782], [0, 0, 3, 0, 10034, -23210],
+    [4, 0, -2, 0, 8548, -21636], [2, 1, -1, 0, -7888, 24208],
+    [2, 1, 0, 0, -6766, 30824], [1, 0, -1, 0, -5163, -8379],
+    [1, 1, 0, 0, 4987, -16675], [2, -1, 1, 0, 4036, -12831],
+    [2, 0, 2, 0, 3994, -10445], [4, 0, 0, 0, 3861, -11650],
+    [2, 0, -3, 0, 3665, 14403], [0, 1, -2, 0, -2689, -7003],
+    [2, 0, -1, 2, -2602, 0], [2, -1, -2, 0, 2390, 10056],
+    [1, 0, 1, 0, -2348, 6322], [2, -2, 0, 0, 2236, -9884]
+  ];
+
+  /**
+   * Periodic terms for the moon's latitude (Meeus table 47.B)
+   * [D, M, M', F, latitude (1e-6 deg)]
+   */
+  const MOON_B_TERMS = [
+    [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602], [0, 0, 1, -1, 277693],
+    [2, 0, 0, -1, 173237], [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271],
+    [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198], [2, 0, 1, -1, 9266],
+    [0, 0, 2, -1, 8822], [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+    [2, 0, 1, 1, 4200], [2, 1, 0, -1, -3359], [2, -1, -1, 1, 2463],
+    [2, -1, 0, 1, 2211], [2, -1, -1, -1, 2065], [0, 1, -1, -1, -1870],
+    [4, 0, -1, -1, 1828], [0, 1, 0, 1, -1794]
+  ];
+
+  /**
+   * Yallop q-test categories (NAO Technical Note 69)
+   */
+  const YALLOP_CATEGORIES = [
+    { code: 'A', min: 0.216, label: 'Easily visible to the naked eye' },
+    { code: 'B', min: -0.014, label: 'Visible to the naked eye under perfect conditions' },
+    { code: 'C', min: -0.160, label: 'May need optical aid to find the crescent' },
+    { code: 'D', min: -0.232, label: 'Will need optical aid to find the crescent' },
+    { code: 'E', min: -0.293, label: 'Not visible with a telescope' },
+    { code: 'F', min: -Infinity, label: 'Not visible - below the Danjon limit' }
+  ];
+
+  /**
+   * Odeh V-test zones (Experimental Astronomy 18, 2004)
+   */
+  const ODEH_ZONES = [
+    { code: 'A', min: 5.65, label: 'Visible by naked eye' },
+    { code: 'B', min: 2.00, label: 'Visible by optical aid, could be seen by naked eye' },
+    { code: 'C', min: -0.96, label: 'Visible by optical aid only' },
+    { code: 'D', min: -Infinity, label: 'Not visible even with optical aid' }
+  ];
+
+  /**
+   * Convert a Date to a Julian day (UT)
+   * @param {Date} date - The instant
+   * @returns {number} Julian day
+   */
+  function toJulianDay(date) {
+    return date.getTime() / 86400000 + 2440587.5;
+  }
+
+  /**
+   * Convert a Julian day (UT) to a Date
+   * @param {number} jd - Julian day
+   * @returns {Date} The instant
+   */
+  function fromJulianDay(jd) {
+    return new Date(Math.round((jd - 2440587.5) * 86400000));
+  }
+
+  /**
+   * Approximate difference between Terrestrial Time and UT, in seconds
+   * (Espenak & Meeus polynomial for 2005-2050)
+   * @param {number} year - Decimal year
+   * @returns {number} Delta T in seconds
+   */
+  function deltaT(year) {
+    const t = year - 2000;
+    return 62.92 + 0.32217 * t + 0.005589 * t * t;
+  }
+
+  /**
+   * Julian centuries since J2000.0 in Terrestrial Time
+   * @param {number} jd - Julian day (UT)
+   * @returns {number} Centuries
+   */
+  function centuries(jd) {
+    const year = 2000 + (jd - 2451545.0) / 365.25;
+    return (jd + deltaT(year) / 86400 - 2451545.0) / 36525;
+  }
+
+  /**
+   * Mean obliquity of the ecliptic with nutation in obliquity
+   * @param {number} T - Julian centuries
+   * @returns {number} Obliquity in degrees
+   */
+  function obliquity(T) {
+    const omega = 125.04452 - 1934.136261 * T;
+    return 23.439291 - 0.0130042 * T + 0.00256 * cos(omega);
+  }
+
+  /**
+   * Convert ecliptic to equatorial coordinates
+   * @param {number} lambda - Ecliptic longitude (degrees)
+   * @param {number} beta - Ecliptic latitude (degrees)
+   * @param {number} epsilon - Obliquity (degrees)
+   * @returns {Object} Right ascension and declination in degrees
+   */
+  function toEquatorial(lambda, beta, epsilon) {
+    const rightAscension = fixAngle(arctan2(sin(lambda) * cos(epsilon) - tan(beta) * sin(epsilon), cos(lambda)));
+    const declination = arcsin(sin(beta) * cos(epsilon) + cos(beta) * sin(epsilon) * sin(lambda));
+    return { rightAscension, declination };
+  }
+
+  /**
+   * Apparent position of the sun (Meeus chapter 25, low accuracy)
+   * @param {number} jd - Julian day (UT)
+   * @returns {Object} longitude, rightAscension, declination (degrees) and distance (km)
+   */
+  function sunPosition(jd) {
+    const T = centuries(jd);
+    const L0 = fixAngle(280.46646 + 36000.76983 * T + 0.0003032 * T * T);
+    const M = fixAngle(357.52911 + 35999.05029 * T - 0.0001537 * T * T);
+    const e = 0.016708634 - 0.000042037 * T - 0.0000001267 * T * T;
+    const C = (1.914602 - 0.004817 * T - 0.000014 * T * T) * sin(M) +
+      (0.019993 - 0.000101 * T) * sin(2 * M) +
+      0.000289 * sin(3 * M);
+    const trueLongitude = L0 + C;
+    const trueAnomaly = M + C;
+    const radius = (1.000001018 * (1 - e * e)) / (1 + e * cos(trueAnomaly));
+    const omega = 125.04 - 1934.136 * T;
+    const longitude = fixAngle(trueLongitude - 0.00569 - 0.00478 * sin(omega));
+
+    return Object.assign(
+      { longitude, latitude: 0, distance: radius * 149597870.7 },
+      toEquatorial(longitude, 0, obliquity(T))
+    );
+  }
+
+  /**
+   * Apparent geocentric position of the moon (Meeus chapter 47, truncated)
+   * @param {number} jd - Julian day (UT)
+   * @returns {Object} longitude, latitude, rightAscension, declination (degrees) and distance (km)
+   */
+  function moonPosition(jd) {
+    const T = centuries(jd);
+    const T2 = T * T;
+    const T3 = T2 * T;
+    const T4 = T3 * T;
+
+    const Lp = fixAngle(218.3164477 + 481267.88123421 * T - 0.0015786 * T2 + T3 / 538841 - T4 / 65194000);
+    const D = fixAngle(297.8501921 + 445267.1114034 * T - 0.0018819 * T2 + T3 / 545868 - T4 / 113065000);
+    const M = fixAngle(357.5291092 + 35999.0502909 * T - 0.0001536 * T2 + T3 / 24490000);
+    const Mp = fixAngle(134.9633964 + 477198.8675055 * T + 0.0087414 * T2 + T3 / 69699 - T4 / 14712000);
+    const F = fixAngle(93.2720950 + 483202.0175233 * T - 0.0036539 * T2 - T3 / 3526000 + T4 / 863310000);
+    const A1 = fixAngle(119.75 + 131.849 * T);
+    const A2 = fixAngle(53.09 + 479264.290 * T);
+    const A3 = fixAngle(313.45 + 481266.484 * T);
+    const E = 1 - 0.002516 * T - 0.0000074 * T2;
+
+    // Terms involving the sun's anomaly are scaled by the eccentricity of Earth's orbit
+    const eccentricity = m => (Math.abs(m) === 1 ? E : Math.abs(m) === 2 ? E * E : 1);
+
+    let sumL = 0;
+    let sumR = 0;
+    MOON_LR_TERMS.forEach(([d, m, mp, f, l, r]) => {
+      const argument = d * D + m * M + mp * Mp + f * F;
+      sumL += l * eccentricity(m) * sin(argument);
+      sumR += r * eccentricity(m) * cos(argument);
+    });
+
+    let sumB = 0;
+    MOON_B_TERMS.forEach(([d, m, mp, f, b]) => {
+      sumB += b * eccentricity(m) * sin(d * D + m * M + mp * Mp + f * F);
+    });
+
+    sumL += 3958 * sin(A1) + 1962 * sin(Lp - F) + 318 * sin(A2);
+    sumB += -2235 * sin(Lp) + 382 * sin(A3) + 175 * sin(A1 - F) + 175 * sin(A1 + F) +
+      127 * sin(Lp - Mp) - 115 * sin(Lp + Mp);
+
+    const omega = 125.04452 - 1934.136261 * T;
+    const longitude = fixAngle(Lp + sumL / 1000000 - 0.00478 * sin(omega));
+    const latitude = sumB / 1000000;
+    const distance = 385000.56 + sumR / 1000;
+
+    return Object.assign(
+      { longitude, latitude, distance },
+      toEquatorial(longitude, latitude, obliquity(T))
+    );
+  }
+
+  /**
+   * Time of a new moon (Meeus chapter 49)
+   * @param {number} k - Lunation number (0 = new moon of 6 January 2000)
+   * @returns {Date} The instant of conjunction
+   */
+  function newMoonForLunation(k) {
+    const T = k / 1236.85;
+    const T2 = T * T;
+    const T3 = T2 * T;
+    const T4 = T3 * T;
+
+    let jde = 2451550.09766 + SYNODIC_MONTH * k + 0.00015437 * T2 - 0.000000150 * T3 + 0.00000000073 * T4;
+
+    const E = 1 - 0.002516 * T - 0.0000074 * T2;
+    const M = fixAngle(2.5534 + 29.10535670 * k - 0.0000014 * T2 - 0.00000011 * T3);
+    const Mp = fixAngle(201.5643 + 385.81693528 * k + 0.0107582 * T2 + 0.00001238 * T3 - 0.000000058 * T4);
+    const F = fixAngle(160.7108 + 390.67050284 * k - 0.0016118 * T2 - 0.00000227 * T3 + 0.000000011 * T4);
+    const omega = fixAngle(124.7746 - 1.56375588 * k + 0.0020672 * T2 + 0.00000215 * T3);
+
+    jde += -0.40720 * sin(Mp) +
+      0.17241 * E * sin(M) +
+      0.01608 * sin(2 * Mp) +
+      0.01039 * sin(2 * F) +
+      0.00739 * E * sin(Mp - M) -
+      0.00514 * E * sin(Mp + M) +
+      0.00208 * E * E * sin(2 * M) -
+      0.00111 * sin(Mp - 2 * F) -
+      0.00057 * sin(Mp + 2 * F) +
+      0.00056 * E * sin(2 * Mp + M) -
+      0.00042 * sin(3 * Mp) +
+      0.00042 * E * sin(M + 2 * F) +
+      0.00038 * E * sin(M - 2 * F) -
+      0.00024 * E * sin(2 * Mp - M) -
+      0.00017 * sin(omega) -
+      0.00007 * sin(Mp + 2 * M) +
+      0.00004 * sin(2 * Mp - 2 * F) +
+      0.00004 * sin(3 * M) +
+      0.00003 * sin(Mp + M - 2 * F) +
+      0.00003 * sin(2 * Mp + 2 * F) -
+      0.00003 * sin(Mp + M + 2 * F) +
+      0.00003 * sin(Mp - M + 2 * F) -
+      0.00002 * sin(Mp - M - 2 * F) -
+      0.00002 * sin(3 * Mp + M) +
+      0.00002 * sin(4 * Mp);
+
+    // Planetary arguments
+    const planetary = [
+      [299.77, 0.107408, 0.000325], [251.88, 0.016321, 0.000165],
+      [251.83, 26.651886, 0.000164], [349.42, 36.412478, 0.000126],
+      [84.66, 18.206239, 0.000110], [141.74, 53.303771, 0.000062],
+      [207.14, 2.453732, 0.000060], [154.84, 7.306860, 0.000056],
+      [34.52, 27.261239, 0.000047], [207.19, 0.121824, 0.000042],
+      [291.34, 1.844379, 0.000040], [161.72, 24.198154, 0.000037],
+      [239.56, 25.513099, 0.000035], [331.55, 3.592518, 0.000023]
+    ];
+    planetary.forEach(([base, rate, amplitude], index) => {
+      const argument = base + rate * k - (index === 0 ? 0.009173 * T2 : 0);
+      jde += amplitude * sin(argument);
+    });
+
+    // Terrestrial Time to UT
+    const year = 2000 + k / 12.3685;
+    return fromJulianDay(jde - deltaT(year) / 86400);
+  }
+
+  /**
+   * Find the new moon nearest to a date
+   * @param {Date} date - Reference instant
+   * @returns {number} Lunation number
+   */
+  function lunationNear(date) {
+    const year = 2000 + (toJulianDay(date) - 2451545.0) / 365.25;
+    return Math.round((year - 2000) * 12.3685);
+  }
+
+  /**
+   * Most recent new moon at or before a date
+   * @param {Date} date - Reference instant
+   * @returns {Date} Time of conjunction
+   */
+  function previousNewMoon(date) {
+    let k = lunationNear(date) + 1;
+    let newMoon = newMoonForLunation(k);
+    while (newMoon > date) newMoon = newMoonForLunation(--k);
+    return newMoon;
+  }
+
+  /**
+   * First new moon after a date
+   * @param {Date} date - Reference instant
+   * @returns {Date} Time of conjunction
+   */
+  function nextNewMoon(date) {
+    let k = lunationNear(date) - 1;
+    let newMoon = newMoonForLunation(k);
+    while (newMoon <= date) newMoon = newMoonForLunation(++k);
+    return newMoon;
+  }
+
+  /**
+   * Local horizontal coordinates of a body
+   * @param {Object} position - Body with rightAscension and declination (degrees)
+   * @param {number} jd - Julian day (UT)
+   * @param {Object} location - latitude and longitude (degrees, east positive)
+   * @returns {Object} Altitude and azimuth (degrees, azimuth from north through east)
+   */
+  function horizontal(position, jd, location) {
+    const T = (jd - 2451545.0) / 36525;
+    const gmst = 280.46061837 + 360.98564736629 * (jd - 2451545.0) + 0.000387933 * T * T - (T * T * T) / 38710000;
+    const hourAngle = fixAngle(gmst + location.longitude - position.rightAscension);
+    const lat = location.latitude;
+    const dec = position.declination;
+
+    const altitude = arcsin(sin(lat) * sin(dec) + cos(lat) * cos(dec) * cos(hourAngle));
+    const azimuth = fixAngle(arctan2(sin(hourAngle), cos(hourAngle) * sin(lat) - tan(dec) * cos(lat)) + 180);
+
+    return { altitude, azimuth };
+  }
+
+  /**
+   * Sun and moon positions as seen from a location
+   * @param {Date} date - The instant
+   * @param {Object} location - latitude and longitude (degrees)
+   * @returns {Object} sun, moon and derived crescent quantities
+   */
+  function observe(date, location) {
+    const jd = toJulianDay(date);
+    const sun = sunPosition(jd);
+    const moon = moonPosition(jd);
+    const sunHorizontal = horizontal(sun, jd, location);
+    const moonHorizontal = horizontal(moon, jd, location);
+
+    // Horizontal parallax and semi-diameter of the moon
+    const parallax = arcsin(6378.14 / moon.distance);
+    const semiDiameter = 358473400 / moon.distance / 60; // arcminutes
+    const topocentricAltitude = moonHorizontal.altitude - parallax * cos(moonHorizontal.altitude);
+    const topocentricSemiDiameter = semiDiameter * (1 + sin(moonHorizontal.altitude) * sin(parallax));
+
+    const elongation = arccos(cos(moon.latitude) * cos(moon.longitude - sun.longitude));
+
+    return {
+      sun: Object.assign({}, sun, sunHorizontal),
+      moon: Object.assign({}, moon, moonHorizontal, {
+        topocentricAltitude,
+        parallax,
+        semiDiameter,
+        topocentricSemiDiameter
+      }),
+      elongation
+    };
+  }
+
+  /**
+   * Find when a function of time crosses zero, scanning forward in steps
+   * @param {Function} fn - Function of a Date returning a number
+   * @param {Date} start - Start of the search
+   * @param {number} hours - Length of the search window
+   * @param {number} direction - -1 for a falling crossing (setting), 1 for rising
+   * @returns {Date|null} Time of the crossing, or null if none was found
+   */
+  function findCrossing(fn, start, hours, direction) {
+    const step = 10 * MINUTE;
+    let t0 = start.getTime();
+    let v0 = fn(new Date(t0));
+
+    for (let t1 = t0 + step; t1 <= t0 + hours * 3600000 + step; t1 += step) {
+      const v1 = fn(new Date(t1));
+      if (Math.sign(v1 - v0) === direction || v1 === v0) {
+        if ((direction < 0 && v0 > 0 && v1 <= 0) || (direction > 0 && v0 < 0 && v1 >= 0)) {
+          // Bisect to within a few seconds
+          let low = t1 - step;
+          let high = t1;
+          while (high - low > 5000) {
+            const mid = (low + high) / 2;
+            const value = fn(new Date(mid));
+            if ((direction < 0 && value > 0) || (direction > 0 && value < 0)) low = mid;
+            else high = mid;
+          }
+          return new Date(Math.round((low + high) / 2));
+        }
+      }
+      v0 = v1;
+    }
+
+    return null;
+  }
+
+  /**
+   * Standard altitude of the moon's centre at rise/set, corrected for parallax
+   * @param {Object} observation - Result of observe()
+   * @returns {number} Altitude in degrees
+   */
+  const moonHorizon = observation => 0.7275 * observation.moon.parallax - 0.5667;
+
+  /**
+   * Sunset after a given instant
+   * @param {Date} start - Start of the search
+   * @param {Object} location - latitude and longitude
+   * @returns {Date|null} Time of sunset
+   */
+  function sunset(start, location) {
+    return findCrossing(date => observe(date, location).sun.altitude + 0.8333, start, 24, -1);
+  }
+
+  /**
+   * Moonset after a given instant
+   * @param {Date} start - Start of the search
+   * @param {Object} location - latitude and longitude
+   * @returns {Date|null} Time of moonset
+   */
+  function moonset(start, location) {
+    return findCrossing(date => {
+      const observation = observe(date, location);
+      return observation.moon.altitude - moonHorizon(observation);
+    }, start, 26, -1);
+  }
+
+  /**
+   * Moonrise after a given instant
+   * @param {Date} start - Start of the search
+   * @param {Object} location - latitude and longitude
+   * @returns {Date|null} Time of moonrise
+   */
+  function moonrise(start, location) {
+    return findCrossing(date => {
+      const observation = observe(date, location);
+      return observation.moon.altitude - moonHorizon(observation);
+    }, start, 26, 1);
+  }
+
+  /**
+   * Classify a value against descending thresholds
+   * @param {Array} scale - Categories with a min value, highest first
+   * @param {number} value - Value to classify
+   * @returns {Object} Matching category
+   */
+  const classify = (scale, value) => {
+    const { code, label } = scale.find(category => value >= category.min);
+    return { code, label };
+  };
+
+  /**
+   * Crescent visibility on the evening of a local date
+   * @param {Object} date - {year, month, day} of the evening, in the local calendar
+   * @param {Object} location - latitude, longitude and optional timeZone
+   * @returns {Object} Sunset, moonset, lag, moon age, altitude, elongation, width and Yallop/Odeh results
+   */
+  function crescentVisibility(date, location) {
+    // Search for sunset from local noon (approximated from longitude)
+    const noon = new Date(Date.UTC(date.year, date.month - 1, date.day, 12) - (location.longitude / 15) * 3600000);
+    const sunsetTime = sunset(noon, location);
+    if (!sunsetTime) return null;
+
+    const moonsetTime = moonset(new Date(sunsetTime.getTime() - 12 * 3600000), location);
+    // Age is measured from the nearest conjunction, so it is negative before the new moon
+    const previous = previousNewMoon(sunsetTime);
+    const next = nextNewMoon(sunsetTime);
+    const conjunction = sunsetTime - previous < next - sunsetTime ? previous : next;
+    const ageHours = (sunsetTime - conjunction) / 3600000;
+    const lagMinutes = moonsetTime ? (moonsetTime - sunsetTime) / MINUTE : null;
+
+    const result = {
+      date,
+      conjunction,
+      sunset: sunsetTime,
+      moonset: moonsetTime,
+      lagMinutes,
+      ageHours
+    };
+
+    // Yallop's "best time": sunset plus four-ninths of the lag
+    const bestTime = lagMinutes && lagMinutes > 0
+      ? new Date(sunsetTime.getTime() + (4 / 9) * lagMinutes * MINUTE)
+      : sunsetTime;
+    const atSunset = observe(sunsetTime, location);
+    const atBest = observe(bestTime, location);
+
+    // Geocentric, airless arc of vision and topocentric crescent width
+    const arcv = atBest.moon.altitude - atBest.sun.altitude;
+    const arcl = atBest.elongation;
+    const width = atBest.moon.topocentricSemiDiameter * (1 - cos(arcl));
+    const polynomial = w => 11.8371 - 6.3226 * w + 0.7319 * w * w - 0.1018 * w * w * w;
+    const q = (arcv - polynomial(width)) / 10;
+    const v = arcv - (-0.1018 * width * width * width + 0.7319 * width * width - 6.3226 * width + 7.1651);
+    const belowHorizon = lagMinutes === null || lagMinutes <= 0 || ageHours < 0;
+
+    return Object.assign(result, {
+      bestTime,
+      moonAltitude: atSunset.moon.topocentricAltitude,
+      moonAzimuth: atSunset.moon.azimuth,
+      sunAzimuth: atSunset.sun.azimuth,
+      arcv,
+      elongation: atSunset.elongation,
+      width,
+      illumination: illumination(sunsetTime).fraction,
+      yallop: Object.assign({ q }, classify(YALLOP_CATEGORIES, belowHorizon ? -Infinity : q)),
+      odeh: Object.assign({ v }, classify(ODEH_ZONES, belowHorizon ? -Infinity : v))
+    });
+  }
+
+  /**
+   * Illuminated fraction and phase of the moon (Meeus chapter 48)
+   * @param {Date} date - The instant
+   * @returns {Object} fraction (0-1), phaseAngle (0-360, 0 = new), waxing and name
+   */
+  function illumination(date) {
+    const jd = toJulianDay(date);
+    const sun = sunPosition(jd);
+    const moon = moonPosition(jd);
+
+    const psi = arccos(cos(moon.latitude) * cos(moon.longitude - sun.longitude));
+    const i = arctan2(sun.distance * sin(psi), moon.distance - sun.distance * cos(psi));
+    const fraction = (1 + cos(i)) / 2;
+    const phaseAngle = fixAngle(moon.longitude - sun.longitude);
+
+    return {
+      fraction,
+      phaseAngle,
+      waxing: phaseAngle < 180,
+      name: phaseName(phaseAngle)
+    };
+  }
+
+  /**
+   * Name of a phase from the moon-sun longitude difference
+   * @param {number} angle - Phase angle in degrees (0 = new moon)
+   * @returns {string} Phase name
+   */
+  function phaseName(angle) {
+    const names = [
+      'New Moon', 'Waxing Crescent', 'First Quarter', 'Waxing Gibbous',
+      'Full Moon', 'Waning Gibbous', 'Last Quarter', 'Waning Crescent'
+    ];
+    return names[Math.floor(fixAngle(angle + 22.5) / 45) % 8];
+  }
+
+  /**
+   * Build an SVG path for the lit part of the moon
+   * @param {number} fraction - Illuminated fraction (0-1)
+   * @param {boolean} waxing - Whether the moon is waxing
+   * @param {Object} options - radius, centre and southern (mirror for the southern hemisphere)
+   * @returns {string} SVG path data
+   */
+  function phasePath(fraction, waxing, options) {
+    const { radius = 50, cx = 50, cy = 50, southern = false } = options || {};
+    // In the northern hemisphere a waxing moon is lit on the right
+    const litOnRight = waxing !== southern;
+    const terminator = Math.abs(1 - 2 * fraction) * radius;
+    const outerSweep = litOnRight ? 1 : 0;
+    const innerSweep = fraction > 0.5 ? outerSweep : 1 - outerSweep;
+
+    return `M ${cx} ${cy - radius} ` +
+      `A ${radius} ${radius} 0 0 ${outerSweep} ${cx} ${cy + radius} ` +
+      `A ${terminator.toFixed(2)} ${radius} 0 0 ${innerSweep} ${cx} ${cy - radius} Z`;
+  }
+
+  // Return public methods
+  return {
+    SYNODIC_MONTH,
+    YALLOP_CATEGORIES,
+    ODEH_ZONES,
+    toJulianDay,
+    fromJulianDay,
+    sunPosition,
+    moonPosition,
+    newMoonForLunation,
+    previousNewMoon,
+    nextNewMoon,
+    observe,
+    sunset,
+    moonset,
+    moonrise,
+    crescentVisibility,
+    illumination,
+    phaseName,
+    phasePath
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Lunar;
+}
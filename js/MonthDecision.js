@@ -0,0 +1,344 @@
+/**
+ * MonthDecision.js
+ * Turns the Board's month decisions in /data/month-starts.json into the text shown
+ * in the moonsighting status block, the home page card and the featured announcement,
+ * so a decision is published once and appears everywhere
+ *
+ * A decision record is a month start with:
+ * - decision: "sighted", "not-sighted" or "completed-30"
+ * - sightingEvening: the evening the crescent was looked for (YYYY-MM-DD)
+ * - start: the first day of the month (YYYY-MM-DD)
+ * - publishedAt: when the decision was announced (ISO date-time)
+ * - message: optional extra text from the Board, paragraphs separated by blank lines
+ * - announcementId: optional id for the announcement page (defaults to moonsighting-<year>-<month>)
+ *
+ * The text is in English, as published in the announcements. The page scripts pass
+ * { t: I18n.t, locale: I18n.intlLocale() } to describe() and status() to show it in the
+ * page language, from the "decision" and "hijri" keys in locales/*.json.
+ *
+ * Requires /js/Lunar.js and /js/HijriCalendar.js
+ */
+
+const MonthDecision = (function() {
+  const Calendar = typeof HijriCalendar !== 'undefined' ? HijriCalendar : require('./HijriCalendar.js');
+
+  /** English text, under the "decision" key of locales/en.json */
+  const MESSAGES = {
+    sighted: 'Moon has been sighted',
+    'not-sighted': 'Moon was not sighted',
+    'completed-30': 'Month completed as 30 days',
+    detailSighted: 'The crescent was sighted on the evening of {evening}.',
+    detailNotSighted: 'The crescent was not sighted on the evening of {evening}, so {previous} was completed as 30 days.',
+    detailCompleted: '{previous} was completed as 30 days.',
+    announceSighted: 'The New Zealand Board of Imams confirms that the crescent moon for {month} was sighted in New Zealand on the evening of {evening}. The first day of {name} is {firstDay}.',
+    announceNotSighted: 'The New Zealand Board of Imams received no confirmed sightings of the crescent moon for {month} on the evening of {evening}. {previousName} will therefore be completed as 30 days, and the first day of {name} is {firstDay}.',
+    announceCompleted: 'The New Zealand Board of Imams announces that {previous} has been completed as 30 days. The first day of {name} is {firstDay}.',
+    title: '{month} Moon Sighting Results',
+    titleRamadan: 'Ramadan {year} Moon Sighting Results',
+    titleEid: 'Eid al-Fitr {year} Announcement',
+    firstDay: 'First day of {name}',
+    firstDayEid: 'Eid al-Fitr',
+    ramadanWishes: 'The Board wishes all Muslims a blessed Ramadan. May Allah accept our fasting, prayers, and good deeds.',
+    eidFitr: 'Eid al-Fitr is on {firstDay}. Eid Mubarak from the New Zealand Board of Imams.',
+    eidAdha: 'The Day of Arafah is {arafah}, and Eid al-Adha is on {eid}.',
+    summary: '{detail} The first day of {name} is {firstDay}.',
+    summaryEid: '{detail} Eid al-Fitr is on {firstDay}.',
+    awaiting: 'Awaiting the crescent',
+    awaitingDetail: 'The crescent for {name} will be looked for on the evening of {evening}.',
+    expectedFirstDay: 'Expected first day of {name}',
+    expectedSummary: '{month} is expected to begin on {firstDay}, subject to the sighting of the crescent.',
+    expectedAnnouncement: 'The crescent moon for {month} will be looked for across New Zealand on the evening of {evening}. If it is sighted, the first day of {name} will be {firstDay}. The Board will announce its decision after sunset.',
+    reportSighting: 'If you sight the crescent, please report it using the sighting report form on this page.',
+    greetingRamadan: 'Ramadan Mubarak',
+    greetingEid: 'Eid Mubarak'
+  };
+
+  const DECISIONS = {
+    sighted: MESSAGES.sighted,
+    'not-sighted': MESSAGES['not-sighted'],
+    'completed-30': MESSAGES['completed-30']
+  };
+
+  // Greetings shown with decisions for these months
+  const GREETINGS = {
+    9: { arabic: 'رمضان مبارك', english: 'greetingRamadan' },
+    10: { arabic: 'عيد مبارك', english: 'greetingEid' }
+  };
+
+  /**
+   * The English text, as a translate function like I18n.t
+   * @param {string} key - "decision.<message>" or "hijri.months.<month>"
+   * @param {Object} params - Values for {name} placeholders
+   * @returns {string} Text
+   */
+  function english(key, params) {
+    const [group, name, month] = key.split('.');
+    const message = group === 'hijri' ? Calendar.MONTHS[month - 1] : MESSAGES[name];
+    return message.replace(/\{(\w+)\}/g, (match, param) => (params && param in params ? String(params[param]) : match));
+  }
+
+  /**
+   * Fill in the language to write in
+   * @param {Object} language - t (like I18n.t) and locale (for Intl), both optional
+   * @returns {Object} Text helpers: text(), monthName() and formatDate()
+   */
+  function writer(language) {
+    const t = (language && language.t) || english;
+    const locale = (language && language.locale) || 'en-NZ';
+    return {
+      text: (key, params) => t(`decision.${key}`, params),
+      monthName: month => t(`hijri.months.${month}`),
+      formatDate: date => formatDate(date, locale)
+    };
+  }
+
+  // The status block switches from the last decision to the next expected month on this day of the month
+  const AWAITING_FROM_DAY = 28;
+
+  /**
+   * Format a calendar date as "Monday, 31 March 2025"
+   * @param {Object} date - {year, month, day}
+   * @param {string} locale - Locale for Intl
+   * @returns {string} Formatted date
+   */
+  function formatDate(date, locale) {
+    return new Date(Date.UTC(date.year, date.month - 1, date.day)).toLocaleDateString(locale, {
+      timeZone: 'UTC', weekday: 'long', day: 'numeric', month: 'long', year: 'numeric'
+    });
+  }
+
+  /**
+   * Today's date in New Zealand
+   * @param {Date} now - Current instant
+   * @returns {Object} {year, month, day}
+   */
+  function localToday(now) {
+    return Calendar.parseDate(now.toLocaleDateString('en-CA', { timeZone: Calendar.DEFAULTS.timeZone }));
+  }
+
+  const previousMonth = record => record.month === 1
+    ? { year: record.year - 1, month: 12 }
+    : { year: record.year, month: record.month - 1 };
+
+  /**
+   * Check a decision record before it is published
+   * @param {Object} record - Decision record
+   * @returns {Object} Field errors, empty if valid
+   */
+  function validate(record) {
+    const errors = {};
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(Date.parse(value));
+
+    if (!(record.year >= 1400 && record.year <= 1600)) errors.year = 'Enter the Hijri year.';
+    if (!(record.month >= 1 && record.month <= 12)) errors.month = 'Choose the Hijri month.';
+    if (!(record.decision in DECISIONS)) errors.decision = 'Choose the decision.';
+    if (!isDate(record.start)) errors.start = 'Enter the first day of the month.';
+    if (record.decision !== 'completed-30' && !isDate(record.sightingEvening)) {
+      errors.sightingEvening = 'Enter the evening the crescent was looked for.';
+    }
+
+    if (!errors.start && !errors.sightingEvening && record.sightingEvening) {
+      const days = Calendar.daysBetween(Calendar.parseDate(record.sightingEvening), Calendar.parseDate(record.start));
+      const expected = record.decision === 'sighted' ? 1 : 2;
+      if (record.decision !== 'completed-30' && days !== expected) {
+        errors.start = record.decision === 'sighted'
+          ? 'When the crescent is sighted, the month begins the day after the sighting evening.'
+          : 'When the crescent is not sighted, the month begins two days after the sighting evening.';
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Describe a decision in words
+   * @param {Object} record - Decision record
+   * @param {Object} language - t and locale to write in another language (English by default)
+   * @returns {Object} month, headline, detail, firstDayLabel, firstDay, title, summary and paragraphs
+   */
+  function describe(record, language) {
+    const { text, monthName, formatDate } = writer(language);
+    const name = monthName(record.month);
+    const month = `${name} ${record.year}`;
+    const start = Calendar.parseDate(record.start);
+    const firstDay = formatDate(start);
+    const evening = record.sightingEvening ? formatDate(Calendar.parseDate(record.sightingEvening)) : '';
+    const previous = previousMonth(record);
+    const previousName = monthName(previous.month);
+    const values = { name, month, firstDay, evening, previous: `${previousName} ${previous.year}`, previousName };
+
+    const details = {
+      sighted: 'detailSighted',
+      'not-sighted': 'detailNotSighted',
+      'completed-30': 'detailCompleted'
+    };
+
+    const announcements = {
+      sighted: 'announceSighted',
+      'not-sighted': 'announceNotSighted',
+      'completed-30': 'announceCompleted'
+    };
+
+    const detail = text(details[record.decision], values);
+    const paragraphs = [text(announcements[record.decision], values)];
+    let title = text('title', values);
+    let firstDayLabel = text('firstDay', values);
+
+    if (record.month === 9) {
+      title = text('titleRamadan', { year: record.year });
+      paragraphs.push(text('ramadanWishes'));
+    } else if (record.month === 10) {
+      title = text('titleEid', { year: record.year });
+      firstDayLabel = text('firstDayEid');
+      paragraphs.push(text('eidFitr', values));
+    } else if (record.month === 12) {
+      paragraphs.push(text('eidAdha', { arafah: formatDate(Calendar.addDays(start, 8)), eid: formatDate(Calendar.addDays(start, 9)) }));
+    }
+
+    (record.message || '').split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean)
+      .forEach(paragraph => paragraphs.push(paragraph));
+
+    const greeting = GREETINGS[record.month];
+
+    return {
+      month,
+      monthArabic: `${Calendar.MONTHS_ARABIC[record.month - 1]} ${record.year}`,
+      headline: text(record.decision),
+      detail,
+      firstDayLabel,
+      firstDay,
+      title,
+      summary: text(record.month === 10 ? 'summaryEid' : 'summary', Object.assign({ detail }, values)),
+      paragraphs,
+      greeting: greeting ? { arabic: greeting.arabic, english: text(greeting.english) } : null
+    };
+  }
+
+  /**
+   * Id of the announcement page for a decision
+   * @param {Object} record - Decision record
+   * @returns {string} Announcement id
+   */
+  function announcementId(record) {
+    return record.announcementId || `moonsighting-${record.year}-${String(record.month).padStart(2, '0')}`;
+  }
+
+  /**
+   * Decision records that have been published, newest month first
+   * @param {Array} records - Month starts from /data/month-starts.json
+   * @param {Date} now - Current instant (defaults to now)
+   * @returns {Array} Published decisions
+   */
+  function published(records, now) {
+    const time = (now || new Date()).getTime();
+    return (records || [])
+      .filter(record => record.decision in DECISIONS && (!record.publishedAt || Date.parse(record.publishedAt) <= time))
+      .sort((a, b) => b.start.localeCompare(a.start));
+  }
+
+  /**
+   * Build an announcement, in the format of /data/announcements.json, from a decision
+   * @param {Object} record - Decision record
+   * @returns {Object} Announcement
+   */
+  function toAnnouncement(record) {
+    const text = describe(record);
+    const date = record.publishedAt
+      ? new Date(record.publishedAt).toLocaleDateString('en-CA', { timeZone: Calendar.DEFAULTS.timeZone })
+      : record.sightingEvening || record.start;
+
+    return Object.assign({
+      id: announcementId(record),
+      title: text.title,
+      date,
+      category: 'Announcement',
+      image: record.month === 10 || record.month === 12 ? '/images/eid.png' : '/images/moon.jpeg',
+      imageAlt: record.month === 10 || record.month === 12 ? 'Eid Mubarak' : 'The crescent moon',
+      summary: text.summary,
+      body: text.paragraphs,
+      link: '/moonsighting.html',
+      linkText: 'Moonsighting and upcoming months',
+      moonsighting: true
+    }, record.updatedAt ? { updated: record.updatedAt.slice(0, 10) } : {});
+  }
+
+  /**
+   * Build the push notification sent when a decision is published
+   * @param {Object} record - Decision record
+   * @returns {Object} Notification with topic, title, body, url and tag
+   */
+  function toNotification(record) {
+    const text = describe(record);
+    return {
+      topic: 'moonsighting',
+      title: `${text.month}: ${text.headline}`,
+      body: `${text.firstDayLabel}: ${text.firstDay}.`,
+      url: `/announcements/${announcementId(record)}.html`,
+      tag: `moonsighting-${record.year}-${record.month}`
+    };
+  }
+
+  /**
+   * What the moonsighting status should show now: the latest decision for the
+   * current month, or the next expected month once the sighting evening approaches
+   * HijriCalendar.setConfirmed() should already have been given the same records
+   * @param {Array} records - Month starts from /data/month-starts.json
+   * @param {Date} now - Current instant (defaults to now)
+   * @param {Object} language - t and locale to write in another language (English by default)
+   * @returns {Object} state, month, headline, detail, firstDayLabel, firstDay, paragraphs, greeting and link
+   */
+  function status(records, now, language) {
+    const current = now || new Date();
+    const today = localToday(current);
+    const latest = published(records, current)[0];
+
+    if (latest && Calendar.daysBetween(Calendar.parseDate(latest.start), today) < AWAITING_FROM_DAY - 1) {
+      return Object.assign({
+        state: latest.decision,
+        link: `/announcements/${announcementId(latest)}.html`,
+        record: latest
+      }, describe(latest, language));
+    }
+
+    const { text, monthName, formatDate } = writer(language);
+    const next = Calendar.upcomingMonths(1, current)[0];
+    const name = monthName(next.month);
+    const values = { name, month: `${name} ${next.year}`, evening: formatDate(next.sightingEvening), firstDay: formatDate(next.start) };
+
+    return {
+      state: 'expected',
+      month: values.month,
+      monthArabic: `${next.nameArabic} ${next.year}`,
+      headline: text('awaiting'),
+      detail: text('awaitingDetail', values),
+      firstDayLabel: text('expectedFirstDay', values),
+      firstDay: values.firstDay,
+      title: values.month,
+      summary: text('expectedSummary', values),
+      paragraphs: [
+        text('expectedAnnouncement', values),
+        text('reportSighting')
+      ],
+      greeting: null,
+      link: '/moonsighting.html#sighting-report',
+      record: null
+    };
+  }
+
+  // Return public methods
+  return {
+    DECISIONS,
+    MESSAGES,
+    validate,
+    describe,
+    announcementId,
+    published,
+    toAnnouncement,
+    toNotification,
+    status
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MonthDecision;
+}
@@ -0,0 +1,75 @@
+/**
+ * MoonPhase.js
+ * Draws the moon as seen from New Zealand from the real illuminated fraction
+ * Requires /js/Lunar.js and /js/I18n.js
+ */
+
+/**
+ * MoonPhase - Renders the current phase into an SVG and labels it
+ * @param {Object} options - Configuration options
+ */
+function MoonPhase(options) {
+  // Merge options with defaults
+  const settings = Object.assign({
+    element: null,
+    date: null,
+    southern: true,
+    litColor: '#ffffff',
+    darkColor: '#1f2937',
+    refreshInterval: 600000
+  }, options);
+
+  if (!settings.element) return console.error('MoonPhase: No element specified');
+
+  const svgElement = settings.element.querySelector('[data-moon-phase-graphic]');
+  const nameElement = settings.element.querySelector('[data-moon-phase-name]');
+  const illuminationElement = settings.element.querySelector('[data-moon-illumination]');
+
+  let interval;
+
+  const render = () => {
+    const phase = Lunar.illumination(settings.date || new Date());
+    const name = I18n.t(`moon.phases.${phase.name.toLowerCase().replace(/ /g, '-')}`);
+    const illuminated = I18n.t('moon.illuminated', { percent: I18n.formatNumber(Math.round(phase.fraction * 100) / 100, { style: 'percent' }) });
+
+    if (svgElement) {
+      const path = Lunar.phasePath(phase.fraction, phase.waxing, { southern: settings.southern });
+      svgElement.innerHTML = `
+        <circle cx="50" cy="50" r="50" fill="${settings.darkColor}"></circle>
+        <path d="${path}" fill="${settings.litColor}"></path>
+      `;
+      svgElement.setAttribute('aria-label', `${name}, ${illuminated}`);
+    }
+
+    if (nameElement) nameElement.textContent = name;
+    if (illuminationElement) illuminationElement.textContent = illuminated;
+  };
+
+  render();
+  if (!settings.date) interval = setInterval(render, settings.refreshInterval);
+
+  // Return public methods
+  return {
+    render,
+    stop: () => clearInterval(interval),
+    setDate: (date) => {
+      settings.date = date;
+      render();
+    }
+  };
+}
+
+/**
+ * Initialize moon phase graphics from data attributes
+ */
+function initMoonPhase() {
+  const elements = document.querySelectorAll('[data-moon-phase]');
+  if (!elements.length) return;
+
+  // The phase is named in the page language
+  I18n.ready.then(() => elements.forEach(element => {
+    new MoonPhase({ element });
+  }));
+}
+
+document.addEventListener('DOMContentLoaded', initMoonPhase);
@@ -0,0 +1,107 @@
+/**
+ * MoonsightingStatus.js
+ * Fills the moonsighting status block and the home page status card from the
+ * Board's latest month decision in /data/month-starts.json
+ * Requires /js/Html.js, /js/I18n.js, /js/Lunar.js, /js/HijriCalendar.js and /js/MonthDecision.js
+ */
+
+/**
+ * MoonsightingStatus - Shows the latest decision, or the next expected month
+ * @param {Object} options - Configuration options
+ */
+function MoonsightingStatus(options) {
+  // Merge options with defaults
+  const settings = Object.assign({
+    element: null,
+    dataUrl: '/data/month-starts.json',
+    now: null
+  }, options);
+
+  if (!settings.element) return console.error('MoonsightingStatus: No element specified');
+
+  const findAll = name => settings.element.querySelectorAll(`[data-status-${name}]`);
+
+  // Indicator colour for each state
+  const indicatorClasses = {
+    sighted: 'bg-green-500',
+    'not-sighted': 'bg-yellow-500',
+    'completed-30': 'bg-blue-500',
+    expected: 'bg-gray-400'
+  };
+
+  const setText = (name, value) => findAll(name).forEach(element => {
+    element.textContent = value;
+  });
+
+  /**
+   * Show a status
+   * @param {Object} status - Result of MonthDecision.status()
+   */
+  const render = (status) => {
+    setText('month', status.month);
+    setText('month-arabic', status.monthArabic);
+    setText('headline', status.headline);
+    setText('detail', status.detail);
+    setText('first-day-label', status.firstDayLabel);
+    setText('first-day', status.firstDay);
+
+    findAll('announcement').forEach(element => {
+      element.innerHTML = status.paragraphs.map(text => `<p class="mb-4">${Html.escape(text)}</p>`).join('');
+    });
+
+    findAll('greeting').forEach(element => element.classList.toggle('hidden', !status.greeting));
+    if (status.greeting) {
+      setText('greeting-arabic', status.greeting.arabic);
+      // In Arabic the greeting is already shown
+      setText('greeting-english', status.greeting.english === status.greeting.arabic ? '' : status.greeting.english);
+    }
+
+    findAll('indicator').forEach(element => {
+      Object.values(indicatorClasses).forEach(className => element.classList.remove(className));
+      element.classList.add(indicatorClasses[status.state]);
+    });
+
+    findAll('link').forEach(element => {
+      element.href = status.link;
+    });
+
+    settings.element.dataset.state = status.state;
+  };
+
+  /**
+   * Load the decisions and render the current status
+   * If the data cannot be loaded the status already in the page stays
+   * @returns {Promise} Resolves once rendered
+   */
+  const load = () => fetch(settings.dataUrl)
+    .then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    })
+    .then(data => {
+      HijriCalendar.setConfirmed(data.monthStarts);
+      render(MonthDecision.status(data.monthStarts, settings.now || new Date(), { t: I18n.t, locale: I18n.intlLocale() }));
+    })
+    .catch(error => console.error('MoonsightingStatus: Could not load the month decisions', error));
+
+  load();
+
+  // Return public methods
+  return {
+    render,
+    load
+  };
+}
+
+/**
+ * Initialize every moonsighting status block on the page
+ */
+function initMoonsightingStatus() {
+  const elements = document.querySelectorAll('[data-moonsighting-status]');
+  if (!elements.length) return;
+
+  // The status is written in the page language
+  I18n.ready.then(() => elements.forEach(element => new MoonsightingStatus({ element })));
+}
+
+document.addEventListener('DOMContentLoaded', initMoonsightingStatus);
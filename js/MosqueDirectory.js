@@ -0,0 +1,322 @@
+/**
+ * MosqueDirectory.js
+ * Directory of the mosques the Board serves, from /data/mosques.json: a searchable list
+ * with region filters, "nearest to me" sorting and a Leaflet map. Map tiles the visitor
+ * has seen are kept by the service worker, and the list works without the map.
+ * Requires /js/Html.js, /js/I18n.js and /js/Qibla.js (for distances)
+ */
+
+/**
+ * MosqueDirectory - Lists mosques with search, filters and distances
+ * @param {Object} options - Configuration options
+ */
+function MosqueDirectory(options) {
+  // Merge options with defaults
+  const settings = Object.assign({
+    element: null,
+    dataUrl: '/data/mosques.json',
+    mapCenter: [-41.0, 173.0],
+    mapZoom: 5,
+    locale: I18n.intlLocale()
+  }, options);
+
+  if (!settings.element) return console.error('MosqueDirectory: No element specified');
+
+  const FACILITIES = {
+    'womens-area': "Women's prayer area",
+    wudu: 'Wudu facilities',
+    parking: 'Parking',
+    wheelchair: 'Wheelchair access',
+    school: 'Weekend school',
+    library: 'Library',
+    funeral: 'Funeral services',
+    youth: 'Youth programmes',
+    'halal-food': 'Halal food nearby'
+  };
+
+  /**
+   * Name of a facility in the page language
+   * @param {string} id - Key in FACILITIES
+   * @returns {string} Label
+   */
+  const facilityLabel = id => {
+    const translated = `mosques.facilities.${id}`;
+    return I18n.has(translated) ? I18n.t(translated) : FACILITIES[id] || id;
+  };
+  const text = key => Html.escape(I18n.t(key));
+
+  const find = name => settings.element.querySelector(`[data-mosques-${name}]`);
+  const searchInput = find('search');
+  const regionSelect = find('region');
+  const facilitySelect = find('facility');
+  const nearestButton = find('nearest');
+  const statusElement = find('status');
+  const countElement = find('count');
+  const listElement = find('list');
+  const mapElement = find('map');
+  const mapFallback = find('map-fallback');
+  const sampleNotice = find('sample');
+
+  let mosques = [];
+  let origin = null;
+  let map = null;
+  let markers = {};
+  let originMarker = null;
+
+  const setStatus = (text) => {
+    if (statusElement) statusElement.textContent = text;
+  };
+
+  /**
+   * Format a 24-hour "HH:MM" time for display
+   * @param {string} time - e.g. "13:15"
+   * @returns {string} e.g. "1:15 PM"
+   */
+  const formatTime = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(Date.UTC(2000, 0, 1, hours, minutes))
+      .toLocaleTimeString(settings.locale, { timeZone: 'UTC', hour: 'numeric', minute: '2-digit' })
+      .toUpperCase();
+  };
+
+  /**
+   * Format a distance
+   * @param {number} kilometres - Distance
+   * @returns {string} e.g. "850 m" or "12.4 km"
+   */
+  const formatDistance = (kilometres) => kilometres < 1
+    ? I18n.t('mosques.metres', { distance: I18n.formatNumber(Math.round(kilometres * 100) * 10) })
+    : I18n.t('mosques.kilometres', {
+      distance: kilometres < 100
+        ? I18n.formatNumber(kilometres, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+        : I18n.formatNumber(Math.round(kilometres))
+    });
+
+  /**
+   * Mosques matching the search and region, nearest first when a location is known
+   * @returns {Array} Mosques, with distance when a location is known
+   */
+  const getResults = () => {
+    const query = (searchInput ? searchInput.value : '').trim().toLowerCase();
+    const region = regionSelect ? regionSelect.value : '';
+    const facility = facilitySelect ? facilitySelect.value : '';
+
+    const results = mosques
+      .filter(mosque => !region || mosque.region === region)
+      .filter(mosque => !facility || mosque.facilities.includes(facility))
+      .filter(mosque => !query || [mosque.name, mosque.city, mosque.address, mosque.imam && mosque.imam.name]
+        .concat(mosque.jumuah.map(prayer => prayer.language))
+        .some(text => text && text.toLowerCase().includes(query)))
+      .map(mosque => Object.assign({}, mosque, {
+        distance: origin ? Qibla.distanceBetween(origin, mosque) : null
+      }));
+
+    return origin
+      ? results.sort((a, b) => a.distance - b.distance)
+      : results.sort((a, b) => a.name.localeCompare(b.name));
+  };
+
+  /**
+   * HTML for one mosque
+   * @param {Object} mosque - Mosque, with distance
+   * @returns {string} HTML
+   */
+  const renderMosque = (mosque) => {
+    const contact = mosque.contact || {};
+    const directions = `https://www.openstreetmap.org/directions?to=${mosque.latitude},${mosque.longitude}`;
+
+    return `
+      <article id="${Html.escape(mosque.id)}" class="scroll-mt-24 bg-white p-6 rounded-xl shadow-md border border-gray-100" data-mosque="${Html.escape(mosque.id)}">
+        <div class="flex items-start justify-between gap-4 mb-2">
+          <div>
+            <h3 class="text-xl font-bold">${Html.escape(mosque.name)}</h3>
+            <p class="text-sm text-gray-500">${Html.escape(mosque.region)}</p>
+          </div>
+          ${mosque.distance === null ? '' : `<span class="shrink-0 px-3 py-1 rounded-full text-sm font-semibold bg-indigo-50 text-primary-dark">${formatDistance(mosque.distance)}</span>`}
+        </div>
+        <p class="text-gray-700 mb-3">${Html.escape(mosque.address)}</p>
+        <dl class="text-sm space-y-1 mb-3">
+          ${mosque.imam ? `
+            <div class="flex gap-2"><dt class="text-gray-500">${text('mosques.imam')}</dt>
+              <dd><a href="/imams/${Html.escape(mosque.imam.id)}.html" class="text-primary-color hover:underline">${Html.escape(mosque.imam.name)}</a></dd></div>` : ''}
+          <div class="flex gap-2"><dt class="text-gray-500">${text('mosques.jumuah')}</dt>
+            <dd>${mosque.jumuah.map(prayer => `${formatTime(prayer.time)} (${Html.escape(prayer.language)})`).join(', ')}</dd></div>
+        </dl>
+        <ul class="flex flex-wrap gap-2 mb-4" aria-label="${text('mosques.facilitiesLabel')}">
+          ${mosque.facilities.map(facility => `<li class="px-2 py-1 rounded-full text-xs bg-gray-100 text-gray-700">${Html.escape(facilityLabel(facility))}</li>`).join('')}
+        </ul>
+        <div class="flex flex-wrap gap-x-4 gap-y-2 text-sm">
+          ${contact.phone ? `<a href="tel:${Html.escape(contact.phone.replace(/\s/g, ''))}" class="text-primary-color hover:underline">${Html.escape(contact.phone)}</a>` : ''}
+          ${contact.email ? `<a href="mailto:${Html.escape(contact.email)}" class="text-primary-color hover:underline">${Html.escape(contact.email)}</a>` : ''}
+          ${contact.website ? `<a href="${Html.escape(contact.website)}" class="text-primary-color hover:underline" rel="noopener" target="_blank">${text('mosques.website')}</a>` : ''}
+          <a href="${directions}" class="text-primary-color hover:underline" rel="noopener" target="_blank">${text('mosques.directions')}</a>
+          ${map ? `<button type="button" class="text-primary-color hover:underline" data-mosque-show="${Html.escape(mosque.id)}">${text('mosques.showOnMap')}</button>` : ''}
+        </div>
+      </article>
+    `;
+  };
+
+  /**
+   * Show the matching mosques in the list and on the map
+   */
+  const render = () => {
+    const results = getResults();
+
+    if (countElement) {
+      const count = results.length === 1 ? I18n.t('mosques.countOne') : I18n.t('mosques.count', { count: I18n.formatNumber(results.length) });
+      countElement.textContent = origin ? I18n.t('mosques.nearestFirst', { count }) : count;
+    }
+    if (listElement) {
+      listElement.innerHTML = results.length
+        ? results.map(renderMosque).join('')
+        : `<p class="text-gray-600">${text('mosques.noResults')}</p>`;
+    }
+
+    if (map) {
+      const visible = new Set(results.map(mosque => mosque.id));
+      Object.entries(markers).forEach(([id, marker]) => {
+        if (visible.has(id)) marker.addTo(map);
+        else marker.remove();
+      });
+    }
+  };
+
+  /**
+   * Centre the map on a mosque and open its popup
+   * @param {string} id - Mosque id
+   */
+  const showOnMap = (id) => {
+    const marker = markers[id];
+    if (!marker) return;
+    mapElement.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    map.setView(marker.getLatLng(), 14);
+    marker.openPopup();
+  };
+
+  /**
+   * Show the map, if Leaflet has loaded
+   */
+  const initMap = () => {
+    if (!mapElement || typeof L === 'undefined') {
+      if (mapFallback) mapFallback.classList.remove('hidden');
+      return;
+    }
+
+    mapElement.classList.remove('hidden');
+    map = L.map(mapElement).setView(settings.mapCenter, settings.mapZoom);
+    // CORS tiles, so the service worker can keep the ones the visitor has seen for offline use
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+      maxZoom: 18,
+      crossOrigin: true,
+      attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+    }).addTo(map);
+
+    mosques.forEach(mosque => {
+      markers[mosque.id] = L.marker([mosque.latitude, mosque.longitude], { title: mosque.name })
+        .bindPopup(`<strong>${Html.escape(mosque.name)}</strong><br>${Html.escape(mosque.address)}<br><a href="#${Html.escape(mosque.id)}">${text('mosques.details')}</a>`);
+    });
+  };
+
+  /**
+   * Sort by distance from the device's position
+   */
+  const findNearest = () => {
+    if (!navigator.geolocation) {
+      setStatus(I18n.t('mosques.noGeolocation'));
+      return;
+    }
+
+    setStatus(I18n.t('mosques.locating'));
+    navigator.geolocation.getCurrentPosition(position => {
+      origin = { latitude: position.coords.latitude, longitude: position.coords.longitude };
+      setStatus(I18n.t('mosques.nearest'));
+      if (regionSelect) regionSelect.value = '';
+
+      if (map) {
+        if (originMarker) originMarker.remove();
+        originMarker = L.circleMarker([origin.latitude, origin.longitude], { radius: 8, color: '#4f46e5', fillOpacity: 0.8 })
+          .bindPopup(text('mosques.yourLocation'))
+          .addTo(map);
+      }
+      render();
+
+      const nearest = getResults()[0];
+      if (map && nearest) {
+        map.fitBounds(L.latLngBounds([[origin.latitude, origin.longitude], [nearest.latitude, nearest.longitude]]), { padding: [40, 40], maxZoom: 14 });
+      }
+    }, () => {
+      setStatus(I18n.t('mosques.locationError'));
+    }, { enableHighAccuracy: false, timeout: 15000, maximumAge: 300000 });
+  };
+
+  const populateControls = () => {
+    if (regionSelect) {
+      const regions = Array.from(new Set(mosques.map(mosque => mosque.region)));
+      regionSelect.innerHTML = `<option value="">${text('mosques.allRegions')}</option>` +
+        regions.map(region => `<option value="${Html.escape(region)}">${Html.escape(region)}</option>`).join('');
+    }
+    if (facilitySelect) {
+      facilitySelect.innerHTML = `<option value="">${text('mosques.anyFacilities')}</option>` +
+        Object.keys(FACILITIES).map(id => `<option value="${id}">${Html.escape(facilityLabel(id))}</option>`).join('');
+    }
+  };
+
+  /**
+   * Load the directory
+   * @returns {Promise} Resolves once rendered
+   */
+  const load = () => fetch(settings.dataUrl)
+    .then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    })
+    .then(data => {
+      mosques = data.mosques;
+      // Listings the Board has not confirmed yet
+      if (sampleNotice) sampleNotice.classList.toggle('hidden', !data.sample);
+      populateControls();
+      initMap();
+      render();
+
+      // Open a mosque linked to by its id, e.g. from an imam's profile
+      const linked = window.location.hash.slice(1);
+      if (linked && document.getElementById(linked)) document.getElementById(linked).scrollIntoView();
+    })
+    .catch(error => {
+      console.error('MosqueDirectory: Could not load the directory', error);
+      setStatus(I18n.t('mosques.loadError'));
+    });
+
+  // Set up control listeners
+  searchInput?.addEventListener('input', render);
+  regionSelect?.addEventListener('change', render);
+  facilitySelect?.addEventListener('change', render);
+  nearestButton?.addEventListener('click', findNearest);
+  listElement?.addEventListener('click', event => {
+    const button = event.target.closest('[data-mosque-show]');
+    if (button) showOnMap(button.dataset.mosqueShow);
+  });
+
+  load();
+
+  // Return public methods
+  return {
+    render,
+    load,
+    findNearest,
+    showOnMap
+  };
+}
+
+/**
+ * Initialize the mosque directory
+ */
+function initMosqueDirectory() {
+  const element = document.getElementById('mosque-directory');
+  if (!element) return;
+
+  // Facilities, distances and times are shown in the page language
+  I18n.ready.then(() => new MosqueDirectory({ element }));
+}
+
+document.addEventListener('DOMContentLoaded', initMosqueDirectory);
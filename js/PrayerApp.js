@@ -0,0 +1,256 @@
+/**
+ * PrayerApp.js
+ * The home screen view of the installed app (/app.html): today's Hijri date, today's
+ * prayer times with a countdown to the next one, and the month's timetable.
+ * Everything is calculated on the device, so it works with no connection. The Board's
+ * confirmed month starts are kept in localStorage to correct the Hijri date offline.
+ * Requires /js/Html.js, /js/I18n.js, /js/PrayerTimes.js, /js/Lunar.js and /js/HijriCalendar.js
+ */
+
+/**
+ * PrayerApp - Offline prayer times and Hijri date
+ * @param {Object} options - Configuration options
+ */
+function PrayerApp(options) {
+  // Merge options with defaults
+  const settings = Object.assign({
+    element: null,
+    dataUrl: '/data/month-starts.json',
+    storageKey: 'nzbi-month-starts',
+    timeZone: PrayerTimes.DEFAULTS.timeZone,
+    locale: I18n.intlLocale(),
+    refreshInterval: 30000
+  }, PrayerTimes.loadSettings(), options);
+
+  if (!settings.element) return console.error('PrayerApp: No element specified');
+
+  const prayers = ['fajr', 'sunrise', 'dhuhr', 'asr', 'maghrib', 'isha']
+    .map(key => ({ key, label: I18n.t(`prayers.${key}`) }));
+
+  const find = name => settings.element.querySelector(`[data-app-${name}]`);
+  const citySelect = find('city');
+  const methodSelect = find('method');
+  const asrSelect = find('asr');
+
+  let interval;
+
+  /**
+   * Set the text of an element if it is in the page
+   * @param {string} name - data-app-* name
+   * @param {string} text - Text
+   */
+  const setText = (name, text) => {
+    const element = find(name);
+    if (element) element.textContent = text;
+  };
+
+  /**
+   * Calculate the times for a day
+   * @param {Date|Object} date - A Date, or {year, month, day}
+   * @returns {Object} Prayer times
+   */
+  const getTimes = (date) => PrayerTimes.calculate(date, PrayerTimes.CITIES[settings.city], {
+    method: settings.method,
+    asr: settings.asr,
+    timeZone: settings.timeZone
+  });
+
+  /**
+   * Describe the time left until an instant
+   * @param {Date} time - Future instant
+   * @param {Date} now - Current instant
+   * @returns {string} e.g. "in 2 h 5 min" in English
+   */
+  const countdown = (time, now) => {
+    const minutes = Math.max(1, Math.ceil((time - now) / 60000));
+    const hours = Math.floor(minutes / 60);
+    return hours
+      ? I18n.t('app.inHours', { hours: I18n.formatNumber(hours), minutes: I18n.formatNumber(minutes % 60) })
+      : I18n.t('app.inMinutes', { minutes: I18n.formatNumber(minutes) });
+  };
+
+  const renderDate = (now) => {
+    const hijri = HijriCalendar.today(now);
+    const arabicNumber = value => value.toLocaleString('ar-EG', { useGrouping: false });
+
+    setText('hijri', I18n.t('hijri.date', {
+      day: hijri.day,
+      month: I18n.t(`hijri.months.${hijri.month}`),
+      year: I18n.t('hijri.year', { year: hijri.year })
+    }));
+    setText('hijri-arabic', `${arabicNumber(hijri.day)} ${hijri.nameArabic} ${arabicNumber(hijri.year)} هـ`);
+    setText('hijri-status', I18n.t(hijri.status === 'confirmed' ? 'app.confirmed' : 'app.estimated'));
+    setText('date', now.toLocaleDateString(settings.locale, {
+      timeZone: settings.timeZone, weekday: 'long', day: 'numeric', month: 'long', year: 'numeric'
+    }));
+  };
+
+  const renderToday = (now) => {
+    const times = getTimes(now);
+    let next = prayers.find(({ key }) => key !== 'sunrise' && times[key] > now);
+    let nextTime = next && times[next.key];
+
+    // After Isha the next prayer is tomorrow's Fajr
+    if (!next) {
+      next = prayers[0];
+      nextTime = getTimes(new Date(now.getTime() + 86400000)).fajr;
+    }
+
+    setText('next', next.label);
+    setText('next-time', PrayerTimes.formatTime(nextTime, settings.timeZone, settings.locale));
+    setText('countdown', countdown(nextTime, now));
+
+    const list = find('today');
+    if (list) {
+      list.innerHTML = prayers.map(({ key, label }) => {
+        const isNext = key === next.key && times[key] > now;
+        return `
+          <li data-prayer="${key}"${isNext ? ' class="is-next" aria-current="time"' : ''}>
+            <span>${Html.escape(label)}</span>
+            <strong>${PrayerTimes.formatTime(times[key], settings.timeZone, settings.locale)}</strong>
+          </li>
+        `;
+      }).join('');
+    }
+
+    const city = PrayerTimes.CITIES[settings.city];
+    const asrLabel = I18n.t(settings.asr === 'Hanafi' ? 'prayers.hanafi' : 'prayers.shafii');
+    setText('location', I18n.t('app.location', { city: city.name }));
+    setText('method-name', I18n.t('prayers.method', { method: PrayerTimes.METHODS[settings.method].name, asr: asrLabel }));
+  };
+
+  const renderMonth = (now) => {
+    const today = PrayerTimes.getLocalDate(now, settings.timeZone);
+    const days = PrayerTimes.calculateMonth(today.year, today.month, PrayerTimes.CITIES[settings.city], {
+      method: settings.method,
+      asr: settings.asr,
+      timeZone: settings.timeZone
+    });
+
+    setText('month-title', new Date(Date.UTC(today.year, today.month - 1, 15)).toLocaleDateString(settings.locale, {
+      timeZone: 'UTC', month: 'long', year: 'numeric'
+    }));
+
+    const body = find('month');
+    if (!body) return;
+
+    body.innerHTML = days.map(({ date, times }) => {
+      const isToday = date.day === today.day;
+      const hijri = HijriCalendar.fromGregorian(date);
+      const weekday = new Date(Date.UTC(date.year, date.month - 1, date.day))
+        .toLocaleDateString(settings.locale, { timeZone: 'UTC', weekday: 'short' });
+      return `
+        <tr${isToday ? ' class="is-today" aria-current="date"' : ''}>
+          <th scope="row">${Html.escape(weekday)} ${date.day}<small>${hijri.day} ${Html.escape(I18n.t(`hijri.months.${hijri.month}`))}</small></th>
+          ${prayers.map(({ key }) => `<td>${PrayerTimes.formatTime(times[key], settings.timeZone, settings.locale)}</td>`).join('')}
+        </tr>
+      `;
+    }).join('');
+  };
+
+  const renderConnection = () => {
+    const element = find('connection');
+    if (!element) return;
+    element.hidden = navigator.onLine !== false;
+  };
+
+  /**
+   * Render the whole view for the current moment
+   */
+  const render = () => {
+    const now = settings.now || new Date();
+    renderDate(now);
+    renderToday(now);
+    renderMonth(now);
+    renderConnection();
+  };
+
+  /**
+   * Use the Board's confirmed month starts, refreshing the saved copy when online
+   * @returns {Promise} Resolves once the Hijri date reflects the best data available
+   */
+  const loadMonthStarts = () => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(settings.storageKey));
+      if (saved && saved.monthStarts) HijriCalendar.setConfirmed(saved.monthStarts);
+    } catch (error) {
+      // Nothing saved yet - the Hijri date is estimated from the moon
+    }
+
+    return fetch(settings.dataUrl)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then(data => {
+        HijriCalendar.setConfirmed(data.monthStarts);
+        try {
+          localStorage.setItem(settings.storageKey, JSON.stringify(data));
+        } catch (error) {
+          // Storage is unavailable - the next offline visit estimates the month starts
+        }
+        render();
+      })
+      .catch(() => {
+        // Offline: keep the saved or estimated dates already shown
+      });
+  };
+
+  /**
+   * Change a setting, remember it and re-render
+   * @param {Object} changes - Any of city, method and asr
+   */
+  const update = (changes) => {
+    Object.assign(settings, changes);
+    PrayerTimes.saveSettings(changes);
+    render();
+  };
+
+  // Populate the controls
+  if (citySelect) {
+    citySelect.innerHTML = Object.keys(PrayerTimes.CITIES)
+      .map(key => `<option value="${key}">${Html.escape(PrayerTimes.CITIES[key].name)}</option>`)
+      .join('');
+    citySelect.value = settings.city;
+    citySelect.addEventListener('change', () => update({ city: citySelect.value }));
+  }
+  if (methodSelect) {
+    methodSelect.innerHTML = Object.keys(PrayerTimes.METHODS)
+      .map(key => `<option value="${key}">${Html.escape(PrayerTimes.METHODS[key].name)}</option>`)
+      .join('');
+    methodSelect.value = settings.method;
+    methodSelect.addEventListener('change', () => update({ method: methodSelect.value }));
+  }
+  if (asrSelect) {
+    asrSelect.value = settings.asr;
+    asrSelect.addEventListener('change', () => update({ asr: asrSelect.value }));
+  }
+
+  window.addEventListener('online', renderConnection);
+  window.addEventListener('offline', renderConnection);
+
+  // The saved month starts are applied before the first render, the download after it
+  loadMonthStarts();
+  render();
+  interval = setInterval(render, settings.refreshInterval);
+
+  // Return public methods
+  return {
+    render,
+    loadMonthStarts,
+    stop: () => clearInterval(interval)
+  };
+}
+
+/**
+ * Initialize the app view
+ */
+function initPrayerApp() {
+  const element = document.getElementById('prayer-app');
+  if (!element) return;
+
+  // The dates, prayer names and countdown are shown in the page language
+  I18n.ready.then(() => new PrayerApp({ element }));
+}
+
+document.addEventListener('DOMContentLoaded', initPrayerApp);
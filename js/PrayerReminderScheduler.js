@@ -0,0 +1,164 @@
+/**
+ * PrayerReminderScheduler.js
+ * Keeps the prayer reminders scheduled. The reminder settings, saved city and
+ * notification text are sent to the service worker, which schedules the reminders with
+ * Notification Triggers so they arrive while the site is closed, and again from
+ * periodic sync. In browsers without triggers, reminders are shown from the page while
+ * the site is open. Either way the reminders are worked out again each day and after
+ * a daylight saving change.
+ * Requires /js/PrayerTimes.js and /js/PrayerReminders.js; uses /js/I18n.js when the page has it
+ */
+
+/**
+ * PrayerReminderScheduler - Schedules prayer reminders for the saved city
+ * @param {Object} options - Configuration options
+ */
+function PrayerReminderScheduler(options) {
+  // Merge options with defaults
+  const settings = Object.assign({
+    // How often the page checks for reminders that are due
+    interval: 20000,
+    // Opened when a reminder is tapped
+    url: '/prayer-times.html',
+    // Translated notification text, see PrayerReminders.MESSAGES
+    strings: {},
+    // A reminder missed by more than this, e.g. while the computer slept, is skipped
+    lateLimit: 5 * 60000,
+    // Browsers wake the service worker about this often to schedule the next days
+    syncInterval: 12 * 3600 * 1000
+  }, options);
+
+  let lastSignature = null;
+  let lastCheck = new Date();
+  let interval;
+
+  const canNotify = () => 'Notification' in window && Notification.permission === 'granted';
+
+  /**
+   * Whether the browser can schedule notifications while the site is closed
+   * @returns {boolean} True with Notification Triggers
+   */
+  const hasTriggers = () => 'serviceWorker' in navigator && typeof TimestampTrigger !== 'undefined';
+
+  const getLocation = () => Object.assign(PrayerTimes.loadSettings(), { timeZone: PrayerTimes.DEFAULTS.timeZone });
+
+  /**
+   * Send the reminders to the service worker, and ask to be woken to schedule the next days
+   * @param {Object} reminders - Reminder settings
+   * @param {Object} location - Saved city, method and Asr
+   * @returns {Promise} Resolves once sent
+   */
+  const sync = (reminders, location) => {
+    if (!('serviceWorker' in navigator)) return Promise.resolve();
+
+    return navigator.serviceWorker.ready.then(registration => {
+      if (registration.active) {
+        registration.active.postMessage({
+          type: 'PRAYER_REMINDERS',
+          config: { settings: reminders, location, strings: settings.strings, url: settings.url }
+        });
+      }
+
+      if (!registration.periodicSync) return;
+      return (reminders.enabled
+        ? registration.periodicSync.register('prayer-reminders', { minInterval: settings.syncInterval })
+        : registration.periodicSync.unregister('prayer-reminders'))
+        .catch(() => {
+          // Periodic sync is only allowed for installed apps; each visit schedules the next days instead
+        });
+    });
+  };
+
+  /**
+   * Show a reminder now, through the service worker if there is one
+   * @param {Object} reminder - From PrayerReminders.upcoming()
+   * @param {Object} location - Saved city, method and Asr
+   */
+  const show = (reminder, location) => {
+    const { title, body } = PrayerReminders.message(reminder, location, settings.strings);
+    const notification = {
+      body,
+      icon: '/images/logo.png',
+      badge: '/images/logo.png',
+      tag: reminder.tag,
+      silent: reminder.silent,
+      data: { url: settings.url }
+    };
+
+    if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+      navigator.serviceWorker.ready.then(registration => registration.showNotification(title, notification));
+    } else {
+      new Notification(title, notification);
+    }
+  };
+
+  /**
+   * Schedule again if anything has changed, and show the reminders that have come due
+   */
+  const check = () => {
+    const now = new Date();
+    const reminders = PrayerReminders.loadSettings();
+    const location = getLocation();
+
+    const signature = PrayerReminders.signature(reminders, location, now);
+    if (signature !== lastSignature) {
+      lastSignature = signature;
+      sync(reminders, location);
+    }
+
+    // With triggers the service worker shows them, even while this page is open
+    if (reminders.enabled && canNotify() && !hasTriggers()) {
+      PrayerReminders.upcoming(reminders, location, lastCheck, 2)
+        .filter(reminder => reminder.at <= now && now - reminder.at <= settings.lateLimit)
+        .forEach(reminder => show(reminder, location));
+    }
+    lastCheck = now;
+  };
+
+  check();
+  interval = setInterval(check, settings.interval);
+
+  // Settings changed on this page, or in another tab
+  document.addEventListener('prayer-reminders-change', check);
+  window.addEventListener('storage', event => {
+    if (event.key === PrayerReminders.STORAGE_KEY || event.key === 'nzbi-prayer-settings') check();
+  });
+
+  // Return public methods
+  return {
+    check,
+    hasTriggers,
+    stop: () => clearInterval(interval)
+  };
+}
+
+/**
+ * Notification text in the page language
+ * @returns {Object} Strings for PrayerReminders.message()
+ */
+function getPrayerReminderStrings() {
+  if (typeof I18n === 'undefined') return {};
+  const names = {};
+  PrayerReminders.PRAYERS.forEach(key => {
+    names[key] = I18n.t(`prayers.${key}`);
+  });
+  return {
+    names,
+    before: I18n.t('reminders.before'),
+    now: I18n.t('reminders.now'),
+    body: I18n.t('reminders.body'),
+    locale: I18n.intlLocale()
+  };
+}
+
+/**
+ * Initialize the prayer reminder scheduler
+ */
+function initPrayerReminderScheduler() {
+  if (!('Notification' in window)) return;
+
+  const ready = typeof I18n === 'undefined' ? Promise.resolve() : I18n.ready;
+  ready.then(() => new PrayerReminderScheduler({ strings: getPrayerReminderStrings() }));
+}
+
+document.addEventListener('DOMContentLoaded', initPrayerReminderScheduler);
@@ -0,0 +1,197 @@
+/**
+ * PrayerReminderSettings.js
+ * The prayer reminder settings on the prayer times page: for each prayer, whether to be
+ * reminded, how long before the adhan, and a notification with sound or a silent one.
+ * Reminders follow the city, method and Asr chosen in the timetable.
+ * Requires /js/Html.js, /js/I18n.js, /js/PrayerTimes.js, /js/PrayerReminders.js and /js/PrayerReminderScheduler.js
+ */
+
+/**
+ * PrayerReminderSettings - Lets the visitor choose their prayer reminders
+ * @param {Object} options - Configuration options
+ */
+function PrayerReminderSettings(options) {
+  // Merge options with defaults
+  const settings = Object.assign({
+    element: null,
+    timeZone: PrayerTimes.DEFAULTS.timeZone,
+    locale: I18n.intlLocale(),
+    // Whether reminders can arrive while the site is closed
+    hasTriggers: () => typeof TimestampTrigger !== 'undefined'
+  }, options);
+
+  if (!settings.element) return console.error('PrayerReminderSettings: No element specified');
+
+  const find = name => settings.element.querySelector(`[data-reminders-${name}]`);
+  const form = find('form');
+  const rows = find('rows');
+  const enableButton = find('enable');
+  const disableButton = find('disable');
+  const status = find('status');
+
+  let reminders = PrayerReminders.loadSettings();
+
+  const labels = Object.fromEntries(PrayerReminders.PRAYERS.map(key => [key, I18n.t(`prayers.${key}`)]));
+
+  const setText = (name, text) => {
+    const element = find(name);
+    if (element) element.textContent = text;
+  };
+
+  const showStatus = message => {
+    if (status) status.textContent = message;
+  };
+
+  const offsetLabel = minutes => (minutes
+    ? I18n.t('reminders.offset', { minutes: I18n.formatNumber(minutes) })
+    : I18n.t('reminders.atAdhan'));
+
+  /**
+   * Draw a row of choices for each prayer
+   */
+  const renderRows = () => {
+    const select = 'px-3 py-2 border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-primary-color focus:border-primary-color';
+    rows.innerHTML = PrayerReminders.PRAYERS.map(key => {
+      const choice = reminders.prayers[key];
+      return `
+        <tr data-reminder="${key}">
+          <th scope="row" class="py-3 px-4 text-left font-semibold">
+            <label class="inline-flex items-center gap-3">
+              <input type="checkbox" name="on-${key}" class="w-4 h-4" style="accent-color: var(--primary-color);"${choice.on ? ' checked' : ''}>
+              ${Html.escape(labels[key])}
+            </label>
+          </th>
+          <td class="py-3 px-4">
+            <select name="offset-${key}" class="${select}" aria-label="${Html.escape(I18n.t('reminders.offsetLabel', { prayer: labels[key] }))}">
+              ${PrayerReminders.OFFSETS.map(minutes => `<option value="${minutes}"${minutes === choice.offset ? ' selected' : ''}>${Html.escape(offsetLabel(minutes))}</option>`).join('')}
+            </select>
+          </td>
+          <td class="py-3 px-4">
+            <select name="alert-${key}" class="${select}" aria-label="${Html.escape(I18n.t('reminders.alertLabel', { prayer: labels[key] }))}">
+              ${Object.keys(PrayerReminders.ALERTS).map(alert => `<option value="${alert}"${alert === choice.alert ? ' selected' : ''}>${Html.escape(I18n.t(`reminders.alerts.${alert}`))}</option>`).join('')}
+            </select>
+          </td>
+        </tr>`;
+    }).join('');
+  };
+
+  /**
+   * Read the choices from the form
+   * @returns {Object} Reminder settings
+   */
+  const readForm = () => {
+    const prayers = {};
+    PrayerReminders.PRAYERS.forEach(key => {
+      prayers[key] = {
+        on: form.elements[`on-${key}`].checked,
+        offset: Number(form.elements[`offset-${key}`].value),
+        alert: form.elements[`alert-${key}`].value
+      };
+    });
+    return PrayerReminders.normalize({ enabled: reminders.enabled, prayers });
+  };
+
+  /**
+   * Show whether reminders are on, the saved city and the next reminder
+   */
+  const render = () => {
+    const location = Object.assign(PrayerTimes.loadSettings(), { timeZone: settings.timeZone });
+    const on = reminders.enabled && 'Notification' in window && Notification.permission === 'granted';
+
+    enableButton.classList.toggle('hidden', on);
+    disableButton.classList.toggle('hidden', !on);
+    settings.element.dataset.remindersState = on ? 'on' : 'off';
+    setText('city', PrayerTimes.CITIES[location.city].name);
+
+    const next = on ? PrayerReminders.upcoming(reminders, location, new Date(), 2)[0] : null;
+    if (!next) {
+      setText('next', on ? I18n.t('reminders.choosePrayer') : '');
+      return;
+    }
+    const today = PrayerTimes.getLocalDate(next.at, settings.timeZone).day === PrayerTimes.getLocalDate(new Date(), settings.timeZone).day;
+    const when = next.offset
+      ? I18n.t('reminders.whenBefore', { minutes: I18n.formatNumber(next.offset), prayer: labels[next.prayer] })
+      : I18n.t('reminders.whenAdhan', { prayer: labels[next.prayer] });
+    setText('next', I18n.t(today ? 'reminders.nextToday' : 'reminders.nextTomorrow', {
+      when,
+      time: PrayerTimes.formatTime(next.at, settings.timeZone, settings.locale)
+    }));
+  };
+
+  /**
+   * Save the settings and have the scheduler pick them up
+   */
+  const save = () => {
+    PrayerReminders.saveSettings(reminders);
+    document.dispatchEvent(new Event('prayer-reminders-change'));
+    render();
+  };
+
+  const enable = () => {
+    enableButton.disabled = true;
+    Notification.requestPermission()
+      .then(permission => {
+        if (permission !== 'granted') {
+          showStatus(I18n.t('reminders.notAllowed'));
+          return;
+        }
+        reminders = Object.assign(readForm(), { enabled: true });
+        save();
+        showStatus(I18n.t(settings.hasTriggers() ? 'reminders.onScheduled' : 'reminders.onOpen'));
+      })
+      .then(() => {
+        enableButton.disabled = false;
+      });
+  };
+
+  const disable = () => {
+    reminders = Object.assign(readForm(), { enabled: false });
+    save();
+    showStatus(I18n.t('reminders.off'));
+  };
+
+  // Set up the form
+  renderRows();
+  form.addEventListener('submit', event => event.preventDefault());
+  form.addEventListener('change', () => {
+    reminders = readForm();
+    save();
+    if (reminders.enabled) showStatus(I18n.t('reminders.updated'));
+  });
+
+  // The timetable saves its city, method and Asr when they change
+  document.addEventListener('change', event => {
+    if (!form.contains(event.target)) render();
+  });
+
+  if (!('Notification' in window)) {
+    enableButton.disabled = true;
+    enableButton.classList.add('opacity-60');
+    showStatus(I18n.t('reminders.unsupported'));
+  } else {
+    enableButton.addEventListener('click', enable);
+    disableButton.addEventListener('click', disable);
+    if (Notification.permission === 'denied') showStatus(I18n.t('reminders.blocked'));
+  }
+
+  render();
+  setInterval(render, 60000);
+
+  // Return public methods
+  return {
+    render
+  };
+}
+
+/**
+ * Initialize the prayer reminder settings
+ */
+function initPrayerReminderSettings() {
+  const element = document.getElementById('prayer-reminders');
+  if (!element) return;
+
+  // Prayer names, choices and messages are shown in the page language
+  I18n.ready.then(() => new PrayerReminderSettings({ element }));
+}
+
+document.addEventListener('DOMContentLoaded', initPrayerReminderSettings);
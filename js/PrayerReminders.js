@@ -0,0 +1,194 @@
+/**
+ * PrayerReminders.js
+ * Prayer reminders: the visitor's choice of offset and alert for each prayer, the
+ * reminders due over the next few days for their saved city, and the notification text.
+ * Shared by the reminder settings on the prayer times page, the in-page scheduler
+ * and the service worker, which schedules reminders while the site is closed.
+ * Requires /js/PrayerTimes.js
+ */
+
+const PrayerReminders = (function() {
+  /** Prayers a reminder can be set for (sunrise is not a prayer) */
+  const PRAYERS = ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha'];
+
+  /** Minutes before the adhan a reminder can come; 0 is at the adhan time */
+  const OFFSETS = [0, 5, 10, 15, 20, 30, 45, 60];
+
+  /** How a reminder alerts */
+  const ALERTS = {
+    sound: 'Sound',
+    silent: 'Silent'
+  };
+
+  // Every prayer is on, 10 minutes before, once the visitor turns reminders on
+  const DEFAULT_PRAYER = { on: true, offset: 10, alert: 'sound' };
+
+  // Where the visitor's reminder settings are remembered in the browser
+  const STORAGE_KEY = 'nzbi-prayer-reminders';
+
+  // Notification tags start with this, so reminders can be told apart from pushed notifications
+  const TAG_PREFIX = 'prayer-reminder-';
+
+  /** Notification text, in English; pages pass their translations */
+  const MESSAGES = {
+    names: { fajr: 'Fajr', dhuhr: 'Dhuhr', asr: 'Asr', maghrib: 'Maghrib', isha: 'Isha' },
+    before: '{prayer} in {minutes} minutes',
+    now: 'Time for {prayer}',
+    body: '{prayer} is at {time} in {city}.'
+  };
+
+  const fill = (text, params) => text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+
+  /**
+   * Check saved settings, filling in defaults for anything missing or invalid
+   * @param {Object} saved - Settings as saved, or null
+   * @returns {Object} enabled and prayers ({on, offset, alert} for each prayer)
+   */
+  function normalize(saved) {
+    const source = saved && typeof saved === 'object' ? saved : {};
+    const prayers = {};
+    PRAYERS.forEach(key => {
+      const prayer = (source.prayers && source.prayers[key]) || {};
+      prayers[key] = {
+        on: typeof prayer.on === 'boolean' ? prayer.on : DEFAULT_PRAYER.on,
+        offset: OFFSETS.includes(prayer.offset) ? prayer.offset : DEFAULT_PRAYER.offset,
+        alert: prayer.alert in ALERTS ? prayer.alert : DEFAULT_PRAYER.alert
+      };
+    });
+    return { enabled: source.enabled === true, prayers };
+  }
+
+  /**
+   * Read the visitor's reminder settings
+   * @returns {Object} Settings, see normalize()
+   */
+  function loadSettings() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (error) {
+      // No storage (Node, the service worker, or blocked by the browser) - use the defaults
+    }
+    return normalize(saved);
+  }
+
+  /**
+   * Remember the visitor's reminder settings
+   * @param {Object} settings - Settings, see normalize()
+   */
+  function saveSettings(settings) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(normalize(settings)));
+    } catch (error) {
+      // Storage is unavailable or full - the choice lasts until the page is closed
+    }
+  }
+
+  /**
+   * Add days to a local calendar date
+   * @param {Object} date - {year, month, day}
+   * @param {number} days - Days to add
+   * @returns {Object} {year, month, day}
+   */
+  function addDays(date, days) {
+    const next = new Date(Date.UTC(date.year, date.month - 1, date.day + days));
+    return { year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() };
+  }
+
+  /**
+   * Reminders due after an instant. Times are worked out for each local day, so the
+   * reminders after a daylight saving change follow the new clock time.
+   * @param {Object} settings - Reminder settings, see normalize()
+   * @param {Object} location - city, method and asr from PrayerTimes.loadSettings(), and timeZone
+   * @param {Date} after - Only reminders after this instant
+   * @param {number} days - Local days to look at, starting with the day containing `after`
+   * @returns {Array} Reminders, soonest first: prayer, time, at, offset, silent and tag
+   */
+  function upcoming(settings, location, after, days) {
+    const coords = PrayerTimes.CITIES[location.city] || PrayerTimes.CITIES.auckland;
+    const timeZone = location.timeZone || PrayerTimes.DEFAULTS.timeZone;
+    const start = PrayerTimes.getLocalDate(after, timeZone);
+    const reminders = [];
+
+    for (let index = 0; index < (days || 1); index++) {
+      const date = addDays(start, index);
+      const times = PrayerTimes.calculate(date, coords, { method: location.method, asr: location.asr, timeZone });
+      const dateKey = `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+
+      PRAYERS.forEach(prayer => {
+        const choice = settings.prayers[prayer];
+        if (!choice || !choice.on || !times[prayer]) return;
+        const at = new Date(times[prayer].getTime() - choice.offset * 60000);
+        if (at <= after) return;
+        reminders.push({
+          prayer,
+          time: times[prayer],
+          at,
+          offset: choice.offset,
+          silent: choice.alert === 'silent',
+          tag: `${TAG_PREFIX}${prayer}-${dateKey}`
+        });
+      });
+    }
+
+    return reminders.sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * Notification title and body for a reminder
+   * @param {Object} reminder - From upcoming()
+   * @param {Object} location - As for upcoming()
+   * @param {Object} strings - Translations of MESSAGES, and locale for the time
+   * @returns {Object} title and body
+   */
+  function message(reminder, location, strings) {
+    const text = Object.assign({}, MESSAGES, strings);
+    const names = Object.assign({}, MESSAGES.names, text.names);
+    const coords = PrayerTimes.CITIES[location.city] || PrayerTimes.CITIES.auckland;
+    const params = {
+      prayer: names[reminder.prayer],
+      minutes: reminder.offset,
+      time: PrayerTimes.formatTime(reminder.time, location.timeZone, text.locale),
+      city: coords.name
+    };
+
+    return {
+      title: fill(reminder.offset ? text.before : text.now, params),
+      body: fill(text.body, params)
+    };
+  }
+
+  /**
+   * A key that changes whenever the reminders need scheduling again: new settings,
+   * another city or method, a new day, or a daylight saving change
+   * @param {Object} settings - Reminder settings
+   * @param {Object} location - As for upcoming()
+   * @param {Date} now - Current instant
+   * @returns {string} Key
+   */
+  function signature(settings, location, now) {
+    const timeZone = location.timeZone || PrayerTimes.DEFAULTS.timeZone;
+    const date = PrayerTimes.getLocalDate(now, timeZone);
+    return JSON.stringify([settings, location.city, location.method, location.asr, date, PrayerTimes.getTimeZoneName(now, timeZone)]);
+  }
+
+  // Return public methods
+  return {
+    PRAYERS,
+    OFFSETS,
+    ALERTS,
+    STORAGE_KEY,
+    TAG_PREFIX,
+    MESSAGES,
+    normalize,
+    loadSettings,
+    saveSettings,
+    upcoming,
+    message,
+    signature
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PrayerReminders;
+}
@@ -0,0 +1,354 @@
+/**
+ * PrayerTimes.js
+ * Calculates daily prayer times from the position of the sun
+ *
+ * Based on the standard twilight-angle method (as used by PrayTimes.org):
+ * Fajr and Isha are found from the sun's depression angle below the horizon,
+ * Asr from the length of an object's shadow, and Dhuhr from solar noon.
+ * All times are returned as Date objects, so they can be shown in any
+ * time zone (New Zealand switches between NZST and NZDT).
+ */
+
+const PrayerTimes = (function() {
+  /**
+   * Calculation methods.
+   * Numbers are sun depression angles in degrees, strings ending in "min"
+   * are fixed offsets in minutes from sunset.
+   */
+  const METHODS = {
+    MWL: { name: 'Muslim World League', fajr: 18, isha: 17 },
+    ISNA: { name: 'Islamic Society of North America', fajr: 15, isha: 15 },
+    Egypt: { name: 'Egyptian General Authority of Survey', fajr: 19.5, isha: 17.5 },
+    Makkah: { name: 'Umm al-Qura University, Makkah', fajr: 18.5, isha: '90 min' },
+    Karachi: { name: 'University of Islamic Sciences, Karachi', fajr: 18, isha: 18 },
+    Gulf: { name: 'Gulf Region', fajr: 19.5, isha: '90 min' },
+    Singapore: { name: 'Majlis Ugama Islam Singapura', fajr: 20, isha: 18 },
+    Tehran: { name: 'Institute of Geophysics, University of Tehran', fajr: 17.7, isha: 14, maghrib: 4.5, midnight: 'Jafari' },
+    Jafari: { name: 'Shia Ithna-Ashari, Leva Institute, Qum', fajr: 16, isha: 14, maghrib: 4, midnight: 'Jafari' }
+  };
+
+  /** Shadow length factors for the Asr time */
+  const ASR_FACTORS = {
+    Shafi: 1,  // Shafi'i, Maliki, Hanbali (standard)
+    Hanafi: 2
+  };
+
+  /**
+   * Rules for latitudes where twilight never ends in summer.
+   * The value is the fraction of the night used as the limit for Fajr/Isha.
+   */
+  const HIGH_LATITUDE_RULES = {
+    None: null,
+    NightMiddle: () => 1 / 2,
+    OneSeventh: () => 1 / 7,
+    AngleBased: angle => angle / 60
+  };
+
+  /** Main New Zealand centres, with elevation in metres */
+  const CITIES = {
+    auckland: { name: 'Auckland', latitude: -36.8485, longitude: 174.7633, elevation: 20 },
+    hamilton: { name: 'Hamilton', latitude: -37.7870, longitude: 175.2793, elevation: 40 },
+    tauranga: { name: 'Tauranga', latitude: -37.6878, longitude: 176.1651, elevation: 10 },
+    napier: { name: 'Napier', latitude: -39.4928, longitude: 176.9120, elevation: 5 },
+    'palmerston-north': { name: 'Palmerston North', latitude: -40.3523, longitude: 175.6082, elevation: 30 },
+    wellington: { name: 'Wellington', latitude: -41.2865, longitude: 174.7762, elevation: 20 },
+    nelson: { name: 'Nelson', latitude: -41.2706, longitude: 173.2840, elevation: 10 },
+    christchurch: { name: 'Christchurch', latitude: -43.5321, longitude: 172.6362, elevation: 10 },
+    dunedin: { name: 'Dunedin', latitude: -45.8788, longitude: 170.5028, elevation: 10 },
+    invercargill: { name: 'Invercargill', latitude: -46.4132, longitude: 168.3538, elevation: 5 }
+  };
+
+  const DEFAULTS = {
+    // Key in CITIES, for views with no saved or given city
+    city: 'auckland',
+    method: 'MWL',
+    asr: 'Shafi',
+    highLatitude: 'AngleBased',
+    timeZone: 'Pacific/Auckland',
+    imsak: '10 min',
+    adjustments: {}
+  };
+
+  // Degree-based trigonometry
+  const dtr = d => (d * Math.PI) / 180;
+  const rtd = r => (r * 180) / Math.PI;
+  const sin = d => Math.sin(dtr(d));
+  const cos = d => Math.cos(dtr(d));
+  const tan = d => Math.tan(dtr(d));
+  const arcsin = x => rtd(Math.asin(x));
+  const arccos = x => rtd(Math.acos(x));
+  const arctan2 = (y, x) => rtd(Math.atan2(y, x));
+  const arccot = x => rtd(Math.atan(1 / x));
+  const fix = (a, b) => {
+    a = a - b * Math.floor(a / b);
+    return a < 0 ? a + b : a;
+  };
+  const fixAngle = a => fix(a, 360);
+  const fixHour = a => fix(a, 24);
+  const timeDiff = (t1, t2) => fixHour(t2 - t1);
+
+  const isMinutes = value => typeof value === 'string' && value.endsWith('min');
+  const toNumber = value => parseFloat(value) || 0;
+
+  /**
+   * Julian date at 0h UTC for a calendar date
+   * @param {number} year - Full year
+   * @param {number} month - Month (1-12)
+   * @param {number} day - Day of month
+   * @returns {number} Julian date
+   */
+  function julianDate(year, month, day) {
+    if (month <= 2) {
+      year -= 1;
+      month += 12;
+    }
+    const A = Math.floor(year / 100);
+    const B = 2 - A + Math.floor(A / 4);
+    return Math.floor(365.25 * (year + 4716)) + Math.floor(30.6001 * (month + 1)) + day + B - 1524.5;
+  }
+
+  /**
+   * Low-precision solar coordinates
+   * @param {number} jd - Julian date
+   * @returns {Object} Declination (degrees) and equation of time (hours)
+   */
+  function sunPosition(jd) {
+    const D = jd - 2451545.0;
+    const g = fixAngle(357.529 + 0.98560028 * D);
+    const q = fixAngle(280.459 + 0.98564736 * D);
+    const L = fixAngle(q + 1.915 * sin(g) + 0.020 * sin(2 * g));
+    const e = 23.439 - 0.00000036 * D;
+
+    const RA = fixHour(arctan2(cos(e) * sin(L), cos(L)) / 15);
+    const equation = q / 15 - RA;
+    const declination = arcsin(sin(e) * sin(L));
+
+    return { declination, equation };
+  }
+
+  /**
+   * Get the calendar date of an instant in a given time zone
+   * @param {Date} date - The instant
+   * @param {string} timeZone - IANA time zone name
+   * @returns {Object} Object with year, month (1-12) and day
+   */
+  function getLocalDate(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric'
+    }).formatToParts(date);
+
+    const value = type => parseInt(parts.find(part => part.type === type).value, 10);
+    return { year: value('year'), month: value('month'), day: value('day') };
+  }
+
+  /**
+   * Calculate prayer times for one day
+   * @param {Date|Object} date - A Date, or {year, month, day} in the local calendar
+   * @param {Object} coords - Location with latitude, longitude and optional elevation
+   * @param {Object} options - method, asr, highLatitude, timeZone, imsak and adjustments (minutes)
+   * @returns {Object} Dates for imsak, fajr, sunrise, dhuhr, asr, sunset, maghrib, isha and midnight
+   */
+  function calculate(date, coords, options) {
+    const settings = Object.assign({}, DEFAULTS, options);
+    const method = METHODS[settings.method] || METHODS[DEFAULTS.method];
+    const params = Object.assign({ maghrib: '0 min', midnight: 'Standard' }, method);
+    const { year, month, day } = date instanceof Date ? getLocalDate(date, settings.timeZone) : date;
+
+    const lat = coords.latitude;
+    const lng = coords.longitude;
+    const elevation = coords.elevation || 0;
+    const jDate = julianDate(year, month, day) - lng / (15 * 24);
+
+    // Solar noon and hour angle helpers (times are in local solar hours)
+    const midDay = time => fixHour(12 - sunPosition(jDate + time).equation);
+    const sunAngleTime = (angle, time, direction) => {
+      const decl = sunPosition(jDate + time).declination;
+      const noon = midDay(time);
+      const t = arccos((-sin(angle) - sin(decl) * sin(lat)) / (cos(decl) * cos(lat))) / 15;
+      return noon + (direction === 'ccw' ? -t : t);
+    };
+    const asrTime = (factor, time) => {
+      const decl = sunPosition(jDate + time).declination;
+      const angle = -arccot(factor + tan(Math.abs(lat - decl)));
+      return sunAngleTime(angle, time);
+    };
+    const riseSetAngle = 0.833 + 0.0347 * Math.sqrt(elevation);
+
+    // First pass from rough estimates (as fractions of a day)
+    const guess = hours => hours / 24;
+    const times = {
+      fajr: sunAngleTime(toNumber(params.fajr), guess(5), 'ccw'),
+      sunrise: sunAngleTime(riseSetAngle, guess(6), 'ccw'),
+      dhuhr: midDay(guess(12)),
+      asr: asrTime(ASR_FACTORS[settings.asr] || ASR_FACTORS.Shafi, guess(13)),
+      sunset: sunAngleTime(riseSetAngle, guess(18)),
+      maghrib: sunAngleTime(toNumber(params.maghrib), guess(18)),
+      isha: sunAngleTime(toNumber(params.isha), guess(18))
+    };
+
+    // Fixed-minute rules
+    if (isMinutes(params.maghrib)) times.maghrib = times.sunset + toNumber(params.maghrib) / 60;
+    if (isMinutes(params.isha)) times.isha = times.maghrib + toNumber(params.isha) / 60;
+
+    adjustHighLatitudes(times, params, settings.highLatitude);
+
+    times.imsak = isMinutes(settings.imsak)
+      ? times.fajr - toNumber(settings.imsak) / 60
+      : sunAngleTime(toNumber(settings.imsak), guess(5), 'ccw');
+
+    times.midnight = params.midnight === 'Jafari'
+      ? times.sunset + timeDiff(times.sunset, times.fajr + 24) / 2
+      : times.sunset + timeDiff(times.sunset, times.sunrise + 24) / 2;
+
+    // Convert local solar hours to Date instants
+    const base = Date.UTC(year, month - 1, day);
+    const result = {};
+    Object.keys(times).forEach(name => {
+      const hours = times[name] - lng / 15 + (toNumber(settings.adjustments[name]) / 60);
+      result[name] = isNaN(hours) ? null : new Date(base + Math.round(hours * 60) * 60000);
+    });
+
+    return result;
+  }
+
+  /**
+   * Limit Fajr and Isha at high latitudes, where the sun may not reach
+   * the required depression angle
+   * @param {Object} times - Times in local solar hours (modified in place)
+   * @param {Object} params - Method parameters
+   * @param {string} rule - Key of HIGH_LATITUDE_RULES
+   */
+  function adjustHighLatitudes(times, params, rule) {
+    const portionOf = HIGH_LATITUDE_RULES[rule];
+    if (!portionOf) return;
+
+    const night = timeDiff(times.sunset, times.sunrise);
+
+    const adjust = (time, base, angle, direction) => {
+      const portion = portionOf(angle) * night;
+      const diff = direction === 'ccw' ? timeDiff(time, base) : timeDiff(base, time);
+      if (isNaN(time) || diff > portion) {
+        return base + (direction === 'ccw' ? -portion : portion);
+      }
+      return time;
+    };
+
+    times.fajr = adjust(times.fajr, times.sunrise, toNumber(params.fajr), 'ccw');
+    if (!isMinutes(params.isha)) times.isha = adjust(times.isha, times.sunset, toNumber(params.isha));
+    if (!isMinutes(params.maghrib)) times.maghrib = adjust(times.maghrib, times.sunset, toNumber(params.maghrib));
+  }
+
+  /**
+   * Calculate prayer times for every day of a month
+   * @param {number} year - Full year
+   * @param {number} month - Month (1-12)
+   * @param {Object} coords - Location with latitude, longitude and optional elevation
+   * @param {Object} options - Same options as calculate()
+   * @returns {Array} One entry per day with date ({year, month, day}), times and timeZoneName
+   */
+  function calculateMonth(year, month, coords, options) {
+    const timeZone = (options && options.timeZone) || DEFAULTS.timeZone;
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const days = [];
+
+    for (let day = 1; day <= daysInMonth; day++) {
+      const date = { year, month, day };
+      const times = calculate(date, coords, options);
+      days.push({
+        date,
+        times,
+        timeZoneName: getTimeZoneName(times.dhuhr, timeZone)
+      });
+    }
+
+    return days;
+  }
+
+  /**
+   * Get the short name of the time zone in effect at an instant (e.g. NZST or NZDT)
+   * @param {Date} date - The instant
+   * @param {string} timeZone - IANA time zone name
+   * @returns {string} Short time zone name
+   */
+  function getTimeZoneName(date, timeZone) {
+    const part = new Intl.DateTimeFormat('en-NZ', { timeZone, timeZoneName: 'short' })
+      .formatToParts(date)
+      .find(part => part.type === 'timeZoneName');
+    return part ? part.value : '';
+  }
+
+  /**
+   * Format a prayer time for display
+   * @param {Date} date - The prayer time
+   * @param {string} timeZone - IANA time zone name
+   * @param {string} locale - Locale for formatting
+   * @returns {string} Formatted time, e.g. "5:30 AM"
+   */
+  function formatTime(date, timeZone, locale) {
+    if (!date) return '--:--';
+    return date.toLocaleTimeString(locale || 'en-NZ', {
+      timeZone: timeZone || DEFAULTS.timeZone,
+      hour: 'numeric',
+      minute: '2-digit'
+    }).toUpperCase();
+  }
+
+  // Where the chosen city, method and Asr are remembered in the browser
+  const STORAGE_KEY = 'nzbi-prayer-settings';
+
+  /**
+   * Read the visitor's saved city, method and Asr, shared by every prayer times view
+   * @returns {Object} {city, method, asr}, with defaults for anything not saved
+   */
+  function loadSettings() {
+    const fallback = { city: DEFAULTS.city, method: DEFAULTS.method, asr: DEFAULTS.asr };
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      // No storage (Node, or blocked by the browser) - use the defaults
+    }
+
+    return {
+      city: CITIES[saved.city] ? saved.city : fallback.city,
+      method: METHODS[saved.method] ? saved.method : fallback.method,
+      asr: ASR_FACTORS[saved.asr] ? saved.asr : fallback.asr
+    };
+  }
+
+  /**
+   * Remember a change to the city, method or Asr
+   * @param {Object} changes - Any of city, method and asr
+   */
+  function saveSettings(changes) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.assign(loadSettings(), changes)));
+    } catch (error) {
+      // Storage is unavailable or full - the choice lasts until the page is closed
+    }
+  }
+
+  // Return public methods
+  return {
+    METHODS,
+    ASR_FACTORS,
+    HIGH_LATITUDE_RULES,
+    CITIES,
+    DEFAULTS,
+    calculate,
+    calculateMonth,
+    formatTime,
+    getLocalDate,
+    getTimeZoneName,
+    julianDate,
+    loadSettings,
+    saveSettings
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PrayerTimes;
+}
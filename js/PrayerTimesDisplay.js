@@ -0,0 +1,162 @@
+/**
+ * PrayerTimesDisplay.js
+ * Renders today's prayer times into the home page card and highlights the next prayer.
+ * Follows the city, method and Asr saved by PrayerTimes.saveSettings()
+ * Requires /js/PrayerTimes.js and /js/I18n.js
+ */
+
+/**
+ * PrayerTimesDisplay - Shows the daily prayer times for a location
+ * @param {Object} options - Configuration options
+ */
+function PrayerTimesDisplay(options) {
+  const saved = PrayerTimes.loadSettings();
+
+  // Merge options with defaults
+  const settings = Object.assign({
+    element: null,
+    city: saved.city,
+    method: saved.method,
+    asr: saved.asr,
+    highLatitude: PrayerTimes.DEFAULTS.highLatitude,
+    timeZone: PrayerTimes.DEFAULTS.timeZone,
+    locale: I18n.intlLocale(),
+    refreshInterval: 60000
+  }, options);
+
+  if (!settings.element) return console.error('PrayerTimesDisplay: No element specified');
+  if (!PrayerTimes.CITIES[settings.city]) {
+    console.error(`PrayerTimesDisplay: Unknown city "${settings.city}"`);
+    settings.city = PrayerTimes.DEFAULTS.city;
+  }
+
+  const prayers = ['fajr', 'sunrise', 'dhuhr', 'asr', 'maghrib', 'isha']
+    .map(key => ({ key, label: I18n.t(`prayers.${key}`) }));
+
+  const locationElement = settings.element.querySelector('[data-prayer-location]');
+  const gridElement = settings.element.querySelector('[data-prayer-grid]');
+  const methodElement = settings.element.querySelector('[data-prayer-method]');
+  const citySelect = settings.element.querySelector('[data-prayer-city]');
+
+  let interval;
+
+  /**
+   * Calculate the times for the day containing `now`
+   * @param {Date} now - Current instant
+   * @returns {Object} Prayer times
+   */
+  const getTimes = (now) => PrayerTimes.calculate(now, PrayerTimes.CITIES[settings.city], {
+    method: settings.method,
+    asr: settings.asr,
+    highLatitude: settings.highLatitude,
+    timeZone: settings.timeZone
+  });
+
+  /**
+   * Find the next prayer (sunrise is not a prayer)
+   * @param {Object} times - Prayer times
+   * @param {Date} now - Current instant
+   * @returns {string|null} Key of the next prayer, or null after Isha
+   */
+  const getNextPrayer = (times, now) => {
+    const next = prayers.find(({ key }) => key !== 'sunrise' && times[key] && times[key] > now);
+    return next ? next.key : null;
+  };
+
+  const render = () => {
+    const now = new Date();
+    const times = getTimes(now);
+    let nextPrayer = getNextPrayer(times, now);
+
+    // After Isha the next prayer is tomorrow's Fajr, shown in its place
+    if (!nextPrayer) {
+      nextPrayer = 'fajr';
+      times.fajr = getTimes(new Date(now.getTime() + 86400000)).fajr;
+    }
+    const city = PrayerTimes.CITIES[settings.city];
+
+    if (locationElement) {
+      const dateLabel = now.toLocaleDateString(settings.locale, {
+        timeZone: settings.timeZone,
+        weekday: 'long',
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric'
+      });
+      locationElement.textContent = I18n.t('prayers.location', { city: city.name, date: dateLabel });
+    }
+
+    if (gridElement) {
+      gridElement.innerHTML = prayers.map(({ key, label }) => {
+        const isNext = key === nextPrayer;
+        return `
+          <div class="p-4 text-center transition-colors ${isNext ? '' : 'bg-black/20 hover:bg-black/50'}"
+               data-prayer="${key}"${isNext ? ' aria-current="time" style="background: var(--gradient-primary);"' : ''}>
+            <p class="font-medium ${isNext ? 'text-white' : 'text-primary-color'}">${label}</p>
+            <p class="text-xl font-bold text-white">${PrayerTimes.formatTime(times[key], settings.timeZone, settings.locale)}</p>
+            ${isNext ? `<p class="text-xs uppercase tracking-wide text-white/90">${I18n.t('prayers.next')}</p>` : ''}
+          </div>
+        `;
+      }).join('');
+    }
+
+    if (methodElement) {
+      const asrLabel = I18n.t(settings.asr === 'Hanafi' ? 'prayers.hanafi' : 'prayers.shafii');
+      methodElement.textContent = I18n.t('prayers.method', { method: PrayerTimes.METHODS[settings.method].name, asr: asrLabel });
+    }
+  };
+
+  /**
+   * Show another city's times
+   * @param {string} city - Key in PrayerTimes.CITIES
+   */
+  const setCity = (city) => {
+    if (!PrayerTimes.CITIES[city]) return;
+    settings.city = city;
+    if (citySelect) citySelect.value = city;
+    render();
+  };
+
+  // The city picker remembers the choice for the timetable and the offline app
+  if (citySelect) {
+    citySelect.innerHTML = Object.keys(PrayerTimes.CITIES)
+      .map(key => `<option value="${key}">${PrayerTimes.CITIES[key].name}</option>`)
+      .join('');
+    citySelect.value = settings.city;
+    citySelect.addEventListener('change', () => {
+      PrayerTimes.saveSettings({ city: citySelect.value });
+      setCity(citySelect.value);
+    });
+  }
+
+  render();
+  interval = setInterval(render, settings.refreshInterval);
+
+  // Return public methods
+  return {
+    render,
+    stop: () => clearInterval(interval),
+    setCity
+  };
+}
+
+/**
+ * Initialize prayer time displays from data attributes
+ * data-city, data-method and data-asr fix a display to one setting; without them
+ * it follows the visitor's saved choice
+ */
+function initPrayerTimesDisplay() {
+  const elements = document.querySelectorAll('[data-prayer-times]');
+  if (!elements.length) return;
+
+  // Prayer names and labels are drawn in the page language
+  I18n.ready.then(() => elements.forEach(element => {
+    const options = { element };
+    ['city', 'method', 'asr'].forEach(name => {
+      if (element.dataset[name]) options[name] = element.dataset[name];
+    });
+    new PrayerTimesDisplay(options);
+  }));
+}
+
+document.addEventListener('DOMContentLoaded', initPrayerTimesDisplay);
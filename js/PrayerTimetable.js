@@ -0,0 +1,264 @@
+/**
+ * PrayerTimetable.js
+ * Monthly prayer timetable with city selection, month navigation, CSV export and printing
+ * Requires /js/PrayerTimes.js and /js/I18n.js
+ */
+
+/**
+ * PrayerTimetable - Generates a month grid of prayer times
+ * @param {Object} options - Configuration options
+ */
+function PrayerTimetable(options) {
+  const today = PrayerTimes.getLocalDate(new Date(), PrayerTimes.DEFAULTS.timeZone);
+  const saved = PrayerTimes.loadSettings();
+
+  // Merge options with defaults
+  const settings = Object.assign({
+    element: null,
+    city: saved.city,
+    year: today.year,
+    month: today.month,
+    method: saved.method,
+    asr: saved.asr,
+    timeZone: PrayerTimes.DEFAULTS.timeZone,
+    locale: I18n.intlLocale(),
+    updateUrl: true
+  }, options);
+
+  if (!settings.element) return console.error('PrayerTimetable: No element specified');
+
+  const columns = ['fajr', 'sunrise', 'dhuhr', 'asr', 'maghrib', 'isha'];
+  const columnLabels = Object.fromEntries(columns.map(key => [key, I18n.t(`prayers.${key}`)]));
+
+  const find = name => settings.element.querySelector(`[data-timetable-${name}]`);
+  const citySelect = find('city');
+  const methodSelect = find('method');
+  const asrSelect = find('asr');
+  const titleElement = find('title');
+  const bodyElement = find('body');
+  const notesElement = find('notes');
+
+  let days = [];
+
+  /**
+   * Format a time in 24-hour or 12-hour form
+   * @param {Date} date - The time
+   * @param {boolean} hour12 - Use a 12-hour clock
+   * @returns {string} Formatted time
+   */
+  const formatTime = (date, hour12) => {
+    if (!date) return '';
+    if (hour12) return PrayerTimes.formatTime(date, settings.timeZone, settings.locale);
+    return date.toLocaleTimeString('en-GB', {
+      timeZone: settings.timeZone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+  };
+
+  const getMonthLabel = () => new Date(Date.UTC(settings.year, settings.month - 1, 1))
+    .toLocaleDateString(settings.locale, { timeZone: 'UTC', month: 'long', year: 'numeric' });
+
+  const getCity = () => PrayerTimes.CITIES[settings.city];
+
+  /**
+   * Populate the select controls from the available cities and methods
+   */
+  const populateControls = () => {
+    if (citySelect) {
+      citySelect.innerHTML = Object.entries(PrayerTimes.CITIES)
+        .map(([id, city]) => `<option value="${id}">${city.name}</option>`)
+        .join('');
+      citySelect.value = settings.city;
+    }
+
+    if (methodSelect) {
+      methodSelect.innerHTML = Object.entries(PrayerTimes.METHODS)
+        .map(([id, method]) => `<option value="${id}">${method.name}</option>`)
+        .join('');
+      methodSelect.value = settings.method;
+    }
+
+    if (asrSelect) asrSelect.value = settings.asr;
+  };
+
+  /**
+   * Describe a change between NZST and NZDT
+   * @param {string} from - Previous time zone name
+   * @param {string} to - New time zone name
+   * @returns {string} Note text
+   */
+  const describeZoneChange = (from, to) => I18n.t(to === 'NZDT' ? 'timetable.dstStarts' : 'timetable.dstEnds', { zone: to });
+
+  const render = () => {
+    const city = getCity();
+    days = PrayerTimes.calculateMonth(settings.year, settings.month, city, {
+      method: settings.method,
+      asr: settings.asr,
+      timeZone: settings.timeZone
+    });
+
+    if (titleElement) {
+      titleElement.textContent = `${city.name} — ${getMonthLabel()}`;
+    }
+
+    // Time zone of the last day of the previous month, to catch a change on the 1st
+    let previousZone = PrayerTimes.getTimeZoneName(new Date(Date.UTC(settings.year, settings.month - 1, 0)), settings.timeZone);
+    const notes = [];
+
+    if (bodyElement) {
+      bodyElement.innerHTML = days.map(({ date, times, timeZoneName }) => {
+        const weekday = new Date(Date.UTC(date.year, date.month - 1, date.day))
+          .toLocaleDateString(settings.locale, { timeZone: 'UTC', weekday: 'short' });
+        const isToday = date.year === today.year && date.month === today.month && date.day === today.day;
+        const isFriday = new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay() === 5;
+
+        let noteRow = '';
+        if (timeZoneName !== previousZone) {
+          const note = describeZoneChange(previousZone, timeZoneName);
+          notes.push(`${date.day} ${getMonthLabel()}: ${note}`);
+          noteRow = `
+            <tr class="timetable-note">
+              <td colspan="${columns.length + 2}" class="py-2 px-4 text-sm font-medium text-primary-dark bg-primary-light/20">${note}</td>
+            </tr>
+          `;
+          previousZone = timeZoneName;
+        }
+
+        return `${noteRow}
+          <tr class="${isToday ? 'timetable-today font-semibold' : ''} ${isFriday ? 'timetable-friday' : ''}"${isToday ? ' aria-current="date"' : ''}>
+            <td class="py-2 px-4">${date.day}</td>
+            <td class="py-2 px-4">${weekday}</td>
+            ${columns.map(key => `<td class="py-2 px-4 ${key === 'sunrise' ? 'text-gray-500' : ''}">${formatTime(times[key], true)}</td>`).join('')}
+          </tr>
+        `;
+      }).join('');
+    }
+
+    if (notesElement) {
+      notesElement.textContent = I18n.t(notes.length ? 'timetable.notesDst' : 'timetable.notes', {
+        method: PrayerTimes.METHODS[settings.method].name,
+        asr: I18n.t(settings.asr === 'Hanafi' ? 'prayers.hanafi' : 'prayers.shafii'),
+        city: city.name,
+        latitude: I18n.formatNumber(city.latitude, { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+        longitude: I18n.formatNumber(city.longitude, { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+      });
+    }
+
+    if (settings.updateUrl) updateUrl();
+  };
+
+  /**
+   * Keep the current city and month in the address bar so it can be shared
+   */
+  const updateUrl = () => {
+    const params = new URLSearchParams(window.location.search);
+    params.set('city', settings.city);
+    params.set('month', `${settings.year}-${String(settings.month).padStart(2, '0')}`);
+    window.history.replaceState(null, '', `${window.location.pathname}?${params}`);
+  };
+
+  /**
+   * Move by a number of months
+   * @param {number} offset - Months to move (negative for earlier)
+   */
+  const changeMonth = (offset) => {
+    const date = new Date(Date.UTC(settings.year, settings.month - 1 + offset, 1));
+    settings.year = date.getUTCFullYear();
+    settings.month = date.getUTCMonth() + 1;
+    render();
+  };
+
+  /**
+   * Build the timetable as CSV text
+   * @returns {string} CSV content
+   */
+  const toCSV = () => {
+    const header = [I18n.t('timetable.date'), I18n.t('timetable.day'), ...columns.map(key => columnLabels[key]), I18n.t('timetable.timeZone')];
+    const rows = days.map(({ date, times, timeZoneName }) => {
+      const isoDate = `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+      const weekday = new Date(Date.UTC(date.year, date.month - 1, date.day))
+        .toLocaleDateString(settings.locale, { timeZone: 'UTC', weekday: 'long' });
+      return [isoDate, weekday, ...columns.map(key => formatTime(times[key], false)), timeZoneName];
+    });
+
+    return [header, ...rows]
+      .map(row => row.map(value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value).join(','))
+      .join('\r\n');
+  };
+
+  const exportCSV = () => {
+    const blob = new Blob([toCSV()], { type: 'text/csv;charset=utf-8' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `prayer-times-${settings.city}-${settings.year}-${String(settings.month).padStart(2, '0')}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  };
+
+  // Set up control listeners
+  // Choices are remembered for the home page card and the offline app
+  citySelect?.addEventListener('change', () => {
+    settings.city = citySelect.value;
+    PrayerTimes.saveSettings({ city: settings.city });
+    render();
+  });
+  methodSelect?.addEventListener('change', () => {
+    settings.method = methodSelect.value;
+    PrayerTimes.saveSettings({ method: settings.method });
+    render();
+  });
+  asrSelect?.addEventListener('change', () => {
+    settings.asr = asrSelect.value;
+    PrayerTimes.saveSettings({ asr: settings.asr });
+    render();
+  });
+  find('prev')?.addEventListener('click', () => changeMonth(-1));
+  find('next')?.addEventListener('click', () => changeMonth(1));
+  find('today')?.addEventListener('click', () => {
+    settings.year = today.year;
+    settings.month = today.month;
+    render();
+  });
+  find('export')?.addEventListener('click', exportCSV);
+  find('print')?.addEventListener('click', () => window.print());
+
+  populateControls();
+  render();
+
+  // Return public methods
+  return {
+    render,
+    toCSV,
+    exportCSV,
+    changeMonth
+  };
+}
+
+/**
+ * Initialize the timetable, reading the city and month from the URL if present
+ */
+function initPrayerTimetable() {
+  const element = document.getElementById('prayer-timetable');
+  if (!element) return;
+
+  const params = new URLSearchParams(window.location.search);
+  const options = { element };
+
+  const city = params.get('city');
+  if (city && PrayerTimes.CITIES[city]) options.city = city;
+
+  const month = /^(\d{4})-(\d{2})$/.exec(params.get('month') || '');
+  if (month && +month[2] >= 1 && +month[2] <= 12) {
+    options.year = parseInt(month[1], 10);
+    options.month = parseInt(month[2], 10);
+  }
+
+  // Prayer names and notes are drawn in the page language
+  I18n.ready.then(() => new PrayerTimetable(options));
+}
+
+document.addEventListener('DOMContentLoaded', initPrayerTimetable);
@@ -0,0 +1,166 @@
+/**
+ * Qibla.js
+ * Direction and distance to the Kaaba in Makkah
+ *
+ * The Qibla is the initial bearing of the great circle (the shortest path over
+ * the Earth's surface) from the observer to the Kaaba, measured clockwise from
+ * true north. From New Zealand it lies between west and west-south-west, 255-262°.
+ * A spherical Earth is accurate to a small fraction of a degree for this purpose.
+ */
+
+const Qibla = (function() {
+  /** Location of the Kaaba */
+  const KAABA = { name: 'Kaaba, Makkah', latitude: 21.422487, longitude: 39.826206 };
+
+  /** Mean radius of the Earth in kilometres */
+  const EARTH_RADIUS = 6371.0088;
+
+  /** Names of the 16 compass points, clockwise from north */
+  const COMPASS_POINTS = [
+    'N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+    'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'
+  ];
+
+  // Degree-based trigonometry
+  const dtr = d => (d * Math.PI) / 180;
+  const rtd = r => (r * 180) / Math.PI;
+  const fixAngle = a => ((a % 360) + 360) % 360;
+
+  /**
+   * Initial great-circle bearing between two points
+   * @param {Object} from - {latitude, longitude} in degrees
+   * @param {Object} to - {latitude, longitude} in degrees
+   * @returns {number} Bearing in degrees clockwise from true north (0-360)
+   */
+  function bearingBetween(from, to) {
+    const phi1 = dtr(from.latitude);
+    const phi2 = dtr(to.latitude);
+    const deltaLambda = dtr(to.longitude - from.longitude);
+    const y = Math.sin(deltaLambda) * Math.cos(phi2);
+    const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda);
+    return fixAngle(rtd(Math.atan2(y, x)));
+  }
+
+  /**
+   * Angle at the centre of the Earth between two points (haversine formula)
+   * @param {Object} from - {latitude, longitude} in degrees
+   * @param {Object} to - {latitude, longitude} in degrees
+   * @returns {number} Angle in radians
+   */
+  function centralAngle(from, to) {
+    const deltaPhi = dtr(to.latitude - from.latitude);
+    const deltaLambda = dtr(to.longitude - from.longitude);
+    const a = Math.sin(deltaPhi / 2) ** 2 +
+      Math.cos(dtr(from.latitude)) * Math.cos(dtr(to.latitude)) * Math.sin(deltaLambda / 2) ** 2;
+    return 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  /**
+   * Qibla bearing from a location
+   * @param {Object} location - {latitude, longitude} in degrees
+   * @returns {number} Bearing in degrees clockwise from true north
+   */
+  function bearing(location) {
+    return bearingBetween(location, KAABA);
+  }
+
+  /**
+   * Distance from a location to the Kaaba
+   * @param {Object} location - {latitude, longitude} in degrees
+   * @returns {number} Distance in kilometres
+   */
+  function distance(location) {
+    return centralAngle(location, KAABA) * EARTH_RADIUS;
+  }
+
+  /**
+   * Distance between two points over the Earth's surface
+   * @param {Object} from - {latitude, longitude} in degrees
+   * @param {Object} to - {latitude, longitude} in degrees
+   * @returns {number} Distance in kilometres
+   */
+  function distanceBetween(from, to) {
+    return centralAngle(from, to) * EARTH_RADIUS;
+  }
+
+  /**
+   * Points along the great circle from a location to the Kaaba, for drawing on a map
+   * Longitudes are kept continuous (they may go beyond ±180°) so the line does not
+   * jump across the map at the antimeridian
+   * @param {Object} location - {latitude, longitude} in degrees
+   * @param {number} count - Number of segments (default 64)
+   * @returns {Array} [latitude, longitude] pairs, starting at the location
+   */
+  function path(location, count) {
+    const segments = count || 64;
+    const delta = centralAngle(location, KAABA);
+    const phi1 = dtr(location.latitude);
+    const lambda1 = dtr(location.longitude);
+    const phi2 = dtr(KAABA.latitude);
+    const lambda2 = dtr(KAABA.longitude);
+    const points = [];
+
+    for (let i = 0; i <= segments; i++) {
+      const f = i / segments;
+      const a = Math.sin((1 - f) * delta) / Math.sin(delta);
+      const b = Math.sin(f * delta) / Math.sin(delta);
+      const x = a * Math.cos(phi1) * Math.cos(lambda1) + b * Math.cos(phi2) * Math.cos(lambda2);
+      const y = a * Math.cos(phi1) * Math.sin(lambda1) + b * Math.cos(phi2) * Math.sin(lambda2);
+      const z = a * Math.sin(phi1) + b * Math.sin(phi2);
+      let longitude = rtd(Math.atan2(y, x));
+
+      // Unwrap so consecutive points are never more than 180° apart
+      if (points.length) {
+        const previous = points[points.length - 1][1];
+        longitude += Math.round((previous - longitude) / 360) * 360;
+      }
+      points.push([rtd(Math.atan2(z, Math.sqrt(x * x + y * y))), longitude]);
+    }
+
+    return points;
+  }
+
+  /**
+   * Name of the nearest of the 16 compass points
+   * @param {number} degrees - Bearing in degrees
+   * @returns {string} e.g. "WSW"
+   */
+  function compassPoint(degrees) {
+    return COMPASS_POINTS[Math.round(fixAngle(degrees) / 22.5) % 16];
+  }
+
+  /**
+   * Compass heading from a deviceorientation event
+   * iOS reports webkitCompassHeading; other browsers report alpha, which is only
+   * relative to north when the event is absolute (deviceorientationabsolute)
+   * @param {Object} event - DeviceOrientationEvent
+   * @param {number} screenAngle - Screen rotation in degrees (screen.orientation.angle)
+   * @returns {number|null} Heading in degrees clockwise from north, or null if unknown
+   */
+  function headingFromOrientation(event, screenAngle) {
+    let heading = null;
+    if (typeof event.webkitCompassHeading === 'number' && !isNaN(event.webkitCompassHeading)) {
+      heading = event.webkitCompassHeading;
+    } else if (event.absolute && typeof event.alpha === 'number') {
+      heading = 360 - event.alpha;
+    }
+    return heading === null ? null : fixAngle(heading + (screenAngle || 0));
+  }
+
+  // Return public methods
+  return {
+    KAABA,
+    EARTH_RADIUS,
+    bearing,
+    bearingBetween,
+    distance,
+    distanceBetween,
+    path,
+    compassPoint,
+    headingFromOrientation
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Qibla;
+}
@@ -0,0 +1,300 @@
+/**
+ * QiblaCompass.js
+ * Qibla direction finder: a canvas compass pointing to the Kaaba from the visitor's
+ * location or a chosen city. On phones with a compass the dial turns with the device;
+ * elsewhere it shows the bearing from north and a line on a map.
+ * Requires /js/I18n.js, /js/Qibla.js, /js/PrayerTimes.js (for the city list) and setupCanvas() from /main.js
+ */
+
+/**
+ * QiblaCompass - Shows the Qibla direction for a location
+ * @param {Object} options - Configuration options
+ */
+function QiblaCompass(options) {
+  // Merge options with defaults
+  const settings = Object.assign({
+    element: null,
+    city: PrayerTimes.loadSettings().city,
+    // Seconds to wait for a compass reading before showing the static bearing
+    headingTimeout: 3
+  }, options);
+
+  if (!settings.element) return console.error('QiblaCompass: No element specified');
+
+  const find = name => settings.element.querySelector(`[data-qibla-${name}]`);
+  const citySelect = find('city');
+  const locateButton = find('locate');
+  const enableButton = find('enable');
+  const compassElement = find('compass');
+  const mapElement = find('map');
+  const statusElement = find('status');
+
+  const canvas = compassElement ? setupCanvas(compassElement) : null;
+
+  let location = null;
+  let qibla = 0;
+  let heading = null;
+  let map = null;
+  let mapLayers = [];
+
+  /**
+   * Set the text of an element if it is in the page
+   * @param {string} name - data-qibla-* name
+   * @param {string} text - Text
+   */
+  const setText = (name, text) => {
+    const element = find(name);
+    if (element) element.textContent = text;
+  };
+
+  const setStatus = (text) => {
+    if (statusElement) statusElement.textContent = text;
+  };
+
+  /**
+   * Draw the compass. With a heading, north turns to stay north and the
+   * Kaaba arrow points the way to face; without one, north is at the top.
+   */
+  const draw = () => {
+    if (!canvas) return;
+
+    // setupCanvas keeps the canvas sized to its container
+    const ctx = canvas.getContext('2d');
+    const size = Math.min(canvas.width, canvas.height);
+    const radius = size / 2 - 8;
+    const rotation = heading === null ? 0 : -heading;
+    const toRadians = degrees => ((degrees - 90) * Math.PI) / 180;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.save();
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+
+    // Dial
+    ctx.beginPath();
+    ctx.arc(0, 0, radius, 0, Math.PI * 2);
+    ctx.fillStyle = '#ffffff';
+    ctx.fill();
+    ctx.lineWidth = 4;
+    ctx.strokeStyle = '#6366f1';
+    ctx.stroke();
+
+    // Ticks every 10°, longer every 30°
+    for (let degrees = 0; degrees < 360; degrees += 10) {
+      const angle = toRadians(degrees + rotation);
+      const inner = radius - (degrees % 30 === 0 ? 16 : 8);
+      ctx.beginPath();
+      ctx.moveTo(Math.cos(angle) * inner, Math.sin(angle) * inner);
+      ctx.lineTo(Math.cos(angle) * (radius - 2), Math.sin(angle) * (radius - 2));
+      ctx.lineWidth = degrees % 30 === 0 ? 2 : 1;
+      ctx.strokeStyle = '#9ca3af';
+      ctx.stroke();
+    }
+
+    // Cardinal points
+    ctx.font = `600 ${Math.round(size / 16)}px Poppins, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    [['N', 0], ['E', 90], ['S', 180], ['W', 270]].forEach(([label, degrees]) => {
+      const angle = toRadians(degrees + rotation);
+      ctx.fillStyle = label === 'N' ? '#dc2626' : '#374151';
+      ctx.fillText(label, Math.cos(angle) * (radius - 32), Math.sin(angle) * (radius - 32));
+    });
+
+    // Qibla arrow
+    const angle = toRadians(qibla + rotation);
+    const tip = radius - 44;
+    ctx.save();
+    ctx.rotate(angle);
+    ctx.beginPath();
+    ctx.moveTo(tip, 0);
+    ctx.lineTo(-tip * 0.25, -size / 28);
+    ctx.lineTo(-tip * 0.1, 0);
+    ctx.lineTo(-tip * 0.25, size / 28);
+    ctx.closePath();
+    ctx.fillStyle = '#4f46e5';
+    ctx.fill();
+    ctx.restore();
+
+    // Kaaba marker at the end of the arrow
+    const marker = size / 22;
+    ctx.fillStyle = '#111827';
+    ctx.fillRect(Math.cos(angle) * (tip + marker) - marker / 2, Math.sin(angle) * (tip + marker) - marker / 2, marker, marker);
+    ctx.fillStyle = '#d4af37';
+    ctx.fillRect(Math.cos(angle) * (tip + marker) - marker / 2, Math.sin(angle) * (tip + marker) - marker / 4, marker, marker / 6);
+
+    // Centre
+    ctx.beginPath();
+    ctx.arc(0, 0, size / 40, 0, Math.PI * 2);
+    ctx.fillStyle = '#111827';
+    ctx.fill();
+    ctx.restore();
+  };
+
+  /**
+   * Draw the great circle to Makkah on the map, if Leaflet is available
+   */
+  const drawMap = () => {
+    if (!mapElement || typeof L === 'undefined') return;
+
+    if (!map) {
+      mapElement.classList.remove('hidden');
+      map = L.map(mapElement, { worldCopyJump: true });
+      L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        maxZoom: 18,
+        crossOrigin: true,
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+      }).addTo(map);
+    }
+
+    mapLayers.forEach(layer => layer.remove());
+    const path = Qibla.path(location);
+    const end = path[path.length - 1];
+    mapLayers = [
+      L.polyline(path, { color: '#4f46e5', weight: 3 }).addTo(map),
+      L.marker([location.latitude, location.longitude], { title: location.name }).addTo(map),
+      L.marker(end, { title: Qibla.KAABA.name }).addTo(map)
+    ];
+    map.fitBounds(mapLayers[0].getBounds(), { padding: [24, 24] });
+  };
+
+  /**
+   * Show the Qibla for a location
+   * @param {Object} place - {name, latitude, longitude}
+   */
+  const setLocation = (place) => {
+    location = place;
+    qibla = Qibla.bearing(place);
+
+    setText('location', place.name);
+    setText('bearing', `${I18n.formatNumber(qibla, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}°`);
+    setText('direction', Qibla.compassPoint(qibla));
+    setText('distance', I18n.t('qibla.kilometres', { distance: I18n.formatNumber(Math.round(Qibla.distance(place))) }));
+
+    draw();
+    drawMap();
+  };
+
+  /**
+   * Show the Qibla for one of the New Zealand cities
+   * @param {string} city - Key in PrayerTimes.CITIES
+   */
+  const setCity = (city) => {
+    const place = PrayerTimes.CITIES[city];
+    if (!place) return;
+    if (citySelect) citySelect.value = city;
+    setLocation({ name: I18n.t('qibla.city', { city: place.name }), latitude: place.latitude, longitude: place.longitude });
+  };
+
+  /**
+   * Use the device's position
+   */
+  const locate = () => {
+    if (!navigator.geolocation) {
+      setStatus(I18n.t('qibla.noGeolocation'));
+      return;
+    }
+
+    setStatus(I18n.t('qibla.locating'));
+    navigator.geolocation.getCurrentPosition(position => {
+      const { latitude, longitude, accuracy } = position.coords;
+      const coordinate = value => I18n.formatNumber(value, { minimumFractionDigits: 3, maximumFractionDigits: 3 });
+      setLocation({ name: I18n.t('qibla.yourLocation', { latitude: coordinate(latitude), longitude: coordinate(longitude) }), latitude, longitude });
+      setStatus(I18n.t('qibla.located', { accuracy: I18n.formatNumber(Math.round(accuracy)) }));
+    }, () => {
+      setStatus(I18n.t('qibla.locationError'));
+    }, { enableHighAccuracy: true, timeout: 15000 });
+  };
+
+  /**
+   * Turn the dial with the device's compass
+   * @param {DeviceOrientationEvent} event - Orientation reading
+   */
+  const onOrientation = (event) => {
+    const screenAngle = (window.screen && window.screen.orientation && window.screen.orientation.angle) || window.orientation || 0;
+    const value = Qibla.headingFromOrientation(event, screenAngle);
+    if (value === null) return;
+
+    heading = value;
+    settings.element.dataset.mode = 'live';
+    setText('heading', `${I18n.formatNumber(Math.round(heading))}°`);
+
+    const offset = ((qibla - heading + 540) % 360) - 180;
+    setText('turn', Math.abs(offset) < 5
+      ? I18n.t('qibla.facing')
+      : I18n.t(offset > 0 ? 'qibla.turnRight' : 'qibla.turnLeft', { degrees: I18n.formatNumber(Math.round(Math.abs(offset))) }));
+    draw();
+  };
+
+  /**
+   * Start listening to the compass, asking for permission where the browser requires it (iOS)
+   */
+  const enableCompass = () => {
+    const listen = () => {
+      const eventName = 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+      window.addEventListener(eventName, onOrientation);
+      setStatus(I18n.t('qibla.holdFlat'));
+
+      // Desktops fire the event once with no values - fall back to the static bearing
+      setTimeout(() => {
+        if (heading !== null) return;
+        window.removeEventListener(eventName, onOrientation);
+        setStatus(I18n.t('qibla.noHeading'));
+      }, settings.headingTimeout * 1000);
+    };
+
+    const Orientation = window.DeviceOrientationEvent;
+    if (Orientation && typeof Orientation.requestPermission === 'function') {
+      Orientation.requestPermission()
+        .then(state => {
+          if (state === 'granted') listen();
+          else setStatus(I18n.t('qibla.declined'));
+        })
+        .catch(() => setStatus(I18n.t('qibla.compassError')));
+    } else {
+      listen();
+    }
+  };
+
+  // Set up the controls
+  if (citySelect) {
+    citySelect.innerHTML = Object.entries(PrayerTimes.CITIES)
+      .map(([id, city]) => `<option value="${id}">${city.name}</option>`)
+      .join('');
+    citySelect.addEventListener('change', () => setCity(citySelect.value));
+  }
+  locateButton?.addEventListener('click', locate);
+  if (enableButton) {
+    if ('DeviceOrientationEvent' in window) {
+      enableButton.classList.remove('hidden');
+      enableButton.addEventListener('click', () => {
+        enableButton.classList.add('hidden');
+        enableCompass();
+      });
+    }
+  }
+  window.addEventListener('resize', draw);
+
+  setCity(settings.city);
+
+  // Return public methods
+  return {
+    setCity,
+    setLocation,
+    locate,
+    enableCompass,
+    draw
+  };
+}
+
+/**
+ * Initialize the Qibla finder
+ */
+function initQiblaCompass() {
+  const element = document.getElementById('qibla-finder');
+  if (!element) return;
+
+  // The location, distance and directions are shown in the page language
+  I18n.ready.then(() => new QiblaCompass({ element }));
+}
+
+document.addEventListener('DOMContentLoaded', initQiblaCompass);
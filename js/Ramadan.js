@@ -0,0 +1,220 @@
+/**
+ * Ramadan.js
+ * Ramadan mode: whether the site is in Ramadan or Eid mode, the suhoor and iftar
+ * countdown, and the Ramadan timetable for a city with imsak and Taraweeh times.
+ *
+ * Ramadan mode switches on from the Hijri date, or from the evening the Board
+ * confirms Ramadan begins the next day (the first Taraweeh is that night). Eid mode
+ * switches on from the eve of Eid, once the Board's Shawwal decision is published,
+ * and lasts until the third day of Shawwal. When Ramadan is completed as 30 days the
+ * decision comes a day early, so it is shown alongside the last day's countdown.
+ *
+ * HijriCalendar.setConfirmed() should already have been given the month decisions.
+ * Requires /js/PrayerTimes.js, /js/Lunar.js, /js/HijriCalendar.js and /js/MonthDecision.js
+ */
+
+const Ramadan = (function() {
+  const Times = typeof PrayerTimes !== 'undefined' ? PrayerTimes : require('./PrayerTimes.js');
+  const Calendar = typeof HijriCalendar !== 'undefined' ? HijriCalendar : require('./HijriCalendar.js');
+  const Decision = typeof MonthDecision !== 'undefined' ? MonthDecision : require('./MonthDecision.js');
+
+  /** Minutes before Fajr that suhoor ends (imsak) */
+  const IMSAK_OFFSETS = [0, 5, 10, 15, 20];
+
+  /** Minutes after Isha that Taraweeh begins */
+  const TARAWEEH_OFFSETS = [0, 10, 15, 20, 30, 45];
+
+  const DEFAULTS = {
+    imsak: 10,
+    taraweeh: 15
+  };
+
+  // Eid mode lasts until the end of this day of Shawwal
+  const EID_DAYS = 3;
+
+  // Taraweeh times are rounded up to this many minutes
+  const TARAWEEH_ROUNDING = 5;
+
+  // Where the visitor's imsak and Taraweeh choices are remembered in the browser
+  const STORAGE_KEY = 'nzbi-ramadan-settings';
+
+  /**
+   * Today's date in New Zealand
+   * @param {Date} now - Current instant
+   * @returns {Object} {year, month, day}
+   */
+  function localToday(now) {
+    return Times.getLocalDate(now, Calendar.DEFAULTS.timeZone);
+  }
+
+  /**
+   * Check saved settings, filling in defaults for anything missing or invalid
+   * @param {Object} saved - Settings as saved, or null
+   * @returns {Object} imsak and taraweeh (minutes)
+   */
+  function normalize(saved) {
+    const source = saved && typeof saved === 'object' ? saved : {};
+    return {
+      imsak: IMSAK_OFFSETS.includes(source.imsak) ? source.imsak : DEFAULTS.imsak,
+      taraweeh: TARAWEEH_OFFSETS.includes(source.taraweeh) ? source.taraweeh : DEFAULTS.taraweeh
+    };
+  }
+
+  /**
+   * Read the visitor's imsak and Taraweeh choices
+   * @returns {Object} Settings, see normalize()
+   */
+  function loadSettings() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (error) {
+      // No storage (Node, or blocked by the browser) - use the defaults
+    }
+    return normalize(saved);
+  }
+
+  /**
+   * Remember a change to the imsak or Taraweeh choice
+   * @param {Object} changes - Any of imsak and taraweeh
+   */
+  function saveSettings(changes) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(normalize(Object.assign(loadSettings(), changes))));
+    } catch (error) {
+      // Storage is unavailable or full - the choice lasts until the page is closed
+    }
+  }
+
+  /**
+   * What the site should show now
+   * @param {Array} records - Month starts from /data/month-starts.json
+   * @param {Date} now - Current instant (defaults to now)
+   * @returns {Object} mode ('ramadan', 'eid' or 'off'), year (Hijri), day of Ramadan or
+   *   Shawwal (0 on the eve of the first day) and the published Shawwal decision, if any
+   */
+  function mode(records, now) {
+    const current = now || new Date();
+    const today = localToday(current);
+    const hijri = Calendar.today(current);
+    const latest = Decision.published(records, current)[0];
+
+    const eid = latest && latest.month === 10 ? latest : null;
+    if (eid) {
+      const day = Calendar.daysBetween(Calendar.parseDate(eid.start), today) + 1;
+      if (day >= 0 && day <= EID_DAYS) return { mode: 'eid', year: eid.year, day, record: eid };
+    }
+
+    if (hijri.month === 9) return { mode: 'ramadan', year: hijri.year, day: hijri.day, record: eid };
+
+    if (latest && latest.month === 9 && Calendar.daysBetween(today, Calendar.parseDate(latest.start)) === 1) {
+      return { mode: 'ramadan', year: latest.year, day: 0, record: null };
+    }
+
+    return { mode: 'off', year: hijri.year, day: 0, record: null };
+  }
+
+  /**
+   * The Ramadan a timetable is for: this year's until it ends, then next year's
+   * @param {Date} now - Current instant (defaults to now)
+   * @returns {number} Hijri year
+   */
+  function currentYear(now) {
+    const hijri = Calendar.today(now || new Date());
+    return hijri.month <= 9 ? hijri.year : hijri.year + 1;
+  }
+
+  /**
+   * Taraweeh time: a number of minutes after Isha, rounded up to the next five minutes
+   * @param {Date} isha - Isha time
+   * @param {number} minutes - Minutes after Isha
+   * @returns {Date|null} Taraweeh time
+   */
+  function taraweehTime(isha, minutes) {
+    if (!isha) return null;
+    const step = TARAWEEH_ROUNDING * 60000;
+    return new Date(Math.ceil((isha.getTime() + minutes * 60000) / step) * step);
+  }
+
+  /**
+   * Prayer times for every day of Ramadan. There are 30 days until the Board
+   * confirms the start of Shawwal; the 30th is marked as depending on the sighting.
+   * @param {number} year - Hijri year
+   * @param {Object} coords - Location with latitude and longitude
+   * @param {Object} options - method, asr and timeZone as for PrayerTimes.calculate(),
+   *   imsak and taraweeh (minutes)
+   * @returns {Object} year, start (with its status), shawwal (confirmed Shawwal start or
+   *   null) and days: day, date, times, taraweeh, timeZoneName and provisional
+   */
+  function timetable(year, coords, options) {
+    const settings = Object.assign({ timeZone: Times.DEFAULTS.timeZone }, DEFAULTS, options);
+    const start = Calendar.monthStart(year, 9);
+    const shawwal = Calendar.monthStart(year, 10);
+    const confirmed = shawwal.status === 'confirmed';
+    const length = confirmed ? Calendar.daysBetween(start.start, shawwal.start) : 30;
+
+    const days = Array.from({ length }, (_, index) => {
+      const date = Calendar.addDays(start.start, index);
+      const times = Times.calculate(date, coords, {
+        method: settings.method,
+        asr: settings.asr,
+        timeZone: settings.timeZone,
+        imsak: `${settings.imsak} min`
+      });
+      return {
+        day: index + 1,
+        date,
+        times,
+        taraweeh: taraweehTime(times.isha, settings.taraweeh),
+        timeZoneName: Times.getTimeZoneName(times.dhuhr, settings.timeZone),
+        provisional: !confirmed && index === 29
+      };
+    });
+
+    return { year, start, shawwal: confirmed ? shawwal : null, days };
+  }
+
+  /**
+   * The next end of suhoor (imsak) and the next iftar (Maghrib)
+   * @param {Date} now - Current instant
+   * @param {Object} location - city, method and asr from PrayerTimes.loadSettings(), and imsak
+   * @returns {Object} suhoor and iftar (Dates), and next ('suhoor' or 'iftar')
+   */
+  function countdown(now, location) {
+    const timeZone = location.timeZone || Times.DEFAULTS.timeZone;
+    const coords = Times.CITIES[location.city] || Times.CITIES.auckland;
+    const options = {
+      method: location.method,
+      asr: location.asr,
+      timeZone,
+      imsak: `${location.imsak ?? DEFAULTS.imsak} min`
+    };
+    const today = Times.calculate(localToday(now), coords, options);
+    const tomorrow = Times.calculate(Calendar.addDays(localToday(now), 1), coords, options);
+
+    const suhoor = today.imsak > now ? today.imsak : tomorrow.imsak;
+    const iftar = today.maghrib > now ? today.maghrib : tomorrow.maghrib;
+    return { suhoor, iftar, next: suhoor < iftar ? 'suhoor' : 'iftar' };
+  }
+
+  // Return public methods
+  return {
+    IMSAK_OFFSETS,
+    TARAWEEH_OFFSETS,
+    DEFAULTS,
+    EID_DAYS,
+    STORAGE_KEY,
+    normalize,
+    loadSettings,
+    saveSettings,
+    mode,
+    currentYear,
+    taraweehTime,
+    timetable,
+    countdown
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Ramadan;
+}
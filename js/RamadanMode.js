@@ -0,0 +1,169 @@
+/**
+ * RamadanMode.js
+ * Ramadan mode on the home page. During Ramadan the hero shows the day of Ramadan
+ * and a live countdown to the end of suhoor (imsak) and to iftar for the visitor's
+ * saved city; from the eve of Eid it shows the Board's Eid announcement instead.
+ * The rest of the year the hero is unchanged.
+ * Requires /js/I18n.js, /js/PrayerTimes.js, /js/Lunar.js, /js/HijriCalendar.js, /js/MonthDecision.js and /js/Ramadan.js
+ */
+
+/**
+ * RamadanMode - Switches the hero between the usual, Ramadan and Eid content
+ * @param {Object} options - Configuration options
+ */
+function RamadanMode(options) {
+  // Merge options with defaults
+  const settings = Object.assign({
+    element: null,
+    dataUrl: '/data/month-starts.json',
+    timeZone: PrayerTimes.DEFAULTS.timeZone,
+    locale: I18n.intlLocale(),
+    // Fixes the current instant, for checking the banners outside Ramadan
+    now: null
+  }, options);
+
+  if (!settings.element) return console.error('RamadanMode: No element specified');
+
+  const find = name => settings.element.querySelector(`[data-ramadan-${name}]`);
+  const findAll = name => settings.element.querySelectorAll(`[data-ramadan-${name}]`);
+
+  let records = [];
+  let current = { mode: 'off' };
+  let interval;
+
+  const now = () => settings.now || new Date();
+  const language = { t: I18n.t, locale: settings.locale };
+
+  const setText = (name, text) => {
+    const element = find(name);
+    if (element) element.textContent = text;
+  };
+
+  /**
+   * Time left, e.g. "3h 05m 09s" in English
+   * @param {number} milliseconds - Time left
+   * @returns {string} Countdown text
+   */
+  const formatRemaining = milliseconds => {
+    const seconds = Math.max(0, Math.floor(milliseconds / 1000));
+    const pad = value => I18n.formatNumber(value, { minimumIntegerDigits: 2 });
+    return I18n.t('ramadan.remaining', {
+      hours: I18n.formatNumber(Math.floor(seconds / 3600)),
+      minutes: pad(Math.floor(seconds / 60) % 60),
+      seconds: pad(seconds % 60)
+    });
+  };
+
+  /**
+   * Update the suhoor and iftar countdown
+   */
+  const tick = () => {
+    if (current.mode !== 'ramadan') return;
+
+    const instant = now();
+    const location = Object.assign(PrayerTimes.loadSettings(), Ramadan.loadSettings(), { timeZone: settings.timeZone });
+    const times = Ramadan.countdown(instant, location);
+
+    setText('city', I18n.t('ramadan.timesFor', { city: PrayerTimes.CITIES[location.city].name }));
+    ['suhoor', 'iftar'].forEach(key => {
+      const tile = find(`countdown="${key}"`);
+      if (!tile) return;
+      const isNext = key === times.next;
+      tile.querySelector('[data-ramadan-time]').textContent = PrayerTimes.formatTime(times[key], settings.timeZone, settings.locale);
+      tile.querySelector('[data-ramadan-remaining]').textContent = formatRemaining(times[key] - instant);
+      tile.classList.toggle('bg-white/10', !isNext);
+      tile.style.background = isNext ? 'var(--gradient-primary)' : '';
+      if (isNext) tile.setAttribute('aria-current', 'time');
+      else tile.removeAttribute('aria-current');
+    });
+    setText('next', I18n.t(times.next === 'suhoor' ? 'ramadan.suhoorIn' : 'ramadan.iftarIn', { time: formatRemaining(times[times.next] - instant) }));
+  };
+
+  /**
+   * Show the content for the current mode
+   */
+  const render = () => {
+    current = Ramadan.mode(records, now());
+
+    findAll('default').forEach(element => element.classList.toggle('hidden', current.mode !== 'off'));
+    find('banner')?.classList.toggle('hidden', current.mode !== 'ramadan');
+    find('eid')?.classList.toggle('hidden', current.mode !== 'eid');
+    document.querySelectorAll('[data-ramadan-only]').forEach(element => element.classList.toggle('hidden', current.mode !== 'ramadan'));
+    settings.element.dataset.ramadanMode = current.mode;
+
+    if (current.mode === 'ramadan') {
+      setText('day', current.day
+        ? I18n.t('ramadan.day', { day: I18n.formatNumber(current.day), year: current.year })
+        : I18n.t('ramadan.beginsTomorrow', { year: current.year }));
+
+      // On the 30th the Board's Eid decision is already out
+      const note = find('eid-note');
+      if (note) {
+        note.classList.toggle('hidden', !current.record);
+        if (current.record) note.textContent = MonthDecision.describe(current.record, language).summary;
+      }
+      tick();
+    }
+
+    if (current.mode === 'eid') {
+      const text = MonthDecision.describe(current.record, language);
+      setText('eid-month', text.monthArabic && text.monthArabic !== text.month ? `${text.month} · ${text.monthArabic}` : text.month);
+      const when = ['ramadan.eidTomorrow', 'ramadan.eidToday'][current.day] || 'ramadan.eidWas';
+      setText('eid-first-day', I18n.t(when, { date: text.firstDay }));
+      setText('eid-message', current.record.message || '');
+      const link = find('eid-link');
+      if (link) link.href = `/announcements/${MonthDecision.announcementId(current.record)}.html`;
+    }
+  };
+
+  /**
+   * Load the Board's decisions and switch to the right mode
+   * Without them the mode follows the predicted Hijri date
+   * @returns {Promise} Resolves once rendered
+   */
+  const load = () => fetch(settings.dataUrl)
+    .then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    })
+    .then(data => {
+      records = data.monthStarts || [];
+      HijriCalendar.setConfirmed(records);
+    })
+    .catch(error => console.error('RamadanMode: Could not load the month decisions', error))
+    .then(render);
+
+  // The countdown follows a change of city in the prayer times card
+  document.addEventListener('change', tick);
+
+  load().then(() => {
+    let ticks = 0;
+    interval = setInterval(() => {
+      // Check the mode each minute, so the banner changes at midnight and once a decision is published
+      ticks = (ticks + 1) % 60;
+      if (ticks === 0) render();
+      else tick();
+    }, 1000);
+  });
+
+  // Return public methods
+  return {
+    render,
+    load,
+    getMode: () => current,
+    stop: () => clearInterval(interval)
+  };
+}
+
+/**
+ * Initialize Ramadan mode on the home page
+ */
+function initRamadanMode() {
+  const element = document.getElementById('ramadan-mode');
+  if (!element) return;
+
+  // The day of Ramadan, the countdown and the Eid announcement are shown in the page language
+  I18n.ready.then(() => new RamadanMode({ element }));
+}
+
+document.addEventListener('DOMContentLoaded', initRamadanMode);
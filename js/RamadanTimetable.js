@@ -0,0 +1,314 @@
+/**
+ * RamadanTimetable.js
+ * The Ramadan timetable: suhoor (imsak), the five prayers, iftar and Taraweeh for
+ * every day of Ramadan in a city, with a choice of imsak and Taraweeh offsets,
+ * CSV export and printing
+ * Requires /js/Html.js, /js/I18n.js, /js/PrayerTimes.js, /js/Lunar.js, /js/HijriCalendar.js, /js/MonthDecision.js and /js/Ramadan.js
+ */
+
+/**
+ * RamadanTimetable - Generates the Ramadan timetable for a city
+ * @param {Object} options - Configuration options
+ */
+function RamadanTimetable(options) {
+  const saved = Object.assign(PrayerTimes.loadSettings(), Ramadan.loadSettings());
+
+  // Merge options with defaults
+  const settings = Object.assign({
+    element: null,
+    dataUrl: '/data/month-starts.json',
+    year: null,
+    city: saved.city,
+    method: saved.method,
+    asr: saved.asr,
+    imsak: saved.imsak,
+    taraweeh: saved.taraweeh,
+    timeZone: PrayerTimes.DEFAULTS.timeZone,
+    locale: I18n.intlLocale(),
+    updateUrl: true
+  }, options);
+
+  if (!settings.element) return console.error('RamadanTimetable: No element specified');
+
+  const columns = ['imsak', 'fajr', 'sunrise', 'dhuhr', 'asr', 'maghrib', 'isha', 'taraweeh'];
+  const labelKeys = { imsak: 'ramadan.suhoorEnds', maghrib: 'ramadan.iftar', taraweeh: 'ramadan.taraweeh' };
+  const columnLabels = Object.fromEntries(columns.map(key => [key, I18n.t(labelKeys[key] || `prayers.${key}`)]));
+
+  const find = name => settings.element.querySelector(`[data-ramadan-${name}]`);
+  const citySelect = find('city');
+  const methodSelect = find('method');
+  const asrSelect = find('asr');
+  const imsakSelect = find('imsak');
+  const taraweehSelect = find('taraweeh');
+  const titleElement = find('title');
+  const statusElement = find('status');
+  const bodyElement = find('body');
+  const notesElement = find('notes');
+
+  let table = null;
+
+  /**
+   * Format a time in 24-hour or 12-hour form
+   * @param {Date} date - The time
+   * @param {boolean} hour12 - Use a 12-hour clock
+   * @returns {string} Formatted time
+   */
+  const formatTime = (date, hour12) => {
+    if (!date) return '';
+    if (hour12) return PrayerTimes.formatTime(date, settings.timeZone, settings.locale);
+    return date.toLocaleTimeString('en-GB', {
+      timeZone: settings.timeZone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+  };
+
+  const formatDate = (date, format) => new Date(Date.UTC(date.year, date.month - 1, date.day))
+    .toLocaleDateString(settings.locale, Object.assign({ timeZone: 'UTC' }, format));
+
+  const getTime = (day, key) => (key === 'taraweeh' ? day.taraweeh : day.times[key]);
+
+  const getCity = () => PrayerTimes.CITIES[settings.city];
+
+  /**
+   * Populate the select controls from the available cities, methods and offsets
+   */
+  const populateControls = () => {
+    if (citySelect) {
+      citySelect.innerHTML = Object.entries(PrayerTimes.CITIES)
+        .map(([id, city]) => `<option value="${id}">${Html.escape(city.name)}</option>`)
+        .join('');
+      citySelect.value = settings.city;
+    }
+
+    if (methodSelect) {
+      methodSelect.innerHTML = Object.entries(PrayerTimes.METHODS)
+        .map(([id, method]) => `<option value="${id}">${method.name}</option>`)
+        .join('');
+      methodSelect.value = settings.method;
+    }
+
+    if (asrSelect) asrSelect.value = settings.asr;
+
+    if (imsakSelect) {
+      imsakSelect.innerHTML = Ramadan.IMSAK_OFFSETS
+        .map(minutes => `<option value="${minutes}">${Html.escape(minutes ? I18n.t('ramadan.imsakBefore', { minutes: I18n.formatNumber(minutes) }) : I18n.t('ramadan.atFajr'))}</option>`)
+        .join('');
+      imsakSelect.value = settings.imsak;
+    }
+
+    if (taraweehSelect) {
+      taraweehSelect.innerHTML = Ramadan.TARAWEEH_OFFSETS
+        .map(minutes => `<option value="${minutes}">${Html.escape(minutes ? I18n.t('ramadan.taraweehAfter', { minutes: I18n.formatNumber(minutes) }) : I18n.t('ramadan.atIsha'))}</option>`)
+        .join('');
+      taraweehSelect.value = settings.taraweeh;
+    }
+  };
+
+  const render = () => {
+    const city = getCity();
+    const today = PrayerTimes.getLocalDate(new Date(), settings.timeZone);
+    table = Ramadan.timetable(settings.year, city, {
+      method: settings.method,
+      asr: settings.asr,
+      timeZone: settings.timeZone,
+      imsak: settings.imsak,
+      taraweeh: settings.taraweeh
+    });
+
+    if (titleElement) {
+      titleElement.textContent = I18n.t('ramadan.title', { year: settings.year, city: city.name });
+    }
+
+    if (statusElement) {
+      const first = formatDate(table.start.start, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+      statusElement.textContent = I18n.t(table.start.status === 'confirmed' ? 'ramadan.began' : 'ramadan.expected', { date: first });
+    }
+
+    let previousZone = table.days.length ? table.days[0].timeZoneName : '';
+    const notes = [];
+
+    if (bodyElement) {
+      bodyElement.innerHTML = table.days.map(day => {
+        const { date } = day;
+        const isToday = date.year === today.year && date.month === today.month && date.day === today.day;
+        const isFriday = new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay() === 5;
+
+        let noteRow = '';
+        if (day.timeZoneName !== previousZone) {
+          const note = I18n.t(day.timeZoneName === 'NZDT' ? 'timetable.dstStarts' : 'timetable.dstEnds', { zone: day.timeZoneName });
+          notes.push(note);
+          noteRow = `
+            <tr class="timetable-note">
+              <td colspan="${columns.length + 2}" class="py-2 px-4 text-sm font-medium text-primary-dark bg-primary-light/20">${Html.escape(note)}</td>
+            </tr>
+          `;
+          previousZone = day.timeZoneName;
+        }
+
+        const classes = [isToday ? 'timetable-today font-semibold' : '', isFriday ? 'timetable-friday' : '', day.provisional ? 'timetable-provisional' : ''];
+        return `${noteRow}
+          <tr class="${classes.filter(Boolean).join(' ')}"${isToday ? ' aria-current="date"' : ''}>
+            <td class="py-2 px-4">${I18n.formatNumber(day.day)}${day.provisional ? '*' : ''}</td>
+            <td class="py-2 px-4 whitespace-nowrap">${formatDate(date, { weekday: 'short', day: 'numeric', month: 'short' })}</td>
+            ${columns.map(key => `<td class="py-2 px-4 ${key === 'sunrise' ? 'text-gray-500' : ''} ${key === 'imsak' || key === 'maghrib' ? 'font-semibold' : ''}">${formatTime(getTime(day, key), true)}</td>`).join('')}
+          </tr>
+        `;
+      }).join('');
+    }
+
+    if (notesElement) {
+      const text = I18n.t(notes.length ? 'ramadan.notesDst' : 'ramadan.notes', {
+        method: PrayerTimes.METHODS[settings.method].name,
+        asr: I18n.t(settings.asr === 'Hanafi' ? 'prayers.hanafi' : 'prayers.shafii'),
+        imsak: settings.imsak
+          ? I18n.t('ramadan.imsakBefore', { minutes: I18n.formatNumber(settings.imsak) })
+          : I18n.t('ramadan.atFajrNote'),
+        taraweeh: settings.taraweeh
+          ? I18n.t('ramadan.taraweehAfter', { minutes: I18n.formatNumber(settings.taraweeh) })
+          : I18n.t('ramadan.atIshaNote'),
+        city: city.name
+      });
+      notesElement.textContent = table.shawwal ? text : `${text} ${I18n.t('ramadan.provisional')}`;
+    }
+
+    if (settings.updateUrl) updateUrl();
+  };
+
+  /**
+   * Keep the current city and year in the address bar so it can be shared
+   */
+  const updateUrl = () => {
+    const params = new URLSearchParams(window.location.search);
+    params.set('city', settings.city);
+    params.set('year', settings.year);
+    window.history.replaceState(null, '', `${window.location.pathname}?${params}`);
+  };
+
+  /**
+   * Move by a number of years
+   * @param {number} offset - Years to move (negative for earlier)
+   */
+  const changeYear = (offset) => {
+    settings.year += offset;
+    render();
+  };
+
+  /**
+   * Build the timetable as CSV text
+   * @returns {string} CSV content
+   */
+  const toCSV = () => {
+    const header = [I18n.t('ramadan.name'), I18n.t('timetable.date'), I18n.t('timetable.day'), ...columns.map(key => columnLabels[key]), I18n.t('timetable.timeZone')];
+    const rows = table.days.map(day => {
+      const { date } = day;
+      const isoDate = `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+      const weekday = new Date(Date.UTC(date.year, date.month - 1, date.day))
+        .toLocaleDateString(settings.locale, { timeZone: 'UTC', weekday: 'long' });
+      return [String(day.day), isoDate, weekday, ...columns.map(key => formatTime(getTime(day, key), false)), day.timeZoneName];
+    });
+
+    return [header, ...rows]
+      .map(row => row.map(value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value).join(','))
+      .join('\r\n');
+  };
+
+  const exportCSV = () => {
+    const blob = new Blob([toCSV()], { type: 'text/csv;charset=utf-8' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `ramadan-${settings.year}-${settings.city}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  };
+
+  // Set up control listeners
+  // City, method and Asr are shared with the prayer times page; imsak and Taraweeh are remembered for the home page countdown
+  citySelect?.addEventListener('change', () => {
+    settings.city = citySelect.value;
+    PrayerTimes.saveSettings({ city: settings.city });
+    render();
+  });
+  methodSelect?.addEventListener('change', () => {
+    settings.method = methodSelect.value;
+    PrayerTimes.saveSettings({ method: settings.method });
+    render();
+  });
+  asrSelect?.addEventListener('change', () => {
+    settings.asr = asrSelect.value;
+    PrayerTimes.saveSettings({ asr: settings.asr });
+    render();
+  });
+  imsakSelect?.addEventListener('change', () => {
+    settings.imsak = Number(imsakSelect.value);
+    Ramadan.saveSettings({ imsak: settings.imsak });
+    render();
+  });
+  taraweehSelect?.addEventListener('change', () => {
+    settings.taraweeh = Number(taraweehSelect.value);
+    Ramadan.saveSettings({ taraweeh: settings.taraweeh });
+    render();
+  });
+  find('prev')?.addEventListener('click', () => changeYear(-1));
+  find('next')?.addEventListener('click', () => changeYear(1));
+  find('current')?.addEventListener('click', () => {
+    settings.year = Ramadan.currentYear();
+    render();
+  });
+  find('export')?.addEventListener('click', exportCSV);
+  find('print')?.addEventListener('click', () => window.print());
+
+  /**
+   * Load the Board's decisions, so the timetable follows the announced start and end
+   * Without them the start is the predicted one
+   * @returns {Promise} Resolves once rendered
+   */
+  const load = () => fetch(settings.dataUrl)
+    .then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    })
+    .then(data => HijriCalendar.setConfirmed(data.monthStarts))
+    .catch(error => console.error('RamadanTimetable: Could not load the month decisions', error))
+    .then(() => {
+      if (!settings.year) settings.year = Ramadan.currentYear();
+      render();
+    });
+
+  populateControls();
+  load();
+
+  // Return public methods
+  return {
+    render,
+    load,
+    toCSV,
+    exportCSV,
+    changeYear
+  };
+}
+
+/**
+ * Initialize the Ramadan timetable, reading the city and Hijri year from the URL if present
+ */
+function initRamadanTimetable() {
+  const element = document.getElementById('ramadan-timetable');
+  if (!element) return;
+
+  const params = new URLSearchParams(window.location.search);
+  const options = { element };
+
+  const city = params.get('city');
+  if (city && PrayerTimes.CITIES[city]) options.city = city;
+
+  const year = parseInt(params.get('year'), 10);
+  if (year >= 1400 && year <= 1600) options.year = year;
+
+  // Prayer names, dates and notes are shown in the page language
+  I18n.ready.then(() => new RamadanTimetable(options));
+}
+
+document.addEventListener('DOMContentLoaded', initRamadanTimetable);
@@ -0,0 +1,204 @@
+/**
+ * Search.js
+ * Site search over /search-index.json: matches each word of a query against page
+ * titles, headings and text, allowing for typos and spelling variants ("Ramadhan"
+ * finds "Ramadan"), ranks the results and builds highlighted snippets.
+ * Used by the search overlay in js/SiteSearch.js.
+ */
+
+const Search = (function() {
+  /** How much a match counts in each field of an entry */
+  const FIELD_WEIGHTS = {
+    title: 4,
+    headings: 2,
+    text: 1
+  };
+
+  // Words shorter than this only match the start of a word, not with typos
+  const MIN_FUZZY_LENGTH = 4;
+  const SNIPPET_LENGTH = 160;
+
+  const Markup = typeof Html !== 'undefined' ? Html : require('./Html.js');
+
+  /**
+   * Lower case a word and drop accents and long vowel marks, so "Māori" matches "maori"
+   * @param {string} text - Text
+   * @returns {string} Normalized text
+   */
+  function normalize(text) {
+    return String(text ?? '').normalize('NFD').replace(/[̀-ͯ]/g, '').toLowerCase();
+  }
+
+  /**
+   * Split text into normalized words
+   * @param {string} text - Text
+   * @returns {Array} Words
+   */
+  function tokenize(text) {
+    return normalize(text).match(/[\p{L}\p{N}]+/gu) || [];
+  }
+
+  /**
+   * Number of typos allowed in a word of this length
+   * @param {number} length - Word length
+   * @returns {number} 0, 1 or 2
+   */
+  function allowedEdits(length) {
+    if (length < MIN_FUZZY_LENGTH) return 0;
+    return length < 7 ? 1 : 2;
+  }
+
+  /**
+   * Edit distance between two words, giving up once it is more than max
+   * @param {string} a - Word
+   * @param {string} b - Word
+   * @param {number} max - Largest distance of interest
+   * @returns {number} Distance, or max + 1 if it is larger than max
+   */
+  function distance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > max) return max + 1;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * How well a query word matches a word in the index
+   * @param {string} term - Query word
+   * @param {string} word - Indexed word
+   * @returns {number} 1 for the same word, less for the start of a word or a near miss, 0 for none
+   */
+  function matchWord(term, word) {
+    if (word === term) return 1;
+    if (word.startsWith(term)) return 0.8;
+    const max = allowedEdits(term.length);
+    if (!max) return 0;
+    // Compare with the start of longer words too, so "moonsight" finds "moonsighting"
+    const edits = Math.min(distance(term, word, max), distance(term, word.slice(0, term.length), max));
+    return edits <= max ? 0.6 - (edits - 1) * 0.2 : 0;
+  }
+
+  /**
+   * Prepare index entries for searching
+   * @param {Array} entries - Entries from /search-index.json
+   * @returns {Array} Documents: entry and the distinct words in each field
+   */
+  function prepare(entries) {
+    return entries.map(entry => {
+      const words = {};
+      Object.keys(FIELD_WEIGHTS).forEach(field => {
+        words[field] = Array.from(new Set(tokenize(entry[field])));
+      });
+      return { entry, words };
+    });
+  }
+
+  /**
+   * Search prepared documents. Every word of the query has to match.
+   * @param {Array} documents - From prepare()
+   * @param {string} query - What the visitor typed
+   * @param {number} limit - Most results to return
+   * @returns {Array} Results, best first: entry, score and the matched words
+   */
+  function search(documents, query, limit) {
+    const terms = Array.from(new Set(tokenize(query)));
+    if (!terms.length) return [];
+
+    const results = [];
+    documents.forEach(document => {
+      const matched = new Set();
+      let score = 0;
+
+      const found = terms.every(term => {
+        let best = 0;
+        Object.keys(FIELD_WEIGHTS).forEach(field => {
+          document.words[field].forEach(word => {
+            const quality = matchWord(term, word);
+            if (!quality) return;
+            matched.add(word);
+            best = Math.max(best, quality * FIELD_WEIGHTS[field]);
+          });
+        });
+        score += best;
+        return best > 0;
+      });
+
+      if (found) results.push({ entry: document.entry, score, words: Array.from(matched) });
+    });
+
+    return results
+      .sort((a, b) => b.score - a.score || a.entry.title.localeCompare(b.entry.title))
+      .slice(0, limit || results.length);
+  }
+
+  /**
+   * Escape text and wrap the matched words in <mark>
+   * @param {string} text - Text
+   * @param {Array} words - Normalized words to highlight
+   * @returns {string} HTML
+   */
+  function highlight(text, words) {
+    const wanted = new Set(words);
+    return String(text ?? '').split(/([\p{L}\p{N}]+)/u)
+      .map(part => (wanted.has(normalize(part)) ? `<mark>${Markup.escape(part)}</mark>` : Markup.escape(part)))
+      .join('');
+  }
+
+  /**
+   * A short extract of text around the first matched word, highlighted
+   * @param {string} text - Text
+   * @param {Array} words - Normalized words to highlight
+   * @param {number} length - Characters to show
+   * @returns {string} HTML
+   */
+  function snippet(text, words, length) {
+    const size = length || SNIPPET_LENGTH;
+    const source = String(text ?? '');
+    const wanted = new Set(words);
+    const pattern = /[\p{L}\p{N}]+/gu;
+    let first = -1;
+    let match;
+    while ((match = pattern.exec(source))) {
+      if (wanted.has(normalize(match[0]))) {
+        first = match.index;
+        break;
+      }
+    }
+
+    // Start a little before the match, at the beginning of a word
+    let start = first < 0 ? 0 : Math.max(0, first - Math.floor(size / 3));
+    if (start > 0) start = source.indexOf(' ', start) + 1 || start;
+    let end = Math.min(source.length, start + size);
+    if (end < source.length) end = source.lastIndexOf(' ', end) > start ? source.lastIndexOf(' ', end) : end;
+
+    return `${start > 0 ? '…' : ''}${highlight(source.slice(start, end), words)}${end < source.length ? '…' : ''}`;
+  }
+
+  // Return public methods
+  return {
+    FIELD_WEIGHTS,
+    normalize,
+    tokenize,
+    distance,
+    matchWord,
+    prepare,
+    search,
+    highlight,
+    snippet
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Search;
+}
@@ -0,0 +1,240 @@
+/**
+ * SightingCheck.js
+ * Checks a crescent sighting report against the computed positions of the sun and moon,
+ * so the Board can see at a glance which reports need a closer look
+ *
+ * A report is flagged when, for the observer's location:
+ * - the sighting time is in the future, before the new moon, before sunset or after moonset
+ * - the moon was already several days old, so the report cannot be of a new crescent
+ * - the moon set before the sun
+ * - both Yallop and Odeh put the crescent below the limit of optical aid, or the
+ *   observer reports a naked-eye sighting of a crescent that needs optical aid
+ * - the location is outside New Zealand
+ *
+ * The flag messages are in English. The sighting form passes t: I18n.t and
+ * locale: I18n.intlLocale() to check() to show them in the page language, from the
+ * "sighting.flags" keys in locales/*.json.
+ *
+ * Requires /js/Lunar.js
+ */
+
+const SightingCheck = (function() {
+  const LunarEngine = typeof Lunar !== 'undefined' ? Lunar : require('./Lunar.js');
+
+  const DEFAULTS = {
+    timeZone: 'Pacific/Auckland',
+    locale: 'en-NZ',
+    // Minutes of tolerance for clocks and rounding before a time is flagged
+    toleranceMinutes: 5
+  };
+
+  const OPTICS = {
+    'naked-eye': 'Naked eye',
+    binoculars: 'Binoculars',
+    telescope: 'Telescope'
+  };
+
+  const SKY_CONDITIONS = {
+    clear: 'Clear',
+    hazy: 'Hazy',
+    'partly-cloudy': 'Partly cloudy',
+    cloudy: 'Mostly cloudy'
+  };
+
+  /** English flag messages, under the "sighting.flags" key of locales/en.json */
+  const MESSAGES = {
+    outsideNz: 'The location is outside New Zealand.',
+    future: 'The sighting time is in the future.',
+    morning: 'The sighting time is in the morning. A new crescent is seen in the west after sunset.',
+    noSunset: 'The sun does not set at this location on that day.',
+    beforeNewMoon: 'The sighting time is before the new moon ({newMoon}).',
+    oldMoon: 'The moon was {days} days old, so a new crescent would have been visible on an earlier evening.',
+    moonSetFirst: 'The moon set at {moonset}, before sunset at {sunset}.',
+    moonNotSet: 'The moon did not set after sunset at this location.',
+    afterMoonset: 'The sighting time is after moonset at {moonset}.',
+    beforeSunset: 'The sighting time is before sunset at {sunset}. A young crescent is very rarely seen in daylight.',
+    notVisible: 'Both criteria predict the crescent could not be seen, even with a telescope (Yallop {yallop}, Odeh {odeh}).',
+    notVisibleOne: 'One criterion predicts the crescent could not be seen (Yallop {yallop}, Odeh {odeh}).',
+    needsOpticalAid: 'The crescent was predicted to need optical aid (Yallop {yallop}, Odeh {odeh}), but was reported with the naked eye.'
+  };
+
+  /**
+   * The English text, as a translate function like I18n.t
+   * @param {string} key - "sighting.flags.<message>"
+   * @param {Object} params - Values for {name} placeholders
+   * @returns {string} Text
+   */
+  function english(key, params) {
+    return MESSAGES[key.split('.')[2]].replace(/\{(\w+)\}/g, (match, param) => (params && param in params ? String(params[param]) : match));
+  }
+
+  // Rough bounds of New Zealand, including the Chatham Islands
+  const NZ_BOUNDS = { south: -48, north: -34, west: 166, east: 184 };
+
+  const MINUTE = 60000;
+
+  // A new crescent report is expected within this many hours after the new moon
+  const MAX_AGE_HOURS = 72;
+
+  /**
+   * Calendar date and hour of an instant in a time zone
+   * @param {Date} date - The instant
+   * @param {string} timeZone - IANA time zone name
+   * @returns {Object} {year, month, day, hour}
+   */
+  function localParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone, year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', hourCycle: 'h23'
+    }).formatToParts(date);
+    const value = type => parseInt(parts.find(part => part.type === type).value, 10);
+    return { year: value('year'), month: value('month'), day: value('day'), hour: value('hour') };
+  }
+
+  /**
+   * Convert a local date-time, as entered in a datetime-local field, to an instant
+   * @param {string} value - Local time as YYYY-MM-DDTHH:MM
+   * @param {string} timeZone - IANA time zone name
+   * @returns {Date|null} The instant, or null if the value is not a date-time
+   */
+  function fromLocalTime(value, timeZone) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(value || '');
+    if (!match) return null;
+
+    const [year, month, day, hour, minute] = match.slice(1).map(Number);
+    const target = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Start from the time as if it were UTC and correct by the zone offset, twice to settle across DST changes
+    let guess = target;
+    for (let i = 0; i < 2; i++) {
+      const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone, year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', hourCycle: 'h23'
+      }).formatToParts(new Date(guess));
+      const part = type => parseInt(parts.find(item => item.type === type).value, 10);
+      const shown = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'));
+      guess += target - shown;
+    }
+
+    return new Date(guess);
+  }
+
+  /**
+   * Check whether a location is within New Zealand
+   * @param {Object} location - latitude and longitude
+   * @returns {boolean} True if inside the bounds
+   */
+  function inNewZealand(location) {
+    const longitude = location.longitude < 0 ? location.longitude + 360 : location.longitude;
+    return location.latitude >= NZ_BOUNDS.south && location.latitude <= NZ_BOUNDS.north &&
+      longitude >= NZ_BOUNDS.west && longitude <= NZ_BOUNDS.east;
+  }
+
+  /**
+   * Check a sighting report
+   * @param {Object} report - time (Date), location ({latitude, longitude}) and optics
+   * @param {Object} options - timeZone, locale, t (like I18n.t; English by default), toleranceMinutes and now
+   * @returns {Object} verdict ("plausible", "questionable" or "implausible"), flags and the computed values
+   */
+  function check(report, options) {
+    const settings = Object.assign({}, DEFAULTS, options);
+    const { time, location, optics } = report;
+    const now = settings.now || new Date();
+    const tolerance = settings.toleranceMinutes * MINUTE;
+    const flags = [];
+
+    const formatTime = date => date.toLocaleTimeString(settings.locale, {
+      timeZone: settings.timeZone, hour: 'numeric', minute: '2-digit'
+    }).toUpperCase();
+    const formatDateTime = date => date.toLocaleString(settings.locale, {
+      timeZone: settings.timeZone, weekday: 'short', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit'
+    });
+
+    const t = settings.t || english;
+    const flag = (level, code, message, params) => flags.push({ level, code, message: t(`sighting.flags.${message}`, params) });
+
+    if (!inNewZealand(location)) {
+      flag('warning', 'outside-nz', 'outsideNz');
+    }
+
+    if (time > new Date(now.getTime() + tolerance)) {
+      flag('error', 'future', 'future');
+    }
+
+    const local = localParts(time, settings.timeZone);
+    if (local.hour < 12) {
+      flag('warning', 'morning', 'morning');
+    }
+
+    const visibility = LunarEngine.crescentVisibility(local, location);
+    if (!visibility) {
+      flag('error', 'no-sunset', 'noSunset');
+      return { verdict: 'implausible', flags };
+    }
+
+    const observation = LunarEngine.observe(time, location);
+    const ageHours = (time - LunarEngine.previousNewMoon(time)) / 3600000;
+    const nextNewMoon = LunarEngine.nextNewMoon(time);
+
+    if (nextNewMoon - time < MAX_AGE_HOURS * 3600000) {
+      flag('error', 'before-new-moon', 'beforeNewMoon', { newMoon: formatDateTime(nextNewMoon) });
+    } else if (ageHours > MAX_AGE_HOURS) {
+      flag('warning', 'old-moon', 'oldMoon', { days: Math.floor(ageHours / 24).toLocaleString(settings.locale) });
+    }
+
+    if (visibility.lagMinutes === null || visibility.lagMinutes <= 0) {
+      if (visibility.moonset) {
+        flag('error', 'moon-set-first', 'moonSetFirst', { moonset: formatTime(visibility.moonset), sunset: formatTime(visibility.sunset) });
+      } else {
+        flag('error', 'moon-set-first', 'moonNotSet');
+      }
+    } else if (time > new Date(visibility.moonset.getTime() + tolerance)) {
+      flag('error', 'after-moonset', 'afterMoonset', { moonset: formatTime(visibility.moonset) });
+    }
+
+    if (time < new Date(visibility.sunset.getTime() - tolerance) && local.hour >= 12) {
+      flag('warning', 'before-sunset', 'beforeSunset', { sunset: formatTime(visibility.sunset) });
+    }
+
+    const yallopNotVisible = ['E', 'F'].includes(visibility.yallop.code);
+    const odehNotVisible = visibility.odeh.code === 'D';
+    const codes = { yallop: visibility.yallop.code, odeh: visibility.odeh.code };
+    if (yallopNotVisible && odehNotVisible) {
+      flag('error', 'not-visible', 'notVisible', codes);
+    } else if (yallopNotVisible || odehNotVisible) {
+      flag('warning', 'not-visible', 'notVisibleOne', codes);
+    } else if (optics === 'naked-eye' && !['A', 'B'].includes(visibility.yallop.code) && visibility.odeh.code !== 'A') {
+      flag('warning', 'needs-optical-aid', 'needsOpticalAid', codes);
+    }
+
+    const levels = flags.map(item => item.level);
+    const verdict = levels.includes('error') ? 'implausible' : levels.includes('warning') ? 'questionable' : 'plausible';
+
+    return {
+      verdict,
+      flags,
+      sunset: visibility.sunset,
+      moonset: visibility.moonset,
+      lagMinutes: visibility.lagMinutes,
+      conjunction: visibility.conjunction,
+      ageHours,
+      moonAltitude: observation.moon.topocentricAltitude,
+      moonAzimuth: observation.moon.azimuth,
+      yallop: visibility.yallop,
+      odeh: visibility.odeh
+    };
+  }
+
+  // Return public methods
+  return {
+    DEFAULTS,
+    OPTICS,
+    SKY_CONDITIONS,
+    MESSAGES,
+    fromLocalTime,
+    inNewZealand,
+    check
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SightingCheck;
+}
@@ -0,0 +1,453 @@
+/**
+ * SightingReport.js
+ * Crescent sighting report form for the moonsighting page
+ * Requires /js/Html.js, /js/I18n.js, /js/Lunar.js and /js/SightingCheck.js; uses Leaflet for the map pin when it is loaded
+ */
+
+/**
+ * SightingReport - Collects a sighting report, checks it against the computed
+ * sunset and moonset for the observer's location and sends it to the Board
+ * @param {Object} options - Configuration options
+ */
+function SightingReport(options) {
+  // Merge options with defaults
+  const settings = Object.assign({
+    element: null,
+    endpoint: '/api/sighting-report',
+    timeZone: SightingCheck.DEFAULTS.timeZone,
+    locale: I18n.intlLocale(),
+    maxPhotoBytes: 10 * 1024 * 1024,
+    mapCenter: [-41.0, 174.0],
+    mapZoom: 5,
+    fallbackPhone: '+64 123 456 789'
+  }, options);
+
+  if (!settings.element) return console.error('SightingReport: No element specified');
+
+  const form = settings.element;
+  const find = name => form.querySelector(`[data-sighting-${name}]`);
+  const statusElement = find('status');
+  const checksElement = find('checks');
+  const submitButton = find('submit');
+  const locationStatus = find('location-status');
+  const mapElement = find('map');
+  const photoPreview = find('photo-preview');
+
+  const submitLabel = submitButton ? submitButton.textContent.trim() : '';
+
+  let map = null;
+  let marker = null;
+  let latestCheck = null;
+  let sending = false;
+
+  const getField = name => form.elements[name];
+  const getValue = name => (getField(name)?.value || '').trim();
+  const getNumber = name => getValue(name) === '' ? NaN : Number(getValue(name));
+  const getPhoto = () => getField('photo')?.files?.[0] || null;
+
+  /**
+   * Current local date-time in the format of a datetime-local field
+   * @returns {string} YYYY-MM-DDTHH:MM
+   */
+  const localNow = () => {
+    const date = new Date().toLocaleDateString('en-CA', { timeZone: settings.timeZone });
+    const time = new Date().toLocaleTimeString('en-GB', { timeZone: settings.timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+    return `${date}T${time}`;
+  };
+
+  const getTime = () => SightingCheck.fromLocalTime(getValue('sighting-time'), settings.timeZone);
+  const getLocation = () => ({ latitude: getNumber('latitude'), longitude: getNumber('longitude') });
+
+  // Validation rules for each field, returning an error message or an empty string
+  const rules = {
+    'observer-name': value => value.length >= 2 ? '' : I18n.t('sighting.nameRequired'),
+    'observer-phone': value => /^\+?[\d\s()-]{7,20}$/.test(value) && value.replace(/\D/g, '').length >= 7
+      ? ''
+      : I18n.t('sighting.phoneInvalid'),
+    latitude: () => {
+      const value = getNumber('latitude');
+      return value >= -90 && value <= 90 ? '' : I18n.t('sighting.locationRequired');
+    },
+    longitude: () => {
+      const value = getNumber('longitude');
+      return value >= -180 && value <= 180 ? '' : I18n.t('sighting.locationRequired');
+    },
+    'sighting-time': () => getTime() ? '' : I18n.t('sighting.timeRequired'),
+    optics: value => value in SightingCheck.OPTICS ? '' : I18n.t('sighting.opticsRequired'),
+    sky: value => value in SightingCheck.SKY_CONDITIONS ? '' : I18n.t('sighting.skyRequired'),
+    photo: () => {
+      const photo = getPhoto();
+      if (!photo) return '';
+      if (!photo.type.startsWith('image/')) return I18n.t('sighting.photoType');
+      return photo.size > settings.maxPhotoBytes
+        ? I18n.t('sighting.photoSize', { size: I18n.formatNumber(settings.maxPhotoBytes / 1024 / 1024) })
+        : '';
+    },
+    confirm: (value, field) => field.checked ? '' : I18n.t('sighting.confirmRequired')
+  };
+
+  /**
+   * Show or clear the inline error for a field
+   * Radio groups show their error below the group
+   * @param {string} name - Field name
+   * @param {string} message - Error message, or empty to clear
+   */
+  const setFieldError = (name, message) => {
+    const field = getField(name);
+    if (!field) return;
+
+    const inputs = field.length && !field.tagName ? Array.from(field) : [field];
+    const errorElement = form.querySelector(`#${inputs[0].id || name}-error`);
+    inputs.forEach(input => {
+      input.setAttribute('aria-invalid', message ? 'true' : 'false');
+      if (input.type !== 'radio') {
+        input.classList.toggle('border-red-500', !!message);
+        input.classList.toggle('border-gray-300', !message);
+      }
+    });
+    if (errorElement) {
+      errorElement.textContent = message;
+      errorElement.classList.toggle('hidden', !message);
+    }
+  };
+
+  /**
+   * Validate one field and update its error
+   * @param {string} name - Field name
+   * @returns {boolean} True if valid
+   */
+  const validateField = (name) => {
+    const field = getField(name);
+    if (!field) return true;
+
+    const message = rules[name](getValue(name), field);
+    setFieldError(name, message);
+    return !message;
+  };
+
+  /**
+   * Validate every field, focusing the first invalid one
+   * @returns {boolean} True if the form is valid
+   */
+  const validate = () => {
+    const invalid = Object.keys(rules).filter(name => !validateField(name));
+    if (invalid.length) {
+      const field = getField(invalid[0]);
+      (field.length && !field.tagName ? field[0] : field).focus();
+    }
+    return !invalid.length;
+  };
+
+  /**
+   * Check the report against the computed sun and moon and show the result
+   * Runs whenever the time, location or optics change
+   */
+  const runChecks = () => {
+    const time = getTime();
+    const location = getLocation();
+    latestCheck = null;
+
+    if (!time || isNaN(location.latitude) || isNaN(location.longitude)) {
+      if (checksElement) checksElement.className = 'hidden';
+      return;
+    }
+
+    latestCheck = checkReport({ locale: settings.locale, t: I18n.t });
+    renderChecks();
+  };
+
+  /**
+   * Check the report as it stands
+   * @param {Object} options - Options for SightingCheck.check, e.g. the language of the messages
+   * @returns {Object} Result from SightingCheck.check
+   */
+  const checkReport = options => SightingCheck.check(
+    { time: getTime(), location: getLocation(), optics: getValue('optics') },
+    Object.assign({ timeZone: settings.timeZone }, options)
+  );
+
+  const formatTime = date => date ? date.toLocaleTimeString(settings.locale, {
+    timeZone: settings.timeZone, hour: 'numeric', minute: '2-digit'
+  }).toUpperCase() : '--:--';
+
+  const renderChecks = () => {
+    if (!checksElement || !latestCheck) return;
+
+    const styles = {
+      plausible: 'bg-green-50 border-green-200 text-green-800',
+      questionable: 'bg-yellow-50 border-yellow-200 text-yellow-800',
+      implausible: 'bg-red-50 border-red-200 text-red-800'
+    };
+    const check = latestCheck;
+    const details = check.sunset && [
+      I18n.t('sighting.sunset', { time: formatTime(check.sunset) }),
+      I18n.t('sighting.moonset', { time: formatTime(check.moonset) }),
+      I18n.t('sighting.moonAge', { hours: I18n.formatNumber(Math.max(0, Math.round(check.ageHours))) }),
+      `Yallop ${check.yallop.code}, Odeh ${check.odeh.code}`
+    ].concat(check.moonAltitude > 0 ? I18n.t('sighting.moonPosition', {
+      altitude: I18n.formatNumber(check.moonAltitude, { minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+      azimuth: I18n.formatNumber(Math.round(check.moonAzimuth))
+    }) : []);
+
+    checksElement.className = `rounded-lg border p-4 text-sm ${styles[check.verdict]}`;
+    checksElement.innerHTML = `
+      <p class="font-semibold mb-2">${Html.escape(I18n.t(`sighting.verdicts.${check.verdict}`))}</p>
+      ${check.flags.length ? `<ul class="list-disc pl-5 space-y-1 mb-2">${check.flags.map(flag => `<li>${Html.escape(flag.message)}</li>`).join('')}</ul>` : ''}
+      ${details ? `<p class="text-xs opacity-80">${details.map(Html.escape).join(' &bull; ')}</p>` : ''}
+    `;
+  };
+
+  /**
+   * Set the location fields, move the map pin and re-run the checks
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   */
+  const setLocation = (latitude, longitude) => {
+    getField('latitude').value = latitude.toFixed(4);
+    getField('longitude').value = longitude.toFixed(4);
+    validateField('latitude');
+    validateField('longitude');
+    placeMarker(latitude, longitude);
+    runChecks();
+  };
+
+  /**
+   * Show the map pin at a location
+   * @param {number} latitude - Latitude in degrees
+   * @param {number} longitude - Longitude in degrees
+   */
+  const placeMarker = (latitude, longitude) => {
+    if (!map) return;
+
+    if (marker) {
+      marker.setLatLng([latitude, longitude]);
+    } else {
+      marker = L.marker([latitude, longitude], { draggable: true, title: I18n.t('sighting.pin') }).addTo(map);
+      marker.on('dragend', () => {
+        const position = marker.getLatLng();
+        setLocation(position.lat, position.lng);
+      });
+    }
+    map.setView([latitude, longitude], Math.max(map.getZoom(), 11));
+  };
+
+  /**
+   * Show a map for dropping a pin, if Leaflet is available
+   */
+  const initMap = () => {
+    if (!mapElement || typeof L === 'undefined') return;
+
+    mapElement.classList.remove('hidden');
+    map = L.map(mapElement).setView(settings.mapCenter, settings.mapZoom);
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+      maxZoom: 18,
+      crossOrigin: true,
+      attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+    }).addTo(map);
+    map.on('click', event => setLocation(event.latlng.lat, event.latlng.lng));
+  };
+
+  /**
+   * Fill the location from the device's position
+   */
+  const locate = () => {
+    if (!navigator.geolocation) {
+      if (locationStatus) locationStatus.textContent = I18n.t('sighting.noGeolocation');
+      return;
+    }
+
+    if (locationStatus) locationStatus.textContent = I18n.t('sighting.locating');
+    navigator.geolocation.getCurrentPosition(position => {
+      setLocation(position.coords.latitude, position.coords.longitude);
+      if (locationStatus) locationStatus.textContent = I18n.t('sighting.located', { accuracy: I18n.formatNumber(Math.round(position.coords.accuracy)) });
+    }, () => {
+      if (locationStatus) locationStatus.textContent = I18n.t('sighting.locationError');
+    }, { enableHighAccuracy: true, timeout: 15000 });
+  };
+
+  const showPhotoPreview = () => {
+    if (!photoPreview) return;
+    const photo = getPhoto();
+    if (photoPreview.src) URL.revokeObjectURL(photoPreview.src);
+
+    if (photo && validateField('photo')) {
+      photoPreview.src = URL.createObjectURL(photo);
+      photoPreview.classList.remove('hidden');
+    } else {
+      photoPreview.removeAttribute('src');
+      photoPreview.classList.add('hidden');
+    }
+  };
+
+  /**
+   * Show the success or error message
+   * @param {string} type - "success" or "error"
+   * @param {string} message - HTML message
+   */
+  const showStatus = (type, message) => {
+    if (!statusElement) return;
+
+    statusElement.className = `rounded-lg border p-4 text-sm ${type === 'success'
+      ? 'bg-green-50 border-green-200 text-green-800'
+      : 'bg-red-50 border-red-200 text-red-800'}`;
+    statusElement.setAttribute('role', type === 'error' ? 'alert' : 'status');
+    statusElement.innerHTML = message;
+    statusElement.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  };
+
+  /**
+   * A message with a bold title, e.g. "<strong>Sorry…</strong> Please try again."
+   * @param {string} key - Message key; its title is under the same key plus "Title"
+   * @param {Object} params - Values for the message's placeholders
+   * @returns {string} HTML
+   */
+  const strongMessage = (key, params) => `<strong>${Html.escape(I18n.t(`${key}Title`))}</strong> ${Html.escape(I18n.t(key, params))}`;
+  const phoneLink = `<a href="tel:${Html.escape(settings.fallbackPhone.replace(/\s/g, ''))}" class="underline">${Html.escape(settings.fallbackPhone)}</a>`;
+
+  const setSending = (value) => {
+    sending = value;
+    if (!submitButton) return;
+    submitButton.disabled = value;
+    submitButton.classList.toggle('opacity-60', value);
+    submitButton.textContent = value ? I18n.t('sighting.sending') : submitLabel;
+  };
+
+  const reset = () => {
+    form.reset();
+    Object.keys(rules).forEach(name => setFieldError(name, ''));
+    getField('sighting-time').value = localNow();
+    showPhotoPreview();
+    if (marker) {
+      marker.remove();
+      marker = null;
+    }
+    runChecks();
+  };
+
+  /**
+   * Build the multipart body, adding the sighting time as an instant and the check results
+   * @returns {FormData} Report
+   */
+  const getFormData = () => {
+    const data = new FormData(form);
+    data.set('sighting-time-utc', getTime().toISOString());
+    data.set('verdict', latestCheck ? latestCheck.verdict : 'unchecked');
+    // The Board reads the flags in English, whatever the page language
+    data.set('flags', JSON.stringify(latestCheck ? checkReport().flags : []));
+    data.set('submitted-at', new Date().toISOString());
+    if (!getPhoto()) data.delete('photo');
+    return data;
+  };
+
+  /**
+   * Validate and send the report
+   * @param {Event} event - Submit event
+   */
+  const submit = (event) => {
+    event.preventDefault();
+    if (sending) return;
+    if (statusElement) statusElement.className = 'hidden';
+
+    if (!validate()) return;
+    runChecks();
+
+    // Bots fill in the hidden field - pretend it worked and send nothing
+    if (getValue('website')) {
+      reset();
+      showStatus('success', `<strong>${Html.escape(I18n.t('sighting.receivedTitle'))}</strong>`);
+      return;
+    }
+
+    if (!navigator.onLine) {
+      showStatus('error', strongMessage('sighting.offline').replace('{phone}', phoneLink));
+      return;
+    }
+
+    const phone = getValue('observer-phone');
+    setSending(true);
+    fetch(settings.endpoint, { method: 'POST', headers: { 'Accept': 'application/json' }, body: getFormData() })
+      .then(response => response.json()
+        .catch(() => ({}))
+        .then(data => ({ ok: response.ok, status: response.status, data })))
+      .then(result => {
+        if (result.ok) {
+          reset();
+          showStatus('success', strongMessage('sighting.received', { phone }));
+          return;
+        }
+
+        const errors = result.data && result.data.errors;
+        if (errors) {
+          Object.keys(errors).forEach(name => setFieldError(name, errors[name]));
+          showStatus('error', Html.escape(I18n.t('sighting.fixFields')));
+          return;
+        }
+        throw new Error(`HTTP ${result.status}`);
+      })
+      .catch(() => {
+        showStatus('error', strongMessage('sighting.failed').replace('{phone}', phoneLink));
+      })
+      .then(() => setSending(false));
+  };
+
+  // Validate fields as people leave them, and re-check the report as it changes
+  Object.keys(rules).forEach(name => {
+    const field = getField(name);
+    if (!field) return;
+    const inputs = field.length && !field.tagName ? Array.from(field) : [field];
+    inputs.forEach(input => {
+      if (['checkbox', 'radio', 'file'].includes(input.type)) {
+        input.addEventListener('change', () => validateField(name));
+      } else {
+        input.addEventListener('blur', () => {
+          if (input.value) validateField(name);
+        });
+      }
+    });
+  });
+  ['latitude', 'longitude', 'sighting-time'].forEach(name => {
+    getField(name)?.addEventListener('change', () => {
+      const location = getLocation();
+      if (name !== 'sighting-time' && !isNaN(location.latitude) && !isNaN(location.longitude)) {
+        placeMarker(location.latitude, location.longitude);
+      }
+      runChecks();
+    });
+  });
+  Array.from(getField('optics') || []).forEach(input => input.addEventListener('change', runChecks));
+  getField('photo')?.addEventListener('change', showPhotoPreview);
+  find('locate')?.addEventListener('click', locate);
+
+  form.setAttribute('novalidate', '');
+  form.addEventListener('submit', submit);
+  getField('sighting-time').value = localNow();
+  getField('sighting-time').max = `${localNow().slice(0, 10)}T23:59`;
+  initMap();
+
+  // Return public methods
+  return {
+    validate,
+    submit,
+    setLocation,
+    check: () => {
+      runChecks();
+      return latestCheck;
+    }
+  };
+}
+
+/**
+ * Initialize the sighting report form
+ */
+function initSightingReport() {
+  const element = document.getElementById('sighting-report-form');
+  if (!element) return;
+
+  // Messages and the checks are shown in the page language
+  I18n.ready.then(() => new SightingReport({
+    element,
+    endpoint: element.dataset.endpoint || '/api/sighting-report'
+  }));
+}
+
+document.addEventListener('DOMContentLoaded', initSightingReport);
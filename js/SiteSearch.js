@@ -0,0 +1,268 @@
+/**
+ * SiteSearch.js
+ * The search overlay, opened from the search button in the navigation or with the
+ * "/" key anywhere on the site. Searches /search-index.json (built by
+ * scripts/build-search-index.js) as the visitor types; the index is precached so
+ * search also works offline. FAQ results link to the item, which opens in the accordion.
+ * Requires /js/Html.js, /js/Search.js and /js/I18n.js
+ */
+
+/**
+ * SiteSearch - Searches the site from an overlay
+ * @param {Object} options - Configuration options
+ */
+function SiteSearch(options) {
+  // Merge options with defaults
+  const settings = Object.assign({
+    element: null,
+    triggers: [],
+    indexUrl: '/search-index.json',
+    limit: 8,
+    // Shorter queries match too much to be useful
+    minLength: 2
+  }, options);
+
+  if (!settings.element) return console.error('SiteSearch: No element specified');
+
+  const find = name => settings.element.querySelector(`[data-search-${name}]`);
+  const input = find('input');
+  const list = find('results');
+  const status = find('status');
+
+  let documents = null;
+  let loading = null;
+  let results = [];
+  let active = -1;
+  let returnFocus = null;
+
+  const isOpen = () => !settings.element.classList.contains('hidden');
+
+  const setStatus = text => {
+    if (status) status.textContent = text;
+  };
+
+  /**
+   * Load the search index the first time it is needed
+   * @returns {Promise} Resolves once the index is ready
+   */
+  const load = () => {
+    if (!loading) {
+      loading = fetch(settings.indexUrl)
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.json();
+        })
+        .then(data => {
+          documents = Search.prepare(data.entries || []);
+        })
+        .catch(error => {
+          console.error('SiteSearch: Could not load the search index', error);
+          // Try again next time the overlay is opened
+          loading = null;
+          throw error;
+        });
+    }
+    return loading;
+  };
+
+  /**
+   * Highlight a result as the one Enter follows
+   * @param {number} index - Result index, or -1 for none
+   */
+  const setActive = index => {
+    active = index;
+    list.querySelectorAll('[role="option"]').forEach((option, position) => {
+      option.setAttribute('aria-selected', position === index ? 'true' : 'false');
+      if (position === index) option.scrollIntoView({ block: 'nearest' });
+    });
+    if (index >= 0) input.setAttribute('aria-activedescendant', `site-search-result-${index}`);
+    else input.removeAttribute('aria-activedescendant');
+  };
+
+  /**
+   * Pick the text a result's snippet comes from: the part with a match in it
+   * @param {Object} entry - Index entry
+   * @param {Array} words - Matched words
+   * @returns {string} Text
+   */
+  const snippetSource = (entry, words) => [entry.text, entry.headings]
+    .find(text => Search.tokenize(text).some(word => words.includes(word))) || entry.headings || entry.text;
+
+  /**
+   * Search and show the results for what has been typed
+   */
+  const render = () => {
+    const query = input.value.trim();
+    results = [];
+
+    if (query.length < settings.minLength) {
+      setStatus(I18n.t('search.prompt'));
+    } else if (!documents) {
+      setStatus(I18n.t('search.loading'));
+    } else {
+      results = Search.search(documents, query, settings.limit);
+      if (!results.length) setStatus(I18n.t('search.noResults', { query }));
+      else setStatus(results.length === 1 ? I18n.t('search.oneResult') : I18n.t('search.results', { count: results.length }));
+    }
+
+    list.innerHTML = results.map(({ entry, words }, index) => {
+      const section = I18n.t(`search.sections.${entry.section}`);
+      return `
+        <li role="option" id="site-search-result-${index}" aria-selected="false">
+          <a href="${Html.escape(entry.url)}" tabindex="-1" class="block p-3 rounded-lg border-l-4 border-transparent hover:bg-gray-50">
+            <span class="block text-xs font-semibold uppercase tracking-wide text-primary-color">${Html.escape(section)}${entry.page ? ` · ${Html.escape(entry.page)}` : ''}</span>
+            <span class="block font-semibold text-gray-900">${Search.highlight(entry.title, words)}</span>
+            <span class="block text-sm text-gray-600 mt-1">${Search.snippet(snippetSource(entry, words), words)}</span>
+          </a>
+        </li>`;
+    }).join('');
+
+    input.setAttribute('aria-expanded', results.length ? 'true' : 'false');
+    setActive(results.length ? 0 : -1);
+  };
+
+  /**
+   * Go to a result. A link to an FAQ item on this page opens the item again even if
+   * it is already in the address bar.
+   * @param {string} url - Result URL
+   */
+  const follow = url => {
+    const target = new URL(url, window.location.href);
+    close();
+    if (target.pathname === window.location.pathname && target.hash && target.hash === window.location.hash) {
+      window.dispatchEvent(new Event('hashchange'));
+      return;
+    }
+    window.location.href = target.href;
+  };
+
+  /**
+   * Open the overlay
+   */
+  const open = () => {
+    if (isOpen()) return input.focus();
+    returnFocus = document.activeElement;
+    settings.element.classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
+    settings.triggers.forEach(trigger => trigger.setAttribute('aria-expanded', 'true'));
+    input.focus();
+    input.select();
+
+    render();
+    if (!documents) {
+      load().then(render).catch(() => setStatus(I18n.t('search.unavailable')));
+    }
+  };
+
+  /**
+   * Close the overlay and return focus to where it was
+   */
+  const close = () => {
+    if (!isOpen()) return;
+    settings.element.classList.add('hidden');
+    document.body.style.overflow = '';
+    settings.triggers.forEach(trigger => trigger.setAttribute('aria-expanded', 'false'));
+    if (returnFocus && typeof returnFocus.focus === 'function') returnFocus.focus();
+  };
+
+  // Set up the overlay
+  input.addEventListener('input', render);
+  input.addEventListener('keydown', event => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      if (!results.length) return;
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setActive((active + step + results.length) % results.length);
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      if (results[active]) follow(results[active].entry.url);
+    }
+  });
+  list.addEventListener('click', event => {
+    const link = event.target.closest('a');
+    if (!link) return;
+    event.preventDefault();
+    follow(link.getAttribute('href'));
+  });
+  settings.element.querySelectorAll('[data-search-close]').forEach(element => element.addEventListener('click', close));
+  settings.element.addEventListener('keydown', event => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      close();
+    }
+  });
+
+  settings.triggers.forEach(trigger => {
+    trigger.setAttribute('aria-expanded', 'false');
+    trigger.addEventListener('click', open);
+  });
+
+  // "/" opens search from anywhere, except while typing in a form
+  document.addEventListener('keydown', event => {
+    if (event.key !== '/' || event.ctrlKey || event.metaKey || event.altKey || event.defaultPrevented) return;
+    const target = event.target;
+    if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
+    event.preventDefault();
+    open();
+  });
+
+  // Return public methods
+  return {
+    open,
+    close,
+    load,
+    search: query => {
+      input.value = query;
+      render();
+      return results;
+    }
+  };
+}
+
+/**
+ * Overlay markup, in the current language
+ * @returns {string} HTML
+ */
+function siteSearchTemplate() {
+  const text = key => Html.escape(I18n.t(key));
+  return `
+    <div class="absolute inset-0 bg-black/60" data-search-close></div>
+    <div class="relative mx-4 md:mx-auto mt-20 max-w-2xl bg-white rounded-xl shadow-2xl overflow-hidden">
+      <h2 id="site-search-title" class="sr-only">${text('search.title')}</h2>
+      <div class="flex items-center gap-3 px-4 border-b border-gray-200">
+        <svg class="w-5 h-5 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+          <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-4.35-4.35M17 11a6 6 0 11-12 0 6 6 0 0112 0z"></path>
+        </svg>
+        <input type="search" data-search-input role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="site-search-results" aria-labelledby="site-search-title"
+               placeholder="${text('search.placeholder')}" autocomplete="off" spellcheck="false"
+               class="flex-1 h-14 bg-transparent text-gray-900 focus:outline-none">
+        <button type="button" data-search-close class="text-xs font-semibold text-gray-500 border border-gray-300 rounded px-2 py-1 hover:text-primary-color" aria-label="${text('search.close')}">Esc</button>
+      </div>
+      <p data-search-status class="px-4 py-2 text-sm text-gray-500" aria-live="polite"></p>
+      <ul id="site-search-results" data-search-results role="listbox" aria-labelledby="site-search-title" class="max-h-[60vh] overflow-y-auto px-2 pb-2"></ul>
+    </div>`;
+}
+
+/**
+ * Initialize site search
+ */
+function initSiteSearch() {
+  const triggers = Array.from(document.querySelectorAll('[data-site-search-open]'));
+  if (!triggers.length) return;
+
+  // The overlay is added once the translations have loaded
+  I18n.ready.then(() => {
+    const element = document.createElement('div');
+    element.id = 'site-search';
+    element.className = 'site-search fixed inset-0 z-[60] hidden';
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-modal', 'true');
+    element.setAttribute('aria-labelledby', 'site-search-title');
+    element.innerHTML = siteSearchTemplate();
+    document.body.appendChild(element);
+
+    new SiteSearch({ element, triggers });
+  });
+}
+
+document.addEventListener('DOMContentLoaded', initSiteSearch);
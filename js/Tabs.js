@@ -0,0 +1,173 @@
+/**
+ * Tabs.js
+ * Accessible tabs, used as <nzbi-tabs>. Follows the WAI-ARIA tabs pattern: the
+ * arrow keys move between tabs (reversed in right-to-left languages), Home and End
+ * go to the first and last tab, and only the selected tab is in the tab order.
+ * The selected panel is kept in the URL hash (e.g. /#content-events) so it can be linked to.
+ *
+ * Markup: a [role="tablist"] of [role="tab"] buttons, each with aria-controls naming
+ * its panel. data-active-class and data-inactive-class on <nzbi-tabs> set the classes
+ * for the selected and other tabs.
+ */
+
+/**
+ * Tabs - Switches between panels of content
+ * @param {Object} options - Configuration options
+ */
+function Tabs(options) {
+  // Merge options with defaults
+  const settings = Object.assign({
+    element: null,
+    activeClass: 'border-primary-color text-primary-color font-bold',
+    inactiveClass: 'border-transparent font-medium',
+    // Keep the selected panel in the URL hash
+    hash: true,
+    // Called with the tab and panel whenever a tab is selected
+    onSelect: null
+  }, options);
+
+  if (!settings.element) return console.error('Tabs: No element specified');
+
+  const tablist = settings.element.querySelector('[role="tablist"]');
+  if (!tablist) return console.error('Tabs: No [role="tablist"] found');
+
+  const tabs = Array.from(tablist.querySelectorAll('[role="tab"]'));
+  const panels = tabs.map(tab => document.getElementById(tab.getAttribute('aria-controls')));
+  const activeClasses = settings.activeClass.split(/\s+/).filter(Boolean);
+  const inactiveClasses = settings.inactiveClass.split(/\s+/).filter(Boolean);
+
+  let selected = -1;
+
+  /**
+   * Select a tab and show its panel
+   * @param {number} index - Tab index
+   * @param {Object} options - focus (move focus to the tab) and updateHash
+   */
+  const select = (index, { focus = false, updateHash = false } = {}) => {
+    if (!tabs[index]) return;
+    selected = index;
+
+    tabs.forEach((tab, position) => {
+      const isSelected = position === index;
+      tab.setAttribute('aria-selected', isSelected ? 'true' : 'false');
+      tab.tabIndex = isSelected ? 0 : -1;
+      tab.classList.remove(...(isSelected ? inactiveClasses : activeClasses));
+      tab.classList.add(...(isSelected ? activeClasses : inactiveClasses));
+
+      const panel = panels[position];
+      if (!panel) return;
+      panel.hidden = !isSelected;
+      panel.classList.toggle('hidden', !isSelected);
+    });
+
+    if (focus) tabs[index].focus();
+    if (updateHash && settings.hash && panels[index]) {
+      window.history.replaceState(null, '', `#${panels[index].id}`);
+    }
+    if (typeof settings.onSelect === 'function') settings.onSelect(tabs[index], panels[index]);
+  };
+
+  /**
+   * Index of the tab a URL hash names, by its panel or its own id
+   * @returns {number} Tab index, or -1
+   */
+  const indexFromHash = () => {
+    const id = decodeURIComponent(window.location.hash.slice(1));
+    if (!id) return -1;
+    return tabs.findIndex((tab, index) => tab.id === id || (panels[index] && panels[index].id === id));
+  };
+
+  const onKeydown = event => {
+    const current = tabs.indexOf(event.target);
+    if (current < 0) return;
+
+    // In right-to-left languages the first tab is on the right
+    const rtl = (tablist.closest('[dir]') || document.documentElement).getAttribute('dir') === 'rtl';
+    const steps = {
+      ArrowRight: rtl ? -1 : 1,
+      ArrowLeft: rtl ? 1 : -1,
+      ArrowDown: 1,
+      ArrowUp: -1
+    };
+
+    let next;
+    if (event.key in steps && (tablist.getAttribute('aria-orientation') === 'vertical') === /Up|Down/.test(event.key)) {
+      next = (current + steps[event.key] + tabs.length) % tabs.length;
+    } else if (event.key === 'Home') {
+      next = 0;
+    } else if (event.key === 'End') {
+      next = tabs.length - 1;
+    } else {
+      return;
+    }
+
+    event.preventDefault();
+    select(next, { focus: true, updateHash: true });
+  };
+
+  const onClick = event => {
+    const index = tabs.indexOf(event.target.closest('[role="tab"]'));
+    if (index >= 0) select(index, { updateHash: true });
+  };
+
+  const onHashChange = () => {
+    const index = indexFromHash();
+    if (index >= 0 && index !== selected) select(index);
+  };
+
+  // Set up the tabs
+  tabs.forEach((tab, index) => {
+    if (tab.tagName === 'BUTTON' && !tab.hasAttribute('type')) tab.type = 'button';
+    const panel = panels[index];
+    if (panel) {
+      panel.setAttribute('role', 'tabpanel');
+      if (tab.id) panel.setAttribute('aria-labelledby', tab.id);
+      // The panel is focusable so keyboard users can reach content without links
+      if (!panel.hasAttribute('tabindex')) panel.tabIndex = 0;
+    }
+  });
+  tablist.addEventListener('click', onClick);
+  tablist.addEventListener('keydown', onKeydown);
+  window.addEventListener('hashchange', onHashChange);
+
+  // Start with the tab in the URL, else the one marked selected, else the first
+  const fromHash = settings.hash ? indexFromHash() : -1;
+  const marked = tabs.findIndex(tab => tab.getAttribute('aria-selected') === 'true');
+  select(fromHash >= 0 ? fromHash : Math.max(marked, 0));
+
+  // Return public methods
+  return {
+    select: index => select(index, { updateHash: true }),
+    getSelected: () => selected,
+    destroy: () => {
+      tablist.removeEventListener('click', onClick);
+      tablist.removeEventListener('keydown', onKeydown);
+      window.removeEventListener('hashchange', onHashChange);
+    }
+  };
+}
+
+/**
+ * Register <nzbi-tabs>; elements already in the page are set up straight away
+ */
+function initTabs() {
+  if (!('customElements' in window) || customElements.get('nzbi-tabs')) return;
+
+  customElements.define('nzbi-tabs', class extends HTMLElement {
+    connectedCallback() {
+      if (this.tabs) return;
+      const options = { element: this };
+      if (this.dataset.activeClass) options.activeClass = this.dataset.activeClass;
+      if (this.dataset.inactiveClass) options.inactiveClass = this.dataset.inactiveClass;
+      if (this.hasAttribute('data-no-hash')) options.hash = false;
+      this.tabs = new Tabs(options);
+    }
+
+    disconnectedCallback() {
+      if (this.tabs && this.tabs.destroy) this.tabs.destroy();
+      this.tabs = null;
+    }
+  });
+}
+
+document.addEventListener('DOMContentLoaded', initTabs);
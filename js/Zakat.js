@@ -0,0 +1,102 @@
+/**
+ * Zakat.js
+ * Zakat on wealth: adds up zakatable assets, deducts debts due now and compares what is
+ * left with the nisab, worked out from the gold and silver prices in /data/nisab.json.
+ * Used by the Zakat calculator page.
+ */
+
+const Zakat = (function() {
+  // 2.5% of zakatable wealth held for a lunar year
+  const RATE = 0.025;
+
+  /** Nisab positions a donor can follow */
+  const STANDARDS = {
+    gold: 'Gold',
+    silver: 'Silver'
+  };
+
+  /**
+   * Inputs, in the order they are shown. Gold and silver are entered by weight and
+   * valued at the current price; everything else is in dollars.
+   */
+  const FIELDS = [
+    { key: 'cash', label: 'Cash', unit: 'dollars' },
+    { key: 'savings', label: 'Savings', unit: 'dollars' },
+    { key: 'investments', label: 'KiwiSaver and shares', unit: 'dollars' },
+    { key: 'gold', label: 'Gold', unit: 'grams' },
+    { key: 'silver', label: 'Silver', unit: 'grams' },
+    { key: 'inventory', label: 'Business inventory', unit: 'dollars' },
+    { key: 'debts', label: 'Debts due now', unit: 'dollars', deduct: true }
+  ];
+
+  const roundCents = value => Math.round(value * 100) / 100;
+
+  /**
+   * Read a value typed into the calculator
+   * @param {string|number} value - e.g. "1,250", "$80.50" or "" for nothing
+   * @returns {number} The value, 0 when empty, or NaN if it is not a positive number
+   */
+  function parseValue(value) {
+    const text = String(value ?? '').replace(/[$,\s]/g, '');
+    if (!text) return 0;
+    return /^\d+(\.\d+)?$/.test(text) ? Number(text) : NaN;
+  }
+
+  /**
+   * Nisab in dollars for a position
+   * @param {Object} prices - Contents of /data/nisab.json
+   * @param {string} standard - Key in STANDARDS
+   * @returns {number} Dollars, to the cent
+   */
+  function nisab(prices, standard) {
+    const metal = prices[standard];
+    return roundCents(metal.nisabGrams * metal.pricePerGram);
+  }
+
+  /**
+   * Work out the zakat due
+   * @param {Object} values - Amount for each key in FIELDS; missing keys count as 0
+   * @param {Object} prices - Contents of /data/nisab.json
+   * @param {string} standard - Key in STANDARDS
+   * @returns {Object} lines (key, label, amount in dollars), assets, debts, net, nisab,
+   *   standard, payable and due
+   */
+  function calculate(values, prices, standard) {
+    const lines = FIELDS.map(field => {
+      const value = Number(values[field.key]) || 0;
+      const amount = field.unit === 'grams' ? value * prices[field.key].pricePerGram : value;
+      return { key: field.key, label: field.label, amount: roundCents(amount), deduct: !!field.deduct };
+    });
+
+    const assets = roundCents(lines.filter(line => !line.deduct).reduce((sum, line) => sum + line.amount, 0));
+    const debts = roundCents(lines.filter(line => line.deduct).reduce((sum, line) => sum + line.amount, 0));
+    const net = roundCents(Math.max(0, assets - debts));
+    const threshold = nisab(prices, standard);
+    const payable = net > 0 && net >= threshold;
+
+    return {
+      lines,
+      assets,
+      debts,
+      net,
+      nisab: threshold,
+      standard,
+      payable,
+      due: payable ? roundCents(net * RATE) : 0
+    };
+  }
+
+  // Return public methods
+  return {
+    RATE,
+    STANDARDS,
+    FIELDS,
+    parseValue,
+    nisab,
+    calculate
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Zakat;
+}
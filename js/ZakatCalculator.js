@@ -0,0 +1,200 @@
+/**
+ * ZakatCalculator.js
+ * The Zakat calculator: adds up what a donor owns, compares it with the gold or silver
+ * nisab from /data/nisab.json and shows a printable summary with a link to pay the
+ * zakat due on the donate page.
+ * Requires /js/Html.js, /js/I18n.js and /js/Zakat.js
+ */
+
+/**
+ * ZakatCalculator - Works out the zakat due as the donor types
+ * @param {Object} options - Configuration options
+ */
+function ZakatCalculator(options) {
+  // Merge options with defaults
+  const settings = Object.assign({
+    element: null,
+    dataUrl: '/data/nisab.json',
+    standard: 'silver',
+    // The donate page picks the open campaign of this type
+    donateUrl: '/donate.html?campaign=zakat'
+  }, options);
+
+  if (!settings.element) return console.error('ZakatCalculator: No element specified');
+
+  const find = name => settings.element.querySelector(`[data-zakat-${name}]`);
+  const form = find('form');
+  const linesElement = find('lines');
+  const messageElement = find('message');
+  const donateLink = find('donate');
+
+  let prices = null;
+
+  const setText = (name, text) => {
+    const element = find(name);
+    if (element) element.textContent = text;
+  };
+
+  const formatMoney = amount => I18n.formatNumber(amount, {
+    style: 'currency',
+    currency: 'NZD',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  });
+
+  const formatDate = value => I18n.formatDate(new Date(`${value}T12:00:00Z`), { timeZone: 'UTC', day: 'numeric', month: 'long', year: 'numeric' });
+
+  /**
+   * Name of an input in the page language
+   * @param {Object} line - Line from Zakat.calculate
+   * @returns {string} Label
+   */
+  const lineLabel = (line) => {
+    const translated = `zakat.fields.${line.key}`;
+    return I18n.has(translated) ? I18n.t(translated) : line.label;
+  };
+  const standardName = standard => I18n.t(`zakat.standards.${standard}`);
+
+  const getStandard = () => {
+    const checked = form && form.querySelector('[name="standard"]:checked');
+    return checked ? checked.value : settings.standard;
+  };
+
+  /**
+   * Show or clear the message under a field
+   * @param {string} name - Field name
+   * @param {string} message - Error message, or empty to clear
+   */
+  const setFieldError = (name, message) => {
+    const field = form.elements[name];
+    const error = settings.element.querySelector(`[data-zakat-error="${name}"]`);
+    if (field) {
+      field.setAttribute('aria-invalid', message ? 'true' : 'false');
+      field.classList.toggle('border-red-500', !!message);
+    }
+    if (error) {
+      error.textContent = message;
+      error.classList.toggle('hidden', !message);
+    }
+  };
+
+  /**
+   * Read the form, skipping values that are not numbers
+   * @returns {Object} Value for each field
+   */
+  const readValues = () => {
+    const values = {};
+    Zakat.FIELDS.forEach(field => {
+      const input = form.elements[field.key];
+      const value = Zakat.parseValue(input ? input.value : '');
+      setFieldError(field.key, isNaN(value) ? I18n.t(field.unit === 'grams' ? 'zakat.enterGrams' : 'zakat.enterDollars') : '');
+      values[field.key] = isNaN(value) ? 0 : value;
+    });
+    return values;
+  };
+
+  /**
+   * Show the nisab for each position next to its choice
+   */
+  const renderPrices = () => {
+    Object.keys(Zakat.STANDARDS).forEach(standard => {
+      const metal = prices[standard];
+      setText(`nisab-${standard}`, I18n.t('zakat.nisabPrice', {
+        nisab: formatMoney(Zakat.nisab(prices, standard)),
+        grams: I18n.formatNumber(metal.nisabGrams),
+        price: formatMoney(metal.pricePerGram)
+      }));
+    });
+    setText('updated', formatDate(prices.updated));
+  };
+
+  /**
+   * Work out the zakat and update the summary
+   * @returns {Object} The result from Zakat.calculate, or null before the prices load
+   */
+  const calculate = () => {
+    if (!prices || !form) return null;
+    const result = Zakat.calculate(readValues(), prices, getStandard());
+
+    if (linesElement) {
+      linesElement.innerHTML = result.lines.map(line => `
+        <div class="flex justify-between gap-4 py-2 border-b border-gray-100">
+          <dt class="text-gray-600">${Html.escape(lineLabel(line))}</dt>
+          <dd class="font-medium">${line.deduct && line.amount ? '−' : ''}${formatMoney(line.amount)}</dd>
+        </div>`).join('');
+    }
+    setText('net', formatMoney(result.net));
+    setText('nisab', formatMoney(result.nisab));
+    setText('standard', standardName(result.standard));
+    setText('due', formatMoney(result.due));
+    setText('date', I18n.formatDate(new Date(), { day: 'numeric', month: 'long', year: 'numeric' }));
+
+    let message;
+    if (!result.net) message = I18n.t('zakat.empty');
+    else if (result.payable) message = I18n.t('zakat.due', { amount: formatMoney(result.due) });
+    else message = I18n.t('zakat.belowNisab', { amount: formatMoney(result.nisab - result.net), standard: standardName(result.standard) });
+    if (messageElement) messageElement.textContent = message;
+
+    if (donateLink) {
+      donateLink.classList.toggle('hidden', !result.payable);
+      const separator = settings.donateUrl.includes('?') ? '&' : '?';
+      donateLink.href = `${settings.donateUrl}${separator}amount=${result.due.toFixed(2)}`;
+    }
+    return result;
+  };
+
+  /**
+   * Load the gold and silver prices
+   * @returns {Promise} Resolves once the calculator is ready
+   */
+  const load = () => fetch(settings.dataUrl)
+    .then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    })
+    .then(data => {
+      prices = data;
+      renderPrices();
+      calculate();
+    })
+    .catch(error => {
+      console.error('ZakatCalculator: Could not load the gold and silver prices', error);
+      if (messageElement) messageElement.textContent = I18n.t('zakat.loadError');
+    });
+
+  // Set up the form
+  if (form) {
+    form.setAttribute('novalidate', '');
+    const choice = form.querySelector(`[name="standard"][value="${settings.standard}"]`);
+    if (choice && !form.querySelector('[name="standard"]:checked')) choice.checked = true;
+    form.addEventListener('input', calculate);
+    form.addEventListener('change', calculate);
+    form.addEventListener('submit', event => {
+      event.preventDefault();
+      calculate();
+    });
+    form.addEventListener('reset', () => setTimeout(calculate));
+  }
+  find('print')?.addEventListener('click', () => window.print());
+
+  load();
+
+  // Return public methods
+  return {
+    load,
+    calculate
+  };
+}
+
+/**
+ * Initialize the Zakat calculator
+ */
+function initZakatCalculator() {
+  const element = document.getElementById('zakat-calculator');
+  if (!element) return;
+
+  // Amounts, dates and messages are shown in the page language
+  I18n.ready.then(() => new ZakatCalculator({ element }));
+}
+
+document.addEventListener('DOMContentLoaded', initZakatCalculator);
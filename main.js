@@ -8,38 +8,91 @@ if ('serviceWorker' in navigator) {
   window.addEventListener('load', () => {
     navigator.serviceWorker.register('/service-worker.js')
       .then(registration => {
-        console.log('ServiceWorker registration successful with scope: ', registration.scope);
+        // The update prompt is shown in the page language
+        I18n.ready.then(() => watchForUpdates(registration));
       })
       .catch(error => {
-        console.log('ServiceWorker registration failed: ', error);
+        console.error('Could not register the service worker', error);
       });
   });
 }
 
+/**
+ * Offer a reload when a new version of the site has been installed
+ * The new service worker waits for the visitor. Until they reload, the pages, scripts and
+ * styles all come from the running version's precache, so they always match each other
+ * @param {ServiceWorkerRegistration} registration - Service worker registration
+ */
+function watchForUpdates(registration) {
+  // An installed worker only counts as an update if a previous version controls the page
+  if (registration.waiting && navigator.serviceWorker.controller) showUpdatePrompt(registration.waiting);
+
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+    });
+  });
+}
+
+/**
+ * Show the "update available" prompt
+ * @param {ServiceWorker} worker - The waiting service worker
+ */
+function showUpdatePrompt(worker) {
+  if (document.querySelector('[data-update-prompt]')) return;
+
+  const prompt = document.createElement('div');
+  prompt.className = 'fixed bottom-4 left-4 right-4 md:left-auto md:max-w-sm z-50 flex items-center gap-4 p-4 rounded-xl shadow-xl bg-gray-900 text-white';
+  prompt.setAttribute('role', 'status');
+  prompt.dataset.updatePrompt = '';
+  prompt.innerHTML = `
+    <p class="flex-1 text-sm">${I18n.t('update.available')}</p>
+    <button type="button" class="btn-primary text-sm px-4 py-2" data-update-reload>${I18n.t('update.reload')}</button>
+    <button type="button" class="text-white/70 hover:text-white text-2xl leading-none" data-update-dismiss aria-label="${I18n.t('update.dismiss')}">&times;</button>
+  `;
+
+  prompt.querySelector('[data-update-reload]').addEventListener('click', () => {
+    // Reload once the new version has taken over
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  });
+  prompt.querySelector('[data-update-dismiss]').addEventListener('click', () => prompt.remove());
+
+  document.body.appendChild(prompt);
+}
+
 document.addEventListener('DOMContentLoaded', function() {
   // Initialize mobile menu functionality
   initMobileMenu();
 
-  // Highlight current page in navigation
-  highlightCurrentPage();
-
   // Set current year in footer copyright
   setFooterYear();
 
-  // Initialize animated counters if elements exist
-  initAnimatedCounters();
+  // Language switcher in the navigation
+  initLanguageSwitcher();
 
   // Initialize floating particles for hero section
   initFloatingParticles();
 
-  // Initialize tab switcher if tab elements exist
-  initTabSwitcher();
-
-  // Initialize accordion FAQ if elements exist
-  initAccordionFAQ();
-
   // Initialize Prophet Guidance section with TypewriterRTL
   initProphetGuidance();
+
+  // Everything below draws text, so waits for the translations
+  I18n.ready.then(() => {
+    // Translate the navigation, footer and other marked-up text
+    I18n.apply(document);
+
+    // Initialize animated counters if elements exist
+    initAnimatedCounters();
+
+    // Build announcement and event cards from the JSON feeds
+    initContentFeeds();
+    initShareButtons();
+
+    // Push notification opt-in
+    initPushNotifications();
+  });
 });
 
 /**
@@ -63,23 +116,6 @@ function initMobileMenu() {
   }
 }
 
-/**
- * Highlight the current page in the navigation
- */
-function highlightCurrentPage() {
-  const currentPath = window.location.pathname;
-  const navLinks = document.querySelectorAll('.nav-link');
-
-  navLinks.forEach(link => {
-    const href = link.getAttribute('href');
-    if (href === currentPath ||
-        (currentPath === '/' && href === '/index.html') ||
-        (currentPath !== '/' && href !== '/' && currentPath.includes(href))) {
-      link.classList.add('text-primary-color', 'font-bold');
-    }
-  });
-}
-
 /**
  * Set the current year in the footer copyright text
  */
@@ -90,14 +126,27 @@ function setFooterYear() {
   }
 }
 
+/**
+ * Fill the language switcher and change language when a new one is chosen
+ */
+function initLanguageSwitcher() {
+  document.querySelectorAll('[data-language-switcher]').forEach(select => {
+    select.innerHTML = Object.keys(I18n.LOCALES)
+      .map(code => `<option value="${code}" lang="${code}">${I18n.LOCALES[code].name}</option>`)
+      .join('');
+    select.value = I18n.locale;
+    select.addEventListener('change', () => I18n.setLocale(select.value));
+  });
+}
+
 
 /**
  * Animated Counters
  * Creates animated number counters that count up to a target value
  */
 function initAnimatedCounters() {
-  // Find all elements with data-counter attribute
-  const counterElements = document.querySelectorAll('[data-counter]');
+  // Find all elements with data-counter attribute, or a campaign total to count up to
+  const counterElements = document.querySelectorAll('[data-counter], [data-counter-campaigns]');
   if (!counterElements.length) return;
 
   counterElements.forEach((element, index) => {
@@ -110,15 +159,41 @@ function initAnimatedCounters() {
       duration: parseInt(element.dataset.duration || '2000', 10),
       prefix: element.dataset.prefix || '',
       suffix: element.dataset.suffix || '',
-      title: element.dataset.title || '',
+      // data-title-i18n names the translated title
+      title: element.dataset.titleI18n ? I18n.t(element.dataset.titleI18n) : element.dataset.title || '',
       decimals: parseInt(element.dataset.decimals || '0', 10)
     };
 
+    // Donation counters count up to the campaign totals ("raised" or "donors")
+    const total = element.dataset.counterCampaigns;
+    if (total) {
+      loadCampaignTotals()
+        .then(totals => setupCounter(Object.assign(options, { end: totals[total] || 0 })))
+        .catch(error => {
+          console.error('Could not load the campaign totals', error);
+          element.classList.add('hidden');
+        });
+      return;
+    }
+
     // Create counter and observe
     setupCounter(options);
   });
 }
 
+/**
+ * Totals across the donation campaigns, live from the donations API where it is available
+ * @returns {Promise<Object>} raised and donors
+ */
+function loadCampaignTotals() {
+  return loadData('/api/donations/campaigns')
+    .catch(() => loadData('/data/campaigns.json'))
+    .then(data => data.campaigns.reduce((totals, campaign) => ({
+      raised: totals.raised + campaign.raised,
+      donors: totals.donors + campaign.donors
+    }), { raised: 0, donors: 0 }));
+}
+
 /**
  * Setup counter with elements and observer
  * @param {Object} options - Counter configuration options
@@ -128,7 +203,7 @@ function setupCounter(options) {
 
   // Create counter elements with template literals
   element.innerHTML = `
-    <div class="text-3xl font-bold mb-2 text-center w-full">${prefix}0${suffix}</div>
+    <div class="text-3xl font-bold mb-2 text-center w-full">${prefix}${formatNumber(0, 0)}${suffix}</div>
     ${title ? `<div class="text-sm opacity-80 text-center w-full">${title}</div>` : ''}
   `;
 
@@ -170,13 +245,13 @@ function animateCounter(options) {
 }
 
 /**
- * Format number with commas and decimals
+ * Format number with digit grouping and decimals for the page language
  * @param {number} num - Number to format
  * @param {number} decimals - Number of decimal places to show
  * @returns {string} Formatted number
  */
 function formatNumber(num, decimals) {
-  return num.toLocaleString('en-US', {
+  return I18n.formatNumber(num, {
     minimumFractionDigits: decimals,
     maximumFractionDigits: decimals,
   });
@@ -381,262 +456,596 @@ function drawConnections(particle, otherParticles, ctx, config) {
 
 
 /**
- * Tab Switcher
- * Creates a tabbed interface that switches between content sections
- */
-function initTabSwitcher() {
-  // Look for specific tab IDs (announcements/events tabs)
-  const tabAnnouncements = document.getElementById('tab-announcements');
-  const tabEvents = document.getElementById('tab-events');
-
-  if (tabAnnouncements && tabEvents) {
-    const tabs = [tabAnnouncements, tabEvents];
-
-    // Find corresponding content sections
-    const contentAnnouncements = document.getElementById('content-announcements');
-    const contentEvents = document.getElementById('content-events');
-
-    if (contentAnnouncements && contentEvents) {
-      const contents = [contentAnnouncements, contentEvents];
-
-      // Define classes for active and inactive tabs
-      const activeTabClass = 'px-8 py-4 border-b-2 border-primary-color text-black font-bold cursor-pointer relative transition-all';
-      const inactiveTabClass = 'px-8 py-4 border-b-2 border-transparent text-black font-medium cursor-pointer relative transition-all hover:text-primary-color';
-
-      // Set up event listeners for tabs
-      tabs.forEach((tab, index) => {
-        tab.addEventListener('click', () => {
-          // Update tab styles and attributes
-          tabs.forEach((t, i) => {
-            if (i === index) {
-              // Active tab
-              t.className = activeTabClass;
-              t.setAttribute('aria-selected', 'true');
-            } else {
-              // Inactive tab
-              t.className = inactiveTabClass;
-              t.setAttribute('aria-selected', 'false');
-            }
-          });
-
-          // Show/hide content sections
-          contents.forEach((content, i) => {
-            if (i === index) {
-              // Show active content
-              content.classList.remove('hidden');
-              content.classList.add('block');
-            } else {
-              // Hide inactive content
-              content.classList.remove('block');
-              content.classList.add('hidden');
-            }
-          });
-        });
-      });
-    }
+ * Content Feeds
+ * Builds announcement and event cards from /data/announcements.json and /data/events.json
+ * Containers opt in with data-feed="announcements", "featured-announcement" or "events"
+ */
+const FEED_CATEGORIES = {
+  Announcement: {
+    badge: 'bg-primary-color',
+    pill: 'bg-primary-color/10 text-primary-color',
+    icon: 'M11 5.882V19.24a1.76 1.76 0 01-3.417.592l-2.147-6.15M18 13a3 3 0 100-6M5.436 13.683A4.001 4.001 0 017 6h1.832c4.1 0 7.625-1.234 9.168-3v14c-1.543-1.766-5.067-3-9.168-3H7a3.988 3.988 0 01-1.564-.317z'
+  },
+  Community: {
+    badge: 'bg-blue-600',
+    pill: 'bg-primary-color/10 text-primary-color',
+    icon: 'M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z'
+  },
+  Education: {
+    badge: 'bg-green-600',
+    pill: 'bg-green-100 text-green-700',
+    icon: 'M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.747 0 3.332.477 4.5 1.253v13C19.832 18.477 18.247 18 16.5 18c-1.746 0-3.332.477-4.5 1.253'
+  },
+  Workshop: {
+    badge: 'bg-purple-600',
+    pill: 'bg-purple-100 text-purple-700',
+    icon: 'M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z'
+  },
+  Lecture: {
+    badge: 'bg-blue-600',
+    pill: 'bg-blue-100 text-blue-700',
+    icon: 'M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.747 0 3.332.477 4.5 1.253v13C19.832 18.477 18.247 18 16.5 18c-1.746 0-3.332.477-4.5 1.253'
+  },
+  Volunteer: {
+    badge: 'bg-green-600',
+    pill: 'bg-green-100 text-green-700',
+    icon: 'M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z'
+  },
+  Planning: {
+    badge: 'bg-blue-600',
+    pill: 'bg-blue-100 text-blue-700',
+    icon: 'M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z'
   }
+};
 
-  // Look for tab groups with role="tablist"
-  const tabGroups = document.querySelectorAll('[role="tablist"]');
-  tabGroups.forEach(tabGroup => {
-    // Find all tabs in this group
-    const tabs = Array.from(tabGroup.querySelectorAll('[role="tab"]'));
-
-    if (tabs.length > 0) {
-      // Find corresponding content sections
-      const contents = tabs.map(tab => {
-        const contentId = tab.getAttribute('aria-controls');
-        return document.getElementById(contentId);
-      }).filter(content => content !== null);
-
-      // Define classes for active and inactive tabs
-      const activeTabClass = 'px-6 py-3 border-b-2 border-primary-color text-primary-color font-bold cursor-pointer';
-      const inactiveTabClass = 'px-6 py-3 border-b-2 border-transparent text-black font-medium cursor-pointer';
-
-      // Set up event listeners for tabs
-      tabs.forEach((tab, index) => {
-        tab.addEventListener('click', () => {
-          // Update tab styles and attributes
-          tabs.forEach((t, i) => {
-            if (i === index) {
-              // Active tab
-              t.className = activeTabClass;
-              t.setAttribute('aria-selected', 'true');
-            } else {
-              // Inactive tab
-              t.className = inactiveTabClass;
-              t.setAttribute('aria-selected', 'false');
-            }
-          });
-
-          // Show/hide content sections
-          contents.forEach((content, i) => {
-            if (content) {
-              if (i === index) {
-                // Show active content
-                content.classList.remove('hidden');
-                content.classList.add('block');
-              } else {
-                // Hide inactive content
-                content.classList.remove('block');
-                content.classList.add('hidden');
-              }
-            }
-          });
-        });
-      });
+const feedRequests = {};
 
-      // Activate the tab that has aria-selected="true" or the first tab
-      const selectedTabIndex = tabs.findIndex(tab =>
-        tab.getAttribute('aria-selected') === 'true'
-      );
-
-      if (selectedTabIndex >= 0) {
-        // Simulate a click on the selected tab
-        tabs[selectedTabIndex].click();
-      } else if (tabs.length > 0) {
-        // Simulate a click on the first tab
-        tabs[0].click();
-      }
-    }
-  });
+/**
+ * Fetch a JSON data file once per page
+ * @param {string} url - File URL
+ * @returns {Promise<Object>} Parsed JSON
+ */
+function loadData(url) {
+  if (!feedRequests[url]) {
+    feedRequests[url] = fetch(url).then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status} loading ${url}`);
+      return response.json();
+    });
+  }
+  return feedRequests[url];
 }
 
 /**
- * Accordion FAQ
- * Creates an accordion-style FAQ component with expandable/collapsible items
+ * Current New Zealand date and time as a sortable "YYYY-MM-DDTHH:MM" string
+ * @returns {string} Local date-time
  */
-function initAccordionFAQ() {
-  // Look for FAQ accordion container
-  const container = document.getElementById('faq-accordion');
-  if (!container) return;
+function getNZDateTime() {
+  const now = new Date();
+  const date = now.toLocaleDateString('en-CA', { timeZone: 'Pacific/Auckland' });
+  const time = now.toLocaleTimeString('en-GB', { timeZone: 'Pacific/Auckland', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+  return `${date}T${time}`;
+}
 
-  // Check if container has data-faqs attribute or existing items
-  let faqs = [];
-  if (container.hasAttribute('data-faqs')) {
-    try {
-      faqs = JSON.parse(container.getAttribute('data-faqs'));
-      renderAccordion(container, faqs);
-    } catch (e) {
-      console.error('Error parsing FAQ data:', e);
-      return;
-    }
-  } else {
-    // Use existing items if present
-    const existingItems = container.querySelectorAll('.faq-item');
-    if (existingItems.length > 0) {
-      setupAccordionListeners(container);
-    }
+/**
+ * Check whether an announcement or event should no longer be shown
+ * Items expire after their `expires` date, or events once they have ended
+ * @param {Object} item - Announcement or event
+ * @param {string} now - Current NZ date-time from getNZDateTime()
+ * @returns {boolean} True if expired
+ */
+function isExpired(item, now) {
+  if (item.expires) return `${item.expires}T23:59` < now;
+  if (item.end || item.start) {
+    const end = item.end || item.start;
+    return (end.includes('T') ? end : `${end}T23:59`) < now;
   }
+  return false;
 }
 
 /**
- * Render accordion HTML from FAQ data
- * @param {HTMLElement} container - The accordion container
- * @param {Array} faqs - Array of FAQ objects with question and answer properties
- */
-function renderAccordion(container, faqs) {
-  // Create accordion HTML with template literals
-  const accordionHTML = `
-    <div class="faq-accordion">
-      ${faqs.map((faq, index) => `
-        <div class="faq-item mb-4 rounded-xl overflow-hidden transition-all duration-300 shadow border-transparent"
-             data-faq-index="${index}"
-             style="transform: scale(1); border-left: 4px solid transparent;
-                    transition: transform 0.3s ease, border-left 0.3s ease, box-shadow 0.3s ease;">
-          <button class="faq-toggle w-full text-left p-5 font-semibold flex justify-between items-center
-                         bg-white hover:bg-gray-50 transition-colors"
-                  aria-expanded="false"
-                  aria-controls="faq-content-${index}">
-            <span class="pr-8">${faq.question}</span>
-            <span class="faq-icon flex-shrink-0">
-              <svg class="w-6 h-6 transition-transform duration-300 rotate-0"
-                   fill="none" stroke="currentColor" viewBox="0 0 24 24"
-                   xmlns="http://www.w3.org/2000/svg"
-                   style="transition: transform 0.3s ease;">
-                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-              </svg>
+ * Format a YYYY-MM-DD date for display
+ * @param {string} value - ISO date (a time part is ignored)
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string} Formatted date
+ */
+function formatFeedDate(value, options) {
+  const [year, month, day] = value.slice(0, 10).split('-').map(Number);
+  return I18n.formatDate(new Date(Date.UTC(year, month - 1, day)),
+    Object.assign({ timeZone: 'UTC', day: 'numeric', month: 'long', year: 'numeric' }, options));
+}
+
+/**
+ * Format the time range of an event, e.g. "6:30 pm - 9:00 pm"
+ * @param {Object} event - Event with start and end
+ * @returns {string} Time range, or "All day"
+ */
+function formatEventTime(event) {
+  if (!event.start.includes('T')) return I18n.t('feeds.allDay');
+  const format = value => I18n.formatTime(new Date(`1970-01-01T${value.slice(11, 16)}:00Z`),
+    { timeZone: 'UTC', hour: 'numeric', minute: '2-digit' });
+  return event.end ? `${format(event.start)} - ${format(event.end)}` : format(event.start);
+}
+
+/**
+ * Link to the page for an announcement, generated by scripts/build-announcement-pages.js
+ * @param {Object} item - Announcement
+ * @returns {string} URL
+ */
+function getAnnouncementLink(item) {
+  return `/announcements/${encodeURIComponent(item.id)}.html`;
+}
+
+/**
+ * Category name in the page language
+ * @param {string} category - Category name from the feed
+ * @returns {string} Translated name, or the name itself for a new category
+ */
+function getCategoryLabel(category) {
+  const key = `feeds.categories.${category}`;
+  return I18n.has(key) ? I18n.t(key) : category;
+}
+
+/**
+ * Small SVG icon for a category
+ * @param {string} category - Category name
+ * @param {string} className - Classes for the SVG
+ * @returns {string} SVG markup
+ */
+function renderCategoryIcon(category, className) {
+  const style = FEED_CATEGORIES[category] || FEED_CATEGORIES.Announcement;
+  return `<svg class="${className}" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${style.icon}"></path>
+  </svg>`;
+}
+
+/**
+ * Render an announcement card
+ * @param {Object} item - Announcement
+ * @param {string} layout - "overlay" (title over the image, home page) or "card" (title below the image)
+ * @returns {string} Card HTML
+ */
+function renderAnnouncementCard(item, layout) {
+  const style = FEED_CATEGORIES[item.category] || FEED_CATEGORIES.Announcement;
+  const title = Html.escape(item.title);
+  const date = `
+    <div class="flex items-center ${layout === 'overlay' ? 'text-white/80' : 'text-white'} text-sm">
+      <svg class="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${FEED_CATEGORIES.Planning.icon}"></path>
+      </svg>
+      <time datetime="${Html.escape(item.date)}">${formatFeedDate(item.date)}</time>
+    </div>
+  `;
+
+  return `
+    <article id="${Html.escape(item.id)}" class="announcement-card group bg-white rounded-xl overflow-hidden shadow-lg">
+      <div class="relative overflow-hidden h-56">
+        <img src="${Html.escape(item.image || '/images/logo.png')}" alt="${Html.escape(item.imageAlt || item.title)}" class="object-cover transition-transform duration-700 group-hover:scale-110 w-full h-full" loading="lazy">
+        <div class="absolute inset-0 bg-gradient-to-t from-black/80 to-transparent"></div>
+        <div class="absolute top-4 right-4">
+          <span class="inline-flex items-center px-3 py-1 rounded-full ${style.badge} text-white text-xs font-medium ${layout === 'overlay' ? 'uppercase' : ''}">
+            ${renderCategoryIcon(item.category, 'w-3 h-3 mr-1')}
+            ${Html.escape(getCategoryLabel(item.category))}
+          </span>
+        </div>
+        <div class="absolute bottom-4 left-4 ${layout === 'overlay' ? 'right-4 text-white' : ''}">
+          ${layout === 'overlay' ? `<h3 class="font-bold text-xl mb-2 group-hover:text-primary-light transition-colors">${title}</h3>` : ''}
+          ${date}
+        </div>
+      </div>
+      <div class="p-6">
+        ${layout === 'overlay' ? '' : `<h3 class="text-xl font-bold mb-3">${title}</h3>`}
+        <p class="text-gray-600 mb-4">${Html.escape(item.summary)}</p>
+        <div class="mt-2">
+          <a href="${Html.escape(getAnnouncementLink(item))}" class="text-primary-color font-medium hover:underline inline-flex items-center group">
+            ${I18n.t('feeds.readMore')}
+            <svg class="w-4 h-4 ml-1 rtl-flip transition-transform group-hover:translate-x-1" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M14 5l7 7m0 0l-7 7m7-7H3"></path>
+            </svg>
+            <span class="sr-only">: ${title}</span>
+          </a>
+        </div>
+      </div>
+    </article>
+  `;
+}
+
+/**
+ * Render the featured announcement banner
+ * @param {Object} item - Announcement
+ * @returns {string} Banner HTML
+ */
+function renderFeaturedAnnouncement(item) {
+  const paragraphs = item.body && item.body.length ? item.body : [item.summary];
+
+  return `
+    <article id="${Html.escape(item.id)}" class="bg-white rounded-2xl shadow-xl overflow-hidden">
+      <div class="relative h-80">
+        <img src="${Html.escape(item.image || '/images/logo.png')}" alt="${Html.escape(item.imageAlt || item.title)}" class="w-full h-full object-cover">
+        <div class="absolute inset-0 bg-gradient-to-t from-black/80 to-transparent"></div>
+        <div class="absolute bottom-0 left-0 right-0 p-8 text-white">
+          <div class="flex items-center mb-4">
+            <span class="inline-flex items-center px-3 py-1 rounded-full bg-primary-color text-white text-xs font-medium mr-3">
+              <time datetime="${Html.escape(item.date)}">${formatFeedDate(item.date)}</time>
             </span>
-          </button>
-          <div id="faq-content-${index}"
-               class="faq-content overflow-hidden transition-all duration-300 ease-in-out bg-gray-50"
-               style="max-height: 0; opacity: 0; transition: max-height 0.3s ease, opacity 0.3s ease;">
-            <div class="p-5 border-t border-gray-100">
-              <p class="text-gray-700">${faq.answer}</p>
+          </div>
+          <h3 class="text-3xl font-bold mb-2">${Html.escape(item.title)}</h3>
+        </div>
+      </div>
+      <div class="p-8">
+        ${paragraphs.map(text => `<p class="text-lg text-gray-700 mb-6 leading-relaxed">${Html.escape(text)}</p>`).join('')}
+        <a href="${Html.escape(getAnnouncementLink(item))}" class="text-primary-color font-medium hover:underline">${I18n.t('feeds.viewAndShare')}</a>
+      </div>
+    </article>
+  `;
+}
+
+/**
+ * Render an event card
+ * @param {Object} event - Event
+ * @returns {string} Card HTML
+ */
+function renderEventCard(event) {
+  const style = FEED_CATEGORIES[event.category] || FEED_CATEGORIES.Community;
+
+  return `
+    <article id="${Html.escape(event.id)}" class="bg-white rounded-xl shadow-lg overflow-hidden mb-8 hover:shadow-xl transition-shadow duration-300 group">
+      <div class="flex flex-col md:flex-row">
+        <div class="bg-gradient-to-br from-primary-color to-primary-dark text-white p-8 flex flex-col items-center justify-center md:w-1/4 relative overflow-hidden">
+          <div class="absolute inset-0 bg-black/10 opacity-0 group-hover:opacity-100 transition-opacity duration-300"></div>
+          ${event.image ? `<img src="${Html.escape(event.image)}" alt="" class="absolute inset-0 w-full h-full object-cover opacity-30" loading="lazy">` : ''}
+          <span class="text-4xl font-bold relative z-10">${formatFeedDate(event.start, { day: 'numeric', month: undefined, year: undefined })}</span>
+          <span class="text-xl relative z-10">${formatFeedDate(event.start, { day: undefined, month: 'long', year: undefined })}</span>
+          <span class="relative z-10">${formatFeedDate(event.start, { day: undefined, month: undefined, year: 'numeric' })}</span>
+          <div class="absolute -bottom-6 -right-6 w-24 h-24 bg-white/10 rounded-full"></div>
+        </div>
+        <div class="p-8 md:w-3/4">
+          <div class="flex justify-between items-start mb-4">
+            <h3 class="text-2xl font-bold group-hover:text-primary-color transition-colors">${Html.escape(event.title)}</h3>
+            <span class="${style.pill} text-xs font-medium px-3 py-1 rounded-full">${Html.escape(getCategoryLabel(event.category))}</span>
+          </div>
+          <p class="text-gray-600 mb-6">${Html.escape(event.description)}</p>
+          <div class="flex flex-wrap items-center text-sm text-gray-500 gap-y-2">
+            <div class="flex items-center mr-6">
+              <svg class="w-5 h-5 mr-2 text-primary-color" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"></path>
+              </svg>
+              <span>${formatEventTime(event)}</span>
             </div>
+            ${event.location ? `
+            <div class="flex items-center">
+              <svg class="w-5 h-5 mr-2 text-primary-color" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z"></path>
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z"></path>
+              </svg>
+              <span>${Html.escape(event.location)}</span>
+            </div>` : ''}
           </div>
         </div>
-      `).join('')}
-    </div>
+      </div>
+    </article>
   `;
+}
 
-  // Set accordion HTML and initialize listeners
-  container.innerHTML = accordionHTML;
-  setupAccordionListeners(container);
+/**
+ * Pick the featured announcement: the newest one flagged as featured, or the newest overall
+ * @param {Array} announcements - Current announcements, newest first
+ * @returns {Object|undefined} Featured announcement
+ */
+function getFeaturedAnnouncement(announcements) {
+  return announcements.find(item => item.featured) || announcements[0];
 }
 
 /**
- * Set up event listeners for accordion items
- * @param {HTMLElement} container - The accordion container
+ * Load the announcements, adding the Board's month decisions from /data/month-starts.json
+ * where /js/MonthDecision.js is on the page. The decision for the current month is featured.
+ * @returns {Promise<Array>} Announcements
  */
-function setupAccordionListeners(container) {
-  // Get all toggle buttons
-  const toggleButtons = container.querySelectorAll('.faq-toggle');
-  let activeIndex = -1;
+function loadAnnouncements() {
+  const announcements = loadData('/data/announcements.json').then(data => data.announcements);
+  if (typeof MonthDecision === 'undefined') return announcements;
+
+  const decisions = loadData('/data/month-starts.json')
+    .then(data => {
+      HijriCalendar.setConfirmed(data.monthStarts);
+      const current = MonthDecision.status(data.monthStarts).record;
+      return MonthDecision.published(data.monthStarts).map(record =>
+        Object.assign(MonthDecision.toAnnouncement(record), { featured: record === current }));
+    })
+    .catch(error => {
+      console.error('Error loading month decisions:', error);
+      return [];
+    });
 
-  // Add click event listeners
-  toggleButtons.forEach((button, index) => {
-    button.addEventListener('click', () => {
-      const isExpanding = activeIndex !== index;
-      const newActiveIndex = isExpanding ? index : -1;
+  return Promise.all([announcements, decisions]).then(([items, decisionItems]) => items.concat(decisionItems));
+}
 
-      // Update all items (close everything first)
-      updateAccordionItems(container, newActiveIndex);
+/**
+ * Render a message in place of an empty feed
+ * @param {string} message - Message text
+ * @returns {string} HTML
+ */
+function renderFeedMessage(message) {
+  return `<p class="col-span-full text-center text-gray-500 py-8">${message}</p>`;
+}
+
+/**
+ * Fill every data-feed container on the page
+ * Options: data-feed-limit (number of cards), data-feed-layout ("overlay" or "card"),
+ * data-feed-category (only one category) and data-feed-exclude-featured
+ */
+function initContentFeeds() {
+  const containers = document.querySelectorAll('[data-feed]');
+  if (!containers.length) return;
+
+  const now = getNZDateTime();
+
+  containers.forEach(container => {
+    const type = container.dataset.feed;
+    const limit = parseInt(container.dataset.feedLimit, 10) || Infinity;
+    const category = container.dataset.feedCategory;
+    const load = type === 'events' ? loadData('/data/events.json').then(data => data.events) : loadAnnouncements();
+
+    load
+      .then(data => {
+        if (type === 'events') {
+          const events = data
+            .filter(event => !isExpired(event, now) && (!category || event.category === category))
+            .sort((a, b) => a.start.localeCompare(b.start))
+            .slice(0, limit);
+
+          container.innerHTML = events.length
+            ? events.map(renderEventCard).join('')
+            : renderFeedMessage(Html.escape(I18n.t('feeds.noEvents')).replace('{calendar}',
+              `<a href="/calendar.html" class="text-primary-color hover:underline">${Html.escape(I18n.t('feeds.calendar'))}</a>`));
+          return;
+        }
+
+        const announcements = data
+          .filter(item => !isExpired(item, now) && (!category || item.category === category))
+          .sort((a, b) => b.date.localeCompare(a.date));
+        const featured = getFeaturedAnnouncement(announcements);
+
+        if (type === 'featured-announcement') {
+          container.innerHTML = featured ? renderFeaturedAnnouncement(featured) : '';
+          container.closest('[data-feed-section]')?.classList.toggle('hidden', !featured);
+          return;
+        }
+
+        const items = announcements
+          .filter(item => !('feedExcludeFeatured' in container.dataset) || item !== featured)
+          .slice(0, limit);
 
-      // Update active index after all items are updated
-      activeIndex = newActiveIndex;
+        container.innerHTML = items.length
+          ? items.map(item => renderAnnouncementCard(item, container.dataset.feedLayout || 'card')).join('')
+          : renderFeedMessage(Html.escape(I18n.t('feeds.noAnnouncements')));
+      })
+      .catch(error => {
+        console.error('Error loading content feed:', error);
+        container.innerHTML = renderFeedMessage(Html.escape(I18n.t('feeds.loadError')));
+      });
+  });
+}
+
+/**
+ * Share buttons on announcement pages
+ * Adds the native share sheet where the browser supports it, and copies the link to the clipboard
+ */
+function initShareButtons() {
+  document.querySelectorAll('[data-share]').forEach(container => {
+    const title = container.dataset.shareTitle || document.title;
+    const url = container.dataset.shareUrl || window.location.href;
+    const nativeButton = container.querySelector('[data-share-native]');
+    const copyButton = container.querySelector('[data-share-copy]');
+    const status = container.querySelector('[data-share-status]');
+
+    const showStatus = (message) => {
+      if (!status) return;
+      status.textContent = message;
+      status.classList.remove('hidden');
+    };
+
+    if (nativeButton && navigator.share) {
+      nativeButton.classList.remove('hidden');
+      nativeButton.classList.add('inline-flex');
+      nativeButton.addEventListener('click', () => {
+        navigator.share({ title, url }).catch(() => {
+          // Closing the share sheet rejects - nothing to do
+        });
+      });
+    }
+
+    copyButton?.addEventListener('click', () => {
+      if (!navigator.clipboard) {
+        window.prompt(I18n.t('share.copyPrompt'), url);
+        return;
+      }
+      navigator.clipboard.writeText(url)
+        .then(() => showStatus(I18n.t('share.copied')))
+        .catch(() => window.prompt(I18n.t('share.copyPrompt'), url));
     });
   });
 }
 
 /**
- * Update all accordion items based on active index
- * @param {HTMLElement} container - The accordion container
- * @param {number} activeIndex - Index of the active item (-1 if none)
- */
-function updateAccordionItems(container, activeIndex) {
-  const faqItems = container.querySelectorAll('.faq-item');
-
-  faqItems.forEach((item, index) => {
-    const isActive = index === activeIndex;
-    const button = item.querySelector('.faq-toggle');
-    const icon = item.querySelector('.faq-icon svg');
-    const content = item.querySelector('.faq-content');
-
-    // Update item state based on whether it's active
-    if (isActive) {
-      // Expand this item
-      item.classList.remove('shadow', 'border-transparent');
-      item.classList.add('shadow-lg', 'border-primary-color');
-      item.style.transform = 'scale(1.02)';
-      item.style.borderLeft = '4px solid var(--primary-color)';
-      button.setAttribute('aria-expanded', 'true');
-      icon.classList.remove('rotate-0');
-      icon.classList.add('rotate-45');
-      content.style.maxHeight = '500px';
-      content.style.opacity = '1';
-    } else {
-      // Collapse this item
-      item.classList.remove('shadow-lg', 'border-primary-color');
-      item.classList.add('shadow', 'border-transparent');
-      item.style.transform = 'scale(1)';
-      item.style.borderLeft = '4px solid transparent';
-      button.setAttribute('aria-expanded', 'false');
-      icon.classList.remove('rotate-45');
-      icon.classList.add('rotate-0');
-      content.style.maxHeight = '0';
-      content.style.opacity = '0';
+ * Push Notifications
+ * Subscribes the browser to the Board's notifications, with a topic for each kind
+ * of message. Subscriptions are kept by the /api/push endpoints and sent by scripts/send-push.js
+ */
+const PUSH_TOPICS_KEY = 'nzbi-push-topics';
+
+/**
+ * Convert a base64url VAPID key to the bytes PushManager.subscribe() expects
+ * @param {string} value - base64url key
+ * @returns {Uint8Array} Key bytes
+ */
+function urlBase64ToUint8Array(value) {
+  const base64 = (value + '='.repeat((4 - value.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), character => character.charCodeAt(0));
+}
+
+/**
+ * Check whether this browser can receive push notifications
+ * @returns {boolean} True if supported
+ */
+function isPushSupported() {
+  return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+/**
+ * Save a subscription and its topics with the server
+ * @param {string} api - Push API root
+ * @param {PushSubscription} subscription - Browser subscription
+ * @param {Array} topics - Topics to receive
+ * @returns {Promise} Resolves once saved
+ */
+function savePushSubscription(api, subscription, topics) {
+  return fetch(`${api}/subscribe`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ subscription: subscription.toJSON(), topics })
+  }).then(response => {
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  });
+}
+
+/**
+ * Notification opt-in panels
+ * Each [data-push] container has topic checkboxes (name="push-topic") and
+ * [data-push-enable], [data-push-disable] and [data-push-status] elements
+ */
+function initPushNotifications() {
+  const containers = document.querySelectorAll('[data-push]');
+  if (!containers.length) return;
+
+  const savedTopics = JSON.parse(localStorage.getItem(PUSH_TOPICS_KEY) || 'null');
+
+  containers.forEach(container => {
+    const api = container.dataset.pushApi || '/api/push';
+    const enableButton = container.querySelector('[data-push-enable]');
+    const disableButton = container.querySelector('[data-push-disable]');
+    const status = container.querySelector('[data-push-status]');
+    const topicInputs = container.querySelectorAll('[name="push-topic"]');
+
+    const getTopics = () => Array.from(topicInputs).filter(input => input.checked).map(input => input.value);
+    const getSubscription = () => navigator.serviceWorker.ready.then(registration => registration.pushManager.getSubscription());
+
+    const showStatus = (message) => {
+      status.textContent = message;
+    };
+
+    const render = (subscribed) => {
+      enableButton.classList.toggle('hidden', subscribed);
+      disableButton.classList.toggle('hidden', !subscribed);
+      container.dataset.pushState = subscribed ? 'on' : 'off';
+    };
+
+    if (savedTopics) {
+      topicInputs.forEach(input => {
+        input.checked = savedTopics.includes(input.value);
+      });
+    }
+
+    if (!isPushSupported()) {
+      enableButton.disabled = true;
+      enableButton.classList.add('opacity-60');
+      showStatus(I18n.t('push.unsupported'));
+      return;
     }
+
+    if (Notification.permission === 'denied') {
+      showStatus(I18n.t('push.blocked'));
+    }
+
+    const enable = () => {
+      const topics = getTopics();
+      if (!topics.length) return showStatus(I18n.t('push.chooseTopic'));
+
+      enableButton.disabled = true;
+      showStatus(I18n.t('push.turningOn'));
+
+      Notification.requestPermission()
+        .then(permission => {
+          if (permission !== 'granted') throw new Error('permission');
+          return Promise.all([
+            fetch(`${api}/public-key`).then(response => {
+              if (!response.ok) throw new Error(`HTTP ${response.status}`);
+              return response.json();
+            }),
+            navigator.serviceWorker.ready
+          ]);
+        })
+        .then(([data, registration]) => registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: urlBase64ToUint8Array(data.publicKey)
+        }))
+        .then(subscription => savePushSubscription(api, subscription, topics)
+          // The server has no record of the subscription, so the browser should not keep it either
+          .catch(error => subscription.unsubscribe().catch(() => {}).then(() => {
+            throw error;
+          })))
+        .then(() => {
+          localStorage.setItem(PUSH_TOPICS_KEY, JSON.stringify(topics));
+          render(true);
+          showStatus(I18n.t('push.on'));
+        })
+        .catch(error => {
+          showStatus(error.message === 'permission'
+            ? I18n.t('push.notAllowed')
+            : I18n.t('push.failed'));
+          // Show whichever state the browser is left in
+          return getSubscription().then(subscription => render(Boolean(subscription)), () => {});
+        })
+        .then(() => {
+          enableButton.disabled = false;
+        });
+    };
+
+    const disable = () => {
+      disableButton.disabled = true;
+
+      getSubscription()
+        .then(subscription => {
+          if (!subscription) return;
+          return fetch(`${api}/unsubscribe`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ endpoint: subscription.endpoint })
+          })
+            .catch(() => {
+              // The server removes the subscription itself once the push service reports it gone
+            })
+            .then(() => subscription.unsubscribe());
+        })
+        .then(() => {
+          render(false);
+          showStatus(I18n.t('push.off'));
+        })
+        .catch(() => {
+          showStatus(I18n.t('push.offFailed'));
+          // Show whichever state the browser is left in
+          return getSubscription().then(subscription => render(Boolean(subscription)), () => {});
+        })
+        .then(() => {
+          disableButton.disabled = false;
+        });
+    };
+
+    // Changing topics while subscribed updates the server straight away
+    topicInputs.forEach(input => input.addEventListener('change', () => {
+      const topics = getTopics();
+      localStorage.setItem(PUSH_TOPICS_KEY, JSON.stringify(topics));
+      if (container.dataset.pushState !== 'on') return;
+      if (!topics.length) return disable();
+
+      getSubscription()
+        .then(subscription => subscription && savePushSubscription(api, subscription, topics))
+        .then(() => showStatus(I18n.t('push.saved')))
+        .catch(() => showStatus(I18n.t('push.saveFailed')));
+    }));
+
+    enableButton.addEventListener('click', enable);
+    disableButton.addEventListener('click', disable);
+    getSubscription().then(subscription => render(Boolean(subscription)));
   });
 }
 
@@ -732,12 +1141,3 @@ function initProphetGuidance() {
   });
 }
 
-// Contact form submission
-document.getElementById('contact-form')?.addEventListener('submit', function(e) {
-  e.preventDefault();
-
-  // Here you would normally send the form data to a server
-  // For demonstration purposes, we'll just show an alert
-  alert('Thank you for your message! We will get back to you soon.');
-  this.reset();
-});
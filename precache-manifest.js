@@ -0,0 +1,300 @@
+// Generated by scripts/build-precache.js - do not edit by hand
+self.PRECACHE_VERSION = 'e55c90ae0b2e';
+self.PRECACHE_MANIFEST = [
+  {
+    "url": "/about.html",
+    "revision": "4284831eb225"
+  },
+  {
+    "url": "/announcements.html",
+    "revision": "0e5b4d81ed3a"
+  },
+  {
+    "url": "/app.html",
+    "revision": "ac769478ad79"
+  },
+  {
+    "url": "/calendar.html",
+    "revision": "e52bc8a2a298"
+  },
+  {
+    "url": "/contact.html",
+    "revision": "a796f16aaf99"
+  },
+  {
+    "url": "/donate.html",
+    "revision": "4d2e280f7df6"
+  },
+  {
+    "url": "/fonts/Poppins/Poppins-Bold.ttf",
+    "revision": "7219547ee253"
+  },
+  {
+    "url": "/fonts/Poppins/Poppins-Medium.ttf",
+    "revision": "8d909883de81"
+  },
+  {
+    "url": "/fonts/Poppins/Poppins-Regular.ttf",
+    "revision": "707fdc5c8bab"
+  },
+  {
+    "url": "/fonts/Poppins/Poppins-SemiBold.ttf",
+    "revision": "248c0244b350"
+  },
+  {
+    "url": "/images/about1.jpg",
+    "revision": "5db2e29fd306"
+  },
+  {
+    "url": "/images/about2.jpg",
+    "revision": "027ea17d2058"
+  },
+  {
+    "url": "/images/imagegradient.png",
+    "revision": "e33b34e4f471"
+  },
+  {
+    "url": "/images/logo.png",
+    "revision": "903e4bbabef4"
+  },
+  {
+    "url": "/images/moon%20phases.jpg",
+    "revision": "9909f2013a05"
+  },
+  {
+    "url": "/images/moon.jpeg",
+    "revision": "154e784bc7b4"
+  },
+  {
+    "url": "/images/newlogo.png",
+    "revision": "5e21756d6380"
+  },
+  {
+    "url": "/images/quranpage.jpg",
+    "revision": "64fb29f8b432"
+  },
+  {
+    "url": "/imam.html",
+    "revision": "445595ab66ef"
+  },
+  {
+    "url": "/index.html",
+    "revision": "6d6b383ca22e"
+  },
+  {
+    "url": "/js/Accordion.js",
+    "revision": "8ed8c09473e6"
+  },
+  {
+    "url": "/js/CalendarFeed.js",
+    "revision": "f2e0bc3e77e2"
+  },
+  {
+    "url": "/js/ContactForm.js",
+    "revision": "ac685b18679a"
+  },
+  {
+    "url": "/js/CrescentVisibility.js",
+    "revision": "92889c4f68a8"
+  },
+  {
+    "url": "/js/DonationPage.js",
+    "revision": "11ccaf925252"
+  },
+  {
+    "url": "/js/Donations.js",
+    "revision": "eefc9b26f608"
+  },
+  {
+    "url": "/js/HijriCalendar.js",
+    "revision": "373f554e9d73"
+  },
+  {
+    "url": "/js/HijriMonthsTable.js",
+    "revision": "91c98c89c5a6"
+  },
+  {
+    "url": "/js/Html.js",
+    "revision": "0f81a3c50323"
+  },
+  {
+    "url": "/js/I18n.js",
+    "revision": "de2933a63b72"
+  },
+  {
+    "url": "/js/ImamDirectory.js",
+    "revision": "1736e250b52f"
+  },
+  {
+    "url": "/js/ImamProfiles.js",
+    "revision": "23a2a569f80b"
+  },
+  {
+    "url": "/js/IslamicCalendar.js",
+    "revision": "88d285b49f0c"
+  },
+  {
+    "url": "/js/Lunar.js",
+    "revision": "d2b0e78059cb"
+  },
+  {
+    "url": "/js/MonthDecision.js",
+    "revision": "e63f313a39ad"
+  },
+  {
+    "url": "/js/MoonPhase.js",
+    "revision": "f231174725cb"
+  },
+  {
+    "url": "/js/MoonsightingStatus.js",
+    "revision": "ef59b20d4cfd"
+  },
+  {
+    "url": "/js/MosqueDirectory.js",
+    "revision": "ee6aca4427ec"
+  },
+  {
+    "url": "/js/PrayerApp.js",
+    "revision": "2c0c384ed96c"
+  },
+  {
+    "url": "/js/PrayerReminderScheduler.js",
+    "revision": "14dd40018222"
+  },
+  {
+    "url": "/js/PrayerReminderSettings.js",
+    "revision": "d51387e046c2"
+  },
+  {
+    "url": "/js/PrayerReminders.js",
+    "revision": "45019a9ff1e8"
+  },
+  {
+    "url": "/js/PrayerTimes.js",
+    "revision": "3e73a49bd29e"
+  },
+  {
+    "url": "/js/PrayerTimesDisplay.js",
+    "revision": "982d4037c7aa"
+  },
+  {
+    "url": "/js/PrayerTimetable.js",
+    "revision": "1c68c90afa46"
+  },
+  {
+    "url": "/js/Qibla.js",
+    "revision": "be3e5f96ca96"
+  },
+  {
+    "url": "/js/QiblaCompass.js",
+    "revision": "ea065d3c57e8"
+  },
+  {
+    "url": "/js/Ramadan.js",
+    "revision": "61dc6e35e0d8"
+  },
+  {
+    "url": "/js/RamadanMode.js",
+    "revision": "3ef5ffc5fea1"
+  },
+  {
+    "url": "/js/RamadanTimetable.js",
+    "revision": "ee97b2938ee5"
+  },
+  {
+    "url": "/js/Search.js",
+    "revision": "a1bde46426c4"
+  },
+  {
+    "url": "/js/SightingCheck.js",
+    "revision": "01c42372587f"
+  },
+  {
+    "url": "/js/SightingReport.js",
+    "revision": "33b083177294"
+  },
+  {
+    "url": "/js/SiteSearch.js",
+    "revision": "bf2a31c81247"
+  },
+  {
+    "url": "/js/Tabs.js",
+    "revision": "7dff30d9a55d"
+  },
+  {
+    "url": "/js/Zakat.js",
+    "revision": "9afc049688c2"
+  },
+  {
+    "url": "/js/ZakatCalculator.js",
+    "revision": "e7d5306eda96"
+  },
+  {
+    "url": "/locales/ar.json",
+    "revision": "7f473528aa7c"
+  },
+  {
+    "url": "/locales/en.json",
+    "revision": "6037c3a42be3"
+  },
+  {
+    "url": "/locales/mi.json",
+    "revision": "b5084f918ac8"
+  },
+  {
+    "url": "/locales/so.json",
+    "revision": "14ab8c2ab808"
+  },
+  {
+    "url": "/locales/ur.json",
+    "revision": "ffaaf9cb01e0"
+  },
+  {
+    "url": "/main.js",
+    "revision": "75fb99522bf7"
+  },
+  {
+    "url": "/manifest.json",
+    "revision": "63c5743e11ad"
+  },
+  {
+    "url": "/moonsighting.html",
+    "revision": "87a1d2a5c23a"
+  },
+  {
+    "url": "/mosques.html",
+    "revision": "000d5f71a7fa"
+  },
+  {
+    "url": "/offline.html",
+    "revision": "b47f9e9c29a5"
+  },
+  {
+    "url": "/prayer-times.html",
+    "revision": "244795af9387"
+  },
+  {
+    "url": "/qibla.html",
+    "revision": "7224d93cdff8"
+  },
+  {
+    "url": "/ramadan.html",
+    "revision": "a48db0355c8f"
+  },
+  {
+    "url": "/search-index.json",
+    "revision": "58ee0ed4935c"
+  },
+  {
+    "url": "/styles.css",
+    "revision": "6de2d6960200"
+  },
+  {
+    "url": "/tailwind.css",
+    "revision": "f54d4cee86bd"
+  },
+  {
+    "url": "/zakat.html",
+    "revision": "b4b1795e44ca"
+  }
+];
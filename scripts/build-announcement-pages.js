@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * build-announcement-pages.js
+ * Generates a page for every announcement in data/announcements.json, and for every
+ * published month decision in data/month-starts.json, at /announcements/<id>.html,
+ * with its own Open Graph tags and NewsArticle JSON-LD so shared links (WhatsApp,
+ * Facebook) preview the announcement itself
+ *
+ * Usage: node scripts/build-announcement-pages.js
+ * Run this whenever data/announcements.json, data/month-starts.json or
+ * templates/announcement.html changes.
+ * Expired announcements keep their page so links that have already been shared still work.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MonthDecision = require('../js/MonthDecision.js');
+const Html = require('../js/Html.js');
+
+const ROOT = path.join(__dirname, '..');
+const SITE_URL = 'https://nzbi.com';
+const OUTPUT_DIR = path.join(ROOT, 'announcements');
+const TEMPLATE = path.join(ROOT, 'templates', 'announcement.html');
+
+/**
+ * Make a site-relative URL absolute
+ * @param {string} url - Relative or absolute URL
+ * @returns {string} Absolute URL
+ */
+function absoluteURL(url) {
+  return /^https?:\/\//.test(url) ? url : `${SITE_URL}${url.startsWith('/') ? '' : '/'}${url}`;
+}
+
+/**
+ * Format a YYYY-MM-DD date as "29 March 2025"
+ * @param {string} value - ISO date
+ * @returns {string} Formatted date
+ */
+function formatDate(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day))
+    .toLocaleDateString('en-NZ', { timeZone: 'UTC', day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+/**
+ * Build the NewsArticle structured data for an announcement
+ * @param {Object} item - Announcement
+ * @param {string} url - Canonical URL of the page
+ * @returns {string} JSON-LD, safe to place inside a script element
+ */
+function buildJsonLd(item, url) {
+  const organization = {
+    '@type': 'Organization',
+    name: 'New Zealand Board of Imams',
+    url: SITE_URL,
+    logo: { '@type': 'ImageObject', url: `${SITE_URL}/images/logo.png` }
+  };
+
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'NewsArticle',
+    headline: item.title,
+    description: item.summary,
+    image: [absoluteURL(item.image || '/images/logo.png')],
+    datePublished: item.date,
+    dateModified: item.updated || item.date,
+    articleSection: item.category,
+    mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+    author: organization,
+    publisher: organization
+  };
+
+  return JSON.stringify(data, null, 2)
+    .replace(/</g, '\\u003c')
+    .split('\n')
+    .map(line => `    ${line}`)
+    .join('\n');
+}
+
+/**
+ * Render the page for one announcement
+ * @param {string} template - Page template with {{name}} placeholders
+ * @param {Object} item - Announcement
+ * @returns {string} Page HTML
+ */
+function renderPage(template, item) {
+  const url = `${SITE_URL}/announcements/${item.id}.html`;
+  const paragraphs = item.body && item.body.length ? item.body : [];
+  const image = item.image || '/images/logo.png';
+
+  const values = {
+    pageTitle: Html.escape(`${item.title} - New Zealand Board of Imams`),
+    title: Html.escape(item.title),
+    description: Html.escape(item.summary),
+    keywords: Html.escape(['New Zealand Board of Imams', 'NZBI', 'announcement', item.category].join(', ')),
+    url: Html.escape(url),
+    image: Html.escape(image),
+    imageUrl: Html.escape(absoluteURL(image)),
+    imageAlt: Html.escape(item.imageAlt || item.title),
+    date: Html.escape(item.date),
+    displayDate: formatDate(item.date),
+    category: Html.escape(item.category),
+    summary: Html.escape(item.summary),
+    body: paragraphs.map(text => `                        <p>${Html.escape(text)}</p>`).join('\n'),
+    link: item.link
+      ? `                    <a href="${Html.escape(item.link)}" class="btn-primary inline-flex items-center mt-8">${Html.escape(item.linkText || 'More information')}</a>\n`
+      : '',
+    shareTitle: encodeURIComponent(item.title),
+    shareUrl: encodeURIComponent(url),
+    shareText: encodeURIComponent(`${item.title}\n${url}`),
+    jsonLd: buildJsonLd(item, url)
+  };
+
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    if (!(name in values)) throw new Error(`Unknown template placeholder ${match}`);
+    return values[name];
+  });
+}
+
+/**
+ * Write a page for every announcement and remove pages whose announcement was deleted
+ * @returns {Array} Written file names
+ */
+function buildPages() {
+  const template = fs.readFileSync(TEMPLATE, 'utf8').replace(/^<!-- Template .*-->\n/m, '');
+  const readData = file => JSON.parse(fs.readFileSync(path.join(ROOT, 'data', file), 'utf8'));
+  const announcements = readData('announcements.json').announcements
+    .concat(MonthDecision.published(readData('month-starts.json').monthStarts).map(MonthDecision.toAnnouncement));
+
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  const written = announcements.map(item => {
+    if (!/^[a-z0-9-]+$/.test(item.id)) throw new Error(`Invalid announcement id "${item.id}"`);
+    const file = `${item.id}.html`;
+    fs.writeFileSync(path.join(OUTPUT_DIR, file), renderPage(template, item));
+    return file;
+  });
+
+  fs.readdirSync(OUTPUT_DIR)
+    .filter(file => file.endsWith('.html') && !written.includes(file))
+    .forEach(file => fs.unlinkSync(path.join(OUTPUT_DIR, file)));
+
+  return written;
+}
+
+if (require.main === module) {
+  const written = buildPages();
+  console.log(`Wrote ${written.length} announcement pages to ${path.relative(process.cwd(), OUTPUT_DIR)}/`);
+}
+
+module.exports = { renderPage, buildPages };
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/**
+ * build-calendar-ics.js
+ * Generates the subscribable /calendar.ics feed from the Hijri calendar engine,
+ * the confirmed month starts and the Board's events
+ *
+ * Usage: node scripts/build-calendar-ics.js [output]
+ * Run this whenever data/month-starts.json or data/events.json changes, so
+ * subscribed Google/Outlook calendars pick up the confirmed dates.
+ * scripts/build-site.js runs it as part of the build.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HijriCalendar = require('../js/HijriCalendar.js');
+const CalendarFeed = require('../js/CalendarFeed.js');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'calendar.ics');
+
+/**
+ * Read a JSON data file
+ * @param {string} name - File name within /data
+ * @returns {Object} Parsed JSON
+ */
+function readData(name) {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, 'data', name), 'utf8'));
+}
+
+/**
+ * Build the feed covering the past year and the next two years
+ * @param {Date} now - Generation time
+ * @returns {string} iCalendar text
+ */
+function buildFeed(now) {
+  const monthStarts = readData('month-starts.json');
+  HijriCalendar.setConfirmed(monthStarts.monthStarts);
+
+  const today = HijriCalendar.parseDate(now.toISOString().slice(0, 10));
+  const from = { year: today.year - 1, month: today.month, day: 1 };
+  const to = { year: today.year + 2, month: today.month, day: 1 };
+
+  const keyDates = HijriCalendar.keyDates(from, to);
+  const describe = keyDate => `${keyDate.hijri.day} ${HijriCalendar.MONTHS[keyDate.hijri.month - 1]} ${keyDate.hijri.year} AH`;
+
+  return CalendarFeed.toICS([
+    ...CalendarFeed.fromKeyDates(keyDates, describe, monthStarts.revision),
+    ...CalendarFeed.fromEvents(readData('events.json').events)
+  ], {
+    name: 'NZBI Islamic Calendar',
+    description: 'Islamic key dates for New Zealand and events from the New Zealand Board of Imams',
+    now
+  });
+}
+
+/**
+ * Write the feed. The file is left as it is when only the DTSTAMP times would change,
+ * so rebuilding with the same data does not change it.
+ * @param {string} file - Output path
+ * @param {Date} now - Generation time
+ * @returns {number} Number of events
+ */
+function writeFeed(file = OUTPUT, now = new Date()) {
+  const ics = buildFeed(now);
+  const withoutStamps = text => text.replace(/^DTSTAMP:.*$/gm, '');
+  const existing = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+
+  if (withoutStamps(existing) !== withoutStamps(ics)) fs.writeFileSync(file, ics);
+  return (ics.match(/BEGIN:VEVENT/g) || []).length;
+}
+
+if (require.main === module) {
+  const output = process.argv[2] || OUTPUT;
+  const count = writeFeed(output);
+  console.log(`Wrote ${path.relative(process.cwd(), output)} (${count} events)`);
+}
+
+module.exports = { buildFeed, writeFeed };
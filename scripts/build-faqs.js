@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+/**
+ * build-faqs.js
+ * Renders the FAQ accordions from data/faqs.json into the pages listed in the
+ * file, and writes FAQPage JSON-LD into each page's head so search engines can show
+ * the questions and answers
+ *
+ * Each FAQ belongs to a category, and each page lists the categories it shows, so a
+ * question that belongs on several pages (such as reporting a sighting) is written once.
+ * Answers are markdown: paragraphs, **bold**, *italic*, [links](/page.html) and
+ * numbered or bulleted lists. Everything else is escaped, so an answer can never add
+ * its own HTML, and links may only go to pages on the site, http(s), mailto: or tel:.
+ *
+ * Usage: node scripts/build-faqs.js
+ * Run this whenever data/faqs.json changes, then scripts/build-search-index.js and
+ * scripts/build-precache.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Html = require('../js/Html.js');
+
+const ROOT = path.join(__dirname, '..');
+const DATA = path.join(ROOT, 'data', 'faqs.json');
+const SITE_URL = 'https://nzbi.com';
+
+// Classes for the rendered answers, to match the rest of the site
+const CLASSES = {
+  p: 'text-gray-700',
+  ol: 'list-decimal pl-5 text-gray-700',
+  ul: 'list-disc pl-5 text-gray-700',
+  a: 'text-primary-color hover:underline'
+};
+
+const SAFE_URL = /^(https?:\/\/|mailto:|tel:|\/(?!\/)|#)/i;
+
+/**
+ * Class attribute for an element, if classes are wanted
+ * @param {string} tag - Element name
+ * @param {Object} classes - Classes by element name
+ * @param {string} extra - Further classes
+ * @returns {string} Attribute, with a leading space, or ''
+ */
+function classAttribute(tag, classes, extra) {
+  const value = [classes[tag], extra].filter(Boolean).join(' ');
+  return value ? ` class="${value}"` : '';
+}
+
+/**
+ * Render a line of markdown: links, bold and italic. The text is escaped first.
+ * @param {string} text - Markdown
+ * @param {Object} classes - Classes by element name
+ * @returns {string} HTML
+ */
+function renderInline(text, classes) {
+  const emphasis = html => html
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*(.+?)\*/g, '<em>$1</em>');
+
+  // Links are set aside while the emphasis is added, so an asterisk in a URL is left alone
+  const links = [];
+  const html = Html.escape(text).replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+    if (!SAFE_URL.test(url)) return label;
+    links.push(`<a href="${url}"${classAttribute('a', classes)}>${emphasis(label)}</a>`);
+    return `\u0000${links.length - 1}\u0000`;
+  });
+
+  return emphasis(html).replace(/\u0000(\d+)\u0000/g, (match, index) => links[index]);
+}
+
+/**
+ * Render markdown as HTML. Blocks are separated by a blank line; a block whose lines
+ * all start with "1." or "-" is a list.
+ * @param {string|Array} markdown - Markdown, or an array of blocks
+ * @param {Object} classes - Classes by element name (defaults to the site's)
+ * @returns {string} HTML
+ */
+function renderMarkdown(markdown, classes = CLASSES) {
+  const blocks = (Array.isArray(markdown) ? markdown : [markdown])
+    .join('\n\n')
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .filter(Boolean);
+
+  return blocks.map((block, index) => {
+    const spacing = index > 0 && Object.keys(classes).length ? 'mt-2' : '';
+    const lines = block.split('\n').map(line => line.trim());
+
+    const list = [['ol', /^\d+\.\s+/], ['ul', /^[-*]\s+/]].find(([, marker]) => lines.every(line => marker.test(line)));
+    if (list) {
+      const [tag, marker] = list;
+      const items = lines.map(line => `<li>${renderInline(line.replace(marker, ''), classes)}</li>`).join('');
+      return `<${tag}${classAttribute(tag, classes, spacing)}>${items}</${tag}>`;
+    }
+
+    return `<p${classAttribute('p', classes, spacing)}>${renderInline(lines.join(' '), classes)}</p>`;
+  }).join('\n');
+}
+
+/**
+ * Check the FAQ data, so a mistake fails the build instead of breaking a page
+ * @param {Object} data - Contents of data/faqs.json
+ */
+function validate(data) {
+  const categories = new Set(data.categories.map(category => category.id));
+  const ids = new Set();
+
+  data.faqs.forEach(faq => {
+    if (!/^[a-z0-9-]+$/.test(faq.id)) throw new Error(`Invalid FAQ id "${faq.id}"`);
+    if (ids.has(faq.id)) throw new Error(`Duplicate FAQ id "${faq.id}"`);
+    if (!categories.has(faq.category)) throw new Error(`FAQ "${faq.id}" has an unknown category "${faq.category}"`);
+    if (!faq.question || !faq.answer || !faq.answer.length) throw new Error(`FAQ "${faq.id}" needs a question and an answer`);
+    ids.add(faq.id);
+  });
+
+  Object.entries(data.pages).forEach(([page, list]) => list.forEach(id => {
+    if (!categories.has(id)) throw new Error(`${page} lists an unknown category "${id}"`);
+  }));
+
+  Object.entries(data.formerIds || {}).forEach(([page, map]) => Object.entries(map).forEach(([former, id]) => {
+    const shown = (data.pages[page] || []).includes((data.faqs.find(faq => faq.id === id) || {}).category);
+    if (!shown) throw new Error(`${page} maps "${former}" to "${id}", which is not one of its FAQs`);
+  }));
+}
+
+/**
+ * The FAQs a page shows, grouped by category in the page's order. Each FAQ carries
+ * the ids it had on the page before, so links shared with those ids still open it.
+ * @param {Object} data - Contents of data/faqs.json
+ * @param {string} page - Page file, e.g. "contact.html"
+ * @returns {Array} Objects with the category and its faqs
+ */
+function faqsForPage(data, page) {
+  const former = Object.entries((data.formerIds || {})[page] || {});
+
+  return (data.pages[page] || [])
+    .map(id => ({
+      category: data.categories.find(category => category.id === id),
+      faqs: data.faqs.filter(faq => faq.category === id).map(faq => Object.assign({}, faq, {
+        formerIds: former.filter(([, current]) => current === faq.id).map(([old]) => old)
+      }))
+    }))
+    .filter(group => group.faqs.length);
+}
+
+/**
+ * Render the accordion items for a page, with a heading for each category when there is more than one
+ * @param {Array} groups - From faqsForPage()
+ * @param {string} indent - Indentation of the accordion's contents
+ * @returns {string} HTML
+ */
+function renderAccordion(groups, indent) {
+  const lines = [];
+  const add = (depth, text) => text.split('\n').forEach(line => lines.push(`${indent}${'    '.repeat(depth)}${line}`));
+
+  add(0, '<!-- Built from data/faqs.json by scripts/build-faqs.js -->');
+  groups.forEach(({ category, faqs }, groupIndex) => {
+    if (groups.length > 1) {
+      add(0, `<h3 class="text-xl font-bold text-primary-dark mb-4${groupIndex ? ' mt-10' : ''}">${Html.escape(category.title)}</h3>`);
+    }
+    faqs.forEach(faq => {
+      const formerIds = faq.formerIds && faq.formerIds.length ? ` data-former-ids="${Html.escape(faq.formerIds.join(' '))}"` : '';
+      add(0, `<div class="faq-item mb-4 rounded-xl overflow-hidden transition-all duration-300 shadow border-transparent" id="faq-${faq.id}"${formerIds}>`);
+      add(1, `<button class="faq-toggle w-full text-left p-5 font-semibold flex justify-between items-center bg-white hover:bg-gray-50 transition-colors" aria-expanded="false" aria-controls="faq-${faq.id}-content">`);
+      add(2, `<span class="pr-8">${Html.escape(faq.question)}</span>`);
+      add(2, '<span class="faq-icon flex-shrink-0">');
+      add(3, '<svg class="w-6 h-6 transition-transform duration-300 rotate-0" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true" style="transition: transform 0.3s ease;">');
+      add(4, '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 6v6m0 0v6m0-6h6m-6 0H6" />');
+      add(3, '</svg>');
+      add(2, '</span>');
+      add(1, '</button>');
+      add(1, `<div id="faq-${faq.id}-content" class="faq-content overflow-hidden transition-all duration-300 ease-in-out bg-gray-50" style="max-height: 0; opacity: 0; transition: max-height 0.3s ease, opacity 0.3s ease;">`);
+      add(2, '<div class="p-5 border-t border-gray-100">');
+      add(3, renderMarkdown(faq.answer));
+      add(2, '</div>');
+      add(1, '</div>');
+      add(0, '</div>');
+    });
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Build the FAQPage structured data for a page
+ * @param {Array} groups - From faqsForPage()
+ * @param {string} page - Page file
+ * @returns {string} JSON-LD, safe to place inside a script element
+ */
+function buildJsonLd(groups, page) {
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'FAQPage',
+    url: `${SITE_URL}/${page}`,
+    mainEntity: [].concat(...groups.map(group => group.faqs)).map(faq => ({
+      '@type': 'Question',
+      name: faq.question,
+      url: `${SITE_URL}/${page}#faq-${faq.id}`,
+      acceptedAnswer: {
+        '@type': 'Answer',
+        // Search engines accept simple HTML in answers, without the site's classes
+        text: renderMarkdown(faq.answer, {})
+      }
+    }))
+  };
+
+  return JSON.stringify(data, null, 2)
+    .replace(/</g, '\\u003c')
+    .split('\n')
+    .map(line => `    ${line}`)
+    .join('\n');
+}
+
+/**
+ * Render the FAQs and their structured data into a page
+ * @param {string} html - Page HTML, with an <nzbi-accordion id="faq-accordion">
+ * @param {Array} groups - From faqsForPage()
+ * @param {string} page - Page file
+ * @returns {string} Updated page HTML
+ */
+function renderPage(html, groups, page) {
+  const accordion = /(\n([ \t]*)<nzbi-accordion\b[^>]*\bid="faq-accordion"[^>]*>)[\s\S]*?(\n[ \t]*<\/nzbi-accordion>)/;
+  const match = accordion.exec(html);
+  if (!match) throw new Error(`${page} has no <nzbi-accordion id="faq-accordion">`);
+
+  const jsonLd = `<script type="application/ld+json" id="faq-structured-data">\n${buildJsonLd(groups, page)}\n    </script>`;
+  const existing = /<script type="application\/ld\+json" id="faq-structured-data">[\s\S]*?<\/script>/;
+
+  const withAccordion = html.replace(accordion, (all, open, indent, close) => `${open}\n${renderAccordion(groups, `${indent}    `)}${close}`);
+  if (existing.test(withAccordion)) return withAccordion.replace(existing, () => jsonLd);
+  return withAccordion.replace(/\n(\s*)<\/head>/, (all, indent) => `\n\n    <!-- FAQ Structured Data / JSON-LD -->\n    ${jsonLd}\n${indent}</head>`);
+}
+
+/**
+ * Render the FAQs into every page listed in data/faqs.json
+ * @returns {Array} Updated page files
+ */
+function buildPages() {
+  const data = JSON.parse(fs.readFileSync(DATA, 'utf8'));
+  validate(data);
+
+  return Object.keys(data.pages).map(page => {
+    const file = path.join(ROOT, page);
+    fs.writeFileSync(file, renderPage(fs.readFileSync(file, 'utf8'), faqsForPage(data, page), page));
+    return page;
+  });
+}
+
+if (require.main === module) {
+  const pages = buildPages();
+  console.log(`Rendered the FAQs into ${pages.join(', ')}`);
+}
+
+module.exports = { renderMarkdown, validate, faqsForPage, renderAccordion, buildJsonLd, renderPage, buildPages };
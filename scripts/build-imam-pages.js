@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * build-imam-pages.js
+ * Generates a profile page for every imam in data/imams.json at /imams/<id>.html,
+ * with their biography, languages, specialties and mosque, a link to the
+ * "Ask an Imam" form and Person JSON-LD
+ *
+ * Usage: node scripts/build-imam-pages.js
+ * Run this whenever data/imams.json, data/mosques.json or templates/imam.html changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ImamProfiles = require('../js/ImamProfiles.js');
+const Html = require('../js/Html.js');
+
+const ROOT = path.join(__dirname, '..');
+const SITE_URL = 'https://nzbi.com';
+const OUTPUT_DIR = path.join(ROOT, 'imams');
+const TEMPLATE = path.join(ROOT, 'templates', 'imam.html');
+
+/**
+ * Format JSON-LD for the page head
+ * @param {Object} data - Structured data
+ * @returns {string} JSON-LD, safe to place inside a script element
+ */
+function formatJsonLd(data) {
+  return JSON.stringify(data, null, 2)
+    .replace(/</g, '\\u003c')
+    .split('\n')
+    .map(line => `    ${line}`)
+    .join('\n');
+}
+
+/**
+ * Render the profile page for one imam
+ * @param {string} template - Page template with {{name}} placeholders
+ * @param {Object} imam - Imam
+ * @param {Object} mosque - The imam's mosque, if known
+ * @returns {string} Page HTML
+ */
+function renderPage(template, imam, mosque) {
+  const url = `${SITE_URL}${ImamProfiles.profileUrl(imam)}`;
+  const image = imam.photo || '/images/logo.png';
+  const tag = text => `                                <li class="px-3 py-1 rounded-full text-sm bg-indigo-50 text-primary-dark">${Html.escape(text)}</li>`;
+
+  const values = {
+    pageTitle: Html.escape(`${imam.name} - ${imam.title} | New Zealand Board of Imams`),
+    name: Html.escape(imam.name),
+    title: Html.escape(imam.title),
+    description: Html.escape(imam.bio[0]),
+    keywords: Html.escape(['New Zealand Board of Imams', 'NZBI', 'Imam', imam.name]
+      .concat(imam.specialties.map(key => ImamProfiles.SPECIALTIES[key] || key)).join(', ')),
+    url: Html.escape(url),
+    imageUrl: Html.escape(`${SITE_URL}${image}`),
+    imageAlt: Html.escape(imam.photo ? imam.name : 'New Zealand Board of Imams'),
+    photo: imam.photo
+      ? `                            <img src="${Html.escape(imam.photo)}" alt="${Html.escape(imam.name)}" class="w-full h-full object-cover object-top">`
+      : `                            <div class="w-full h-full flex items-center justify-center text-5xl font-bold text-white bg-white/10" aria-hidden="true">${Html.escape(ImamProfiles.initials(imam.name))}</div>`,
+    bio: imam.bio.map(text => `                            <p>${Html.escape(text)}</p>`).join('\n'),
+    languages: imam.languages.map(tag).join('\n'),
+    specialties: imam.specialties.map(key => tag(ImamProfiles.SPECIALTIES[key] || key)).join('\n'),
+    education: Html.escape(imam.education),
+    mosque: mosque
+      ? [
+        '                        <div>',
+        '                            <h2 class="text-lg font-semibold mb-3">Mosque</h2>',
+        `                            <a href="/mosques.html#${Html.escape(mosque.id)}" class="text-primary-color hover:underline font-medium">${Html.escape(mosque.name)}</a>`,
+        `                            <p class="text-gray-500 text-sm mt-1">${Html.escape(mosque.address)}</p>`,
+        '                        </div>'
+      ].join('\n')
+      : '',
+    requestUrl: `/imam.html?imam=${encodeURIComponent(imam.id)}#ask-an-imam`,
+    jsonLd: formatJsonLd(ImamProfiles.toJsonLd(imam, mosque))
+  };
+
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    if (!(name in values)) throw new Error(`Unknown template placeholder ${match}`);
+    return values[name];
+  });
+}
+
+/**
+ * Write a page for every imam and remove pages whose imam was deleted
+ * @returns {Array} Written file names
+ */
+function buildPages() {
+  const template = fs.readFileSync(TEMPLATE, 'utf8').replace(/^<!-- Template .*-->\n/m, '');
+  const readData = file => JSON.parse(fs.readFileSync(path.join(ROOT, 'data', file), 'utf8'));
+  const imams = readData('imams.json').imams;
+  const mosques = new Map(readData('mosques.json').mosques.map(mosque => [mosque.id, mosque]));
+
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  const written = imams.map(imam => {
+    if (!/^[a-z0-9-]+$/.test(imam.id)) throw new Error(`Invalid imam id "${imam.id}"`);
+    if (imam.mosque && !mosques.has(imam.mosque)) throw new Error(`Unknown mosque "${imam.mosque}" for ${imam.id}`);
+    const file = `${imam.id}.html`;
+    fs.writeFileSync(path.join(OUTPUT_DIR, file), renderPage(template, imam, mosques.get(imam.mosque)));
+    return file;
+  });
+
+  fs.readdirSync(OUTPUT_DIR)
+    .filter(file => file.endsWith('.html') && !written.includes(file))
+    .forEach(file => fs.unlinkSync(path.join(OUTPUT_DIR, file)));
+
+  return written;
+}
+
+if (require.main === module) {
+  const written = buildPages();
+  console.log(`Wrote ${written.length} imam pages to ${path.relative(process.cwd(), OUTPUT_DIR)}/`);
+}
+
+module.exports = { renderPage, buildPages };
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * build-precache.js
+ * Generates /precache-manifest.js, the list of files the service worker saves on
+ * install so the site works offline. Each file gets a revision from a hash of its
+ * content, so an install only downloads what has changed, and a new manifest is
+ * what tells browsers a new version of the site is available.
+ *
+ * The manifest covers every page (except admin.html), the scripts, stylesheets and
+ * images those pages reference, the fonts in styles.css, the translations in
+ * /locales/ and the site search index. Data files and announcement pages are left
+ * out: the service worker fetches them network-first.
+ *
+ * Usage: node scripts/build-precache.js
+ * Run this after changing any page, script, stylesheet or image, and after
+ * scripts/build-search-index.js.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, listPages } = require('./pages.js');
+
+const OUTPUT = path.join(ROOT, 'precache-manifest.js');
+const LOCALES_DIR = path.join(ROOT, 'locales');
+
+// Loaded by js/SiteSearch.js, so search works offline
+const SEARCH_INDEX = '/search-index.json';
+
+// Pages that are not part of the offline site
+const EXCLUDED_PAGES = ['admin.html'];
+
+// Referenced files that are fetched network-first instead
+const EXCLUDED_PREFIXES = ['/data/', '/announcements/', '/api/'];
+
+const ASSET_PATTERN = /\.(js|css|png|jpe?g|gif|svg|webp|ico|ttf|woff2?|json)$/i;
+
+/**
+ * Local files referenced by a page or stylesheet
+ * @param {string} text - HTML or CSS
+ * @returns {Array} Site paths, e.g. "/js/Lunar.js"
+ */
+function findReferences(text) {
+  const references = [];
+  const pattern = /(?:src|href)="(\/[^"#?]*)"|url\(['"]?(\/[^'")#?]+)['"]?\)/g;
+  let match;
+  while ((match = pattern.exec(text))) references.push(match[1] || match[2]);
+  return references;
+}
+
+/**
+ * Short content hash of a file
+ * @param {string} file - Absolute path
+ * @returns {string} Revision
+ */
+function revision(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex').slice(0, 12);
+}
+
+/**
+ * List the files to precache
+ * @returns {Array} Site paths, sorted
+ */
+function collectFiles() {
+  const pages = listPages()
+    .filter(({ file, dir }) => !dir && !EXCLUDED_PAGES.includes(file))
+    .map(({ file }) => `/${file}`);
+  // Translations are loaded by js/I18n.js rather than referenced by a page
+  const locales = fs.readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => `/locales/${file}`);
+  const files = new Set(pages.concat('/manifest.json', SEARCH_INDEX, locales));
+
+  pages.concat('/styles.css').forEach(page => {
+    findReferences(fs.readFileSync(path.join(ROOT, page), 'utf8'))
+      .filter(reference => ASSET_PATTERN.test(reference) && !EXCLUDED_PREFIXES.some(prefix => reference.startsWith(prefix)))
+      .forEach(reference => files.add(decodeURI(reference)));
+  });
+
+  files.forEach(file => {
+    if (!fs.existsSync(path.join(ROOT, file))) {
+      console.warn(`Skipping ${file}: referenced but missing`);
+      files.delete(file);
+    }
+  });
+
+  return Array.from(files).sort();
+}
+
+/**
+ * Build the manifest
+ * @returns {Object} version and entries ({url, revision})
+ */
+function buildManifest() {
+  const entries = collectFiles().map(file => ({
+    url: encodeURI(file),
+    revision: revision(path.join(ROOT, file))
+  }));
+  const version = crypto.createHash('sha256')
+    .update(entries.map(entry => `${entry.url} ${entry.revision}`).join('\n'))
+    .digest('hex').slice(0, 12);
+
+  return { version, entries };
+}
+
+/**
+ * Write /precache-manifest.js for the service worker to import
+ * @returns {Object} The manifest
+ */
+function writeManifest() {
+  const manifest = buildManifest();
+  fs.writeFileSync(OUTPUT, [
+    '// Generated by scripts/build-precache.js - do not edit by hand',
+    `self.PRECACHE_VERSION = '${manifest.version}';`,
+    `self.PRECACHE_MANIFEST = ${JSON.stringify(manifest.entries, null, 2)};`,
+    ''
+  ].join('\n'));
+  return manifest;
+}
+
+if (require.main === module) {
+  const manifest = writeManifest();
+  const bytes = manifest.entries.reduce((total, entry) => total + fs.statSync(path.join(ROOT, decodeURI(entry.url))).size, 0);
+  console.log(`Wrote ${path.relative(process.cwd(), OUTPUT)}: ${manifest.entries.length} files, ${(bytes / 1048576).toFixed(1)} MB, version ${manifest.version}`);
+}
+
+module.exports = { collectFiles, buildManifest, writeManifest };
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/**
+ * build-search-index.js
+ * Generates /search-index.json, the index js/SiteSearch.js searches: one entry for
+ * every page, announcement page and imam profile, and one for every FAQ item, which
+ * links to the item itself (e.g. /moonsighting.html#faq-hanafi) so it opens in the accordion.
+ * The index is precached, so search works offline.
+ *
+ * Usage: node scripts/build-search-index.js
+ * Run this after changing any page, and after rebuilding the announcement or imam pages.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, listPages } = require('./pages.js');
+
+const OUTPUT = path.join(ROOT, 'search-index.json');
+
+// What the entries for each folder of pages are shown as
+const SECTIONS = {
+  '': 'page',
+  announcements: 'announcement',
+  imams: 'imam'
+};
+
+// Pages that are not part of the public site, or that repeat another page
+const EXCLUDED_PAGES = ['admin.html', 'offline.html', 'app.html'];
+
+// Page text is cut to this many characters; it is only used for matching and snippets
+const MAX_TEXT_LENGTH = 10000;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', middot: '·', mdash: '—', ndash: '–', hellip: '…', copy: '©' };
+
+/**
+ * Turn HTML into plain text
+ * @param {string} html - HTML
+ * @returns {string} Text with collapsed whitespace
+ */
+function toText(html) {
+  return html
+    .replace(/<(script|style|svg|noscript|select|template)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&(#?\w+);/g, (match, name) => {
+      if (name in ENTITIES) return ENTITIES[name];
+      if (/^#\d+$/.test(name)) return String.fromCodePoint(Number(name.slice(1)));
+      // Arrows and other symbols are not worth searching for
+      return ' ';
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Find where the element starting at an index ends, counting nested tags of the same name
+ * @param {string} html - HTML
+ * @param {number} start - Index of the element's opening "<"
+ * @returns {number} Index just after its closing tag
+ */
+function elementEnd(html, start) {
+  const name = /^<(\w+)/.exec(html.slice(start))[1];
+  const pattern = new RegExp(`<(/?)${name}\\b[^>]*>`, 'gi');
+  pattern.lastIndex = start;
+  let depth = 0;
+  let match;
+  while ((match = pattern.exec(html))) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) return pattern.lastIndex;
+  }
+  return html.length;
+}
+
+/**
+ * Read the FAQ items on a page
+ * @param {string} html - Contents of <main>
+ * @returns {Object} items (id, question and answer) and the HTML with the items removed
+ */
+function extractFAQs(html) {
+  const items = [];
+  let rest = '';
+  let position = 0;
+  const pattern = /<div\b[^>]*class="faq-item\b[^"]*"[^>]*>/g;
+  let match;
+
+  while ((match = pattern.exec(html))) {
+    const end = elementEnd(html, match.index);
+    const item = html.slice(match.index, end);
+    const id = /\bid="([^"]+)"/.exec(match[0]);
+    const question = /<button\b[^>]*class="faq-toggle[\s\S]*?<\/button>/.exec(item);
+    const answer = /<div\b[^>]*class="faq-content[\s\S]*/.exec(item);
+
+    if (!id) throw new Error(`FAQ item without an id: ${toText(item).slice(0, 60)}`);
+    items.push({ id: id[1], question: toText(question ? question[0] : ''), answer: toText(answer ? answer[0] : '') });
+    rest += html.slice(position, match.index);
+    position = pattern.lastIndex = end;
+  }
+
+  return { items, html: rest + html.slice(position) };
+}
+
+/**
+ * Read the parts of a page the index needs
+ * @param {string} html - Page HTML
+ * @returns {Object} title, description, headings, text and faqs
+ */
+function parsePage(html) {
+  const title = /<title>([\s\S]*?)<\/title>/i.exec(html);
+  const description = /<meta name="description" content="([^"]*)"/i.exec(html);
+  const main = /<main\b[^>]*>([\s\S]*?)<\/main>/i.exec(html);
+  const { items, html: body } = extractFAQs(main ? main[1] : '');
+  const headings = [];
+  const headingPattern = /<h[1-3]\b[^>]*>([\s\S]*?)<\/h[1-3]>/gi;
+  let match;
+  while ((match = headingPattern.exec(body))) {
+    const text = toText(match[1]);
+    if (text && !headings.includes(text)) headings.push(text);
+  }
+
+  return {
+    // "Moonsighting - New Zealand Board of Imams | ..." is shown as "Moonsighting"
+    title: toText(title ? title[1] : '').split(/ - | \| /)[0],
+    description: toText(description ? description[1] : ''),
+    headings,
+    text: toText(body).slice(0, MAX_TEXT_LENGTH),
+    faqs: items
+  };
+}
+
+/**
+ * Build the index
+ * @returns {Array} Entries: url, section, title, page (for FAQs), headings, text
+ */
+function buildIndex() {
+  const entries = [];
+
+  listPages()
+    .filter(({ file }) => !EXCLUDED_PAGES.includes(file))
+    .forEach(({ file, dir, url }) => {
+      const page = parsePage(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+
+      entries.push({
+        url,
+        section: SECTIONS[dir],
+        title: page.title,
+        headings: [page.description].concat(page.headings).filter(Boolean).join(' · '),
+        text: page.text
+      });
+      page.faqs.forEach(faq => entries.push({
+        url: `${url}#${faq.id}`,
+        section: 'faq',
+        title: faq.question,
+        page: page.title,
+        headings: '',
+        text: faq.answer
+      }));
+    });
+
+  return entries;
+}
+
+/**
+ * Write /search-index.json
+ * @returns {Array} The entries
+ */
+function writeIndex() {
+  const entries = buildIndex();
+  fs.writeFileSync(OUTPUT, `${JSON.stringify({ entries })}\n`);
+  return entries;
+}
+
+if (require.main === module) {
+  const entries = writeIndex();
+  const faqs = entries.filter(entry => entry.section === 'faq').length;
+  console.log(`Wrote ${path.relative(process.cwd(), OUTPUT)}: ${entries.length - faqs} pages and ${faqs} FAQ items, ${(fs.statSync(OUTPUT).size / 1024).toFixed(0)} KB`);
+}
+
+module.exports = { toText, parsePage, buildIndex, writeIndex };
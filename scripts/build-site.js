@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+/**
+ * build-site.js
+ * Builds the site in place:
+ * 1. Fills in the shared partials (partials/<name>.html) wherever a page or template
+ *    has <!-- partial:<name> --> ... <!-- /partial:<name> -->, and marks the page's
+ *    own item in the navigation as the current one
+ * 2. Renders the FAQs, the announcement and imam pages and the calendar.ics feed
+ * 3. Compiles /tailwind.css with only the Tailwind classes the site uses
+ * 4. Checks every link and script, stylesheet and image reference between pages, and
+ *    stops if any goes to a page, file or #id that does not exist
+ * 5. Writes the search index, sitemap.xml and the precache manifest
+ *
+ * Usage: node scripts/build-site.js (or npm run build)
+ * Run this after changing a partial, a page, a template or any data the pages are
+ * built from. Needs the dev dependencies (npm install) for Tailwind.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, pageUrl, listPages } = require('./pages.js');
+
+const PARTIALS_DIR = path.join(ROOT, 'partials');
+const TEMPLATES_DIR = path.join(ROOT, 'templates');
+const TAILWIND_CONFIG = path.join(ROOT, 'tailwind.config.js');
+const TAILWIND_OUTPUT = path.join(ROOT, 'tailwind.css');
+const SITE_URL = 'https://nzbi.com';
+
+// Classes for the navigation link to the current page
+const ACTIVE_CLASSES = 'text-primary-color font-bold';
+
+// The navigation item for templated pages, which are not in the navigation themselves
+const SECTIONS = {
+  'templates/announcement.html': '/announcements.html',
+  'templates/imam.html': '/imam.html'
+};
+
+// Ids of elements a script draws from a data file, so links to them can be checked too
+const DRAWN_IDS = {
+  'mosques.html': root => JSON.parse(fs.readFileSync(path.join(root, 'data', 'mosques.json'), 'utf8')).mosques.map(mosque => mosque.id)
+};
+
+/**
+ * Read the partials
+ * @returns {Object} Partial markup by name
+ */
+function readPartials() {
+  return Object.fromEntries(fs.readdirSync(PARTIALS_DIR)
+    .filter(file => file.endsWith('.html'))
+    .map(file => [path.basename(file, '.html'), fs.readFileSync(path.join(PARTIALS_DIR, file), 'utf8').trimEnd()]));
+}
+
+/**
+ * Mark the navigation links to the current page: the link gets aria-current="page",
+ * and the text links the active classes
+ * @param {string} html - Partial markup
+ * @param {string} current - Site path of the current page, e.g. "/about.html"
+ * @returns {string} Markup
+ */
+function markCurrent(html, current) {
+  return html.replace(/<nav\b[\s\S]*?<\/nav>/g, nav => nav.replace(/<a href="([^"]*)" class="([^"]*)"/g, (match, href, classes) => {
+    if (href !== current) return match;
+    const active = /\bnav-link\b/.test(classes) ? `${classes} ${ACTIVE_CLASSES}` : classes;
+    return `<a href="${href}" class="${active}" aria-current="page"`;
+  }));
+}
+
+/**
+ * Fill in the partials in a page
+ * @param {string} html - Page HTML
+ * @param {string} file - Page path from the site root, e.g. "about.html"
+ * @param {Object} partials - From readPartials()
+ * @returns {string} Page HTML
+ */
+function assemblePage(html, file, partials) {
+  const current = SECTIONS[file] || pageUrl(file);
+  // Keep the page's own line endings (index.html has CRLF)
+  const eol = html.includes('\r\n') ? '\r\n' : '\n';
+
+  return html.replace(/([ \t]*)<!-- partial:([\w-]+) -->[\s\S]*?<!-- \/partial:\2 -->/g, (match, indent, name) => {
+    if (!(name in partials)) throw new Error(`${file} uses an unknown partial "${name}"`);
+    const body = markCurrent(partials[name], current)
+      .split('\n')
+      .map(line => (line ? `${indent}${line}` : line))
+      .join(eol);
+    return `${indent}<!-- partial:${name} -->${eol}${body}${eol}${indent}<!-- /partial:${name} -->`;
+  });
+}
+
+/**
+ * Fill in the partials in every page and template that uses them
+ * @returns {Array} Updated files
+ */
+function assemblePages() {
+  const partials = readPartials();
+  const files = listPages()
+    .filter(({ dir }) => !dir)
+    .map(({ file }) => file)
+    .concat(fs.readdirSync(TEMPLATES_DIR).filter(file => file.endsWith('.html')).map(file => `templates/${file}`));
+
+  return files.filter(file => {
+    const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    const assembled = assemblePage(html, file, partials);
+    if (assembled === html) return false;
+    fs.writeFileSync(path.join(ROOT, file), assembled);
+    return true;
+  });
+}
+
+/**
+ * Compile /tailwind.css from tailwind.config.js
+ */
+function buildCSS() {
+  execFileSync(process.execPath, [
+    require.resolve('tailwindcss/lib/cli.js'),
+    '--config', TAILWIND_CONFIG,
+    '--output', TAILWIND_OUTPUT,
+    '--minify'
+  ], { cwd: ROOT, stdio: ['ignore', 'ignore', 'pipe'] });
+}
+
+/**
+ * The links and references in a page
+ * @param {string} html - Page HTML
+ * @returns {Array} href and src values
+ */
+function findLinks(html) {
+  const links = [];
+  const markup = html.replace(/<!--[\s\S]*?-->/g, '');
+  const pattern = /\s(?:href|src)="([^"]*)"/g;
+  let match;
+  while ((match = pattern.exec(markup))) links.push(match[1]);
+  return links;
+}
+
+/**
+ * Check the links between pages. Links to other sites are not followed, except
+ * https://nzbi.com links (canonical URLs and share images), which are checked as internal.
+ * @param {string} root - Site root (defaults to the repository)
+ * @param {Array} pages - Page paths from the root (defaults to every page)
+ * @returns {Array} Broken links: page, link and reason
+ */
+function checkLinks(root = ROOT, pages = listPages().map(page => page.file)) {
+  const contents = new Map();
+  const read = file => {
+    if (!contents.has(file)) contents.set(file, fs.readFileSync(path.join(root, file), 'utf8'));
+    return contents.get(file);
+  };
+  const hasId = (file, id) => read(file).includes(`id="${id}"`) || (file in DRAWN_IDS && DRAWN_IDS[file](root).includes(id));
+  const broken = [];
+
+  pages.forEach(page => {
+    findLinks(read(page)).forEach(link => {
+      const local = link.startsWith(SITE_URL) ? link.slice(SITE_URL.length) || '/' : link;
+      if (!local || local === '#' || local.startsWith('//') || /^[a-z][a-z0-9+.-]*:/i.test(local)) return;
+
+      const [address, id] = local.split('#');
+      const pathname = address.split('?')[0];
+      let target = pathname ? path.posix.join(pathname.startsWith('/') ? '' : path.posix.dirname(page), pathname) : page;
+      target = target.replace(/^\//, '');
+      if (!target || target.endsWith('/')) target += 'index.html';
+
+      const file = path.join(root, decodeURI(target));
+      if (!fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+        broken.push({ page, link, reason: `/${target} does not exist` });
+      } else if (id && target.endsWith('.html') && !hasId(target, decodeURIComponent(id))) {
+        broken.push({ page, link, reason: `/${target} has no element with id "${id}"` });
+      }
+    });
+  });
+
+  return broken;
+}
+
+/**
+ * Build the site
+ */
+function build() {
+  const assembled = assemblePages();
+  console.log(`Filled in the partials in ${assembled.length} changed files`);
+
+  console.log(`Rendered the FAQs into ${require('./build-faqs.js').buildPages().join(', ')}`);
+  console.log(`Wrote ${require('./build-announcement-pages.js').buildPages().length} announcement pages`);
+  console.log(`Wrote ${require('./build-imam-pages.js').buildPages().length} imam pages`);
+  console.log(`Wrote calendar.ics: ${require('./build-calendar-ics.js').writeFeed()} events`);
+
+  buildCSS();
+  console.log(`Wrote tailwind.css, ${(fs.statSync(TAILWIND_OUTPUT).size / 1024).toFixed(0)} KB`);
+
+  const broken = checkLinks();
+  if (broken.length) {
+    throw new Error(`${broken.length} broken links:\n${broken.map(({ page, link, reason }) => `  ${page}: ${link} (${reason})`).join('\n')}`);
+  }
+  console.log('Checked the links between pages');
+
+  console.log(`Wrote search-index.json: ${require('./build-search-index.js').writeIndex().length} entries`);
+  console.log(`Wrote sitemap.xml: ${require('./build-sitemap.js').writeSitemap().length} pages`);
+  console.log(`Wrote precache-manifest.js: ${require('./build-precache.js').writeManifest().entries.length} files`);
+}
+
+if (require.main === module) {
+  try {
+    build();
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { readPartials, markCurrent, assemblePage, assemblePages, buildCSS, findLinks, checkLinks, build };
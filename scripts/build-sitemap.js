@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/**
+ * build-sitemap.js
+ * Generates /sitemap.xml from the pages that exist: every page except those marked
+ * noindex (admin.html and offline.html), and every announcement and imam page. Each
+ * page's lastmod is the date of the last commit that changed it, so rebuilding the same
+ * tree always gives the same sitemap. A page that is not committed yet has the date it
+ * was last saved.
+ *
+ * Usage: node scripts/build-sitemap.js
+ * Run this after adding or removing a page, and after rebuilding the announcement or
+ * imam pages. scripts/build-site.js runs it as part of the build.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, listPages } = require('./pages.js');
+
+const OUTPUT = path.join(ROOT, 'sitemap.xml');
+const SITE_URL = 'https://nzbi.com';
+
+// How often each page changes and how it ranks against the others
+const PAGE_SETTINGS = {
+  'index.html': { changefreq: 'weekly', priority: '1.0' },
+  'moonsighting.html': { changefreq: 'weekly', priority: '0.9' },
+  'prayer-times.html': { changefreq: 'daily', priority: '0.9' },
+  'about.html': { changefreq: 'monthly', priority: '0.8' },
+  'imam.html': { changefreq: 'monthly', priority: '0.8' },
+  'ramadan.html': { changefreq: 'weekly', priority: '0.8' },
+  'mosques.html': { changefreq: 'monthly', priority: '0.8' },
+  'announcements.html': { changefreq: 'weekly', priority: '0.7' },
+  'donate.html': { changefreq: 'weekly', priority: '0.7' },
+  'qibla.html': { changefreq: 'yearly', priority: '0.7' },
+  'zakat.html': { changefreq: 'monthly', priority: '0.7' },
+  'calendar.html': { changefreq: 'monthly', priority: '0.7' },
+  'contact.html': { changefreq: 'monthly', priority: '0.6' },
+  'app.html': { changefreq: 'monthly', priority: '0.6' }
+};
+
+// Settings for pages not listed above, by folder
+const DIR_SETTINGS = {
+  '': { changefreq: 'monthly', priority: '0.5' },
+  announcements: { changefreq: 'yearly', priority: '0.5' },
+  imams: { changefreq: 'monthly', priority: '0.6' }
+};
+
+/**
+ * A date in New Zealand
+ * @param {Date} date - Date
+ * @returns {string} YYYY-MM-DD
+ */
+function nzDate(date) {
+  return date.toLocaleDateString('en-CA', { timeZone: 'Pacific/Auckland' });
+}
+
+/**
+ * The date a page last changed: its last commit, or when the file was saved if it
+ * has never been committed
+ * @param {string} file - Page path from the site root
+ * @returns {string} YYYY-MM-DD
+ */
+function lastModified(file) {
+  let committed = '';
+  try {
+    committed = execFileSync('git', ['log', '-1', '--format=%cs', '--', file], { cwd: ROOT, stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch (error) {
+    // Not a git checkout
+  }
+  return committed || nzDate(fs.statSync(path.join(ROOT, file)).mtime);
+}
+
+/**
+ * The pages to list, the home page first
+ * @returns {Array} Objects with loc, lastmod, changefreq and priority
+ */
+function buildEntries() {
+  return listPages()
+    .sort((a, b) => (b.url === '/') - (a.url === '/'))
+    .filter(({ file }) => !/<meta name="robots" content="[^"]*noindex/.test(fs.readFileSync(path.join(ROOT, file), 'utf8')))
+    .map(({ file, dir, url }) => Object.assign(
+      { loc: `${SITE_URL}${url}`, lastmod: lastModified(file) },
+      PAGE_SETTINGS[file] || DIR_SETTINGS[dir]
+    ));
+}
+
+/**
+ * Write /sitemap.xml
+ * @returns {Array} The entries
+ */
+function writeSitemap() {
+  const entries = buildEntries();
+  const urls = entries.map(entry => [
+    '  <url>',
+    `    <loc>${entry.loc}</loc>`,
+    `    <lastmod>${entry.lastmod}</lastmod>`,
+    `    <changefreq>${entry.changefreq}</changefreq>`,
+    `    <priority>${entry.priority}</priority>`,
+    '  </url>'
+  ].join('\n'));
+
+  fs.writeFileSync(OUTPUT, [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n'));
+  return entries;
+}
+
+if (require.main === module) {
+  const entries = writeSitemap();
+  console.log(`Wrote ${path.relative(process.cwd(), OUTPUT)}: ${entries.length} pages`);
+}
+
+module.exports = { buildEntries, writeSitemap };
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * mock-push-service.js
+ * A local stand-in for a browser push service (such as FCM or Mozilla autopush),
+ * for testing scripts/send-push.js without a browser. It creates test subscriptions,
+ * saves them to the subscription store like a subscribing browser would, then checks
+ * the VAPID header of every message it receives, decrypts it and prints the notification.
+ *
+ * Usage: node scripts/mock-push-service.js [--port 8090] [--subscribe moonsighting,events] [--store file] [--gone]
+ *   --subscribe  Topics for a new test subscription (default: every topic)
+ *   --gone       Answer 410 Gone, to test that the sender removes expired subscriptions
+ * Then, in another terminal: node scripts/send-push.js --decision latest
+ * Test subscriptions only live as long as this process; the sender removes them once they answer 404.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+const Push = require('./send-push.js');
+
+// Test subscriptions, id to {ecdh, authSecret}
+const subscriptions = new Map();
+
+/**
+ * Read a command line option
+ * @param {string} name - Option name without dashes
+ * @param {*} fallback - Value when the option is missing
+ * @returns {*} Option value, or true for flags
+ */
+function option(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  if (index === -1) return fallback;
+  const value = process.argv[index + 1];
+  return value && !value.startsWith('--') ? value : true;
+}
+
+/**
+ * Create a test subscription, as PushManager.subscribe() does in a browser
+ * @param {number} port - Port of this service
+ * @returns {Object} PushSubscription JSON
+ */
+function createSubscription(port) {
+  const id = crypto.randomBytes(12).toString('hex');
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  const authSecret = crypto.randomBytes(16);
+  subscriptions.set(id, { ecdh, authSecret });
+
+  return {
+    endpoint: `http://localhost:${port}/push/${id}`,
+    keys: { p256dh: ecdh.getPublicKey().toString('base64url'), auth: authSecret.toString('base64url') }
+  };
+}
+
+/**
+ * Create the service
+ * @param {number} port - Port, used as the VAPID audience
+ * @returns {http.Server} Server
+ */
+function createServer(port) {
+  return http.createServer((request, response) => {
+    const id = (/^\/push\/(\w+)$/.exec(request.url) || [])[1];
+    const reply = (status, message) => {
+      response.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end(message || '');
+    };
+
+    if (request.method !== 'POST' || !id) return reply(404, 'Not found');
+    if (option('gone', false)) return reply(410, 'Subscription has expired');
+    if (!subscriptions.has(id)) return reply(404, 'No such subscription');
+
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      const headers = request.headers;
+      const authError = Push.verifyAuthorization(headers.authorization, `http://localhost:${port}`);
+      if (authError) {
+        console.log(`[rejected] ${authError}`);
+        return reply(403, authError);
+      }
+      if (headers['content-encoding'] !== 'aes128gcm') return reply(400, 'Content-Encoding must be aes128gcm');
+      if (!headers.ttl) return reply(400, 'Missing TTL header');
+
+      const { ecdh, authSecret } = subscriptions.get(id);
+      let payload;
+      try {
+        payload = JSON.parse(Push.decrypt(Buffer.concat(chunks), ecdh, authSecret));
+      } catch (error) {
+        console.log(`[rejected] Could not decrypt the message: ${error.message}`);
+        return reply(400, 'Could not decrypt the message');
+      }
+
+      console.log(`[${payload.topic}] ${payload.title}`);
+      console.log(`  ${payload.body}`);
+      console.log(`  Opens ${payload.url}${payload.tag ? `, tag ${payload.tag}` : ''} (TTL ${headers.ttl}, urgency ${headers.urgency || 'normal'})`);
+      reply(201);
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = Number(option('port', 8090));
+  const store = option('store', Push.STORE);
+  const topics = option('subscribe', Object.keys(Push.TOPICS).join(','));
+
+  createServer(port).listen(port, () => {
+    const subscription = createSubscription(port);
+    Push.saveSubscription(store, subscription, String(topics).split(','));
+    console.log(`Mock push service at http://localhost:${port}/ with a test subscription to ${topics}`);
+  });
+}
+
+module.exports = { createSubscription, createServer };
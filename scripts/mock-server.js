@@ -0,0 +1,811 @@
+#!/usr/bin/env node
+/**
+ * mock-server.js
+ * Serves the site locally with mock form endpoints, for testing the contact and
+ * sighting report forms. It validates messages the way the production endpoints
+ * must, then prints them instead of emailing them:
+ * - POST /api/contact          JSON, routed by inquiry type (see contact-routing.json)
+ * - POST /api/sighting-report  multipart form data with an optional photo, re-checked
+ *                              against the computed moonset with js/SightingCheck.js
+ * - POST /api/imam-request     JSON "Ask an Imam" requests from /imam.html, sent to the
+ *                              religious inquiries address with the chosen imam
+ *
+ * It also serves the Board's admin API used by /admin.html, which writes month
+ * decisions to a local JSON store (data/month-starts.json by default):
+ * - POST   /api/admin/login                       {password}, answers {token, expiresAt}
+ * - GET    /api/admin/month-starts                every record in the store
+ * - PUT    /api/admin/month-starts/<year>-<month> publish or correct a decision
+ * - DELETE /api/admin/month-starts/<year>-<month> withdraw a decision
+ * Requests other than login need an "Authorization: Bearer <token>" header.
+ *
+ * And the web push subscription API used by main.js, which saves subscriptions
+ * for scripts/send-push.js to scripts/.push-subscriptions.json:
+ * - GET  /api/push/public-key   the VAPID public key browsers subscribe with
+ * - POST /api/push/subscribe    {subscription, topics, oldEndpoint}
+ * - POST /api/push/unsubscribe  {endpoint}
+ *
+ * Finally, the donations API used by /donate.html and the home page counters, which takes
+ * payments through a provider from scripts/payment-providers.js (the sandbox by default)
+ * and keeps donations in scripts/.donations.json:
+ * - GET  /api/donations/campaigns  data/campaigns.json with the donations taken added to the totals
+ * - POST /api/donations            {campaign, amount, frequency, name, email}, answers {donation}
+ *                                  or {redirectUrl} for a hosted payment page
+ * - GET  /api/donations/<id>       a donation's receipt details, when the donor returns from paying
+ *
+ * Usage: NZBI_ADMIN_PASSWORD=... node scripts/mock-server.js [--port 8080] [--fail] [--delay ms] [--store file] [--push-store file]
+ *        [--payments sandbox] [--decline] [--checkout] [--donations-store file]
+ *   --fail        Answer every message with a 500 error, to test the error message
+ *   --delay       Wait before answering, to test the sending state
+ *   --store       Write decisions to another file instead of data/month-starts.json
+ *   --push-store  Save push subscriptions to another file
+ *   --payments    Payment provider for donations (default sandbox)
+ *   --decline     Have the sandbox decline every payment
+ *   --checkout    Have the sandbox send donors to a hosted payment page
+ *   --donations-store  Save donations to another file
+ * Stop the browser's connection (DevTools > Network > Offline) to test the offline queue.
+ * The admin API is disabled unless NZBI_ADMIN_PASSWORD is set. Publishing to the default
+ * store also rebuilds the site with scripts/build-site.js.
+ * The push API is disabled unless NZBI_VAPID_PUBLIC_KEY and NZBI_VAPID_PRIVATE_KEY are set
+ * (see scripts/send-push.js). A newly published decision is then pushed to the moonsighting topic.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const SightingCheck = require('../js/SightingCheck.js');
+const MonthDecision = require('../js/MonthDecision.js');
+const ImamProfiles = require('../js/ImamProfiles.js');
+const Donations = require('../js/Donations.js');
+const Push = require('./send-push.js');
+const Payments = require('./payment-providers.js');
+
+const ROOT = path.join(__dirname, '..');
+const ROUTING = JSON.parse(fs.readFileSync(path.join(__dirname, 'contact-routing.json'), 'utf8'));
+const DEFAULT_STORE = path.join(ROOT, 'data', 'month-starts.json');
+const DONATIONS_STORE = path.join(__dirname, '.donations.json');
+const MINIMUM_SECONDS = 3;
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_REPORT_BYTES = 11 * 1024 * 1024;
+const SESSION_HOURS = 8;
+
+// Admin sessions, token to expiry time
+const sessions = new Map();
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.ics': 'text/calendar; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.xml': 'application/xml',
+  '.woff2': 'font/woff2'
+};
+
+/**
+ * Read a command line option
+ * @param {string} name - Option name without dashes
+ * @param {*} fallback - Value when the option is missing
+ * @returns {*} Option value, or true for flags
+ */
+function option(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  if (index === -1) return fallback;
+  const value = process.argv[index + 1];
+  return value && !value.startsWith('--') ? value : true;
+}
+
+/**
+ * Check a message, mirroring the rules in js/ContactForm.js
+ * The browser checks cannot be trusted, so a real endpoint must repeat them
+ * @param {Object} message - Submitted message
+ * @returns {Object} Field errors, empty if valid
+ */
+function validate(message) {
+  const errors = {};
+  const text = name => (typeof message[name] === 'string' ? message[name].trim() : '');
+
+  if (text('name').length < 2 || text('name').length > 100) errors.name = 'Please enter your full name.';
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(text('email'))) errors.email = 'Please enter a valid email address.';
+  if (!text('subject') || text('subject').length > 150) errors.subject = 'Please enter a subject.';
+  if (text('message').length < 20 || text('message').length > 5000) errors.message = 'Please enter a message of 20 to 5000 characters.';
+  if (!(text('inquiryType') in ROUTING.routes)) errors['inquiry-type'] = 'Please choose an inquiry type.';
+
+  return errors;
+}
+
+/**
+ * Decide whether a valid-looking message is spam
+ * @param {Object} message - Submitted message
+ * @returns {boolean} True if the message should be dropped
+ */
+function isSpam(message) {
+  return Boolean(message.website) || !(Number(message.elapsedSeconds) >= MINIMUM_SECONDS);
+}
+
+/**
+ * Split a multipart/form-data body into fields and files
+ * @param {Buffer} body - Request body
+ * @param {string} contentType - Content-Type header with the boundary
+ * @returns {Object} fields (name to value) and files (name to {filename, type, size})
+ */
+function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || '');
+  if (!match) throw new Error('Missing multipart boundary');
+
+  const boundary = Buffer.from(`--${match[1] || match[2]}`);
+  const fields = {};
+  const files = {};
+  let start = body.indexOf(boundary) + boundary.length;
+
+  while (start > boundary.length - 1) {
+    const end = body.indexOf(boundary, start);
+    if (end === -1) break;
+
+    // Each part is CRLF, headers, blank line, content, CRLF
+    const part = body.slice(start + 2, end - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.slice(0, headerEnd).toString('utf8');
+      const content = part.slice(headerEnd + 4);
+      const name = (/name="([^"]*)"/.exec(headers) || [])[1];
+      const filename = (/filename="([^"]*)"/.exec(headers) || [])[1];
+      const type = (/Content-Type:\s*(\S+)/i.exec(headers) || [])[1];
+
+      if (filename !== undefined) files[name] = { filename, type, size: content.length };
+      else if (name) fields[name] = content.toString('utf8');
+    }
+    start = end + boundary.length;
+  }
+
+  return { fields, files };
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} response - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJSON(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Handle POST /api/contact
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ */
+function handleContact(request, response) {
+  readJSON(request, response, message => {
+    const respond = () => {
+      if (option('fail', false)) return sendJSON(response, 500, { error: 'Simulated failure' });
+
+      const errors = validate(message);
+      if (Object.keys(errors).length) return sendJSON(response, 422, { errors });
+
+      // Accept spam without delivering it, so bots learn nothing
+      if (isSpam(message)) {
+        console.log(`[spam] dropped message from ${message.email}`);
+        return sendJSON(response, 200, { ok: true });
+      }
+
+      const recipients = ROUTING.routes[message.inquiryType] || ROUTING.default;
+      console.log(`[${message.inquiryType}] to ${recipients.join(', ')}`);
+      console.log(`  From: ${message.name} <${message.email}>`);
+      console.log(`  Subject: ${message.subject}`);
+      console.log(`  ${message.message.replace(/\n/g, '\n  ')}`);
+      if (message.queuedAt) console.log(`  (queued offline at ${message.queuedAt})`);
+
+      sendJSON(response, 200, { ok: true });
+    };
+
+    setTimeout(respond, Number(option('delay', 0)) || 0);
+  });
+}
+
+/**
+ * Check an "Ask an Imam" request, mirroring the rules in js/ImamDirectory.js
+ * @param {Object} request - Submitted request
+ * @returns {Object} Field errors, empty if valid
+ */
+function validateImamRequest(request) {
+  const errors = {};
+  const text = name => (typeof request[name] === 'string' ? request[name].trim() : '');
+  const imams = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'imams.json'), 'utf8')).imams;
+  // A day's grace for visitors in time zones behind UTC
+  const earliest = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
+
+  if (text('name').length < 2 || text('name').length > 100) errors.name = 'Please enter your full name.';
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(text('email'))) errors.email = 'Please enter a valid email address.';
+  if (text('phone') && text('phone').replace(/\D/g, '').length < 7) errors.phone = 'Please enter a valid phone number.';
+  if (text('imam') && !imams.some(imam => imam.id === text('imam'))) errors.imam = 'Please choose an imam from the list.';
+  if (!(text('requestType') in ImamProfiles.REQUEST_TYPES)) errors['request-type'] = 'Please choose what you would like to arrange.';
+  if (text('preferredDate') && !(/^\d{4}-\d{2}-\d{2}$/.test(text('preferredDate')) && text('preferredDate') >= earliest)) {
+    errors['preferred-date'] = 'Please choose a date from today onwards.';
+  }
+  if (text('message').length < 20 || text('message').length > 5000) errors.message = 'Please enter a message of 20 to 5000 characters.';
+
+  return errors;
+}
+
+/**
+ * Handle POST /api/imam-request
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ */
+function handleImamRequest(request, response) {
+  readJSON(request, response, message => {
+    const respond = () => {
+      if (option('fail', false)) return sendJSON(response, 500, { error: 'Simulated failure' });
+
+      const errors = validateImamRequest(message);
+      if (Object.keys(errors).length) return sendJSON(response, 422, { errors });
+
+      if (isSpam(message)) {
+        console.log(`[spam] dropped imam request from ${message.email}`);
+        return sendJSON(response, 200, { ok: true });
+      }
+
+      const recipients = ROUTING.routes.religious || ROUTING.default;
+      console.log(`[imam-request] ${ImamProfiles.REQUEST_TYPES[message.requestType]} to ${recipients.join(', ')}`);
+      console.log(`  From: ${message.name} <${message.email}>${message.phone ? `, ${message.phone}` : ''}`);
+      console.log(`  Imam: ${message.imam || 'any available imam'}${message.preferredDate ? `, preferred date ${message.preferredDate}` : ''}`);
+      console.log(`  ${message.message.replace(/\n/g, '\n  ')}`);
+      if (message.queuedAt) console.log(`  (queued offline at ${message.queuedAt})`);
+
+      sendJSON(response, 200, { ok: true });
+    };
+
+    setTimeout(respond, Number(option('delay', 0)) || 0);
+  });
+}
+
+/**
+ * Handle POST /api/sighting-report
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ */
+function handleSightingReport(request, response) {
+  const chunks = [];
+  let size = 0;
+  request.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_REPORT_BYTES) return request.destroy();
+    chunks.push(chunk);
+  });
+
+  request.on('end', () => {
+    let report;
+    try {
+      report = parseMultipart(Buffer.concat(chunks), request.headers['content-type']);
+    } catch (error) {
+      return sendJSON(response, 400, { error: error.message });
+    }
+
+    const respond = () => {
+      if (option('fail', false)) return sendJSON(response, 500, { error: 'Simulated failure' });
+
+      const { fields, files } = report;
+      const time = new Date(fields['sighting-time-utc']);
+      const location = { latitude: Number(fields.latitude), longitude: Number(fields.longitude) };
+      const errors = {};
+
+      if (!fields['observer-name'] || fields['observer-name'].trim().length < 2) errors['observer-name'] = 'Please enter your name.';
+      if ((fields['observer-phone'] || '').replace(/\D/g, '').length < 7) errors['observer-phone'] = 'Please enter a phone number.';
+      if (!(Math.abs(location.latitude) <= 90) || !(Math.abs(location.longitude) <= 180)) errors.latitude = 'Please set your location.';
+      if (isNaN(time)) errors['sighting-time'] = 'Please enter when you saw the crescent.';
+      if (!(fields.optics in SightingCheck.OPTICS)) errors.optics = 'Please choose how you saw the crescent.';
+      if (!(fields.sky in SightingCheck.SKY_CONDITIONS)) errors.sky = 'Please describe the sky.';
+      if (files.photo && !/^image\//.test(files.photo.type || '')) errors.photo = 'Please choose an image file.';
+      if (Object.keys(errors).length) return sendJSON(response, 422, { errors });
+
+      if (fields.website) {
+        console.log(`[spam] dropped sighting report from ${fields['observer-phone']}`);
+        return sendJSON(response, 200, { ok: true });
+      }
+
+      // Never trust the browser's verdict - check the report again
+      const check = SightingCheck.check({ time, location, optics: fields.optics });
+      console.log(`[sighting] ${check.verdict.toUpperCase()} - ${fields['observer-name']} (${fields['observer-phone']})`);
+      console.log(`  ${time.toISOString()} at ${location.latitude}, ${location.longitude}${fields.place ? ` (${fields.place})` : ''}`);
+      console.log(`  ${SightingCheck.OPTICS[fields.optics]}, ${SightingCheck.SKY_CONDITIONS[fields.sky]} sky`);
+      check.flags.forEach(flag => console.log(`  ${flag.level}: ${flag.message}`));
+      if (fields.notes) console.log(`  ${fields.notes.replace(/\n/g, '\n  ')}`);
+      if (files.photo) console.log(`  Photo: ${files.photo.filename} (${files.photo.type}, ${Math.round(files.photo.size / 1024)} KB)`);
+
+      sendJSON(response, 200, { ok: true, verdict: check.verdict });
+    };
+
+    setTimeout(respond, Number(option('delay', 0)) || 0);
+  });
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ * @param {Function} callback - Called with the parsed body; a 400 is sent instead if it is not a JSON object
+ */
+function readJSON(request, response, callback) {
+  let body = '';
+  request.on('data', chunk => {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) request.destroy();
+  });
+
+  request.on('end', () => {
+    let data;
+    try {
+      data = JSON.parse(body || '{}');
+    } catch (error) {
+      return sendJSON(response, 400, { error: 'Invalid JSON' });
+    }
+    // null, numbers, strings and arrays parse, but every handler reads fields from an object
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return sendJSON(response, 400, { error: 'Expected a JSON object' });
+    }
+    callback(data);
+  });
+}
+
+/**
+ * Compare a password with the admin password without leaking its length or content through timing
+ * @param {string} password - Submitted password
+ * @returns {boolean} True if it matches
+ */
+function checkPassword(password) {
+  const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(password), hash(process.env.NZBI_ADMIN_PASSWORD));
+}
+
+/**
+ * Check the bearer token on an admin request
+ * @param {http.IncomingMessage} request - Request
+ * @returns {boolean} True if the session is valid
+ */
+function isAuthorized(request) {
+  const token = (/^Bearer (\S+)$/.exec(request.headers.authorization || '') || [])[1];
+  const expires = token && sessions.get(token);
+  if (!expires) return false;
+  if (expires < Date.now()) {
+    sessions.delete(token);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Read the decision store
+ * @param {string} file - Store path
+ * @returns {Object} Store contents with monthStarts
+ */
+function readStore(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Write the decision store, and rebuild the site when it is the site's own data, so the
+ * announcement pages, calendar.ics, search index, sitemap and precache all include the decision
+ * @param {string} file - Store path
+ * @param {Object} store - Store contents
+ */
+function writeStore(file, store) {
+  store.updated = new Date().toISOString().slice(0, 10);
+  // calendar.ics gives the key dates this SEQUENCE, so subscribed calendars take the new dates
+  store.revision = (store.revision || 0) + 1;
+  store.monthStarts.sort((a, b) => a.start.localeCompare(b.start));
+  fs.writeFileSync(file, `${JSON.stringify(store, null, 2)}\n`);
+
+  if (path.resolve(file) === DEFAULT_STORE) {
+    // The decision is saved either way; a failed build is reported for the Board to fix
+    try {
+      require('./build-site.js').build();
+      console.log('[admin] rebuilt the site');
+    } catch (error) {
+      console.error(`[admin] the decision was saved, but the site could not be rebuilt: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Build a decision record from the submitted fields
+ * Only known fields are kept, and the calendar note is written from the decision
+ * @param {Object} data - Submitted record
+ * @param {Object} existing - Record being corrected, if any
+ * @returns {Object} Record
+ */
+function toRecord(data, existing) {
+  const now = new Date().toISOString();
+  const record = {
+    year: Number(data.year),
+    month: Number(data.month),
+    decision: data.decision,
+    sightingEvening: data.sightingEvening || undefined,
+    start: data.start,
+    note: '',
+    message: typeof data.message === 'string' && data.message.trim() ? data.message.trim().slice(0, 2000) : undefined,
+    publishedAt: existing && existing.publishedAt ? existing.publishedAt : now,
+    updatedAt: existing && existing.publishedAt ? now : undefined,
+    announcementId: existing && existing.announcementId ? existing.announcementId : undefined
+  };
+
+  if (!Object.keys(MonthDecision.validate(record)).length) record.note = MonthDecision.describe(record).detail;
+  return JSON.parse(JSON.stringify(record));
+}
+
+/**
+ * Handle the /api/admin/ routes
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ * @param {string} pathname - Request path
+ */
+function handleAdmin(request, response, pathname) {
+  if (!process.env.NZBI_ADMIN_PASSWORD) {
+    return sendJSON(response, 503, { error: 'The admin API is disabled. Set NZBI_ADMIN_PASSWORD to enable it.' });
+  }
+
+  if (pathname === '/api/admin/login') {
+    if (request.method !== 'POST') return sendJSON(response, 405, { error: 'Method not allowed' });
+    return readJSON(request, response, data => {
+      if (!checkPassword(data.password || '')) {
+        console.log('[admin] failed login');
+        return sendJSON(response, 401, { error: 'Incorrect password.' });
+      }
+      const token = crypto.randomBytes(32).toString('hex');
+      const expiresAt = Date.now() + SESSION_HOURS * 3600000;
+      sessions.set(token, expiresAt);
+      sendJSON(response, 200, { token, expiresAt: new Date(expiresAt).toISOString() });
+    });
+  }
+
+  if (!isAuthorized(request)) return sendJSON(response, 401, { error: 'Please sign in again.' });
+
+  const store = option('store', DEFAULT_STORE);
+
+  if (pathname === '/api/admin/month-starts') {
+    if (request.method !== 'GET') return sendJSON(response, 405, { error: 'Method not allowed' });
+    return sendJSON(response, 200, readStore(store));
+  }
+
+  const match = /^\/api\/admin\/month-starts\/(\d{4})-(\d{1,2})$/.exec(pathname);
+  if (!match) return sendJSON(response, 404, { error: 'Not found' });
+
+  const year = Number(match[1]);
+  const month = Number(match[2]);
+  const data = readStore(store);
+  const index = data.monthStarts.findIndex(item => item.year === year && item.month === month);
+
+  if (request.method === 'DELETE') {
+    if (index === -1) return sendJSON(response, 404, { error: 'There is no decision for that month.' });
+    const [removed] = data.monthStarts.splice(index, 1);
+    writeStore(store, data);
+    console.log(`[admin] withdrew the decision for ${removed.month}/${removed.year}`);
+    return sendJSON(response, 200, { ok: true });
+  }
+
+  if (request.method !== 'PUT') return sendJSON(response, 405, { error: 'Method not allowed' });
+
+  readJSON(request, response, body => {
+    if (option('fail', false)) return sendJSON(response, 500, { error: 'Simulated failure' });
+
+    const record = toRecord(Object.assign({}, body, { year, month }), data.monthStarts[index]);
+    const errors = MonthDecision.validate(record);
+    if (Object.keys(errors).length) return sendJSON(response, 422, { errors });
+
+    if (index === -1) data.monthStarts.push(record);
+    else data.monthStarts[index] = record;
+    writeStore(store, data);
+
+    console.log(`[admin] ${index === -1 ? 'published' : 'corrected'} ${MonthDecision.describe(record).month}: ${record.decision}, starts ${record.start}`);
+    sendJSON(response, 200, { ok: true, record });
+
+    // Let subscribers know straight away - corrections are not pushed again
+    if (index === -1 && Push.keysFromEnv()) {
+      Push.sendToTopic(MonthDecision.toNotification(record), { store: option('push-store', Push.STORE) }).catch(error => console.log(`[push] ${error.message}`));
+    }
+  });
+}
+
+/**
+ * Check a push subscription sent by a browser
+ * @param {Object} subscription - PushSubscription JSON
+ * @returns {boolean} True if it can be sent to
+ */
+function isValidSubscription(subscription) {
+  if (!subscription || typeof subscription.endpoint !== 'string' || !subscription.keys) return false;
+  let url;
+  try {
+    url = new URL(subscription.endpoint);
+  } catch (error) {
+    return false;
+  }
+  // Push services are always HTTPS; the mock push service runs on localhost
+  const secure = url.protocol === 'https:' || (url.protocol === 'http:' && url.hostname === 'localhost');
+  return secure && /^[\w-]{80,100}$/.test(subscription.keys.p256dh || '') && /^[\w-]{16,32}$/.test(subscription.keys.auth || '');
+}
+
+/**
+ * Handle the /api/push/ routes
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ * @param {string} pathname - Request path
+ */
+function handlePush(request, response, pathname) {
+  const keys = Push.keysFromEnv();
+  if (!keys) return sendJSON(response, 503, { error: 'Notifications are not set up on this server.' });
+
+  if (pathname === '/api/push/public-key') {
+    if (request.method !== 'GET') return sendJSON(response, 405, { error: 'Method not allowed' });
+    return sendJSON(response, 200, { publicKey: keys.publicKey });
+  }
+
+  if (request.method !== 'POST') return sendJSON(response, 405, { error: 'Method not allowed' });
+  const store = option('push-store', Push.STORE);
+
+  if (pathname === '/api/push/subscribe') {
+    return readJSON(request, response, data => {
+      if (!isValidSubscription(data.subscription)) return sendJSON(response, 400, { error: 'Invalid subscription' });
+
+      const topics = Array.isArray(data.topics) ? data.topics.filter(topic => topic in Push.TOPICS) : undefined;
+      if (topics && !topics.length) return sendJSON(response, 422, { errors: { topics: 'Choose at least one topic.' } });
+
+      const record = Push.saveSubscription(store, data.subscription, topics, data.oldEndpoint);
+      console.log(`[push] subscribed to ${record.topics.join(', ')} (${new URL(record.endpoint).host})`);
+      sendJSON(response, 200, { ok: true, topics: record.topics });
+    });
+  }
+
+  if (pathname === '/api/push/unsubscribe') {
+    return readJSON(request, response, data => {
+      if (Push.removeSubscription(store, data.endpoint)) console.log('[push] unsubscribed');
+      sendJSON(response, 200, { ok: true });
+    });
+  }
+
+  sendJSON(response, 404, { error: 'Not found' });
+}
+
+/**
+ * Read the donations taken by the mock endpoint
+ * @param {string} file - Store path
+ * @returns {Array} Donations
+ */
+function readDonations(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).donations;
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Save the donations taken by the mock endpoint
+ * @param {string} file - Store path
+ * @param {Array} donations - Donations
+ */
+function writeDonations(file, donations) {
+  fs.writeFileSync(file, `${JSON.stringify({ donations }, null, 2)}\n`);
+}
+
+/**
+ * The campaigns in data/campaigns.json with the paid donations added to their totals
+ * @param {Array} donations - Donations taken by the endpoint
+ * @returns {Object} Campaign data, as in data/campaigns.json
+ */
+function liveCampaigns(donations) {
+  const data = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'campaigns.json'), 'utf8'));
+  const paid = donations.filter(donation => donation.status === 'paid');
+
+  data.campaigns = data.campaigns.map(campaign => {
+    const given = paid.filter(donation => donation.campaign === campaign.id);
+    return Object.assign({}, campaign, {
+      raised: Math.round((campaign.raised + given.reduce((sum, donation) => sum + donation.amount, 0)) * 100) / 100,
+      donors: campaign.donors + given.length
+    });
+  });
+  data.updated = new Date().toISOString();
+  return data;
+}
+
+/**
+ * Mark a donation as paid and give it the next receipt number
+ * @param {Array} donations - Every donation, including this one
+ * @param {Object} donation - Donation
+ * @param {string} reference - Provider's payment reference
+ */
+function markPaid(donations, donation, reference) {
+  const now = new Date();
+  const year = now.getUTCFullYear();
+  const issued = donations.filter(item => item.receiptNumber && item.receiptNumber.startsWith(`NZBI-${year}-`)).length;
+
+  donation.status = 'paid';
+  donation.reference = reference || donation.reference;
+  donation.paidAt = now.toISOString();
+  donation.receiptNumber = `NZBI-${year}-${String(issued + 1).padStart(5, '0')}`;
+  console.log(`[donation] ${Donations.formatAmount(donation.amount)} ${Donations.FREQUENCIES[donation.frequency].toLowerCase()} to ${donation.campaignName}, receipt ${donation.receiptNumber}`);
+  console.log(`  From: ${donation.name} <${donation.email}>`);
+}
+
+/**
+ * The details of a donation the donor may see, for their receipt
+ * @param {Object} donation - Stored donation
+ * @returns {Object} Donation
+ */
+function toPublicDonation(donation) {
+  const fields = ['id', 'status', 'campaign', 'campaignName', 'amount', 'frequency', 'name', 'receiptNumber', 'reference', 'paidAt'];
+  return Object.fromEntries(fields.filter(name => name in donation).map(name => [name, donation[name]]));
+}
+
+/**
+ * Handle the /api/donations routes, taking payments through the provider chosen with --payments
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ * @param {string} pathname - Request path
+ */
+function handleDonations(request, response, pathname) {
+  const store = option('donations-store', DONATIONS_STORE);
+  const donations = readDonations(store);
+
+  if (pathname === '/api/donations/campaigns') {
+    if (request.method !== 'GET') return sendJSON(response, 405, { error: 'Method not allowed' });
+    return sendJSON(response, 200, liveCampaigns(donations));
+  }
+
+  if (pathname === '/api/donations') {
+    if (request.method !== 'POST') return sendJSON(response, 405, { error: 'Method not allowed' });
+
+    return readJSON(request, response, data => {
+      const respond = () => {
+        if (option('fail', false)) return sendJSON(response, 500, { error: 'Simulated failure' });
+
+        const { campaigns } = liveCampaigns([]);
+        const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Pacific/Auckland' });
+        const errors = Donations.validate(data, campaigns, today);
+        if (Object.keys(errors).length) return sendJSON(response, 422, { errors });
+
+        if (isSpam(data)) {
+          console.log(`[spam] dropped donation from ${data.email}`);
+          return sendJSON(response, 200, { ok: true });
+        }
+
+        const campaign = campaigns.find(item => item.id === data.campaign);
+        const donation = {
+          id: crypto.randomBytes(12).toString('hex'),
+          status: 'pending',
+          campaign: campaign.id,
+          campaignName: campaign.name,
+          amount: Donations.parseAmount(data.amount),
+          frequency: data.frequency,
+          name: data.name.trim(),
+          email: data.email.trim(),
+          createdAt: new Date().toISOString()
+        };
+
+        const provider = Payments.createProvider(option('payments', 'sandbox'), {
+          decline: option('decline', false),
+          checkout: option('checkout', false)
+        });
+
+        provider.createPayment(donation, { checkout: `/api/donations/${donation.id}/checkout` })
+          .then(result => {
+            if (result.status === 'declined') return sendJSON(response, 402, { error: result.message });
+
+            donation.provider = provider.name;
+            donation.reference = result.reference;
+            donations.push(donation);
+            if (result.status === 'paid') markPaid(donations, donation, result.reference);
+            writeDonations(store, donations);
+
+            if (result.status === 'redirect') return sendJSON(response, 200, { redirectUrl: result.redirectUrl });
+            sendJSON(response, 200, { donation: toPublicDonation(donation) });
+          })
+          .catch(error => {
+            console.log(`[donation] ${error.message}`);
+            sendJSON(response, 502, { error: 'The payment could not be started.' });
+          });
+      };
+
+      setTimeout(respond, Number(option('delay', 0)) || 0);
+    });
+  }
+
+  const match = /^\/api\/donations\/([a-f0-9]{24})(\/checkout)?$/.exec(pathname);
+  const donation = match && donations.find(item => item.id === match[1]);
+  if (!donation) return sendJSON(response, 404, { error: 'Not found' });
+
+  // The sandbox's hosted payment page, standing in for a provider's checkout
+  if (match[2]) {
+    if (request.method === 'POST') {
+      if (donation.status !== 'paid') markPaid(donations, donation);
+      writeDonations(store, donations);
+      response.writeHead(303, { Location: `/donate.html?donation=${donation.id}` });
+      return response.end();
+    }
+    response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    return response.end(`<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><title>Sandbox checkout</title></head>
+<body style="font-family: sans-serif; max-width: 480px; margin: 60px auto;">
+<h1>Sandbox checkout</h1>
+<p>${Donations.formatAmount(donation.amount)} (${Donations.FREQUENCIES[donation.frequency].toLowerCase()}) to ${donation.campaignName}. No money will be taken.</p>
+<form method="post"><button type="submit">Pay</button> <a href="/donate.html?campaign=${donation.campaign}">Cancel</a></form>
+</body></html>`);
+  }
+
+  if (request.method !== 'GET') return sendJSON(response, 405, { error: 'Method not allowed' });
+  sendJSON(response, 200, { donation: toPublicDonation(donation) });
+}
+
+/**
+ * Serve a file from the site
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ */
+function serveFile(request, response) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+  } catch (error) {
+    // A malformed escape such as /%E0%A4%A
+    response.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    return response.end('Bad request');
+  }
+  if (pathname.endsWith('/')) pathname += 'index.html';
+
+  // Hidden files such as .git and the push subscription store are never served
+  const file = path.join(ROOT, path.normalize(pathname));
+  if (!file.startsWith(ROOT + path.sep) || /\/\./.test(pathname)) {
+    response.writeHead(403);
+    return response.end();
+  }
+
+  fs.readFile(file, (error, data) => {
+    if (error) {
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      return response.end('Not found');
+    }
+    response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+    response.end(data);
+  });
+}
+
+/**
+ * Create the server
+ * @returns {http.Server} Server
+ */
+function createServer() {
+  return http.createServer((request, response) => {
+    const handlers = {
+      '/api/contact': handleContact,
+      '/api/sighting-report': handleSightingReport,
+      '/api/imam-request': handleImamRequest
+    };
+    const pathname = request.url.split('?')[0];
+    const handler = handlers[pathname];
+
+    if (pathname.startsWith('/api/admin/')) return handleAdmin(request, response, pathname);
+    if (pathname.startsWith('/api/push/')) return handlePush(request, response, pathname);
+    if (pathname === '/api/donations' || pathname.startsWith('/api/donations/')) return handleDonations(request, response, pathname);
+
+    if (handler) {
+      if (request.method !== 'POST') return sendJSON(response, 405, { error: 'Method not allowed' });
+      return handler(request, response);
+    }
+    serveFile(request, response);
+  });
+}
+
+if (require.main === module) {
+  const port = Number(option('port', 8080));
+  createServer().listen(port, () => {
+    console.log(`Serving the site at http://localhost:${port}/ with mock endpoints at /api/contact, /api/sighting-report, /api/imam-request and /api/donations`);
+    if (!process.env.NZBI_ADMIN_PASSWORD) console.log('The admin API is disabled - set NZBI_ADMIN_PASSWORD to use /admin.html');
+  });
+}
+
+module.exports = { validate, validateImamRequest, liveCampaigns, isSpam, parseMultipart, toRecord, createServer };
@@ -0,0 +1,44 @@
+/**
+ * pages.js
+ * The pages of the site, for the build scripts: the pages at the top level and the
+ * generated announcement and imam pages. The sitemap, search index, precache and link
+ * check are all built from this list, so they only ever include pages that exist.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+// Folders of pages, relative to the site root
+const PAGE_DIRS = ['', 'announcements', 'imams'];
+
+/**
+ * The URL a page is served at
+ * @param {string} file - Page path from the site root, e.g. "imams/imam-omar.html"
+ * @returns {string} Site path, e.g. "/imams/imam-omar.html" ("/" for the home page)
+ */
+function pageUrl(file) {
+  return file === 'index.html' ? '/' : `/${file}`;
+}
+
+/**
+ * Every page of the site
+ * @returns {Array} Objects with file (path from the site root), dir and url, sorted within each folder
+ */
+function listPages() {
+  return PAGE_DIRS.flatMap(dir => {
+    const folder = path.join(ROOT, dir);
+    if (!fs.existsSync(folder)) return [];
+
+    return fs.readdirSync(folder)
+      .filter(name => name.endsWith('.html'))
+      .sort()
+      .map(name => {
+        const file = dir ? `${dir}/${name}` : name;
+        return { file, dir, url: pageUrl(file) };
+      });
+  });
+}
+
+module.exports = { ROOT, PAGE_DIRS, pageUrl, listPages };
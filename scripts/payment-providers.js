@@ -0,0 +1,65 @@
+/**
+ * payment-providers.js
+ * Payment providers for the donations endpoint (see scripts/mock-server.js). The endpoint
+ * checks a donation, then hands it to the configured provider, which resolves with one of:
+ * - {status: 'paid', reference}                 taken straight away
+ * - {status: 'redirect', redirectUrl, reference} the donor pays on the provider's page, which
+ *                                               returns them to /donate.html?donation=<id>
+ * - {status: 'declined', message}               the message is shown to the donor
+ * For a redirect, the provider tells the endpoint once the payment has gone through
+ * (a webhook for a real provider) and the donation is marked as paid.
+ *
+ * Only the sandbox provider is included. It takes no money and needs no account, so the
+ * whole donation flow can be tried locally. A real provider (such as Stripe Checkout or
+ * Windcave) is added to PROVIDERS with the same createPayment() signature.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Sandbox provider
+ * @param {Object} options - decline: refuse every payment; checkout: send donors to a
+ *   mock hosted payment page instead of taking the payment straight away
+ * @returns {Object} Provider
+ */
+function createSandboxProvider(options) {
+  const settings = Object.assign({ decline: false, checkout: false }, options);
+
+  return {
+    name: 'sandbox',
+
+    /**
+     * Start a payment
+     * @param {Object} donation - Checked donation with id, amount and frequency
+     * @param {Object} urls - checkout: the mock hosted payment page for this donation
+     * @returns {Promise<Object>} Payment result
+     */
+    createPayment(donation, urls) {
+      const reference = `sbx_${crypto.randomBytes(8).toString('hex')}`;
+      if (settings.decline) {
+        return Promise.resolve({ status: 'declined', message: 'Your card was declined (sandbox). No money has been taken.' });
+      }
+      if (settings.checkout) {
+        return Promise.resolve({ status: 'redirect', redirectUrl: urls.checkout, reference });
+      }
+      return Promise.resolve({ status: 'paid', reference });
+    }
+  };
+}
+
+const PROVIDERS = {
+  sandbox: createSandboxProvider
+};
+
+/**
+ * Create a provider by name
+ * @param {string} name - Key in PROVIDERS
+ * @param {Object} options - Provider options
+ * @returns {Object} Provider with createPayment()
+ */
+function createProvider(name, options) {
+  if (!PROVIDERS[name]) throw new Error(`Unknown payment provider "${name}" - use one of ${Object.keys(PROVIDERS).join(', ')}`);
+  return PROVIDERS[name](options);
+}
+
+module.exports = { PROVIDERS, createProvider };
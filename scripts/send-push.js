@@ -0,0 +1,443 @@
+#!/usr/bin/env node
+/**
+ * send-push.js
+ * Sends web push notifications to the browsers subscribed to a topic, using the
+ * Web Push protocol (RFC 8030) with aes128gcm payload encryption (RFC 8291) and
+ * VAPID authentication (RFC 8292). Needs no packages beyond Node itself.
+ *
+ * Subscriptions are saved by the /api/push endpoints (see scripts/mock-server.js)
+ * to scripts/.push-subscriptions.json. Subscriptions the push service reports as
+ * gone are removed after each send.
+ *
+ * Usage:
+ *   node scripts/send-push.js --generate-keys
+ *   node scripts/send-push.js --decision latest
+ *   node scripts/send-push.js --announcement <id>
+ *   node scripts/send-push.js --topic moonsighting --title "..." --body "..." [--url /moonsighting.html]
+ * Options: --store file, --dry-run (print the notification without sending it)
+ * The keys are read from NZBI_VAPID_PUBLIC_KEY and NZBI_VAPID_PRIVATE_KEY, and the
+ * contact address from NZBI_VAPID_SUBJECT (mailto: or https:).
+ * Test locally against scripts/mock-push-service.js.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const STORE = path.join(__dirname, '.push-subscriptions.json');
+const DEFAULT_SUBJECT = 'mailto:moonsightingnz@gmail.com';
+
+// Topics people can subscribe to
+const TOPICS = {
+  moonsighting: 'Moonsighting decisions',
+  events: 'Events and Board announcements',
+  'prayer-reminders': 'Prayer reminders'
+};
+
+// Seconds a push service keeps an undelivered notification
+const TTL = 24 * 3600;
+
+const base64url = buffer => Buffer.from(buffer).toString('base64url');
+const fromBase64url = value => Buffer.from(String(value || ''), 'base64url');
+
+/**
+ * HMAC-SHA-256, the building block of HKDF
+ * @param {Buffer} key - Key
+ * @param {...Buffer} data - Data
+ * @returns {Buffer} Digest
+ */
+function hmac(key, ...data) {
+  const mac = crypto.createHmac('sha256', key);
+  data.forEach(part => mac.update(part));
+  return mac.digest();
+}
+
+/**
+ * HKDF with a single output block (enough for every key used here)
+ * @param {Buffer} salt - Salt
+ * @param {Buffer} ikm - Input keying material
+ * @param {Buffer} info - Context
+ * @param {number} length - Bytes wanted (at most 32)
+ * @returns {Buffer} Derived key
+ */
+function hkdf(salt, ikm, info, length) {
+  return hmac(hmac(salt, ikm), info, Buffer.from([1])).slice(0, length);
+}
+
+/**
+ * Derive the content key and nonce shared by the sender and the browser
+ * @param {Buffer} secret - ECDH shared secret
+ * @param {Buffer} authSecret - Subscription auth secret
+ * @param {Buffer} browserKey - Subscription p256dh public key
+ * @param {Buffer} serverKey - Sender's one-off public key
+ * @param {Buffer} salt - Record salt
+ * @returns {Object} {key, nonce}
+ */
+function deriveKeys(secret, authSecret, browserKey, serverKey, salt) {
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), browserKey, serverKey]);
+  const ikm = hkdf(authSecret, secret, keyInfo, 32);
+  return {
+    key: hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16),
+    nonce: hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12)
+  };
+}
+
+/**
+ * Encrypt a payload for one subscription (RFC 8291)
+ * @param {Object} subscription - PushSubscription JSON with keys.p256dh and keys.auth
+ * @param {string} payload - Text to send
+ * @returns {Buffer} aes128gcm message body
+ */
+function encrypt(subscription, payload) {
+  const browserKey = fromBase64url(subscription.keys.p256dh);
+  const authSecret = fromBase64url(subscription.keys.auth);
+  const ecdh = crypto.createECDH('prime256v1');
+  const serverKey = ecdh.generateKeys();
+  const salt = crypto.randomBytes(16);
+  const { key, nonce } = deriveKeys(ecdh.computeSecret(browserKey), authSecret, browserKey, serverKey, salt);
+
+  // A single record: the payload followed by the last-record delimiter
+  const cipher = crypto.createCipheriv('aes-128-gcm', key, nonce);
+  const content = Buffer.concat([cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(4096, 16);
+  header.writeUInt8(serverKey.length, 20);
+  return Buffer.concat([header, serverKey, content]);
+}
+
+/**
+ * Decrypt an aes128gcm message body, as the browser does
+ * Used by the mock push service to show what a browser would receive
+ * @param {Buffer} body - Message body
+ * @param {crypto.ECDH} browserECDH - Subscription's key pair
+ * @param {Buffer} authSecret - Subscription auth secret
+ * @returns {string} Payload
+ */
+function decrypt(body, browserECDH, authSecret) {
+  const salt = body.slice(0, 16);
+  const idLength = body.readUInt8(20);
+  const serverKey = body.slice(21, 21 + idLength);
+  const content = body.slice(21 + idLength);
+  const { key, nonce } = deriveKeys(browserECDH.computeSecret(serverKey), authSecret, browserECDH.getPublicKey(), serverKey, salt);
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', key, nonce);
+  decipher.setAuthTag(content.slice(-16));
+  const plain = Buffer.concat([decipher.update(content.slice(0, -16)), decipher.final()]);
+
+  // Strip the padding and the delimiter
+  let end = plain.length - 1;
+  while (end > 0 && plain[end] === 0) end--;
+  return plain.slice(0, end).toString('utf8');
+}
+
+/**
+ * Create a VAPID key pair
+ * @returns {Object} {publicKey, privateKey} as base64url
+ */
+function generateKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return { publicKey: base64url(ecdh.getPublicKey()), privateKey: base64url(ecdh.getPrivateKey()) };
+}
+
+/**
+ * The VAPID keys from the environment
+ * @returns {Object|null} {publicKey, privateKey, subject}, or null if not configured
+ */
+function keysFromEnv() {
+  const { NZBI_VAPID_PUBLIC_KEY: publicKey, NZBI_VAPID_PRIVATE_KEY: privateKey } = process.env;
+  if (!publicKey || !privateKey) return null;
+  return { publicKey, privateKey, subject: process.env.NZBI_VAPID_SUBJECT || DEFAULT_SUBJECT };
+}
+
+/**
+ * Turn a raw P-256 public key into a JSON Web Key
+ * @param {Buffer} publicKey - Uncompressed public key (65 bytes)
+ * @returns {Object} JWK
+ */
+function toJWK(publicKey) {
+  return { kty: 'EC', crv: 'P-256', x: base64url(publicKey.slice(1, 33)), y: base64url(publicKey.slice(33, 65)) };
+}
+
+/**
+ * Build the VAPID Authorization header for a push service
+ * @param {string} endpoint - Subscription endpoint
+ * @param {Object} keys - {publicKey, privateKey, subject}
+ * @returns {string} Authorization header value
+ */
+function vapidAuthorization(endpoint, keys) {
+  const header = base64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = base64url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + 12 * 3600,
+    sub: keys.subject || DEFAULT_SUBJECT
+  }));
+
+  const privateKey = crypto.createPrivateKey({
+    key: Object.assign(toJWK(fromBase64url(keys.publicKey)), { d: keys.privateKey }),
+    format: 'jwk'
+  });
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+
+  return `vapid t=${header}.${claims}.${base64url(signature)}, k=${keys.publicKey}`;
+}
+
+/**
+ * Check a VAPID Authorization header, as a push service does
+ * @param {string} authorization - Authorization header value
+ * @param {string} origin - Origin of the push service
+ * @returns {string} Error message, or an empty string if valid
+ */
+function verifyAuthorization(authorization, origin) {
+  const match = /^vapid t=([\w-]+)\.([\w-]+)\.([\w-]+),\s*k=([\w-]+)$/.exec(authorization || '');
+  if (!match) return 'Missing or malformed vapid Authorization header';
+
+  const [, header, claims, signature, publicKey] = match;
+  const key = crypto.createPublicKey({ key: toJWK(fromBase64url(publicKey)), format: 'jwk' });
+  const valid = crypto.verify('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' }, fromBase64url(signature));
+  if (!valid) return 'Invalid VAPID signature';
+
+  const body = JSON.parse(fromBase64url(claims).toString('utf8'));
+  if (body.aud !== origin) return `VAPID audience ${body.aud} does not match ${origin}`;
+  if (!(body.exp > Date.now() / 1000) || body.exp > Date.now() / 1000 + 24 * 3600) return 'VAPID token has expired or lasts longer than 24 hours';
+  if (!/^(mailto:|https:)/.test(body.sub || '')) return 'VAPID subject must be a mailto: or https: URL';
+  return '';
+}
+
+/**
+ * Send one notification
+ * @param {Object} subscription - PushSubscription JSON
+ * @param {Object} notification - {title, body, url, tag, topic}
+ * @param {Object} keys - VAPID keys
+ * @returns {Promise<number>} Resolves with the push service's status code
+ */
+function sendNotification(subscription, notification, keys) {
+  const body = encrypt(subscription, JSON.stringify(notification));
+  const url = new URL(subscription.endpoint);
+
+  return new Promise((resolve, reject) => {
+    const request = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Content-Encoding': 'aes128gcm',
+        'Content-Length': body.length,
+        'TTL': TTL,
+        'Urgency': notification.topic === 'moonsighting' ? 'high' : 'normal',
+        'Authorization': vapidAuthorization(subscription.endpoint, keys)
+      },
+      timeout: 15000
+    }, response => {
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+    });
+    request.on('timeout', () => request.destroy(new Error('Push service timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Read the saved subscriptions
+ * @param {string} file - Store path
+ * @returns {Array} Subscriptions with endpoint, keys and topics
+ */
+function readSubscriptions(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file || STORE, 'utf8')).subscriptions || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Save the subscriptions
+ * @param {string} file - Store path
+ * @param {Array} subscriptions - Subscriptions
+ */
+function writeSubscriptions(file, subscriptions) {
+  fs.writeFileSync(file || STORE, `${JSON.stringify({ subscriptions }, null, 2)}\n`);
+}
+
+/**
+ * Add or update a subscription
+ * @param {string} file - Store path
+ * @param {Object} subscription - PushSubscription JSON
+ * @param {Array} topics - Topics, or undefined to keep the saved ones
+ * @param {string} oldEndpoint - Endpoint this subscription replaces, if the browser renewed it
+ * @returns {Object} Saved record
+ */
+function saveSubscription(file, subscription, topics, oldEndpoint) {
+  const subscriptions = readSubscriptions(file);
+  const existing = subscriptions.find(item => item.endpoint === subscription.endpoint || (oldEndpoint && item.endpoint === oldEndpoint));
+  const now = new Date().toISOString();
+  const record = {
+    endpoint: subscription.endpoint,
+    keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+    topics: topics || (existing ? existing.topics : ['moonsighting']),
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+
+  writeSubscriptions(file, subscriptions.filter(item => item !== existing).concat(record));
+  return record;
+}
+
+/**
+ * Remove a subscription
+ * @param {string} file - Store path
+ * @param {string} endpoint - Subscription endpoint
+ * @returns {boolean} True if it was saved
+ */
+function removeSubscription(file, endpoint) {
+  const subscriptions = readSubscriptions(file);
+  const remaining = subscriptions.filter(item => item.endpoint !== endpoint);
+  writeSubscriptions(file, remaining);
+  return remaining.length !== subscriptions.length;
+}
+
+/**
+ * Send a notification to everyone subscribed to its topic
+ * Subscriptions the push service reports as gone (404 or 410) are removed
+ * @param {Object} notification - {title, body, url, tag, topic}
+ * @param {Object} options - keys, store and log (defaults to console.log)
+ * @returns {Promise<Object>} Resolves with {sent, failed, removed}
+ */
+function sendToTopic(notification, options) {
+  const settings = Object.assign({ keys: keysFromEnv(), store: STORE, log: console.log }, options);
+  if (!settings.keys) return Promise.reject(new Error('Set NZBI_VAPID_PUBLIC_KEY and NZBI_VAPID_PRIVATE_KEY to send notifications'));
+
+  const subscriptions = readSubscriptions(settings.store).filter(item => item.topics.includes(notification.topic));
+  const result = { sent: 0, failed: 0, removed: 0 };
+
+  return Promise.all(subscriptions.map(subscription => sendNotification(subscription, notification, settings.keys)
+    .then(status => {
+      if (status >= 200 && status < 300) return result.sent++;
+      if (status === 404 || status === 410) {
+        removeSubscription(settings.store, subscription.endpoint);
+        return result.removed++;
+      }
+      result.failed++;
+      settings.log(`  ${status} from ${new URL(subscription.endpoint).host}`);
+    })
+    .catch(error => {
+      result.failed++;
+      settings.log(`  ${error.message} (${new URL(subscription.endpoint).host})`);
+    })))
+    .then(() => {
+      settings.log(`[push] "${notification.title}" to ${notification.topic}: ${result.sent} sent, ${result.failed} failed, ${result.removed} removed`);
+      return result;
+    });
+}
+
+/**
+ * Build the notification for an announcement in data/announcements.json
+ * @param {Object} item - Announcement
+ * @returns {Object} Notification
+ */
+function fromAnnouncement(item) {
+  return {
+    topic: 'events',
+    title: item.title,
+    body: item.summary,
+    url: `/announcements/${item.id}.html`,
+    tag: `announcement-${item.id}`
+  };
+}
+
+/**
+ * Read a command line option
+ * @param {string} name - Option name without dashes
+ * @param {*} fallback - Value when the option is missing
+ * @returns {*} Option value, or true for flags
+ */
+function option(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  if (index === -1) return fallback;
+  const value = process.argv[index + 1];
+  return value && !value.startsWith('--') ? value : true;
+}
+
+/**
+ * Build the notification described by the command line
+ * @returns {Object} Notification
+ */
+function notificationFromArgs() {
+  const readData = file => JSON.parse(fs.readFileSync(path.join(ROOT, 'data', file), 'utf8'));
+
+  if (option('decision')) {
+    const MonthDecision = require('../js/MonthDecision.js');
+    const records = MonthDecision.published(readData('month-starts.json').monthStarts);
+    const key = option('decision');
+    const record = key === 'latest' ? records[0] : records.find(item => `${item.year}-${item.month}` === key);
+    if (!record) throw new Error(`No published decision ${key}`);
+    return MonthDecision.toNotification(record);
+  }
+
+  if (option('announcement')) {
+    const item = readData('announcements.json').announcements.find(entry => entry.id === option('announcement'));
+    if (!item) throw new Error(`No announcement with id ${option('announcement')}`);
+    return fromAnnouncement(item);
+  }
+
+  const notification = {
+    topic: option('topic', 'moonsighting'),
+    title: option('title', ''),
+    body: option('body', ''),
+    url: option('url', '/')
+  };
+  if (!(notification.topic in TOPICS)) throw new Error(`Unknown topic ${notification.topic}. Topics: ${Object.keys(TOPICS).join(', ')}`);
+  if (!notification.title) throw new Error('Give a --title, --decision or --announcement');
+  return notification;
+}
+
+if (require.main === module) {
+  if (option('generate-keys')) {
+    const keys = generateKeys();
+    console.log(`export NZBI_VAPID_PUBLIC_KEY=${keys.publicKey}`);
+    console.log(`export NZBI_VAPID_PRIVATE_KEY=${keys.privateKey}`);
+    console.log('Keep the private key secret. Changing the keys ends every existing subscription.');
+    process.exit(0);
+  }
+
+  let notification;
+  try {
+    notification = notificationFromArgs();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  if (option('dry-run')) {
+    console.log(JSON.stringify(notification, null, 2));
+    process.exit(0);
+  }
+
+  sendToTopic(notification, { store: option('store', STORE) })
+    .catch(error => {
+      console.error(error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  STORE,
+  TOPICS,
+  encrypt,
+  decrypt,
+  generateKeys,
+  keysFromEnv,
+  vapidAuthorization,
+  verifyAuthorization,
+  sendNotification,
+  readSubscriptions,
+  saveSubscription,
+  removeSubscription,
+  sendToTopic,
+  fromAnnouncement
+};
@@ -1,74 +1,300 @@
 // Service Worker for NZBI Website
-const CACHE_NAME = 'nzbi-cache-v1';
-const urlsToCache = [
-  '/',
-  '/index.html',
-  '/about.html',
-  '/contact.html',
-  '/imam.html',
-  '/moonsighting.html',
-  '/announcements.html',
-  '/styles.css',
-  '/main.js',
-  '/images/logo.png',
-  '/images/moon.jpeg',
-  '/images/moon phases.jpg'
-];
-
-// Install event - cache assets
+// The precache manifest is generated by scripts/build-precache.js. A new manifest
+// installs a new version, which waits until the visitor reloads from the prompt in main.js.
+// Until then the pages, scripts, styles and translations all come from the current
+// version's precache, so a page never runs against scripts or styles of another version.
+importScripts('/precache-manifest.js');
+
+// Prayer times, for scheduling prayer reminders while the site is closed
+importScripts('/js/PrayerTimes.js', '/js/PrayerReminders.js');
+
+const PRECACHE = `nzbi-precache-${self.PRECACHE_VERSION}`;
+const RUNTIME_CACHE = 'nzbi-runtime';
+const IMAGE_CACHE = 'nzbi-images';
+const MAP_TILE_CACHE = 'nzbi-map-tiles';
+const REMINDER_CACHE = 'nzbi-reminders';
+const CURRENT_CACHES = [PRECACHE, RUNTIME_CACHE, IMAGE_CACHE, MAP_TILE_CACHE, REMINDER_CACHE];
+
+// Runtime caches keep at most this many entries, dropping the oldest first
+const RUNTIME_MAX_ENTRIES = 60;
+const IMAGE_MAX_ENTRIES = 40;
+const MAP_TILE_MAX_ENTRIES = 200;
+
+// Show the saved copy of a page if the network takes longer than this
+const NETWORK_TIMEOUT = 4000;
+
+const OFFLINE_PAGE = '/offline.html';
+
+// Third-party files the pages need to render: Google Fonts and Leaflet
+const CDN_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'unpkg.com'];
+
+// OpenStreetMap tiles, kept so the maps the visitor has looked at still show offline
+const MAP_TILE_HOST = /(^|\.)tile\.openstreetmap\.org$/;
+
+// The reminder settings sent by the pages are kept under this key in REMINDER_CACHE
+const REMINDER_CONFIG = '/prayer-reminders.json';
+
+// Days of reminders scheduled ahead; periodic sync and each visit schedule the days after
+const REMINDER_DAYS = 3;
+
+// Precached files are stored under their revision, so unchanged files carry over between versions
+const precacheKeys = new Map(self.PRECACHE_MANIFEST.map(entry => [entry.url, `${entry.url}?__rev=${entry.revision}`]));
+
+/**
+ * The precache key of a file
+ * @param {Request|string} request - Request or URL
+ * @returns {string|undefined} Key, or undefined if the file is not precached
+ */
+function precacheKey(request) {
+  let { pathname } = new URL(typeof request === 'string' ? request : request.url, self.location.origin);
+  if (pathname.endsWith('/')) pathname += 'index.html';
+  return precacheKeys.get(pathname);
+}
+
+/**
+ * Find a file in the precache
+ * @param {Request|string} request - Request or URL
+ * @returns {Promise<Response|undefined>} Cached response
+ */
+function matchPrecache(request) {
+  const key = precacheKey(request);
+  return key ? caches.open(PRECACHE).then(cache => cache.match(key)) : Promise.resolve(undefined);
+}
+
+/**
+ * Save a response in a runtime cache, dropping the oldest entries over the limit
+ * @param {string} cacheName - Cache name
+ * @param {Request} request - Request
+ * @param {Response} response - Response to save
+ * @param {number} maxEntries - Entry limit
+ * @returns {Promise} Resolves once saved
+ */
+function putInCache(cacheName, request, response, maxEntries) {
+  return caches.open(cacheName).then(cache => cache.put(request, response)
+    .then(() => cache.keys())
+    .then(keys => Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)))));
+}
+
+/**
+ * Network first, for pages and data that change: the saved copy is used when
+ * offline or when the network is slow, and the offline page when there is none
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Response
+ */
+function networkFirst(event) {
+  const { request } = event;
+  const fromCache = () => caches.open(RUNTIME_CACHE)
+    .then(cache => cache.match(request))
+    .then(cached => cached || matchPrecache(request));
+
+  const network = fetch(request).then(response => {
+    if (response.ok) event.waitUntil(putInCache(RUNTIME_CACHE, request, response.clone(), RUNTIME_MAX_ENTRIES));
+    return response;
+  });
+
+  // On a slow connection show the saved copy, and let the network response update the cache
+  const slow = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT))
+    .then(fromCache)
+    .then(cached => cached || network);
+
+  return Promise.race([network, slow]).catch(() => fromCache().then(cached => {
+    if (cached) return cached;
+    return request.mode === 'navigate' ? matchPrecache(OFFLINE_PAGE) : Response.error();
+  }));
+}
+
+/**
+ * Stale-while-revalidate, for images and CDN files: answer from the cache
+ * straight away and refresh the cache in the background
+ * @param {FetchEvent} event - Fetch event
+ * @param {string} cacheName - Runtime cache
+ * @param {number} maxEntries - Entry limit
+ * @returns {Promise<Response>} Response
+ */
+function staleWhileRevalidate(event, cacheName, maxEntries) {
+  const { request } = event;
+
+  return matchPrecache(request).then(precached => {
+    if (precached) return precached;
+
+    return caches.open(cacheName).then(cache => cache.match(request)).then(cached => {
+      // Cross-origin files loaded without CORS are opaque - their status cannot be read
+      const network = fetch(request).then(response => {
+        if (response.ok || response.type === 'opaque') {
+          event.waitUntil(putInCache(cacheName, request, response.clone(), maxEntries));
+        }
+        return response;
+      });
+
+      if (!cached) return network;
+      event.waitUntil(network.catch(() => {}));
+      return cached;
+    });
+  });
+}
+
+/**
+ * Schedule the prayer reminders for the next few days with Notification Triggers,
+ * replacing the ones scheduled before. Browsers without triggers get their reminders
+ * from the page instead (js/PrayerReminderScheduler.js).
+ * @returns {Promise} Resolves once scheduled
+ */
+function scheduleReminders() {
+  if (typeof TimestampTrigger === 'undefined') return Promise.resolve();
+
+  return caches.open(REMINDER_CACHE)
+    .then(cache => cache.match(REMINDER_CONFIG))
+    .then(response => (response ? response.json() : null))
+    .then(config => self.registration.getNotifications({ includeTriggered: true })
+      .then(notifications => notifications
+        .filter(notification => notification.tag.startsWith(PrayerReminders.TAG_PREFIX) && notification.showTrigger && notification.showTrigger.timestamp > Date.now())
+        .forEach(notification => notification.close()))
+      .then(() => {
+        if (!config || !config.settings.enabled) return;
+        const reminders = PrayerReminders.upcoming(PrayerReminders.normalize(config.settings), config.location, new Date(), REMINDER_DAYS);
+        return Promise.all(reminders.map(reminder => {
+          const { title, body } = PrayerReminders.message(reminder, config.location, config.strings);
+          return self.registration.showNotification(title, {
+            body,
+            icon: '/images/logo.png',
+            badge: '/images/logo.png',
+            tag: reminder.tag,
+            silent: reminder.silent,
+            showTrigger: new TimestampTrigger(reminder.at.getTime()),
+            data: { url: config.url || '/prayer-times.html' }
+          });
+        }));
+      }));
+}
+
+// Install event - precache the files in the manifest, reusing unchanged files from the previous version
 self.addEventListener('install', event => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => {
-        console.log('Opened cache');
-        return cache.addAll(urlsToCache);
-      })
+    caches.open(PRECACHE).then(cache => Promise.all(Array.from(precacheKeys.values()).map(key =>
+      caches.match(key)
+        .then(cached => cached || fetch(key, { cache: 'reload' }).then(response => {
+          if (!response.ok) throw new Error(`Precaching ${key} failed with HTTP ${response.status}`);
+          return response;
+        }))
+        .then(response => cache.put(key, response))
+    )))
+  );
+});
+
+// Activate event - remove the caches of previous versions and take over open pages
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(cacheNames => Promise.all(cacheNames
+        .filter(cacheName => cacheName.startsWith('nzbi-') && !CURRENT_CACHES.includes(cacheName))
+        .map(cacheName => caches.delete(cacheName))))
+      .then(() => self.clients.claim())
   );
 });
 
-// Fetch event - serve from cache if available
+// Message event - the visitor chose to reload into the new version, or changed their prayer reminders
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+
+  if (event.data && event.data.type === 'PRAYER_REMINDERS') {
+    event.waitUntil(caches.open(REMINDER_CACHE)
+      .then(cache => cache.put(REMINDER_CONFIG, new Response(JSON.stringify(event.data.config), {
+        headers: { 'Content-Type': 'application/json' }
+      })))
+      .then(scheduleReminders));
+  }
+});
+
+// Periodic sync - schedule the next days' reminders, with the times after any daylight saving change
+self.addEventListener('periodicsync', event => {
+  if (event.tag === 'prayer-reminders') event.waitUntil(scheduleReminders());
+});
+
+// Fetch event - choose a strategy by the kind of file
 self.addEventListener('fetch', event => {
-  event.respondWith(
-    caches.match(event.request)
-      .then(response => {
-        // Cache hit - return response
-        if (response) {
-          return response;
-        }
-        return fetch(event.request).then(
-          response => {
-            // Check if we received a valid response
-            if(!response || response.status !== 200 || response.type !== 'basic') {
-              return response;
-            }
-
-            // Clone the response
-            const responseToCache = response.clone();
-
-            caches.open(CACHE_NAME)
-              .then(cache => {
-                cache.put(event.request, responseToCache);
-              });
-
-            return response;
-          }
-        );
-      })
-    );
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Leave form submissions and the admin and push APIs to the network - the contact form queues messages itself when offline
+  if (request.method !== 'GET') return;
+
+  if (url.origin !== self.location.origin) {
+    if (CDN_HOSTS.includes(url.hostname)) event.respondWith(staleWhileRevalidate(event, RUNTIME_CACHE, RUNTIME_MAX_ENTRIES));
+    else if (MAP_TILE_HOST.test(url.hostname)) event.respondWith(staleWhileRevalidate(event, MAP_TILE_CACHE, MAP_TILE_MAX_ENTRIES));
+    return;
+  }
+
+  if (url.pathname.startsWith('/api/')) return;
+
+  // Pages, scripts, styles, fonts and translations come from the precache, all from the same
+  // version - a newer version is only used once the visitor reloads into it
+  if (precacheKey(request)) {
+    event.respondWith(matchPrecache(request).then(cached => cached || networkFirst(event)));
+    return;
+  }
+
+  // Data files, announcement and imam pages and the calendar feed change - try the network first
+  if (request.mode === 'navigate' || url.pathname.endsWith('/') || /\.(html|json|ics)$/.test(url.pathname)) {
+    event.respondWith(networkFirst(event));
+    return;
+  }
+
+  if (request.destination === 'image' || /\.(png|jpe?g|gif|svg|webp|ico)$/i.test(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event, IMAGE_CACHE, IMAGE_MAX_ENTRIES));
+  }
 });
 
-// Activate event - clean up old caches
-self.addEventListener('activate', event => {
-  const cacheWhitelist = [CACHE_NAME];
+// Push event - show a notification sent by scripts/send-push.js
+self.addEventListener('push', event => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (error) {
+    data = { body: event.data.text() };
+  }
+
   event.waitUntil(
-    caches.keys().then(cacheNames => {
-      return Promise.all(
-        cacheNames.map(cacheName => {
-          if (cacheWhitelist.indexOf(cacheName) === -1) {
-            return caches.delete(cacheName);
-          }
-        })
-      );
+    self.registration.showNotification(data.title || 'New Zealand Board of Imams', {
+      body: data.body || '',
+      icon: '/images/logo.png',
+      badge: '/images/logo.png',
+      tag: data.tag,
+      renotify: Boolean(data.tag),
+      data: { url: data.url || '/' }
     })
   );
 });
+
+// Notification click - focus the page if it is already open, otherwise open it
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+  event.waitUntil(
+    clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then(windows => {
+        const existing = windows.find(client => client.url === url);
+        return existing ? existing.focus() : clients.openWindow(url);
+      })
+  );
+});
+
+// Subscription change - the browser renewed the subscription, so save the new one with the same topics
+self.addEventListener('pushsubscriptionchange', event => {
+  const resubscribe = event.newSubscription
+    ? Promise.resolve(event.newSubscription)
+    : fetch('/api/push/public-key')
+      .then(response => response.json())
+      .then(data => self.registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: data.publicKey }));
+
+  event.waitUntil(
+    resubscribe.then(subscription => fetch('/api/push/subscribe', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        subscription: subscription.toJSON(),
+        oldEndpoint: event.oldSubscription ? event.oldSubscription.endpoint : undefined
+      })
+    }))
+  );
+});
@@ -0,0 +1,55 @@
+/**
+ * tailwind.config.js
+ * Tailwind CSS settings for /tailwind.css, which scripts/build-site.js compiles.
+ * Only the classes found in the files under content are included, so a class built
+ * from pieces in a script (e.g. `text-${color}`) must appear in full somewhere in them.
+ */
+
+/** @type {import('tailwindcss').Config} */
+module.exports = {
+  content: [
+    './*.html',
+    './partials/*.html',
+    './templates/*.html',
+    './main.js',
+    './js/*.js',
+    // The FAQ, announcement and imam pages are drawn by these
+    './scripts/build-*.js'
+  ],
+  theme: {
+    extend: {
+      colors: {
+        'primary-color': 'var(--primary-color)',
+        'primary-dark': 'var(--primary-dark)',
+        'primary-light': 'var(--primary-light)',
+        'accent-color': 'var(--accent-color)',
+        'bg-dark': 'var(--bg-dark)',
+        'bg-light': 'var(--bg-light)'
+      },
+      fontFamily: {
+        'sans': ['Poppins', 'sans-serif'],
+        'arabic': ['Amiri', 'serif'],
+        'arabic-alt': ['Lateef', 'serif']
+      },
+      animation: {
+        'float': 'float 3s ease-in-out infinite',
+        'fadeIn': 'fadeIn 0.5s ease-in-out',
+        'slideUp': 'slideUp 0.5s ease-out'
+      },
+      keyframes: {
+        float: {
+          '0%, 100%': { transform: 'translateY(0)' },
+          '50%': { transform: 'translateY(-10px)' }
+        },
+        fadeIn: {
+          '0%': { opacity: '0' },
+          '100%': { opacity: '1' }
+        },
+        slideUp: {
+          '0%': { transform: 'translateY(20px)', opacity: '0' },
+          '100%': { transform: 'translateY(0)', opacity: '1' }
+        }
+      }
+    }
+  }
+};
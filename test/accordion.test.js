@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWindow, press, readMain } = require('./dom.js');
+
+const setup = options => createWindow(readMain('moonsighting.html'), Object.assign({ scripts: ['js/Accordion.js'] }, options));
+const buttonsOf = window => Array.from(window.document.querySelectorAll('.faq-toggle'));
+const openItems = window => buttonsOf(window)
+  .map((button, index) => (button.getAttribute('aria-expanded') === 'true' ? index : -1))
+  .filter(index => index >= 0);
+
+test('starts with every answer closed and labelled by its question', async () => {
+  const window = await setup();
+  const buttons = buttonsOf(window);
+
+  assert.ok(buttons.length > 3);
+  assert.deepStrictEqual(openItems(window), []);
+  buttons.forEach(button => {
+    const panel = window.document.getElementById(button.getAttribute('aria-controls'));
+    assert.strictEqual(button.type, 'button');
+    assert.strictEqual(panel.getAttribute('role'), 'region');
+    assert.strictEqual(panel.getAttribute('aria-labelledby'), button.id);
+    assert.strictEqual(panel.hidden, true);
+  });
+});
+
+test('a click opens an answer to its full height and closes the one that was open', async () => {
+  const window = await setup();
+  const buttons = buttonsOf(window);
+
+  buttons[1].click();
+  const panel = window.document.getElementById(buttons[1].getAttribute('aria-controls'));
+  assert.deepStrictEqual(openItems(window), [1]);
+  assert.strictEqual(panel.hidden, false);
+  // Long answers are not cut off at a fixed height
+  assert.strictEqual(panel.style.maxHeight, 'none');
+  assert.strictEqual(window.location.hash, `#${buttons[1].closest('.faq-item').id}`);
+
+  buttons[4].click();
+  assert.deepStrictEqual(openItems(window), [4]);
+  assert.strictEqual(panel.hidden, true);
+  assert.strictEqual(window.location.hash, `#${buttons[4].closest('.faq-item').id}`);
+
+  buttons[4].click();
+  assert.deepStrictEqual(openItems(window), []);
+  assert.strictEqual(window.location.hash, '');
+});
+
+test('arrow keys, Home and End move between questions', async () => {
+  const window = await setup();
+  const buttons = buttonsOf(window);
+  buttons[0].focus();
+
+  assert.strictEqual(press(buttons[0], 'ArrowDown').defaultPrevented, true);
+  assert.strictEqual(window.document.activeElement, buttons[1]);
+  press(buttons[1], 'ArrowUp');
+  assert.strictEqual(window.document.activeElement, buttons[0]);
+  press(buttons[0], 'ArrowUp');
+  assert.strictEqual(window.document.activeElement, buttons[buttons.length - 1]);
+  press(buttons[buttons.length - 1], 'Home');
+  assert.strictEqual(window.document.activeElement, buttons[0]);
+  press(buttons[0], 'End');
+  assert.strictEqual(window.document.activeElement, buttons[buttons.length - 1]);
+
+  // Moving focus does not open anything
+  assert.deepStrictEqual(openItems(window), []);
+});
+
+test('a link to an item opens it, on load and when the hash changes', async () => {
+  const window = await setup({ url: 'https://nzbi.com/moonsighting.html#faq-hanafi' });
+  const index = buttonsOf(window).findIndex(button => button.closest('.faq-item').id === 'faq-hanafi');
+  assert.deepStrictEqual(openItems(window), [index]);
+  assert.strictEqual(window.document.activeElement, buttonsOf(window)[index]);
+
+  window.location.hash = `#${buttonsOf(window)[6].closest('.faq-item').id}`;
+  await new Promise(resolve => window.addEventListener('hashchange', resolve, { once: true }));
+  assert.deepStrictEqual(openItems(window), [6]);
+});
+
+test('a link with an item\'s former numbered id opens it under its current id', async () => {
+  const window = await setup({ url: 'https://nzbi.com/moonsighting.html#faq-3' });
+  const index = buttonsOf(window).findIndex(button => button.closest('.faq-item').id === 'faq-hanafi');
+
+  assert.deepStrictEqual(openItems(window), [index]);
+  assert.strictEqual(window.location.hash, '#faq-hanafi');
+});
+
+test('data-multiple lets several answers stay open', async () => {
+  const window = await createWindow(`
+    <nzbi-accordion data-multiple>
+      <div class="faq-item" id="faq-0"><button class="faq-toggle">A</button><div class="faq-content">Answer A</div></div>
+      <div class="faq-item" id="faq-1" data-open><button class="faq-toggle">B</button><div class="faq-content">Answer B</div></div>
+    </nzbi-accordion>`, { scripts: ['js/Accordion.js'] });
+
+  assert.deepStrictEqual(openItems(window), [1]);
+  buttonsOf(window)[0].click();
+  assert.deepStrictEqual(openItems(window), [0, 1]);
+
+  // Ids are filled in where the markup has none
+  const button = buttonsOf(window)[0];
+  assert.strictEqual(button.getAttribute('aria-controls'), 'faq-content-0');
+  assert.strictEqual(window.document.getElementById('faq-content-0').getAttribute('aria-labelledby'), button.id);
+});
@@ -0,0 +1,84 @@
+/**
+ * dom.js
+ * Loads page markup and component scripts into jsdom for the component tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Fetch a file from the site, as the browser would from the server
+ * @param {string} url - URL or path from the site root
+ * @returns {Promise<Object>} Response with ok, status, json() and text()
+ */
+function fetchFile(url) {
+  const file = path.join(ROOT, new URL(url, 'https://nzbi.com/').pathname);
+  const ok = file.startsWith(ROOT) && fs.existsSync(file) && fs.statSync(file).isFile();
+  const text = ok ? fs.readFileSync(file, 'utf8') : '';
+  return Promise.resolve({
+    ok,
+    status: ok ? 200 : 404,
+    json: () => Promise.resolve().then(() => JSON.parse(text)),
+    text: () => Promise.resolve(text)
+  });
+}
+
+/**
+ * Create a window with the given markup and component scripts
+ * @param {string} html - Body markup
+ * @param {Object} options - scripts (paths from the site root), url, dir and fetch (serves the
+ *   site's files by default, so js/I18n.js loads the real translations)
+ * @returns {Promise} Resolves with the jsdom window once DOMContentLoaded has run and any
+ *   translations have loaded
+ */
+function createWindow(html, options) {
+  const settings = Object.assign({ scripts: [], url: 'https://nzbi.com/', dir: 'ltr', fetch: fetchFile }, options);
+  const dom = new JSDOM(`<!DOCTYPE html><html dir="${settings.dir}"><body>${html}</body></html>`, {
+    url: settings.url,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true
+  });
+  const window = dom.window;
+  window.Element.prototype.scrollIntoView = function() {};
+  // jsdom has no TextEncoder, which CalendarFeed uses to fold long lines
+  window.TextEncoder = TextEncoder;
+  window.fetch = settings.fetch;
+
+  // Every script shares one scope, as in the browser; the last line hands back I18n.ready when
+  // js/I18n.js is loaded, since the scripts' own names are not visible outside the eval
+  const translations = window.eval(settings.scripts.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'))
+    .concat("typeof I18n !== 'undefined' ? I18n.ready : null").join('\n;\n'));
+
+  // jsdom fires DOMContentLoaded itself once the current task ends
+  const loaded = window.document.readyState !== 'loading'
+    ? Promise.resolve(window.document.dispatchEvent(new window.Event('DOMContentLoaded')))
+    : new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+  return Promise.all([loaded, translations]).then(() => window);
+}
+
+/**
+ * Send a key press to an element
+ * @param {Element} element - Target
+ * @param {string} key - Key name, e.g. "ArrowRight"
+ * @returns {KeyboardEvent} The event, to check whether it was handled
+ */
+function press(element, key) {
+  const event = new element.ownerDocument.defaultView.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+  element.dispatchEvent(event);
+  return event;
+}
+
+/**
+ * Read a page from the site
+ * @param {string} file - Path from the site root
+ * @returns {string} Markup inside <main>
+ */
+function readMain(file) {
+  const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+  return /<main\b[^>]*>([\s\S]*)<\/main>/.exec(html)[1];
+}
+
+module.exports = { createWindow, press, readMain };
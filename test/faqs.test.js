@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { renderMarkdown, validate, faqsForPage, renderPage } = require('../scripts/build-faqs.js');
+const { createWindow, readMain } = require('./dom.js');
+
+const ROOT = path.join(__dirname, '..');
+const data = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'faqs.json'), 'utf8'));
+const read = file => fs.readFileSync(path.join(ROOT, file), 'utf8');
+
+test('answers are markdown with any HTML escaped', () => {
+  assert.strictEqual(
+    renderMarkdown('**Allah knows best.** See <img src=x onerror=alert(1)> and *this*', {}),
+    '<p><strong>Allah knows best.</strong> See &lt;img src=x onerror=alert(1)&gt; and <em>this</em></p>'
+  );
+  assert.strictEqual(
+    renderMarkdown(['First', '1. One\n2. Two'], { p: 'text-gray-700', ol: 'list-decimal' }),
+    '<p class="text-gray-700">First</p>\n<ol class="list-decimal mt-2"><li>One</li><li>Two</li></ol>'
+  );
+});
+
+test('links only go to the site, http(s), mailto: and tel:', () => {
+  assert.strictEqual(renderMarkdown('[Donate](/donate.html)', {}), '<p><a href="/donate.html">Donate</a></p>');
+  assert.strictEqual(renderMarkdown('[Call](tel:+6491234567)', {}), '<p><a href="tel:+6491234567">Call</a></p>');
+  assert.strictEqual(renderMarkdown('[Click](javascript:alert)', {}), '<p>Click</p>');
+  assert.strictEqual(renderMarkdown('[Away](//example.com)', {}), '<p>Away</p>');
+  assert.strictEqual(renderMarkdown('[Quote](/a"onclick="x)', {}), '<p><a href="/a&quot;onclick=&quot;x">Quote</a></p>');
+  // Square brackets that are not a link are left as they are
+  assert.strictEqual(renderMarkdown('[Recorded by Imaam Muslim]', {}), '<p>[Recorded by Imaam Muslim]</p>');
+});
+
+test('the data is valid and categories can be shared between pages', () => {
+  assert.doesNotThrow(() => validate(data));
+  assert.throws(() => validate(Object.assign({}, data, { faqs: data.faqs.concat(data.faqs[0]) })), /Duplicate FAQ id/);
+  assert.throws(() => validate(Object.assign({}, data, { formerIds: { 'contact.html': { 'faq-9': 'hanafi' } } })), /not one of its FAQs/);
+
+  const ids = page => [].concat(...faqsForPage(data, page).map(group => group.faqs)).map(faq => faq.id);
+  const shared = ids('moonsighting.html').filter(id => ids('contact.html').includes(id));
+  assert.ok(shared.length > 0);
+});
+
+test('the pages are up to date with data/faqs.json', () => {
+  Object.keys(data.pages).forEach(page => {
+    const html = read(page);
+    assert.strictEqual(renderPage(html, faqsForPage(data, page), page), html, `Run node scripts/build-faqs.js to update ${page}`);
+  });
+});
+
+test('each page has FAQPage structured data matching its accordion', async () => {
+  const html = read('contact.html');
+  const jsonLd = JSON.parse(/<script type="application\/ld\+json" id="faq-structured-data">([\s\S]*?)<\/script>/.exec(html)[1]);
+  const window = await createWindow(readMain('contact.html'), { scripts: ['js/Accordion.js'] });
+  const questions = Array.from(window.document.querySelectorAll('.faq-toggle')).map(button => button.textContent.trim());
+
+  assert.strictEqual(jsonLd['@type'], 'FAQPage');
+  assert.deepStrictEqual(jsonLd.mainEntity.map(question => question.name), questions);
+  assert.match(jsonLd.mainEntity[0].acceptedAnswer.text, /^<p>/);
+});
@@ -0,0 +1,10 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Html = require('../js/Html.js');
+
+test('escapes text for element content and quoted attributes', () => {
+  assert.strictEqual(Html.escape('<a href="x">Tom & Jerry\'s</a>'), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+  assert.strictEqual(Html.escape(12), '12');
+  assert.strictEqual(Html.escape(null), '');
+  assert.strictEqual(Html.escape(undefined), '');
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const MonthDecision = require('../js/MonthDecision.js');
+const Donations = require('../js/Donations.js');
+const SightingCheck = require('../js/SightingCheck.js');
+
+const readLocale = code => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'locales', `${code}.json`), 'utf8'));
+
+/**
+ * Every dotted key in a set of messages
+ * @param {Object} messages - Nested messages
+ * @param {string} prefix - Key so far
+ * @returns {Array} Keys
+ */
+function keys(messages, prefix = '') {
+  return Object.entries(messages).flatMap(([key, value]) => (typeof value === 'object'
+    ? keys(value, `${prefix}${key}.`)
+    : [`${prefix}${key}`]));
+}
+
+test('the English messages match the text the shared scripts write without I18n', () => {
+  const english = readLocale('en');
+
+  assert.deepStrictEqual(english.decision, MonthDecision.MESSAGES);
+  assert.deepStrictEqual(english.donations, Donations.MESSAGES);
+  assert.deepStrictEqual(english.sighting.flags, SightingCheck.MESSAGES);
+});
+
+test('every translation has an English message to fall back on', () => {
+  const english = new Set(keys(readLocale('en')));
+
+  ['mi', 'ar', 'ur', 'so'].forEach(code => {
+    const missing = keys(readLocale(code)).filter(key => !english.has(key));
+    assert.deepStrictEqual(missing, [], `locales/${code}.json has keys that are not in locales/en.json`);
+  });
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWindow } = require('./dom.js');
+const HijriCalendar = require('../js/HijriCalendar.js');
+
+const scripts = ['js/Html.js', 'js/I18n.js', 'js/Lunar.js', 'js/HijriCalendar.js', 'js/CalendarFeed.js', 'js/IslamicCalendar.js'];
+
+test('shows event titles as text, not markup', async () => {
+  const window = await createWindow('<div id="calendar"><div data-calendar-grid></div><ul data-calendar-list></ul></div>', { scripts });
+  const title = '<img src="x" onerror="alert(1)"> "Open" day';
+  window.fetch = url => Promise.resolve({
+    ok: true,
+    json: () => Promise.resolve(url.includes('events') ? { events: [{ title, start: '2025-03-10T18:00' }] } : null)
+  });
+
+  const calendar = new window.IslamicCalendar({ element: window.document.getElementById('calendar'), year: 2025, month: 3, updateUrl: false });
+  await calendar.load();
+
+  const grid = window.document.querySelector('[data-calendar-grid]');
+  const list = window.document.querySelector('[data-calendar-list]');
+  assert.strictEqual(grid.querySelector('img'), null);
+  assert.strictEqual(list.querySelector('img'), null);
+  assert.ok(Array.from(grid.querySelectorAll('[title]')).some(marker => marker.title === title && marker.textContent === title));
+  assert.ok(list.textContent.includes(title));
+});
+
+test('the .ics key dates take their SEQUENCE from the month starts revision, so a moved date replaces the old one', async () => {
+  // This year's Eid al-Fitr is always in the file, which covers the past year and the next two
+  const { year } = HijriCalendar.today();
+  const estimate = HijriCalendar.monthStart(year, 10).start;
+
+  /**
+   * This year's Eid al-Fitr from the calendar's .ics file, with a confirmed start
+   * @param {number} revision - Revision of the month starts
+   * @param {number} days - Days after the estimated start
+   * @returns {Promise<Object>} The VEVENT text and the start date as YYYYMMDD
+   */
+  const eidEvent = async (revision, days) => {
+    const start = HijriCalendar.formatDate(HijriCalendar.addDays(estimate, days));
+    const monthStarts = {
+      revision,
+      monthStarts: [{ year, month: 10, decision: 'sighted', sightingEvening: HijriCalendar.formatDate(HijriCalendar.addDays(estimate, days - 1)), start }]
+    };
+    const window = await createWindow('<div id="calendar"><div data-calendar-grid></div></div>', { scripts });
+    window.fetch = url => Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve(url.includes('events') ? { events: [] } : monthStarts)
+    });
+    const calendar = new window.IslamicCalendar({ element: window.document.getElementById('calendar'), updateUrl: false });
+    await calendar.load();
+    const event = calendar.toICS().split('BEGIN:VEVENT').find(text => text.includes(`UID:hijri-${year}-eid-al-fitr@`));
+    return { event, start: start.replace(/-/g, '') };
+  };
+
+  const first = await eidEvent(3, 0);
+  assert.match(first.event, /SEQUENCE:3\r\n/);
+  assert.ok(first.event.includes(`DTSTART;VALUE=DATE:${first.start}\r\n`));
+
+  // The Board corrects the date: the new revision is higher, so calendars take the new start
+  const corrected = await eidEvent(4, 1);
+  assert.match(corrected.event, /SEQUENCE:4\r\n/);
+  assert.ok(corrected.event.includes(`DTSTART;VALUE=DATE:${corrected.start}\r\n`));
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createServer } = require('../scripts/mock-server.js');
+
+/**
+ * Send a GET request with the path exactly as given
+ * @param {number} port - Server port
+ * @param {string} path - Request path
+ * @returns {Promise<number>} Response status
+ */
+function get(port, path) {
+  return new Promise((resolve, reject) => {
+    http.get({ port, path }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    }).on('error', reject);
+  });
+}
+
+/**
+ * Send a POST request with a raw body
+ * @param {number} port - Server port
+ * @param {string} path - Request path
+ * @param {string} body - Request body, sent as it is
+ * @returns {Promise<number>} Response status
+ */
+function post(port, path, body) {
+  return new Promise((resolve, reject) => {
+    const request = http.request({ port, path, method: 'POST', headers: { 'Content-Type': 'application/json' } }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    }).on('error', reject);
+    request.end(body);
+  });
+}
+
+test('answers a malformed path with 400 and keeps serving', async () => {
+  const server = createServer().listen(0);
+  const { port } = server.address();
+
+  try {
+    assert.strictEqual(await get(port, '/%E0%A4%A'), 400);
+    assert.strictEqual(await get(port, '/robots.txt'), 200);
+    assert.strictEqual(await get(port, '/missing.html'), 404);
+  } finally {
+    server.close();
+  }
+});
+
+test('answers a contact message that is not a JSON object with 400 and keeps serving', async () => {
+  const server = createServer().listen(0);
+  const { port } = server.address();
+
+  try {
+    assert.strictEqual(await post(port, '/api/contact', 'null'), 400);
+    assert.strictEqual(await post(port, '/api/contact', '{"name":'), 400);
+    assert.strictEqual(await post(port, '/api/contact', '{}'), 422);
+    assert.strictEqual(await get(port, '/robots.txt'), 200);
+  } finally {
+    server.close();
+  }
+});
+
+test('answers a JSON body that is not an object with 400 and keeps serving', async () => {
+  const password = process.env.NZBI_ADMIN_PASSWORD;
+  process.env.NZBI_ADMIN_PASSWORD = 'test-password';
+  const server = createServer().listen(0);
+  const { port } = server.address();
+
+  try {
+    for (const body of ['null', '42', '"password"', '[]']) {
+      assert.strictEqual(await post(port, '/api/admin/login', body), 400, body);
+      assert.strictEqual(await post(port, '/api/imam-request', body), 400, body);
+    }
+    assert.strictEqual(await post(port, '/api/admin/login', '{"password":"wrong"}'), 401);
+    assert.strictEqual(await get(port, '/robots.txt'), 200);
+  } finally {
+    server.close();
+    if (password === undefined) delete process.env.NZBI_ADMIN_PASSWORD;
+    else process.env.NZBI_ADMIN_PASSWORD = password;
+  }
+});
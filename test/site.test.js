@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readPartials, assemblePage, checkLinks } = require('../scripts/build-site.js');
+const { buildEntries } = require('../scripts/build-sitemap.js');
+const { writeFeed } = require('../scripts/build-calendar-ics.js');
+const { ROOT, listPages } = require('../scripts/pages.js');
+
+const partials = {
+  header: '<header>\n  <a href="/" class="logo">Logo</a>\n  <nav>\n    <a href="/" class="nav-link">Home</a>\n    <a href="/about.html" class="nav-link">About</a>\n    <a href="/contact.html" class="btn-primary">Contact</a>\n  </nav>\n</header>'
+};
+
+test('fills in a partial at the indentation of its markers', () => {
+  const html = '<body>\n    <!-- partial:header -->\n    <!-- /partial:header -->\n</body>';
+  const assembled = assemblePage(html, 'qibla.html', partials);
+
+  assert.match(assembled, /\n    <!-- partial:header -->\n    <header>\n      <a href="\/" class="logo">/);
+  assert.match(assembled, /\n    <\/header>\n    <!-- \/partial:header -->\n<\/body>$/);
+  // Filling in again changes nothing
+  assert.strictEqual(assemblePage(assembled, 'qibla.html', partials), assembled);
+  assert.throws(() => assemblePage('<!-- partial:sidebar --><!-- /partial:sidebar -->', 'qibla.html', partials), /unknown partial "sidebar"/);
+});
+
+test('keeps the line endings of the page', () => {
+  const html = '<body>\r\n  <!-- partial:header -->\r\n  <!-- /partial:header -->\r\n</body>\r\n';
+  const assembled = assemblePage(html, 'index.html', partials);
+
+  assert.match(assembled, /<!-- partial:header -->\r\n  <header>\r\n/);
+  assert.strictEqual(assembled.replace(/\r\n/g, '').includes('\n'), false);
+});
+
+test('marks the navigation item for the current page', () => {
+  const html = '<!-- partial:header --><!-- /partial:header -->';
+  const about = assemblePage(html, 'about.html', partials);
+  assert.match(about, /<a href="\/about.html" class="nav-link text-primary-color font-bold" aria-current="page">/);
+  assert.match(about, /<a href="\/" class="nav-link">Home/);
+
+  // Only links in the navigation are marked, not the logo
+  const home = assemblePage(html, 'index.html', partials);
+  assert.match(home, /<a href="\/" class="logo">/);
+  assert.match(home, /<a href="\/" class="nav-link text-primary-color font-bold" aria-current="page">Home/);
+
+  // The button keeps its own look
+  assert.match(assemblePage(html, 'contact.html', partials), /<a href="\/contact.html" class="btn-primary" aria-current="page">/);
+
+  // Announcement pages come under Announcements, and a link that only starts the same is not marked
+  const announcement = assemblePage('<!-- partial:header --><!-- /partial:header -->', 'templates/announcement.html', {
+    header: '<nav><a href="/announcements.html" class="nav-link">News</a><a href="/announce.html" class="nav-link">Other</a></nav>'
+  });
+  assert.match(announcement, /href="\/announcements.html" class="nav-link text-primary-color font-bold" aria-current="page"/);
+  assert.match(announcement, /href="\/announce.html" class="nav-link">/);
+});
+
+test('reports links to missing pages, files and ids', () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'nzbi-site-'));
+  fs.mkdirSync(path.join(root, 'news'));
+  fs.writeFileSync(path.join(root, 'index.html'), [
+    '<a href="/about.html#team">Team</a>',
+    '<a href="/about.html#history">History</a>',
+    '<a href="/events.html">Events</a>',
+    '<img src="/images/missing.png">',
+    '<a href="https://example.com/missing.html">Elsewhere</a>',
+    '<a href="https://nzbi.com/faq.html">FAQ</a>',
+    '<a href="mailto:info@nzbi.com">Email</a>',
+    '<a href="#top">Top</a>',
+    '<!-- <a href="/old.html">Old</a> -->'
+  ].join('\n'));
+  fs.writeFileSync(path.join(root, 'about.html'), '<h2 id="team">Team</h2>');
+  fs.writeFileSync(path.join(root, 'news', 'item.html'), '<a href="../about.html">About</a> <a href="/">Home</a>');
+
+  try {
+    const broken = checkLinks(root, ['index.html', 'about.html', 'news/item.html']);
+    assert.deepStrictEqual(broken.map(({ page, link }) => `${page} ${link}`), [
+      'index.html /about.html#history',
+      'index.html /events.html',
+      'index.html /images/missing.png',
+      'index.html https://nzbi.com/faq.html',
+      'index.html #top'
+    ]);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('the pages are up to date with the partials', () => {
+  const real = readPartials();
+  const files = listPages().filter(({ dir }) => !dir).map(({ file }) => file)
+    .concat(fs.readdirSync(path.join(ROOT, 'templates')).map(file => `templates/${file}`));
+
+  files.forEach(file => {
+    const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    assert.strictEqual(assemblePage(html, file, real), html, `Run npm run build to update ${file}`);
+  });
+});
+
+test('the site has no broken links', () => {
+  assert.deepStrictEqual(checkLinks(), []);
+});
+
+test('the sitemap lists the pages that exist, except those not to be indexed', () => {
+  const locations = buildEntries().map(entry => entry.loc);
+
+  assert.strictEqual(locations[0], 'https://nzbi.com/');
+  assert.ok(locations.includes('https://nzbi.com/ramadan.html'));
+  assert.ok(locations.some(location => location.startsWith('https://nzbi.com/announcements/')));
+  assert.ok(!locations.includes('https://nzbi.com/admin.html'));
+  assert.ok(!locations.includes('https://nzbi.com/offline.html'));
+  buildEntries().forEach(entry => assert.match(entry.lastmod, /^\d{4}-\d{2}-\d{2}$/));
+  locations.forEach(location => {
+    const file = location === 'https://nzbi.com/' ? 'index.html' : location.replace('https://nzbi.com/', '');
+    assert.ok(fs.existsSync(path.join(ROOT, file)), `${location} does not exist`);
+  });
+});
+
+test('rebuilding the calendar feed with the same data leaves it as it is', () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'nzbi-ics-')), 'calendar.ics');
+
+  try {
+    writeFeed(file, new Date('2025-04-01T00:00:00Z'));
+    const first = fs.readFileSync(file, 'utf8');
+    assert.ok(writeFeed(file, new Date('2025-04-01T06:00:00Z')) > 0);
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), first);
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWindow, press, readMain } = require('./dom.js');
+
+const fixture = `
+  <nzbi-tabs>
+    <div role="tablist" aria-label="Example">
+      <button id="tab-one" role="tab" aria-selected="true" aria-controls="panel-one">One</button>
+      <button id="tab-two" role="tab" aria-selected="false" aria-controls="panel-two">Two</button>
+      <button id="tab-three" role="tab" aria-selected="false" aria-controls="panel-three">Three</button>
+    </div>
+    <div id="panel-one">First</div>
+    <div id="panel-two">Second</div>
+    <div id="panel-three">Third</div>
+  </nzbi-tabs>`;
+
+const setup = options => createWindow(fixture, Object.assign({ scripts: ['js/Tabs.js'] }, options));
+const tabsOf = window => Array.from(window.document.querySelectorAll('[role="tab"]'));
+const selectedIndex = window => tabsOf(window).findIndex(tab => tab.getAttribute('aria-selected') === 'true');
+
+test('sets up the tabs and panels with their roles', async () => {
+  const window = await setup();
+  const tabs = tabsOf(window);
+
+  assert.deepStrictEqual(tabs.map(tab => tab.tabIndex), [0, -1, -1]);
+  assert.deepStrictEqual(tabs.map(tab => tab.type), ['button', 'button', 'button']);
+  const panel = window.document.getElementById('panel-two');
+  assert.strictEqual(panel.getAttribute('role'), 'tabpanel');
+  assert.strictEqual(panel.getAttribute('aria-labelledby'), 'tab-two');
+  assert.strictEqual(panel.hidden, true);
+  assert.strictEqual(window.document.getElementById('panel-one').hidden, false);
+});
+
+test('a click selects the tab, shows its panel and records it in the URL', async () => {
+  const window = await setup();
+  tabsOf(window)[1].click();
+
+  assert.strictEqual(selectedIndex(window), 1);
+  assert.deepStrictEqual(tabsOf(window).map(tab => tab.tabIndex), [-1, 0, -1]);
+  assert.strictEqual(window.document.getElementById('panel-one').hidden, true);
+  assert.strictEqual(window.document.getElementById('panel-two').hidden, false);
+  assert.strictEqual(window.location.hash, '#panel-two');
+});
+
+test('arrow keys, Home and End move between tabs and wrap around', async () => {
+  const window = await setup();
+  const tabs = tabsOf(window);
+  tabs[0].focus();
+
+  assert.strictEqual(press(tabs[0], 'ArrowRight').defaultPrevented, true);
+  assert.strictEqual(selectedIndex(window), 1);
+  assert.strictEqual(window.document.activeElement, tabs[1]);
+
+  press(tabs[1], 'End');
+  assert.strictEqual(selectedIndex(window), 2);
+  press(tabs[2], 'ArrowRight');
+  assert.strictEqual(selectedIndex(window), 0);
+  press(tabs[0], 'ArrowLeft');
+  assert.strictEqual(selectedIndex(window), 2);
+  press(tabs[2], 'Home');
+  assert.strictEqual(selectedIndex(window), 0);
+  assert.strictEqual(window.document.activeElement, tabs[0]);
+
+  // Other keys are left to the browser
+  assert.strictEqual(press(tabs[0], 'ArrowDown').defaultPrevented, false);
+  assert.strictEqual(press(tabs[0], 'a').defaultPrevented, false);
+});
+
+test('arrow keys follow the reading direction in right-to-left languages', async () => {
+  const window = await setup({ dir: 'rtl' });
+  const tabs = tabsOf(window);
+
+  press(tabs[0], 'ArrowLeft');
+  assert.strictEqual(selectedIndex(window), 1);
+  press(tabs[1], 'ArrowRight');
+  assert.strictEqual(selectedIndex(window), 0);
+});
+
+test('opens the tab named in the URL hash, and follows later hash changes', async () => {
+  const window = await setup({ url: 'https://nzbi.com/#panel-three' });
+  assert.strictEqual(selectedIndex(window), 2);
+
+  window.location.hash = '#tab-two';
+  await new Promise(resolve => window.addEventListener('hashchange', resolve, { once: true }));
+  assert.strictEqual(selectedIndex(window), 1);
+
+  // A hash that is not a tab changes nothing
+  window.location.hash = '#elsewhere';
+  await new Promise(resolve => window.addEventListener('hashchange', resolve, { once: true }));
+  assert.strictEqual(selectedIndex(window), 1);
+});
+
+test('the home page news and events tabs work', async () => {
+  const window = await createWindow(readMain('index.html'), { scripts: ['js/Tabs.js'] });
+  const announcements = window.document.getElementById('tab-announcements');
+  const events = window.document.getElementById('tab-events');
+
+  assert.strictEqual(announcements.getAttribute('aria-selected'), 'true');
+  assert.strictEqual(window.document.getElementById('content-events').hidden, true);
+
+  press(announcements, 'ArrowRight');
+  assert.strictEqual(events.getAttribute('aria-selected'), 'true');
+  assert.ok(events.classList.contains('font-bold'));
+  assert.ok(!announcements.classList.contains('font-bold'));
+  assert.strictEqual(window.document.getElementById('content-events').hidden, false);
+  assert.strictEqual(window.document.getElementById('content-announcements').hidden, true);
+});
+
+test('the home page tabs follow the reading direction of the chosen language', async () => {
+  const window = await createWindow(readMain('index.html'), {
+    scripts: ['js/I18n.js', 'js/Tabs.js'],
+    url: 'https://nzbi.com/?lang=ar'
+  });
+  const announcements = window.document.getElementById('tab-announcements');
+
+  assert.strictEqual(window.document.documentElement.dir, 'rtl');
+  press(announcements, 'ArrowLeft');
+  assert.strictEqual(window.document.getElementById('tab-events').getAttribute('aria-selected'), 'true');
+});